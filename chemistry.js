@@ -8,27 +8,54 @@
 // Constants
 // ============================================
 const CHEMISTRY_CONSTANTS = {
-    // Default molar masses (g/mol)
-    MOLAR_MASS_ZN: 65.38,
-    MOLAR_MASS_MNO2: 86.936,
-    MOLAR_MASS_ZNO: 81.38,
-    MOLAR_MASS_MN2O3: 157.87,
-
     // Faraday constant (C/mol)
     FARADAY: 96485,
 
+    // Molar gas constant (J/(mol·K)), standard temperature (°C) and pressure (kPa)
+    GAS_CONSTANT: 8.314462618,
+    STANDARD_TEMPERATURE: 25,
+    STANDARD_PRESSURE: 101.325,
+
     // Default cell voltage (V)
     DEFAULT_VOLTAGE: 1.5,
 
     // Electrons per reaction (default)
     DEFAULT_ELECTRONS: 2,
 
-    // Stoichiometric coefficients for: Zn + 2MnO₂ → ZnO + Mn₂O₃
-    STOICH: {
-        ZN: 1,
-        MNO2: 2,
-        ZNO: 1,
-        MN2O3: 1
+    // Default reaction: zinc-carbon (Leclanché) cell
+    DEFAULT_EQUATION: 'Zn + 2MnO2 -> ZnO + Mn2O3',
+
+    // Default entry in CELL_LIBRARY
+    DEFAULT_CELL: 'zinc-carbon',
+
+    // Preset masses are quoted as if weighed on a 0.1 g balance, and table
+    // reduction potentials to the millivolt (decimal places, for sig figs)
+    PRESET_MASS_DECIMALS: 1,
+    POTENTIAL_DECIMALS: 3,
+
+    // Likely reasons a wet-lab result falls short of (or exceeds) theory, for
+    // any reaction or cell
+    LOSS_SOURCES: {
+        product: [
+            'Product left behind on glassware, filter paper or the stirring rod during transfer',
+            'Incomplete reaction — not enough time, mixing or heating for the limiting reagent to be used up',
+            'Side reactions forming products other than the balanced equation predicts (e.g. a different oxide or a hydroxide)',
+            'Impure or partly oxidized reactants, so fewer moles were present than the mass suggests'
+        ],
+        productHigh: [
+            'Product still wet — water or solvent adds to the measured mass',
+            'Unreacted excess reagent or impurities trapped in the product'
+        ],
+        charge: [
+            'Internal resistance of the cell turns part of the energy into heat instead of delivered charge',
+            'Self-discharge, and corrosion of the electrodes by the electrolyte',
+            'Discharge stopped at the cutoff voltage before all the limiting reagent reacted',
+            'Polarization at the electrodes slowing the reaction at higher currents'
+        ],
+        chargeHigh: [
+            'Measurement error in current or time (meter calibration, reading the clock)',
+            'Reactant masses under-reported, or extra active material in the cell'
+        ]
     }
 };
 
@@ -36,9 +63,742 @@ const CHEMISTRY_CONSTANTS = {
 // Presets
 // ============================================
 const CHEMISTRY_PRESETS = {
-    A: { name: 'Preset A', massZn: 1.0, massMnO2: 2.0 },
-    B: { name: 'Preset B', massZn: 10.0, massMnO2: 100.0 },
-    C: { name: 'Preset C', massZn: 5.0, massMnO2: 3.0 }
+    A: { name: 'Preset A', label: 'A: 1.0g / 2.0g', equation: CHEMISTRY_CONSTANTS.DEFAULT_EQUATION, masses: { Zn: 1.0, MnO2: 2.0 } },
+    B: { name: 'Preset B', label: 'B: 10g / 100g', equation: CHEMISTRY_CONSTANTS.DEFAULT_EQUATION, masses: { Zn: 10.0, MnO2: 100.0 } },
+    C: { name: 'Preset C', label: 'C: 5.0g / 3.0g', equation: CHEMISTRY_CONSTANTS.DEFAULT_EQUATION, masses: { Zn: 5.0, MnO2: 3.0 } }
+};
+
+// ============================================
+// Cell Library
+// ============================================
+// Overall discharge reaction, half-reactions (with their STANDARD_POTENTIALS
+// couple), electrons per reaction as written and nominal voltage per cell.
+// Molar masses come from PeriodicTable. `discharge` holds the internal
+// resistance (Ω), cutoff voltage (V) and open-circuit voltage against state
+// of charge as [SoC, V] points for DischargeSimulation.
+// Presets are reactant masses in grams; reactants left out are in excess.
+const CELL_LIBRARY = {
+    'zinc-carbon': {
+        name: 'Zinc–carbon (Leclanché)',
+        equation: CHEMISTRY_CONSTANTS.DEFAULT_EQUATION,
+        electrons: CHEMISTRY_CONSTANTS.DEFAULT_ELECTRONS,
+        voltage: CHEMISTRY_CONSTANTS.DEFAULT_VOLTAGE,
+        anode: { label: 'Zn', halfReaction: 'Zn → Zn²⁺ + 2e⁻', couple: 'zn' },
+        cathode: { label: 'MnO₂', halfReaction: '2MnO₂ + 2NH₄⁺ + 2e⁻ → Mn₂O₃ + 2NH₃ + H₂O', couple: 'mno2-leclanche' },
+        discharge: { internalResistance: 0.4, cutoffVoltage: 0.9, ocv: [[0, 0.9], [0.1, 1.1], [0.5, 1.3], [0.9, 1.5], [1, 1.6]] },
+        presets: CHEMISTRY_PRESETS
+    },
+    alkaline: {
+        name: 'Alkaline (Zn/MnO₂)',
+        equation: 'Zn + 2MnO2 + H2O -> Zn(OH)2 + Mn2O3',
+        electrons: 2,
+        voltage: 1.5,
+        anode: { label: 'Zn', halfReaction: 'Zn + 2OH⁻ → Zn(OH)₂ + 2e⁻', couple: 'zn-alkaline' },
+        cathode: { label: 'MnO₂', halfReaction: '2MnO₂ + H₂O + 2e⁻ → Mn₂O₃ + 2OH⁻', couple: 'mno2-alkaline' },
+        discharge: { internalResistance: 0.15, cutoffVoltage: 0.9, ocv: [[0, 0.95], [0.1, 1.15], [0.5, 1.3], [0.9, 1.5], [1, 1.6]] },
+        presets: {
+            A: { label: 'A: 1.0g / 2.0g', masses: { Zn: 1.0, MnO2: 2.0 } },
+            B: { label: 'B: AA cell', masses: { Zn: 3.5, MnO2: 9.0 } },
+            C: { label: 'C: 5.0g / 3.0g', masses: { Zn: 5.0, MnO2: 3.0 } }
+        }
+    },
+    daniell: {
+        name: 'Daniell (Zn/Cu)',
+        equation: 'Zn + CuSO4 -> ZnSO4 + Cu',
+        electrons: 2,
+        voltage: 1.1,
+        anode: { label: 'Zn', halfReaction: 'Zn → Zn²⁺ + 2e⁻', couple: 'zn' },
+        cathode: { label: 'Cu', halfReaction: 'Cu²⁺ + 2e⁻ → Cu', couple: 'cu' },
+        discharge: { internalResistance: 2, cutoffVoltage: 0.5, ocv: [[0, 0.9], [0.1, 1.04], [0.5, 1.1], [0.9, 1.12], [1, 1.14]] },
+        presets: {
+            A: { label: 'A: 1.0g / 2.0g', masses: { Zn: 1.0, CuSO4: 2.0 } },
+            B: { label: 'B: 100 mL 1 M', masses: { Zn: 10.0, CuSO4: 15.96 } },
+            C: { label: 'C: 0.5g / 8.0g', masses: { Zn: 0.5, CuSO4: 8.0 } }
+        }
+    },
+    'lead-acid': {
+        name: 'Lead–acid',
+        equation: 'Pb + PbO2 + 2H2SO4 -> 2PbSO4 + 2H2O',
+        electrons: 2,
+        voltage: 2.05,
+        anode: { label: 'Pb', halfReaction: 'Pb + SO₄²⁻ → PbSO₄ + 2e⁻', couple: 'pbso4' },
+        cathode: { label: 'PbO₂', halfReaction: 'PbO₂ + SO₄²⁻ + 4H⁺ + 2e⁻ → PbSO₄ + 2H₂O', couple: 'pbo2' },
+        discharge: { internalResistance: 0.01, cutoffVoltage: 1.75, ocv: [[0, 1.9], [0.1, 1.95], [0.5, 2.03], [0.9, 2.1], [1, 2.12]] },
+        presets: {
+            A: { label: 'A: 10g / 12g / 10g', masses: { Pb: 10.0, PbO2: 12.0, H2SO4: 10.0 } },
+            B: { label: 'B: 100g / 115g / 95g', masses: { Pb: 100.0, PbO2: 115.0, H2SO4: 95.0 } },
+            C: { label: 'C: acid-limited', masses: { Pb: 10.0, PbO2: 10.0, H2SO4: 5.0 } }
+        }
+    },
+    nimh: {
+        // LaNi₅ stands in for the AB₅ hydrogen-storage alloy of real cells
+        name: 'Nickel–metal hydride (NiMH)',
+        equation: 'LaNi5H + NiOOH -> LaNi5 + Ni(OH)2',
+        electrons: 1,
+        voltage: 1.2,
+        anode: { label: 'LaNi₅H', halfReaction: 'LaNi₅H + OH⁻ → LaNi₅ + H₂O + e⁻', couple: 'metal-hydride' },
+        cathode: { label: 'NiOOH', halfReaction: 'NiOOH + H₂O + e⁻ → Ni(OH)₂ + OH⁻', couple: 'niooh' },
+        discharge: { internalResistance: 0.03, cutoffVoltage: 1.0, ocv: [[0, 1.0], [0.1, 1.2], [0.5, 1.25], [0.9, 1.32], [1, 1.4]] },
+        presets: {
+            A: { label: 'A: 5.0g / 1.0g', masses: { LaNi5H: 5.0, NiOOH: 1.0 } },
+            B: { label: 'B: 20g / 5.0g', masses: { LaNi5H: 20.0, NiOOH: 5.0 } },
+            C: { label: 'C: 2.0g / 1.0g', masses: { LaNi5H: 2.0, NiOOH: 1.0 } }
+        }
+    },
+    lifepo4: {
+        name: 'Lithium iron phosphate (LiFePO₄)',
+        equation: 'LiC6 + FePO4 -> C6 + LiFePO4',
+        electrons: 1,
+        voltage: 3.2,
+        anode: { label: 'LiC₆', halfReaction: 'LiC₆ → C₆ + Li⁺ + e⁻', couple: 'li-graphite' },
+        cathode: { label: 'FePO₄', halfReaction: 'FePO₄ + Li⁺ + e⁻ → LiFePO₄', couple: 'fepo4' },
+        discharge: { internalResistance: 0.02, cutoffVoltage: 2.5, ocv: [[0, 2.5], [0.05, 3.0], [0.1, 3.2], [0.5, 3.28], [0.9, 3.33], [1, 3.45]] },
+        presets: {
+            A: { label: 'A: 1.0g / 2.0g', masses: { LiC6: 1.0, FePO4: 2.0 } },
+            B: { label: 'B: 5.0g / 10g', masses: { LiC6: 5.0, FePO4: 10.0 } },
+            C: { label: 'C: 2.0g / 2.0g', masses: { LiC6: 2.0, FePO4: 2.0 } }
+        }
+    }
+};
+
+// ============================================
+// Electrolysis Products
+// ============================================
+// What forms at the electrode, its formula (molar mass from the periodic
+// table) and electrons per formula unit. Gases are reported as a volume too.
+const ELECTROLYSIS_PRODUCTS = {
+    cu: { name: 'Copper plating', formula: 'Cu', halfReaction: 'Cu²⁺ + 2e⁻ → Cu', electrons: 2 },
+    ag: { name: 'Silver plating', formula: 'Ag', halfReaction: 'Ag⁺ + e⁻ → Ag', electrons: 1 },
+    ni: { name: 'Nickel plating', formula: 'Ni', halfReaction: 'Ni²⁺ + 2e⁻ → Ni', electrons: 2 },
+    zn: { name: 'Zinc (galvanising)', formula: 'Zn', halfReaction: 'Zn²⁺ + 2e⁻ → Zn', electrons: 2 },
+    sn: { name: 'Tin plating', formula: 'Sn', halfReaction: 'Sn²⁺ + 2e⁻ → Sn', electrons: 2 },
+    cr: { name: 'Chromium plating', formula: 'Cr', halfReaction: 'Cr³⁺ + 3e⁻ → Cr', electrons: 3 },
+    au: { name: 'Gold plating', formula: 'Au', halfReaction: 'Au³⁺ + 3e⁻ → Au', electrons: 3 },
+    al: { name: 'Aluminium (Hall–Héroult)', formula: 'Al', halfReaction: 'Al³⁺ + 3e⁻ → Al', electrons: 3 },
+    h2: { name: 'Hydrogen gas (cathode)', formula: 'H2', halfReaction: '2H⁺ + 2e⁻ → H₂', electrons: 2, gas: true },
+    o2: { name: 'Oxygen gas (anode)', formula: 'O2', halfReaction: '2H₂O → O₂ + 4H⁺ + 4e⁻', electrons: 4, gas: true },
+    cl2: { name: 'Chlorine gas (anode)', formula: 'Cl2', halfReaction: '2Cl⁻ → Cl₂ + 2e⁻', electrons: 2, gas: true }
+};
+
+// ============================================
+// Discharge Simulation
+// ============================================
+/**
+ * Steps a cell through time into a resistive load. Terminal voltage is the
+ * state-of-charge-dependent open-circuit voltage less the drop across the
+ * internal resistance; the run ends at the cutoff voltage or when the
+ * limiting reagent is used up.
+ */
+class DischargeSimulation {
+    /**
+     * @param {Object} options - { capacity (C), loadResistance (Ω),
+     *   internalResistance (Ω), cutoffVoltage (V), ocv: [[soc, V], ...],
+     *   voltageScale (multiplies the OCV curve), steps }
+     */
+    constructor(options) {
+        this.capacity = options.capacity;
+        this.loadResistance = options.loadResistance;
+        this.internalResistance = options.internalResistance;
+        this.cutoffVoltage = options.cutoffVoltage;
+        this.ocv = options.ocv;
+        this.voltageScale = options.voltageScale || 1;
+        this.steps = options.steps || 400;
+    }
+
+    /**
+     * Open-circuit voltage at a state of charge (0–1), linear between points
+     */
+    openCircuitVoltage(soc) {
+        const points = this.ocv;
+        const s = Math.min(Math.max(soc, 0), 1);
+        let i = 1;
+        while (i < points.length - 1 && points[i][0] < s) i++;
+
+        const [s0, v0] = points[i - 1];
+        const [s1, v1] = points[i];
+        return (v0 + (v1 - v0) * (s - s0) / (s1 - s0)) * this.voltageScale;
+    }
+
+    /**
+     * @returns {Object} { points: [{ t, voltage, current, charge, soc }], runtimeSeconds,
+     *   deliveredCharge, deliveredEnergyJ, internalLossJ, endReason: 'cutoff' | 'depleted' }
+     */
+    run() {
+        if (!(this.capacity > 0)) {
+            throw new Error('The cell must hold some charge to discharge');
+        }
+        const totalResistance = this.loadResistance + this.internalResistance;
+
+        // Time step sized so a run at the full-charge current takes ~steps steps
+        const dt = this.capacity / (this.openCircuitVoltage(1) / totalResistance) / this.steps;
+
+        const points = [];
+        let t = 0, charge = 0, energy = 0, loss = 0;
+        let endReason = 'depleted';
+
+        for (let i = 0; i <= this.steps * 20; i++) {
+            const soc = 1 - charge / this.capacity;
+            const current = this.openCircuitVoltage(soc) / totalResistance;
+            const voltage = current * this.loadResistance;
+
+            points.push({ t, voltage, current, charge, soc });
+
+            if (voltage < this.cutoffVoltage) {
+                endReason = 'cutoff';
+                break;
+            }
+            if (soc <= 0) break;
+
+            const step = Math.min(dt, (this.capacity - charge) / current);
+            charge += current * step;
+            energy += voltage * current * step;
+            loss += current * current * this.internalResistance * step;
+            t += step;
+        }
+
+        return {
+            points,
+            runtimeSeconds: t,
+            deliveredCharge: charge,
+            deliveredEnergyJ: energy,
+            internalLossJ: loss,
+            endReason
+        };
+    }
+}
+
+// ============================================
+// Standard Reduction Potentials (25 °C, V vs SHE)
+// ============================================
+// Written as reductions, ordered from strongest reducing agent to strongest
+// oxidising agent. Battery electrode couples that are not true standard
+// states (NH₄⁺ paste, metal hydride, lithium intercalation) are marked
+// "working" and use their usual textbook values. `n` is electrons per
+// half-reaction; `ions` lists the dissolved species and gases that enter the
+// reaction quotient, with their coefficients (negative = left-hand side).
+const STANDARD_POTENTIALS = {
+    'li': { couple: 'Li⁺/Li', halfReaction: 'Li⁺ + e⁻ → Li', n: 1, E: -3.040, ions: { 'Li⁺': -1 } },
+    'li-graphite': { couple: 'Li⁺/LiC₆', halfReaction: 'Li⁺ + C₆ + e⁻ → LiC₆', n: 1, E: -2.94, ions: { 'Li⁺': -1 }, working: true },
+    'k': { couple: 'K⁺/K', halfReaction: 'K⁺ + e⁻ → K', n: 1, E: -2.931, ions: { 'K⁺': -1 } },
+    'ca': { couple: 'Ca²⁺/Ca', halfReaction: 'Ca²⁺ + 2e⁻ → Ca', n: 2, E: -2.868, ions: { 'Ca²⁺': -1 } },
+    'na': { couple: 'Na⁺/Na', halfReaction: 'Na⁺ + e⁻ → Na', n: 1, E: -2.71, ions: { 'Na⁺': -1 } },
+    'mg': { couple: 'Mg²⁺/Mg', halfReaction: 'Mg²⁺ + 2e⁻ → Mg', n: 2, E: -2.372, ions: { 'Mg²⁺': -1 } },
+    'al': { couple: 'Al³⁺/Al', halfReaction: 'Al³⁺ + 3e⁻ → Al', n: 3, E: -1.662, ions: { 'Al³⁺': -1 } },
+    'zn-alkaline': { couple: 'Zn(OH)₂/Zn', halfReaction: 'Zn(OH)₂ + 2e⁻ → Zn + 2OH⁻', n: 2, E: -1.249, ions: { 'OH⁻': 2 } },
+    'metal-hydride': { couple: 'H₂O/MH', halfReaction: 'M + H₂O + e⁻ → MH + OH⁻', n: 1, E: -0.828, ions: { 'OH⁻': 1 }, working: true },
+    'zn': { couple: 'Zn²⁺/Zn', halfReaction: 'Zn²⁺ + 2e⁻ → Zn', n: 2, E: -0.762, ions: { 'Zn²⁺': -1 } },
+    'fe': { couple: 'Fe²⁺/Fe', halfReaction: 'Fe²⁺ + 2e⁻ → Fe', n: 2, E: -0.447, ions: { 'Fe²⁺': -1 } },
+    'pbso4': { couple: 'PbSO₄/Pb', halfReaction: 'PbSO₄ + 2e⁻ → Pb + SO₄²⁻', n: 2, E: -0.359, ions: { 'SO₄²⁻': 1 } },
+    'ni': { couple: 'Ni²⁺/Ni', halfReaction: 'Ni²⁺ + 2e⁻ → Ni', n: 2, E: -0.257, ions: { 'Ni²⁺': -1 } },
+    'sn': { couple: 'Sn²⁺/Sn', halfReaction: 'Sn²⁺ + 2e⁻ → Sn', n: 2, E: -0.138, ions: { 'Sn²⁺': -1 } },
+    'pb': { couple: 'Pb²⁺/Pb', halfReaction: 'Pb²⁺ + 2e⁻ → Pb', n: 2, E: -0.126, ions: { 'Pb²⁺': -1 } },
+    'h': { couple: 'H⁺/H₂', halfReaction: '2H⁺ + 2e⁻ → H₂', n: 2, E: 0.000, ions: { 'H⁺': -2, 'H₂': 1 } },
+    'mno2-alkaline': { couple: 'MnO₂/Mn₂O₃ (alkaline)', halfReaction: '2MnO₂ + H₂O + 2e⁻ → Mn₂O₃ + 2OH⁻', n: 2, E: 0.15, ions: { 'OH⁻': 2 } },
+    'cu': { couple: 'Cu²⁺/Cu', halfReaction: 'Cu²⁺ + 2e⁻ → Cu', n: 2, E: 0.342, ions: { 'Cu²⁺': -1 } },
+    'fepo4': { couple: 'FePO₄/LiFePO₄', halfReaction: 'FePO₄ + Li⁺ + e⁻ → LiFePO₄', n: 1, E: 0.41, ions: { 'Li⁺': -1 }, working: true },
+    'niooh': { couple: 'NiOOH/Ni(OH)₂', halfReaction: 'NiOOH + H₂O + e⁻ → Ni(OH)₂ + OH⁻', n: 1, E: 0.49, ions: { 'OH⁻': 1 } },
+    'mno2-leclanche': { couple: 'MnO₂/Mn₂O₃ (NH₄Cl)', halfReaction: '2MnO₂ + 2NH₄⁺ + 2e⁻ → Mn₂O₃ + 2NH₃ + H₂O', n: 2, E: 0.74, ions: { 'NH₄⁺': -2, 'NH₃': 2 }, working: true },
+    'fe3': { couple: 'Fe³⁺/Fe²⁺', halfReaction: 'Fe³⁺ + e⁻ → Fe²⁺', n: 1, E: 0.771, ions: { 'Fe³⁺': -1, 'Fe²⁺': 1 } },
+    'ag': { couple: 'Ag⁺/Ag', halfReaction: 'Ag⁺ + e⁻ → Ag', n: 1, E: 0.800, ions: { 'Ag⁺': -1 } },
+    'o2': { couple: 'O₂/H₂O', halfReaction: 'O₂ + 4H⁺ + 4e⁻ → 2H₂O', n: 4, E: 1.229, ions: { 'O₂': -1, 'H⁺': -4 } },
+    'cl2': { couple: 'Cl₂/Cl⁻', halfReaction: 'Cl₂ + 2e⁻ → 2Cl⁻', n: 2, E: 1.358, ions: { 'Cl₂': -1, 'Cl⁻': 2 } },
+    'au': { couple: 'Au³⁺/Au', halfReaction: 'Au³⁺ + 3e⁻ → Au', n: 3, E: 1.498, ions: { 'Au³⁺': -1 } },
+    'pbo2': { couple: 'PbO₂/PbSO₄', halfReaction: 'PbO₂ + SO₄²⁻ + 4H⁺ + 2e⁻ → PbSO₄ + 2H₂O', n: 2, E: 1.691, ions: { 'SO₄²⁻': -1, 'H⁺': -4 } },
+    'f2': { couple: 'F₂/F⁻', halfReaction: 'F₂ + 2e⁻ → 2F⁻', n: 2, E: 2.866, ions: { 'F₂': -1, 'F⁻': 2 } }
+};
+
+// ============================================
+// Chemical Equation Parsing & Balancing
+// ============================================
+const SUBSCRIPT_DIGITS = '₀₁₂₃₄₅₆₇₈₉';
+
+/**
+ * Render a plain formula with subscript digits, e.g. "Mn2O3" → "Mn₂O₃"
+ * Leading digits (hydrate multipliers after "·") stay full size.
+ */
+function formatFormula(formula) {
+    return String(formula).replace(/([A-Za-z)\]])(\d+)/g, (match, prefix, digits) =>
+        prefix + digits.split('').map(d => SUBSCRIPT_DIGITS[d]).join('')
+    );
+}
+
+function gcd(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+class ChemicalEquation {
+    constructor(reactants = [], products = []) {
+        // Each species: { formula, coefficient, elements: { symbol: count } }
+        this.reactants = reactants;
+        this.products = products;
+    }
+
+    /**
+     * Parse a reaction string such as "Fe2O3 + CO -> Fe + CO2"
+     * Accepts ->, =>, →, ⟶ or = as the arrow and Unicode subscripts in formulas.
+     */
+    static parse(text) {
+        const normalized = String(text || '')
+            .replace(/[₀-₉]/g, d => SUBSCRIPT_DIGITS.indexOf(d))
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        const sides = normalized.split(/\s*(?:->|=>|→|⟶|=)\s*/);
+        if (sides.length !== 2 || !sides[0] || !sides[1]) {
+            throw new Error('Equation must have exactly one arrow, e.g. "Fe2O3 + CO -> Fe + CO2"');
+        }
+
+        const parseSide = side => side.split(/\s*\+\s*/).map(term => {
+            const match = term.match(/^(\d*)\s*(.+)$/);
+            if (!match) throw new Error(`Missing species in "${side}"`);
+            const formula = match[2].replace(/\s*\((s|l|g|aq)\)$/i, '').trim();
+            return {
+                formula,
+                coefficient: match[1] ? parseInt(match[1], 10) : null,
+                elements: ChemicalEquation.parseFormula(formula)
+            };
+        });
+
+        return new ChemicalEquation(parseSide(sides[0]), parseSide(sides[1]));
+    }
+
+    /**
+     * Count atoms in a formula, e.g. "CuSO4·5H2O" → { Cu: 1, S: 1, O: 9, H: 10 }
+     * Supports nested () and [] groups and hydrates joined with ·, * or .
+     */
+    static parseFormula(formula) {
+        const counts = {};
+        const parts = String(formula).split(/[·•*.]/);
+
+        parts.forEach((part, index) => {
+            let multiplier = 1;
+            let body = part.trim();
+
+            // Hydrate parts may start with a multiplier ("5H2O")
+            if (index > 0) {
+                const match = body.match(/^(\d+)(.*)$/);
+                if (match) {
+                    multiplier = parseInt(match[1], 10);
+                    body = match[2];
+                }
+            }
+
+            if (!body) throw new Error(`Empty formula part in "${formula}"`);
+
+            const partCounts = ChemicalEquation.parseGroup(body, formula);
+            Object.entries(partCounts).forEach(([el, n]) => {
+                counts[el] = (counts[el] || 0) + n * multiplier;
+            });
+        });
+
+        return counts;
+    }
+
+    /**
+     * Recursive-descent parser for a single formula part (no hydrate dots)
+     */
+    static parseGroup(text, formula) {
+        const stack = [{}];
+        const closing = { ')': '(', ']': '[' };
+        const openers = [];
+        let i = 0;
+
+        const readCount = () => {
+            const match = text.slice(i).match(/^\d+/);
+            if (!match) return 1;
+            i += match[0].length;
+            return parseInt(match[0], 10);
+        };
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            if (ch === '(' || ch === '[') {
+                openers.push(ch);
+                stack.push({});
+                i++;
+            } else if (ch === ')' || ch === ']') {
+                if (openers.pop() !== closing[ch]) {
+                    throw new Error(`Unbalanced brackets in "${formula}"`);
+                }
+                i++;
+                const group = stack.pop();
+                const count = readCount();
+                const top = stack[stack.length - 1];
+                Object.entries(group).forEach(([el, n]) => {
+                    top[el] = (top[el] || 0) + n * count;
+                });
+            } else if (/[A-Z]/.test(ch)) {
+                const symbol = text.slice(i).match(/^[A-Z][a-z]?/)[0];
+                if (!ATOMIC_WEIGHTS[symbol]) {
+                    throw new Error(`Unknown element "${symbol}" in formula "${formula}"`);
+                }
+                i += symbol.length;
+                const count = readCount();
+                const top = stack[stack.length - 1];
+                top[symbol] = (top[symbol] || 0) + count;
+            } else {
+                throw new Error(`Unexpected "${ch}" in formula "${formula}"`);
+            }
+        }
+
+        if (openers.length) throw new Error(`Unbalanced brackets in "${formula}"`);
+        return stack[0];
+    }
+
+    get species() {
+        return [...this.reactants, ...this.products];
+    }
+
+    get elements() {
+        const set = new Set();
+        this.species.forEach(s => Object.keys(s.elements).forEach(el => set.add(el)));
+        return [...set];
+    }
+
+    /**
+     * Atom count per element on each side with the current coefficients
+     */
+    getElementTally() {
+        const total = (side, el) => side.reduce(
+            (sum, s) => sum + (s.coefficient || 0) * (s.elements[el] || 0), 0
+        );
+        return this.elements.map(element => ({
+            element,
+            reactants: total(this.reactants, element),
+            products: total(this.products, element)
+        }));
+    }
+
+    isBalanced() {
+        if (this.species.some(s => !s.coefficient)) return false;
+        return this.getElementTally().every(row => row.reactants === row.products);
+    }
+
+    /**
+     * Balance the equation in place. Coefficients typed by the user are kept
+     * when they already balance; otherwise the smallest whole-number solution
+     * is found from the null space of the element-composition matrix.
+     */
+    balance() {
+        if (this.isBalanced()) return this;
+
+        const species = this.species;
+        const elements = this.elements;
+        const nReactants = this.reactants.length;
+
+        // Rows = elements, columns = species (products negative)
+        const matrix = elements.map(el => species.map((s, j) =>
+            (j < nReactants ? 1 : -1) * (s.elements[el] || 0)
+        ));
+
+        // Fraction-free Gauss-Jordan elimination
+        const cols = species.length;
+        const pivotCols = [];
+        let row = 0;
+        for (let col = 0; col < cols && row < matrix.length; col++) {
+            const pivot = matrix.findIndex((r, idx) => idx >= row && r[col] !== 0);
+            if (pivot === -1) continue;
+            [matrix[row], matrix[pivot]] = [matrix[pivot], matrix[row]];
+
+            for (let r = 0; r < matrix.length; r++) {
+                if (r === row || matrix[r][col] === 0) continue;
+                const a = matrix[row][col];
+                const b = matrix[r][col];
+                matrix[r] = matrix[r].map((v, c) => v * a - matrix[row][c] * b);
+                const g = matrix[r].reduce((acc, v) => gcd(acc, v), 0);
+                if (g > 1) matrix[r] = matrix[r].map(v => v / g);
+            }
+            pivotCols.push(col);
+            row++;
+        }
+
+        const freeCols = [...Array(cols).keys()].filter(c => !pivotCols.includes(c));
+        if (freeCols.length === 0) {
+            throw new Error('This equation cannot be balanced — check the formulas');
+        }
+        if (freeCols.length > 1) {
+            throw new Error('This equation has more than one independent balance — enter coefficients by hand');
+        }
+
+        // Solve with the free variable scaled so every coefficient is an integer
+        const free = freeCols[0];
+        const scale = pivotCols.reduce((acc, col, r) => {
+            const p = Math.abs(matrix[r][col]);
+            return acc * p / gcd(acc, p);
+        }, 1);
+
+        const coefficients = new Array(cols).fill(0);
+        coefficients[free] = scale;
+        pivotCols.forEach((col, r) => {
+            coefficients[col] = -matrix[r][free] * scale / matrix[r][col];
+        });
+
+        const sign = Math.sign(coefficients.find(c => c !== 0));
+        const divisor = coefficients.reduce((acc, c) => gcd(acc, c), 0);
+        const normalized = coefficients.map(c => sign * c / divisor);
+
+        if (normalized.some(c => c <= 0)) {
+            throw new Error('This equation cannot be balanced with these species on these sides');
+        }
+
+        species.forEach((s, j) => { s.coefficient = normalized[j]; });
+        return this;
+    }
+
+    /**
+     * General limiting-reagent analysis for any number of reactants.
+     * Each reactant can supply n / coefficient moles of reaction ("reaction
+     * equivalents"); ranking them ascending puts the limiting reagent first.
+     * Reactants missing from `available` are treated as being in excess.
+     * @param {Object} available - moles keyed by formula
+     * @param {Function} molarMassOf - formula → g/mol
+     */
+    analyzeLimitingReagent(available, molarMassOf) {
+        const ranking = this.reactants
+            .filter(s => typeof available[s.formula] === 'number')
+            .map(s => ({
+                formula: s.formula,
+                coefficient: s.coefficient,
+                moles: available[s.formula],
+                equivalents: available[s.formula] / s.coefficient
+            }))
+            .sort((a, b) => a.equivalents - b.equivalents);
+
+        if (ranking.length === 0) {
+            throw new Error('Enter the amount of at least one reactant');
+        }
+
+        const extent = ranking[0].equivalents;
+
+        ranking.forEach((r, i) => {
+            const molarMass = molarMassOf(r.formula);
+            r.rank = i + 1;
+            r.consumed = r.coefficient * extent;
+            // Leftovers within rounding noise of zero mean an exact stoichiometric mix
+            r.leftover = Math.abs(r.moles - r.consumed) < r.moles * 1e-9 ? 0 : r.moles - r.consumed;
+            r.leftoverMass = r.leftover * molarMass;
+            r.percentExcess = r.consumed > 0 ? (r.leftover / r.consumed) * 100 : 0;
+            r.isLimiting = r.leftover === 0;
+        });
+
+        const products = this.products.map(s => {
+            const molarMass = molarMassOf(s.formula);
+            const moles = s.coefficient * extent;
+            return {
+                formula: s.formula,
+                coefficient: s.coefficient,
+                molarMass,
+                moles,
+                mass: moles * molarMass
+            };
+        });
+
+        return {
+            extent,
+            ranking,
+            limiting: ranking.filter(r => r.isLimiting),
+            excess: ranking.filter(r => !r.isLimiting),
+            unmeasured: this.reactants
+                .filter(s => typeof available[s.formula] !== 'number')
+                .map(s => s.formula),
+            products
+        };
+    }
+
+    /**
+     * Format as text, e.g. "Zn + 2MnO₂ → ZnO + Mn₂O₃"
+     */
+    toString(pretty = true) {
+        const term = s => `${s.coefficient > 1 ? s.coefficient : ''}${pretty ? formatFormula(s.formula) : s.formula}`;
+        const arrow = pretty ? ' → ' : ' -> ';
+        return this.reactants.map(term).join(' + ') + arrow + this.products.map(term).join(' + ');
+    }
+}
+
+// ============================================
+// Periodic Table (IUPAC 2021 standard atomic weights)
+// ============================================
+// Abridged/conventional values in g/mol. Elements with no stable isotopes
+// carry the mass number of their longest-lived isotope (isotope: true).
+const ATOMIC_WEIGHTS = {
+    H: { z: 1, name: 'Hydrogen', mass: 1.008 },
+    He: { z: 2, name: 'Helium', mass: 4.002602 },
+    Li: { z: 3, name: 'Lithium', mass: 6.94 },
+    Be: { z: 4, name: 'Beryllium', mass: 9.0121831 },
+    B: { z: 5, name: 'Boron', mass: 10.81 },
+    C: { z: 6, name: 'Carbon', mass: 12.011 },
+    N: { z: 7, name: 'Nitrogen', mass: 14.007 },
+    O: { z: 8, name: 'Oxygen', mass: 15.999 },
+    F: { z: 9, name: 'Fluorine', mass: 18.998403162 },
+    Ne: { z: 10, name: 'Neon', mass: 20.1797 },
+    Na: { z: 11, name: 'Sodium', mass: 22.98976928 },
+    Mg: { z: 12, name: 'Magnesium', mass: 24.305 },
+    Al: { z: 13, name: 'Aluminium', mass: 26.9815384 },
+    Si: { z: 14, name: 'Silicon', mass: 28.085 },
+    P: { z: 15, name: 'Phosphorus', mass: 30.973761998 },
+    S: { z: 16, name: 'Sulfur', mass: 32.06 },
+    Cl: { z: 17, name: 'Chlorine', mass: 35.45 },
+    Ar: { z: 18, name: 'Argon', mass: 39.95 },
+    K: { z: 19, name: 'Potassium', mass: 39.0983 },
+    Ca: { z: 20, name: 'Calcium', mass: 40.078 },
+    Sc: { z: 21, name: 'Scandium', mass: 44.955907 },
+    Ti: { z: 22, name: 'Titanium', mass: 47.867 },
+    V: { z: 23, name: 'Vanadium', mass: 50.9415 },
+    Cr: { z: 24, name: 'Chromium', mass: 51.9961 },
+    Mn: { z: 25, name: 'Manganese', mass: 54.938043 },
+    Fe: { z: 26, name: 'Iron', mass: 55.845 },
+    Co: { z: 27, name: 'Cobalt', mass: 58.933194 },
+    Ni: { z: 28, name: 'Nickel', mass: 58.6934 },
+    Cu: { z: 29, name: 'Copper', mass: 63.546 },
+    Zn: { z: 30, name: 'Zinc', mass: 65.38 },
+    Ga: { z: 31, name: 'Gallium', mass: 69.723 },
+    Ge: { z: 32, name: 'Germanium', mass: 72.630 },
+    As: { z: 33, name: 'Arsenic', mass: 74.921595 },
+    Se: { z: 34, name: 'Selenium', mass: 78.971 },
+    Br: { z: 35, name: 'Bromine', mass: 79.904 },
+    Kr: { z: 36, name: 'Krypton', mass: 83.798 },
+    Rb: { z: 37, name: 'Rubidium', mass: 85.4678 },
+    Sr: { z: 38, name: 'Strontium', mass: 87.62 },
+    Y: { z: 39, name: 'Yttrium', mass: 88.905838 },
+    Zr: { z: 40, name: 'Zirconium', mass: 91.222 },
+    Nb: { z: 41, name: 'Niobium', mass: 92.90637 },
+    Mo: { z: 42, name: 'Molybdenum', mass: 95.95 },
+    Tc: { z: 43, name: 'Technetium', mass: 97, isotope: true },
+    Ru: { z: 44, name: 'Ruthenium', mass: 101.07 },
+    Rh: { z: 45, name: 'Rhodium', mass: 102.90549 },
+    Pd: { z: 46, name: 'Palladium', mass: 106.42 },
+    Ag: { z: 47, name: 'Silver', mass: 107.8682 },
+    Cd: { z: 48, name: 'Cadmium', mass: 112.414 },
+    In: { z: 49, name: 'Indium', mass: 114.818 },
+    Sn: { z: 50, name: 'Tin', mass: 118.710 },
+    Sb: { z: 51, name: 'Antimony', mass: 121.760 },
+    Te: { z: 52, name: 'Tellurium', mass: 127.60 },
+    I: { z: 53, name: 'Iodine', mass: 126.90447 },
+    Xe: { z: 54, name: 'Xenon', mass: 131.293 },
+    Cs: { z: 55, name: 'Caesium', mass: 132.90545196 },
+    Ba: { z: 56, name: 'Barium', mass: 137.327 },
+    La: { z: 57, name: 'Lanthanum', mass: 138.90547 },
+    Ce: { z: 58, name: 'Cerium', mass: 140.116 },
+    Pr: { z: 59, name: 'Praseodymium', mass: 140.90766 },
+    Nd: { z: 60, name: 'Neodymium', mass: 144.242 },
+    Pm: { z: 61, name: 'Promethium', mass: 145, isotope: true },
+    Sm: { z: 62, name: 'Samarium', mass: 150.36 },
+    Eu: { z: 63, name: 'Europium', mass: 151.964 },
+    Gd: { z: 64, name: 'Gadolinium', mass: 157.249 },
+    Tb: { z: 65, name: 'Terbium', mass: 158.925354 },
+    Dy: { z: 66, name: 'Dysprosium', mass: 162.500 },
+    Ho: { z: 67, name: 'Holmium', mass: 164.930329 },
+    Er: { z: 68, name: 'Erbium', mass: 167.259 },
+    Tm: { z: 69, name: 'Thulium', mass: 168.934219 },
+    Yb: { z: 70, name: 'Ytterbium', mass: 173.045 },
+    Lu: { z: 71, name: 'Lutetium', mass: 174.96669 },
+    Hf: { z: 72, name: 'Hafnium', mass: 178.486 },
+    Ta: { z: 73, name: 'Tantalum', mass: 180.94788 },
+    W: { z: 74, name: 'Tungsten', mass: 183.84 },
+    Re: { z: 75, name: 'Rhenium', mass: 186.207 },
+    Os: { z: 76, name: 'Osmium', mass: 190.23 },
+    Ir: { z: 77, name: 'Iridium', mass: 192.217 },
+    Pt: { z: 78, name: 'Platinum', mass: 195.084 },
+    Au: { z: 79, name: 'Gold', mass: 196.966570 },
+    Hg: { z: 80, name: 'Mercury', mass: 200.592 },
+    Tl: { z: 81, name: 'Thallium', mass: 204.38 },
+    Pb: { z: 82, name: 'Lead', mass: 207.2 },
+    Bi: { z: 83, name: 'Bismuth', mass: 208.98040 },
+    Po: { z: 84, name: 'Polonium', mass: 209, isotope: true },
+    At: { z: 85, name: 'Astatine', mass: 210, isotope: true },
+    Rn: { z: 86, name: 'Radon', mass: 222, isotope: true },
+    Fr: { z: 87, name: 'Francium', mass: 223, isotope: true },
+    Ra: { z: 88, name: 'Radium', mass: 226, isotope: true },
+    Ac: { z: 89, name: 'Actinium', mass: 227, isotope: true },
+    Th: { z: 90, name: 'Thorium', mass: 232.0377 },
+    Pa: { z: 91, name: 'Protactinium', mass: 231.03588 },
+    U: { z: 92, name: 'Uranium', mass: 238.02891 },
+    Np: { z: 93, name: 'Neptunium', mass: 237, isotope: true },
+    Pu: { z: 94, name: 'Plutonium', mass: 244, isotope: true },
+    Am: { z: 95, name: 'Americium', mass: 243, isotope: true },
+    Cm: { z: 96, name: 'Curium', mass: 247, isotope: true },
+    Bk: { z: 97, name: 'Berkelium', mass: 247, isotope: true },
+    Cf: { z: 98, name: 'Californium', mass: 251, isotope: true },
+    Es: { z: 99, name: 'Einsteinium', mass: 252, isotope: true },
+    Fm: { z: 100, name: 'Fermium', mass: 257, isotope: true },
+    Md: { z: 101, name: 'Mendelevium', mass: 258, isotope: true },
+    No: { z: 102, name: 'Nobelium', mass: 259, isotope: true },
+    Lr: { z: 103, name: 'Lawrencium', mass: 266, isotope: true },
+    Rf: { z: 104, name: 'Rutherfordium', mass: 267, isotope: true },
+    Db: { z: 105, name: 'Dubnium', mass: 268, isotope: true },
+    Sg: { z: 106, name: 'Seaborgium', mass: 269, isotope: true },
+    Bh: { z: 107, name: 'Bohrium', mass: 270, isotope: true },
+    Hs: { z: 108, name: 'Hassium', mass: 269, isotope: true },
+    Mt: { z: 109, name: 'Meitnerium', mass: 278, isotope: true },
+    Ds: { z: 110, name: 'Darmstadtium', mass: 281, isotope: true },
+    Rg: { z: 111, name: 'Roentgenium', mass: 282, isotope: true },
+    Cn: { z: 112, name: 'Copernicium', mass: 285, isotope: true },
+    Nh: { z: 113, name: 'Nihonium', mass: 286, isotope: true },
+    Fl: { z: 114, name: 'Flerovium', mass: 289, isotope: true },
+    Mc: { z: 115, name: 'Moscovium', mass: 290, isotope: true },
+    Lv: { z: 116, name: 'Livermorium', mass: 293, isotope: true },
+    Ts: { z: 117, name: 'Tennessine', mass: 294, isotope: true },
+    Og: { z: 118, name: 'Oganesson', mass: 294, isotope: true }
+};
+
+const PeriodicTable = {
+    /**
+     * Look up an element by symbol
+     */
+    get(symbol) {
+        return ATOMIC_WEIGHTS[symbol] || null;
+    },
+
+    /**
+     * Molar mass of a formula with a per-element breakdown
+     * @returns {{ formula, molarMass, breakdown: Array<{ element, name, count, atomicMass, subtotal, percent }> }}
+     */
+    molarMass(formula) {
+        const counts = ChemicalEquation.parseFormula(formula);
+
+        const breakdown = Object.entries(counts).map(([element, count]) => {
+            const entry = ATOMIC_WEIGHTS[element];
+            return {
+                element,
+                name: entry.name,
+                count,
+                atomicMass: entry.mass,
+                subtotal: count * entry.mass,
+                isotope: !!entry.isotope
+            };
+        });
+
+        // Round away floating-point noise; atomic weights carry at most 9 decimals
+        const molarMass = Number(breakdown.reduce((sum, b) => sum + b.subtotal, 0).toFixed(6));
+        breakdown.forEach(b => { b.percent = (b.subtotal / molarMass) * 100; });
+
+        return { formula, molarMass, breakdown };
+    },
+
+    /**
+     * Molar mass as a Measurement: each atomic weight is known to the decimal
+     * places it is quoted with, so the sum keeps the fewest decimal places
+     */
+    measureMolarMass(formula) {
+        const { Measurement } = window.ChargeLab;
+        const { molarMass, breakdown } = PeriodicTable.molarMass(formula);
+        const place = Math.max(...breakdown.map(b => Measurement.parse(String(b.atomicMass)).lastPlace));
+        return Measurement.toPlace(molarMass, place);
+    },
+
+    /**
+     * One-line work step, e.g. "M(MnO₂) = 1 × 54.938043 (Mn) + 2 × 15.999 (O) = 86.936043 g/mol"
+     */
+    describe(result) {
+        const terms = result.breakdown
+            .map(b => `${b.count} × ${b.atomicMass}${b.isotope ? '*' : ''} (${b.element})`)
+            .join(' + ');
+        return `M(${formatFormula(result.formula)}) = ${terms} = ${result.molarMass} g/mol`;
+    }
 };
 
 // ============================================
@@ -46,165 +806,360 @@ const CHEMISTRY_PRESETS = {
 // ============================================
 class ChemistryCalculator {
     constructor(options = {}) {
-        // User-editable parameters
-        this.molarMassZn = options.molarMassZn || CHEMISTRY_CONSTANTS.MOLAR_MASS_ZN;
-        this.molarMassMnO2 = options.molarMassMnO2 || CHEMISTRY_CONSTANTS.MOLAR_MASS_MNO2;
-        this.electronsPerReaction = options.electronsPerReaction || CHEMISTRY_CONSTANTS.DEFAULT_ELECTRONS;
-        this.cellVoltage = options.cellVoltage || CHEMISTRY_CONSTANTS.DEFAULT_VOLTAGE;
-
-        // Input values
-        this.massZn = options.massZn || 0;
-        this.massMnO2 = options.massMnO2 || 0;
+        // Cell from CELL_LIBRARY; supplies the default equation, voltage and electrons
+        this.cell = CELL_LIBRARY[options.cell] ? options.cell : CHEMISTRY_CONSTANTS.DEFAULT_CELL;
+        const cell = CELL_LIBRARY[this.cell];
+
+        // Reaction (any equation string; balanced on calculate)
+        this.equation = options.equation || cell.equation;
+
+        // User-editable parameters (molar masses here override the periodic table)
+        this.molarMasses = { ...options.molarMasses };
+        this.electronsPerReaction = options.electronsPerReaction || cell.electrons;
+        this.cellVoltage = options.cellVoltage || cell.voltage;
+
+        // Electrode couples (STANDARD_POTENTIALS keys); with deriveVoltage the
+        // energy uses E°cell instead of the entered cellVoltage
+        this.anode = STANDARD_POTENTIALS[options.anode] ? options.anode : cell.anode.couple;
+        this.cathode = STANDARD_POTENTIALS[options.cathode] ? options.cathode : cell.cathode.couple;
+        this.deriveVoltage = !!options.deriveVoltage;
+
+        // Nernst mode: correct E°cell for temperature (°C) and ion activities
+        // (mol/L, or bar for gases; missing = 1). A reactionQuotient entered
+        // directly takes precedence over the activities.
+        this.nernst = !!options.nernst;
+        this.temperature = options.temperature ?? CHEMISTRY_CONSTANTS.STANDARD_TEMPERATURE;
+        this.concentrations = { ...options.concentrations };
+        this.reactionQuotient = options.reactionQuotient || null;
+
+        // Input values: reactant mass in grams keyed by formula (missing = in excess)
+        this.masses = { ...options.masses };
         this.resistance = options.resistance || null;
 
+        // Discharge model overrides (default to the cell's values)
+        this.internalResistance = options.internalResistance ?? cell.discharge.internalResistance;
+        this.cutoffVoltage = options.cutoffVoltage ?? cell.discharge.cutoffVoltage;
+
+        // Optional wet-lab measurements for actual-vs-theoretical comparison
+        this.actualProduct = options.actualProduct || null; // product formula
+        this.actualMass = options.actualMass || null; // g
+        this.actualCharge = options.actualCharge || null; // C
+
+        // Significant figures of each input as typed, keyed 'mass:Zn',
+        // 'molarMass:Zn', 'voltage', 'resistance', 'internalResistance',
+        // 'cutoffVoltage', 'actualMass', 'actualCharge'. Missing keys are
+        // counted from the number itself.
+        this.sigFigs = { ...options.sigFigs };
+
+        // Optional ± on any input, keyed like sigFigs plus 'temperature',
+        // 'reactionQuotient' and 'concentration:<species>': { value, percent }.
+        // Propagated with standard rules ('linear') or by 'montecarlo'.
+        this.uncertainties = { ...options.uncertainties };
+        this.uncertaintyMethod = options.uncertaintyMethod === 'montecarlo' ? 'montecarlo' : 'linear';
+
+        // Units the work steps and results show charge in (values stay in C)
+        this.displayUnits = { charge: 'C', ...options.displayUnits };
+
         // Calculated results
+        this.reaction = null;
         this.results = null;
         this.workSteps = [];
     }
 
+    /**
+     * Molar mass for a species: the user override if set, else from the periodic table
+     */
+    getMolarMass(formula) {
+        return this.molarMasses[formula] || PeriodicTable.molarMass(formula).molarMass;
+    }
+
+    /**
+     * Measurement for an input value with its typed significant figures
+     */
+    measure(key, value) {
+        return window.ChargeLab.Measurement.fromInput(value, this.sigFigs[key]);
+    }
+
+    /**
+     * Molar mass as a Measurement: the override's typed precision, or the
+     * periodic-table sum rounded to its least precise atomic weight
+     */
+    measureMolarMass(formula) {
+        return this.molarMasses[formula]
+            ? this.measure(`molarMass:${formula}`, this.molarMasses[formula])
+            : PeriodicTable.measureMolarMass(formula);
+    }
+
+    /**
+     * Work-step line explaining where a species' molar mass came from
+     */
+    describeMolarMass(formula) {
+        if (this.molarMasses[formula]) {
+            return `M(${formatFormula(formula)}) = ${this.molarMasses[formula]} g/mol (entered value)`;
+        }
+        return PeriodicTable.describe(PeriodicTable.molarMass(formula));
+    }
+
     /**
      * Calculate all stoichiometry results
      * @returns {Object} Calculation results
      */
     calculate() {
+        const { Measurement, Units } = window.ChargeLab;
         this.workSteps = [];
+        this.guard = new window.ChargeLab.GuardDigits();
+
+        // Step 1: Parse and balance the equation
+        const reaction = ChemicalEquation.parse(this.equation).balance();
+        this.reaction = reaction;
+
+        this.workSteps.push({
+            title: 'Balance the equation',
+            description: 'Atoms of each element must be equal on both sides (conservation of mass)',
+            calculations: [
+                `Balanced: ${reaction.toString()}`,
+                ...reaction.getElementTally().map(row =>
+                    `${row.element}: ${row.reactants} (reactants) = ${row.products} (products) ✓`
+                )
+            ]
+        });
+
+        // Step 2: Calculate moles from mass
+        const reactants = reaction.reactants.map(s => {
+            const mass = this.masses[s.formula];
+            const molarMass = this.getMolarMass(s.formula);
+            const hasMass = typeof mass === 'number' && !isNaN(mass);
+            const measuredMass = hasMass ? this.measure(`mass:${s.formula}`, mass) : null;
+            const measuredMolarMass = this.measureMolarMass(s.formula);
+
+            return {
+                formula: s.formula,
+                coefficient: s.coefficient,
+                mass: hasMass ? mass : null,
+                molarMass,
+                moles: hasMass ? mass / molarMass : null,
+                measured: hasMass ? {
+                    mass: measuredMass,
+                    molarMass: measuredMolarMass,
+                    moles: measuredMass.dividedBy(measuredMolarMass)
+                } : null
+            };
+        });
 
-        // Step 1: Calculate moles from mass
-        const molesZn = this.massZn / this.molarMassZn;
-        const molesMnO2 = this.massMnO2 / this.molarMassMnO2;
+        const measured = reactants.filter(r => r.moles !== null);
+        if (measured.length === 0) {
+            throw new Error('Enter the mass of at least one reactant');
+        }
+        const negative = measured.find(r => r.mass < 0);
+        if (negative) {
+            throw new Error(`The mass of ${formatFormula(negative.formula)} cannot be negative`);
+        }
 
         this.workSteps.push({
             title: 'Convert mass to moles',
-            description: 'Using n = m/M where n is moles, m is mass, M is molar mass',
+            description: 'Using n = m/M where n is moles, m is mass, M is molar mass (sum of atomic masses); the answer keeps the fewer significant figures of m and M',
             calculations: [
-                `n(Zn) = ${this.massZn} g ÷ ${this.molarMassZn} g/mol = ${molesZn.toFixed(6)} mol`,
-                `n(MnO₂) = ${this.massMnO2} g ÷ ${this.molarMassMnO2} g/mol = ${molesMnO2.toFixed(6)} mol`
+                ...measured.map(r => this.describeMolarMass(r.formula)),
+                ...reactants.map(r => r.moles !== null
+                    ? `n(${formatFormula(r.formula)}) = ${r.measured.mass.format('g')} ÷ ${r.measured.molarMass.format('g/mol')} = ${r.measured.moles.describe('mol')}`
+                    : `n(${formatFormula(r.formula)}) — no mass given, assumed in excess`
+                )
             ]
         });
 
-        // Step 2: Determine limiting reagent
-        // Reaction: Zn + 2MnO₂ → ZnO + Mn₂O₃
-        // For each mole of Zn, we need 2 moles of MnO₂
-        const requiredMnO2ForZn = molesZn * CHEMISTRY_CONSTANTS.STOICH.MNO2;
-        const requiredZnForMnO2 = molesMnO2 / CHEMISTRY_CONSTANTS.STOICH.MNO2;
+        // Step 3: Determine limiting reagent
+        const analysis = reaction.analyzeLimitingReagent(
+            Object.fromEntries(measured.map(r => [r.formula, r.moles])),
+            formula => this.getMolarMass(formula)
+        );
+        const measuredMoles = Object.fromEntries(measured.map(r => [r.formula, r.measured.moles]));
+        analysis.ranking.forEach(r => {
+            r.measured = { moles: measuredMoles[r.formula], equivalents: measuredMoles[r.formula].scaled(1 / r.coefficient) };
+        });
+        const molesReacting = analysis.extent;
+        const extent = analysis.ranking[0].measured.equivalents;
+        const limitingReagent = analysis.limiting.map(r => formatFormula(r.formula)).join(' + ');
+        const ratio = reaction.reactants
+            .map(s => `${s.coefficient} ${formatFormula(s.formula)}`)
+            .join(' : ');
+
+        this.workSteps.push({
+            title: 'Identify limiting reagent',
+            description: `Rank reactants by reaction equivalents n ÷ coefficient (${ratio})`,
+            calculations: [
+                ...analysis.ranking.map(r =>
+                    `#${r.rank} ${formatFormula(r.formula)}: ${this.guard.carry(`n(${formatFormula(r.formula)})`, r.measured.moles, 'mol')} ÷ ${r.coefficient} = ${r.measured.equivalents.format('mol', { guard: true })} of reaction`
+                ),
+                analysis.limiting.length > 1
+                    ? `Tie for smallest value → ${limitingReagent} are in exact stoichiometric ratio`
+                    : `Smallest value → ${limitingReagent} is limiting`,
+                `Moles of reaction = ${extent.describe('mol')}`,
+                ...analysis.unmeasured.map(f => `${formatFormula(f)} — no amount given, assumed in excess`),
+                ...this.guard.take()
+            ]
+        });
 
-        let limitingReagent, excessReagent, molesReacting, excessMoles;
+        // Step 4: Leftover excess reagents (subtraction keeps the fewer decimal places)
+        analysis.excess.forEach(r => {
+            const consumed = extent.scaled(r.coefficient);
+            const leftover = Measurement.toPlace(r.leftover, Math.max(r.measured.moles.lastPlace, consumed.lastPlace));
+            r.measured.leftover = leftover;
+            r.measured.leftoverMass = leftover.times(this.measureMolarMass(r.formula));
+            r.measured.percentExcess = r.consumed > 0 ? leftover.dividedBy(consumed).scaled(100) : new Measurement(0);
+        });
 
-        if (molesMnO2 < requiredMnO2ForZn) {
-            // MnO₂ is limiting
-            limitingReagent = 'MnO₂';
-            excessReagent = 'Zn';
-            molesReacting = molesMnO2 / CHEMISTRY_CONSTANTS.STOICH.MNO2;
-            excessMoles = molesZn - requiredZnForMnO2;
-        } else {
-            // Zn is limiting
-            limitingReagent = 'Zn';
-            excessReagent = 'MnO₂';
-            molesReacting = molesZn;
-            excessMoles = molesMnO2 - requiredMnO2ForZn;
+        if (analysis.excess.length > 0) {
+            this.workSteps.push({
+                title: 'Calculate excess reagent remaining',
+                description: 'Leftover = available − coefficient × moles of reaction; a difference keeps only the decimal places both terms share',
+                calculations: [
+                    ...analysis.excess.map(r =>
+                        `${formatFormula(r.formula)}: ${this.guard.carry(`n(${formatFormula(r.formula)})`, r.measured.moles, 'mol')} − ${r.coefficient} × ${this.guard.carry('Moles of reaction', extent, 'mol')} = ${r.measured.leftover.describe('mol')} = ${r.measured.leftoverMass.format('g')} (${r.measured.percentExcess.format('%')} excess)`
+                    ),
+                    ...this.guard.take()
+                ]
+            });
         }
 
+        // Step 5: Theoretical product masses
+        const products = analysis.products;
+        products.forEach(p => {
+            const molarMass = this.measureMolarMass(p.formula);
+            const moles = extent.scaled(p.coefficient);
+            p.measured = { molarMass, moles, mass: moles.times(molarMass) };
+        });
+
         this.workSteps.push({
-            title: 'Identify limiting reagent',
-            description: 'Compare mole ratio to stoichiometric requirements (1 Zn : 2 MnO₂)',
+            title: 'Calculate theoretical product masses',
+            description: 'Using m = n × M with product moles from the balanced equation',
             calculations: [
-                `MnO₂ required for all Zn = ${molesZn.toFixed(6)} × 2 = ${requiredMnO2ForZn.toFixed(6)} mol`,
-                `MnO₂ available = ${molesMnO2.toFixed(6)} mol`,
-                `${molesMnO2 < requiredMnO2ForZn ? 'MnO₂ < required' : 'MnO₂ ≥ required'} → ${limitingReagent} is limiting`,
-                `Excess ${excessReagent} = ${excessMoles.toFixed(6)} mol`
+                ...products.map(p => this.describeMolarMass(p.formula)),
+                ...products.map(p =>
+                    `m(${formatFormula(p.formula)}) = ${p.coefficient} × ${this.guard.carry('Moles of reaction', extent, 'mol')} × ${p.measured.molarMass.format('g/mol')} = ${p.measured.mass.describe('g')}`
+                ),
+                ...this.guard.take()
             ]
         });
 
-        // Step 3: Calculate electrons transferred
+        // Step 6: Calculate electrons transferred (the electron count is exact)
         const totalElectrons = this.electronsPerReaction * molesReacting;
+        const measuredElectrons = extent.scaled(this.electronsPerReaction);
 
         this.workSteps.push({
             title: 'Calculate electrons transferred',
             description: `Each reaction unit transfers ${this.electronsPerReaction} electrons`,
             calculations: [
-                `Moles of reaction = ${molesReacting.toFixed(6)} mol`,
-                `Total electron-moles = ${this.electronsPerReaction} × ${molesReacting.toFixed(6)} = ${totalElectrons.toFixed(6)} mol e⁻`
+                `Moles of reaction = ${extent.describe('mol')}`,
+                `Total electron-moles = ${this.electronsPerReaction} × ${this.guard.carry('Moles of reaction', extent, 'mol')} = ${measuredElectrons.describe('mol e⁻')}`,
+                ...this.guard.take()
             ]
         });
 
-        // Step 4: Calculate charge (Coulombs)
+        // Step 7: Calculate charge (Coulombs)
         const chargeQ = totalElectrons * CHEMISTRY_CONSTANTS.FARADAY;
+        const faraday = Measurement.parse(String(CHEMISTRY_CONSTANTS.FARADAY));
+        const measuredCharge = measuredElectrons.times(faraday);
 
         this.workSteps.push({
             title: 'Calculate total charge',
-            description: 'Using Q = n × F where F is Faraday constant (96485 C/mol)',
+            description: `Using Q = n × F where F is Faraday constant (${CHEMISTRY_CONSTANTS.FARADAY} C/mol, ${faraday.sigFigs} s.f.)`,
             calculations: [
-                `Q = ${totalElectrons.toFixed(6)} mol × ${CHEMISTRY_CONSTANTS.FARADAY} C/mol`,
-                `Q = ${chargeQ.toFixed(2)} C`
+                `Q = ${this.guard.carry('Electron-moles', measuredElectrons, 'mol')} × ${CHEMISTRY_CONSTANTS.FARADAY} C/mol`,
+                `Q = ${measuredCharge.describe('C')}`,
+                ...(this.displayUnits.charge !== 'C'
+                    ? [`Q = ${Units.format(measuredCharge, 'charge', this.displayUnits.charge)} (1 ${this.displayUnits.charge} = ${Units.factor('charge', this.displayUnits.charge)} C)`]
+                    : []),
+                ...this.guard.take()
             ]
         });
 
-        // Step 5: Calculate energy
-        const energyJ = this.cellVoltage * chargeQ;
+        // Step 8: Cell voltage from standard reduction potentials
+        const potential = this.resolveCellVoltage();
+        const voltage = potential.voltage;
+        const measuredVoltage = potential.measured.voltage;
+
+        // Step 9: Calculate energy (÷ 3600 is an exact conversion)
+        const energyJ = voltage * chargeQ;
         const energyWh = energyJ / 3600;
+        const measuredEnergyJ = measuredVoltage.times(measuredCharge);
+        const measuredEnergyWh = Units.convert(measuredEnergyJ, 'energy', 'Wh').measurement;
 
         this.workSteps.push({
             title: 'Calculate theoretical energy',
-            description: `Using E = V × Q with cell voltage = ${this.cellVoltage} V`,
+            description: `Using E = V × Q with cell voltage = ${measuredVoltage.format('V')}`,
             calculations: [
-                `E = ${this.cellVoltage} V × ${chargeQ.toFixed(2)} C`,
-                `E = ${energyJ.toFixed(2)} J`,
-                `E = ${energyJ.toFixed(2)} ÷ 3600 = ${energyWh.toFixed(4)} Wh`
+                `E = ${measuredVoltage.format('V')} × ${this.guard.carry('Q', measuredCharge, 'C')}`,
+                `E = ${measuredEnergyJ.describe('J')}`,
+                `E = ${this.guard.carry('E', measuredEnergyJ, 'J')} ÷ 3600 = ${measuredEnergyWh.describe('Wh')}`,
+                ...this.guard.take()
             ]
         });
 
-        // Step 6: Optional - Calculate current and runtime
-        let current = null, runtimeHours = null, runtimeMinutes = null;
+        // Step 10: Optional - Simulate discharge into the load
+        let current = null, runtimeHours = null, runtimeMinutes = null, discharge = null;
 
         if (this.resistance && this.resistance > 0) {
-            current = this.cellVoltage / this.resistance;
-            runtimeHours = energyWh / (this.cellVoltage * current);
-            runtimeMinutes = runtimeHours * 60;
-
-            this.workSteps.push({
-                title: 'Estimate current and runtime (approximation)',
-                description: `With load resistance R = ${this.resistance} Ω`,
-                calculations: [
-                    `I = V/R = ${this.cellVoltage} V ÷ ${this.resistance} Ω = ${current.toFixed(4)} A`,
-                    `Power = V × I = ${this.cellVoltage} × ${current.toFixed(4)} = ${(this.cellVoltage * current).toFixed(4)} W`,
-                    `Runtime = E/P = ${energyWh.toFixed(4)} Wh ÷ ${(this.cellVoltage * current).toFixed(4)} W`,
-                    `Runtime = ${runtimeHours.toFixed(4)} hours = ${runtimeMinutes.toFixed(2)} minutes`,
-                    `Note: This is a theoretical estimate assuming constant voltage and no internal resistance.`
-                ]
-            });
+            if (!(this.internalResistance >= 0)) {
+                throw new Error('Internal resistance cannot be negative');
+            }
+            if (!(measuredCharge.value > 0)) {
+                throw new Error(`With no ${limitingReagent} the cell holds no charge to discharge into the load`);
+            }
+            discharge = this.simulateDischarge(measuredCharge, measuredVoltage, measuredEnergyJ);
+            current = discharge.averageCurrent;
+            runtimeHours = discharge.runtimeSeconds / 3600;
+            runtimeMinutes = discharge.runtimeSeconds / 60;
         }
 
-        // Calculate product masses
-        const massZnO = molesReacting * CHEMISTRY_CONSTANTS.MOLAR_MASS_ZNO;
-        const massMn2O3 = molesReacting * CHEMISTRY_CONSTANTS.MOLAR_MASS_MN2O3;
+        // Step 11: Optional - Compare with measured lab values
+        const comparison = this.compareWithMeasured(products, measuredCharge);
+
+        // Step 12: Optional - Propagate input uncertainties
+        const uncertainty = this.propagateUncertainty(measured, products, potential.standardE);
 
         this.results = {
             // Input values
             inputs: {
-                massZn: this.massZn,
-                massMnO2: this.massMnO2,
-                molarMassZn: this.molarMassZn,
-                molarMassMnO2: this.molarMassMnO2,
+                cell: this.cell,
+                equation: this.equation,
+                masses: { ...this.masses },
+                molarMasses: Object.fromEntries(reaction.species.map(s => [s.formula, this.getMolarMass(s.formula)])),
                 electronsPerReaction: this.electronsPerReaction,
                 cellVoltage: this.cellVoltage,
-                resistance: this.resistance
+                anode: this.anode,
+                cathode: this.cathode,
+                deriveVoltage: this.deriveVoltage,
+                nernst: this.nernst,
+                temperature: this.temperature,
+                concentrations: { ...this.concentrations },
+                reactionQuotient: this.reactionQuotient,
+                resistance: this.resistance,
+                internalResistance: this.internalResistance,
+                cutoffVoltage: this.cutoffVoltage,
+                actualProduct: this.actualProduct,
+                actualMass: this.actualMass,
+                actualCharge: this.actualCharge,
+                sigFigs: { ...this.sigFigs },
+                uncertainties: { ...this.uncertainties },
+                uncertaintyMethod: this.uncertaintyMethod
             },
 
             // Stoichiometry results
-            molesZn,
-            molesMnO2,
+            reactants,
+            ranking: analysis.ranking,
             limitingReagent,
-            excessReagent,
+            excess: analysis.excess,
             molesReacting,
-            excessMoles,
 
-            // Product masses
-            massZnO,
-            massMn2O3,
+            // Theoretical product amounts
+            products,
 
             // Electrochemistry results
             totalElectrons,
             chargeQ,
+            cellVoltage: voltage,
+            standardCellPotential: potential.standardE,
+            nernst: potential.nernst,
             energyJ,
             energyWh,
 
@@ -212,71 +1167,572 @@ class ChemistryCalculator {
             current,
             runtimeHours,
             runtimeMinutes,
+            discharge,
+
+            // Actual vs theoretical (null when nothing was measured)
+            comparison,
+
+            // value ± uncertainty per result (null when no input has a ± value)
+            uncertainty,
+
+            // The same results as Measurements, for correctly rounded display
+            measured: {
+                molesReacting: extent,
+                totalElectrons: measuredElectrons,
+                chargeQ: measuredCharge,
+                cellVoltage: measuredVoltage,
+                standardCellPotential: potential.measured.standardE,
+                energyJ: measuredEnergyJ,
+                energyWh: measuredEnergyWh,
+                current: discharge?.measured.averageCurrent ?? null,
+                runtimeHours: discharge?.measured.runtimeHours ?? null,
+                runtimeMinutes: discharge?.measured.runtimeMinutes ?? null
+            },
 
             // Metadata
             timestamp: new Date().toISOString(),
-            reaction: 'Zn + 2MnO₂ → ZnO + Mn₂O₃'
+            reaction: reaction.toString()
         };
 
         return this.results;
     }
 
     /**
-     * Get work steps for display
+     * E°cell = E°(cathode) − E°(anode) from STANDARD_POTENTIALS, pushed as a
+     * work step. Returns the voltage the energy uses: E°cell when
+     * deriveVoltage is set, otherwise the entered cellVoltage (an override).
+     * @returns {Object} { voltage, standardE, nernst, measured: { voltage, standardE } }
      */
-    getWorkSteps() {
-        return this.workSteps;
+    resolveCellVoltage() {
+        const anode = STANDARD_POTENTIALS[this.anode];
+        const cathode = STANDARD_POTENTIALS[this.cathode];
+        const { Measurement } = window.ChargeLab;
+        const signed = E => `${E >= 0 ? '+' : '−'}${Math.abs(E).toFixed(3)} V`;
+        const standardE = parseFloat((cathode.E - anode.E).toFixed(3));
+        const tabulated = E => Measurement.toPlace(E, -CHEMISTRY_CONSTANTS.POTENTIAL_DECIMALS);
+        const measuredStandardE = tabulated(cathode.E).minus(tabulated(anode.E));
+
+        if (standardE <= 0 && this.deriveVoltage && !this.nernst) {
+            throw new Error(`E°cell = ${standardE.toFixed(3)} V: ${anode.couple} cannot be the anode for ${cathode.couple} — swap the electrodes`);
+        }
+
+        const calculations = [
+            `Cathode (reduction): ${cathode.halfReaction}, E° = ${signed(cathode.E)}`,
+            `Anode (oxidation, reverse of): ${anode.halfReaction}, E° = ${signed(anode.E)}`,
+            `E°cell = E°cathode − E°anode = ${signed(cathode.E)} − (${signed(anode.E)}) = ${measuredStandardE.describe('V')}`
+        ];
+
+        if (anode.working || cathode.working) {
+            calculations.push('Battery electrode values are typical working potentials, not strict standard states');
+        }
+
+        let voltage, measuredVoltage;
+        if (this.nernst) {
+            calculations.push('Cell voltage used below: E from the Nernst equation (next step)');
+        } else if (this.deriveVoltage) {
+            voltage = standardE;
+            measuredVoltage = measuredStandardE;
+            calculations.push(`Cell voltage used below: E°cell = ${standardE.toFixed(3)} V`);
+        } else {
+            voltage = this.cellVoltage;
+            measuredVoltage = this.measure('voltage', this.cellVoltage);
+            calculations.push(`Cell voltage used below: ${measuredVoltage.format('V')} (entered value overrides E°cell)`);
+
+            if (standardE <= 0) {
+                calculations.push(`Check: E°cell is negative, so this pairing would not discharge — swap the anode and cathode`);
+            } else if (Math.abs(this.cellVoltage - standardE) > 0.3) {
+                const cellsInSeries = Math.round(this.cellVoltage / standardE);
+                calculations.push(cellsInSeries > 1
+                    ? `Check: one ${anode.couple} | ${cathode.couple} cell gives about ${standardE.toFixed(2)} V; ${this.cellVoltage} V needs ${cellsInSeries} cells in series`
+                    : `Check: the entered voltage is ${Math.abs(this.cellVoltage - standardE).toFixed(2)} V away from E°cell`);
+            }
+        }
+
+        this.workSteps.push({
+            title: 'Derive cell voltage from standard reduction potentials',
+            description: 'The half-reaction with the higher E° is reduced at the cathode; the other is reversed at the anode',
+            calculations
+        });
+
+        if (!this.nernst) {
+            return { voltage, standardE, nernst: null, measured: { voltage: measuredVoltage, standardE: measuredStandardE } };
+        }
+
+        const nernst = this.applyNernst(standardE, measuredStandardE);
+        return { voltage: nernst.E, standardE, nernst, measured: { voltage: nernst.measured, standardE: measuredStandardE } };
     }
 
     /**
-     * Export results as JSON
+     * Run a DischargeSimulation into the load resistance, pushed as a work step.
+     * The cell's OCV curve is scaled so its nominal value matches the voltage
+     * used for the energy. Results keep the fewest significant figures among
+     * Q, V and the load, internal resistance and cutoff.
+     * @param {Measurement} chargeQ, voltage, energyJ
+     * @returns {Object} simulation result plus averageCurrent, initial values
+     *   and measured { averageCurrent, runtimeHours, runtimeMinutes, deliveredCharge }
      */
-    exportJSON() {
-        return {
-            results: this.results,
-            workSteps: this.workSteps,
-            constants: CHEMISTRY_CONSTANTS
+    simulateDischarge(chargeQ, voltage, energyJ) {
+        const { Measurement } = window.ChargeLab;
+        const cell = CELL_LIBRARY[this.cell];
+        const simulation = new DischargeSimulation({
+            capacity: chargeQ.value,
+            loadResistance: this.resistance,
+            internalResistance: this.internalResistance,
+            cutoffVoltage: this.cutoffVoltage,
+            ocv: cell.discharge.ocv,
+            voltageScale: voltage.value / cell.voltage
+        });
+        const result = simulation.run();
+        const first = result.points[0];
+        const last = result.points[result.points.length - 1];
+        const averageCurrent = result.runtimeSeconds > 0 ? result.deliveredCharge / result.runtimeSeconds : 0;
+
+        const sigFigs = Measurement.min(
+            chargeQ,
+            voltage,
+            this.measure('resistance', this.resistance),
+            this.measure('internalResistance', this.internalResistance),
+            this.measure('cutoffVoltage', this.cutoffVoltage)
+        );
+        const known = value => new Measurement(value, sigFigs);
+        const measured = {
+            averageCurrent: known(averageCurrent),
+            runtimeHours: known(result.runtimeSeconds / 3600),
+            runtimeMinutes: known(result.runtimeSeconds / 60),
+            deliveredCharge: known(result.deliveredCharge)
         };
+
+        let ending = `Ran until the limiting reagent was used up (V = ${last.voltage.toFixed(3)} V)`;
+        if (result.points.length === 1) {
+            ending = `Terminal voltage ${first.voltage.toFixed(3)} V is already below the ${this.cutoffVoltage} V cutoff — raise the load resistance or lower the internal resistance`;
+        } else if (result.endReason === 'cutoff') {
+            ending = `Stopped at the ${this.cutoffVoltage} V cutoff with ${(last.soc * 100).toFixed(1)}% of the reactants left`;
+        }
+
+        this.workSteps.push({
+            title: 'Simulate discharge through the load',
+            description: `Load R = ${this.resistance} Ω, internal r = ${this.internalResistance} Ω, cutoff ${this.cutoffVoltage} V; OCV falls with state of charge`,
+            calculations: [
+                `At full charge: OCV = ${simulation.openCircuitVoltage(1).toFixed(3)} V, I = OCV ÷ (R + r) = ${first.current.toFixed(4)} A, terminal V = I × R = ${first.voltage.toFixed(3)} V`,
+                `Each step: I = OCV(SoC) ÷ (R + r), V = I × R, Q += I × Δt (${result.points.length - 1} steps)`,
+                ending,
+                `Runtime = ${measured.runtimeHours.format('hours')} = ${measured.runtimeMinutes.describe('minutes')}`,
+                `Delivered Q = ${measured.deliveredCharge.format('C')} (${known(result.deliveredCharge / chargeQ.value * 100).format('%')} of theoretical), average I = ${measured.averageCurrent.format('A')}`,
+                `Delivered energy = ${known(result.deliveredEnergyJ / 3600).format('Wh')} of ${energyJ.scaled(1 / 3600).format('Wh')}; ${known(result.internalLossJ / 3600).format('Wh')} heats the cell`,
+                `Simulated values keep ${sigFigs} s.f., the fewest among Q, V, R, r and the cutoff`
+            ]
+        });
+
+        return { ...result, averageCurrent, initialCurrent: first.current, initialVoltage: first.voltage, measured };
     }
 
     /**
-     * Generate printable report HTML
+     * Reaction quotient of the overall cell reaction built from the anode and
+     * cathode couples, scaled to n = lcm of their electron counts
+     * @returns {Object} { n, terms: [{ species, power, activity }], expression, substituted, value }
      */
-    generateReport() {
-        if (!this.results) this.calculate();
+    getReactionQuotient() {
+        const anode = STANDARD_POTENTIALS[this.anode];
+        const cathode = STANDARD_POTENTIALS[this.cathode];
+        const n = anode.n * cathode.n / gcd(anode.n, cathode.n);
+
+        // Cathode as written, anode reversed
+        const powers = {};
+        Object.entries(cathode.ions).forEach(([species, nu]) => {
+            powers[species] = (powers[species] || 0) + nu * n / cathode.n;
+        });
+        Object.entries(anode.ions).forEach(([species, nu]) => {
+            powers[species] = (powers[species] || 0) - nu * n / anode.n;
+        });
 
-        return `
-      <div class="report">
-        <h1>Stoichiometry Calculation Report</h1>
-        <p class="report-date">Generated: ${new Date().toLocaleString()}</p>
+        const terms = Object.entries(powers)
+            .filter(([, power]) => power !== 0)
+            .map(([species, power]) => ({
+                species,
+                power,
+                activity: this.concentrations[species] > 0 ? this.concentrations[species] : 1
+            }));
+
+        const superscript = p => p === 1 ? '' : String(p).replace(/\d/g, d => '⁰¹²³⁴⁵⁶⁷⁸⁹'[d]);
+        const numerator = terms.filter(t => t.power > 0);
+        const denominator = terms.filter(t => t.power < 0);
+        const fraction = format => `${numerator.map(format).join(' × ') || '1'}${denominator.length ? ` / ${denominator.length > 1 ? `(${denominator.map(format).join(' × ')})` : format(denominator[0])}` : ''}`;
+        const expression = terms.length === 0
+            ? '1 (no dissolved species change)'
+            : fraction(t => `[${t.species}]${superscript(Math.abs(t.power))}`);
+        const substituted = terms.length === 0
+            ? '1'
+            : fraction(t => `${t.activity}${Math.abs(t.power) === 1 ? '' : `^${Math.abs(t.power)}`}`);
+
+        const value = this.reactionQuotient > 0
+            ? this.reactionQuotient
+            : terms.reduce((q, t) => q * Math.pow(t.activity, t.power), 1);
+
+        return { n, terms, expression, substituted, value };
+    }
+
+    /**
+     * E = E° − (RT/nF) ln Q, pushed as a work step
+     * @returns {Object} { E, standardE, n, Q, temperatureK, slope, measured } where
+     *   slope is the change in E per decade of Q (V) and measured is E rounded
+     *   to the decimal places of E°cell
+     */
+    applyNernst(standardE, measuredStandardE) {
+        const { GAS_CONSTANT: R, FARADAY: F } = CHEMISTRY_CONSTANTS;
+        if (!(this.temperature > -273.15)) {
+            throw new Error('Temperature must be above absolute zero (−273.15 °C)');
+        }
+        const quotient = this.getReactionQuotient();
+        const { n, value: Q } = quotient;
+        const temperatureK = this.temperature + 273.15;
+        const rtnf = R * temperatureK / (n * F);
+        const E = standardE - rtnf * Math.log(Q);
+        const measured = window.ChargeLab.Measurement.toPlace(E, measuredStandardE.lastPlace);
+
+        const calculations = [
+            `Q = ${quotient.expression}`,
+            this.reactionQuotient > 0
+                ? `Q entered directly = ${Q}`
+                : `Q = ${quotient.substituted} = ${Q.toPrecision(4)}`,
+            `T = ${this.temperature} °C = ${temperatureK.toFixed(2)} K, n = ${n}`,
+            `RT/nF = ${R.toFixed(3)} × ${temperatureK.toFixed(2)} ÷ (${n} × ${F}) = ${rtnf.toFixed(6)} V`,
+            `E = ${standardE.toFixed(3)} − ${rtnf.toFixed(6)} × ln(${Q.toPrecision(4)}) = ${E.toFixed(4)} V`,
+            `E = ${measured.describe('V')}, kept to the decimal places of E°cell`
+        ];
+
+        this.workSteps.push({
+            title: 'Correct for concentration and temperature (Nernst equation)',
+            description: 'E = E° − (RT/nF) ln Q; a larger Q (more products) lowers the voltage',
+            calculations
+        });
+
+        if (E <= 0) {
+            throw new Error(`E = ${E.toFixed(3)} V: at these concentrations the cell is at or past equilibrium and cannot discharge`);
+        }
+
+        return { E, standardE, n, Q, temperatureK, slope: rtnf * Math.LN10, measured };
+    }
+
+    /**
+     * Percent yield and percent error of measured values against theory,
+     * with work steps listing the likely sources of loss. chargeQ and the
+     * product masses are Measurements so the percentages keep their precision.
+     * @returns {Object|null} { product, charge } comparisons, or null if nothing measured
+     */
+    compareWithMeasured(products, chargeQ) {
+        const compare = (actual, theoretical) => {
+            const percentYield = actual.dividedBy(theoretical).scaled(100);
+            const percentError = actual.minus(theoretical).abs().dividedBy(theoretical).scaled(100);
+            return {
+                actual: actual.value,
+                theoretical: theoretical.value,
+                percentYield: percentYield.value,
+                percentError: percentError.value,
+                measured: { percentYield, percentError }
+            };
+        };
+
+        let product = null, charge = null;
+        const target = products.find(p => p.formula === this.actualProduct) || products[0];
+
+        if (this.actualMass > 0 && target) {
+            const actual = this.measure('actualMass', this.actualMass);
+            const theoretical = target.measured.mass;
+            product = { formula: target.formula, ...compare(actual, theoretical) };
+            const name = `m(${formatFormula(target.formula)})`;
+
+            this.workSteps.push({
+                title: `Compare measured ${formatFormula(target.formula)} with theory`,
+                description: 'Percent yield = actual ÷ theoretical × 100; percent error = |actual − theoretical| ÷ theoretical × 100',
+                calculations: [
+                    `Theoretical ${name} = ${theoretical.describe('g')}`,
+                    `Actual ${name} = ${actual.describe('g')}`,
+                    `Percent yield = ${actual.format()} ÷ ${this.guard.carry(`Theoretical ${name}`, theoretical, 'g')} × 100 = ${product.measured.percentYield.describe('%')}`,
+                    `Percent error = |${actual.format()} − ${theoretical.format('', { guard: true })}| ÷ ${theoretical.format('', { guard: true })} × 100 = ${product.measured.percentError.describe('%')}`,
+                    ...this.guard.take()
+                ]
+            });
+        }
+
+        if (this.actualCharge > 0) {
+            const actual = this.measure('actualCharge', this.actualCharge);
+            charge = compare(actual, chargeQ);
+
+            this.workSteps.push({
+                title: 'Compare measured charge with theory',
+                description: 'Delivered charge from the lab (Q = I × t) against Q = nF',
+                calculations: [
+                    `Theoretical Q = ${chargeQ.describe('C')}`,
+                    `Measured Q = ${actual.describe('C')}`,
+                    `Charge efficiency = ${actual.format()} ÷ ${this.guard.carry('Q', chargeQ, 'C')} × 100 = ${charge.measured.percentYield.describe('%')}`,
+                    `Percent error = |${actual.format()} − ${chargeQ.format('', { guard: true })}| ÷ ${chargeQ.format('', { guard: true })} × 100 = ${charge.measured.percentError.describe('%')}`,
+                    ...this.guard.take()
+                ]
+            });
+        }
+
+        if (!product && !charge) return null;
+
+        const sources = CHEMISTRY_CONSTANTS.LOSS_SOURCES;
+        const reasons = [
+            ...(product ? (product.percentYield > 100 ? sources.productHigh : sources.product) : []),
+            ...(charge ? (charge.percentYield > 100 ? sources.chargeHigh : sources.charge) : [])
+        ];
+        const overTheory = [product, charge].some(c => c && c.percentYield > 100);
+
+        this.workSteps.push({
+            title: overTheory ? 'Likely sources of loss and error' : 'Likely sources of loss',
+            description: overTheory
+                ? 'Results below theory point to real losses; results above 100% point to measurement or contamination problems'
+                : 'Why a real lab result falls short of the theoretical value',
+            calculations: reasons
+        });
+
+        return { product, charge };
+    }
+
+    /**
+     * Propagate the entered ± values through moles, charge, energy and any
+     * lab comparison or discharge results, pushed as a work step naming the
+     * dominant error source. The model repeats calculate()'s arithmetic on
+     * plain numbers so it can be re-evaluated for each perturbed input.
+     * @returns {Object|null} { method, samples, inputs, outputs }, or null when no input has a ± value
+     */
+    propagateUncertainty(reactants, products, standardE) {
+        const { Uncertainty } = window.ChargeLab;
+        const { FARADAY, GAS_CONSTANT } = CHEMISTRY_CONSTANTS;
+        const cell = CELL_LIBRARY[this.cell];
+        const names = { inputs: {}, outputs: {} };
+        const values = {};
+        const input = (key, value, name, unit, source) => {
+            values[key] = value;
+            names.inputs[key] = { name, unit, source };
+        };
+
+        reactants.forEach(r => {
+            const label = formatFormula(r.formula);
+            input(`mass:${r.formula}`, r.mass, `m(${label})`, 'g', `mass of ${label}`);
+            input(`molarMass:${r.formula}`, r.molarMass, `M(${label})`, 'g/mol', `molar mass of ${label}`);
+        });
+
+        const target = this.actualMass > 0
+            ? products.find(p => p.formula === this.actualProduct) || products[0]
+            : null;
+        if (target) {
+            const label = formatFormula(target.formula);
+            input(`molarMass:${target.formula}`, target.molarMass, `M(${label})`, 'g/mol', `molar mass of ${label}`);
+            input('actualMass', this.actualMass, `Actual m(${label})`, 'g', `measured mass of ${label}`);
+        }
+        if (this.actualCharge > 0) {
+            input('actualCharge', this.actualCharge, 'Measured Q', 'C', 'measured charge');
+        }
+
+        let quotient = null;
+        if (this.nernst) {
+            quotient = this.getReactionQuotient();
+            input('temperature', this.temperature, 'T', '°C', 'temperature');
+            if (this.reactionQuotient > 0) {
+                input('reactionQuotient', this.reactionQuotient, 'Q (reaction quotient)', '', 'reaction quotient');
+            } else {
+                quotient.terms.forEach(t => input(`concentration:${t.species}`, t.activity, `[${t.species}]`, 'mol/L', `[${t.species}]`));
+            }
+        } else if (!this.deriveVoltage) {
+            input('voltage', this.cellVoltage, 'V', 'V', 'cell voltage');
+        }
+
+        if (this.resistance > 0) {
+            input('resistance', this.resistance, 'R', 'Ω', 'load resistance');
+            input('internalResistance', this.internalResistance, 'r', 'Ω', 'internal resistance');
+            input('cutoffVoltage', this.cutoffVoltage, 'Cutoff', 'V', 'cutoff voltage');
+        }
+
+        const sigmas = Object.fromEntries(Object.keys(values).map(key => [
+            key, Uncertainty.sigma(this.uncertainties[key], values[key])
+        ]));
+        if (!Object.values(sigmas).some(sigma => sigma > 0)) return null;
+
+        const voltageOf = v => {
+            if (!this.nernst) return this.deriveVoltage ? standardE : v.voltage;
+            if (!(v.temperature > -273.15)) throw new Error('Unphysical draw');
+            const Q = this.reactionQuotient > 0
+                ? v.reactionQuotient
+                : quotient.terms.reduce((q, t) => q * Math.pow(v[`concentration:${t.species}`], t.power), 1);
+            return standardE - GAS_CONSTANT * (v.temperature + 273.15) / (quotient.n * FARADAY) * Math.log(Q);
+        };
+
+        const model = v => {
+            const out = {};
+            reactants.forEach(r => {
+                out[`moles:${r.formula}`] = v[`mass:${r.formula}`] / v[`molarMass:${r.formula}`];
+            });
+            const extent = Math.min(...reactants.map(r => out[`moles:${r.formula}`] / r.coefficient));
+            if (!(extent > 0)) throw new Error('Unphysical draw');
+
+            out.molesReacting = extent;
+            out.chargeQ = this.electronsPerReaction * extent * FARADAY;
+            const voltage = voltageOf(v);
+            out.energyJ = voltage * out.chargeQ;
+            out.energyWh = out.energyJ / 3600;
+
+            if (target) {
+                out.percentYield = v.actualMass / (target.coefficient * extent * v[`molarMass:${target.formula}`]) * 100;
+            }
+            if (this.actualCharge > 0) {
+                out.chargeEfficiency = v.actualCharge / out.chargeQ * 100;
+            }
+            if (this.resistance > 0) {
+                const run = new DischargeSimulation({
+                    capacity: out.chargeQ,
+                    loadResistance: v.resistance,
+                    internalResistance: v.internalResistance,
+                    cutoffVoltage: v.cutoffVoltage,
+                    ocv: cell.discharge.ocv,
+                    voltageScale: voltage / cell.voltage
+                }).run();
+                out.current = run.runtimeSeconds > 0 ? run.deliveredCharge / run.runtimeSeconds : 0;
+                out.runtimeMinutes = run.runtimeSeconds / 60;
+            }
+            return out;
+        };
+
+        reactants.forEach(r => {
+            names.outputs[`moles:${r.formula}`] = { name: `n(${formatFormula(r.formula)})`, unit: 'mol' };
+        });
+        Object.assign(names.outputs, {
+            molesReacting: { name: 'Moles of reaction', unit: 'mol' },
+            chargeQ: { name: 'Q', unit: 'C' },
+            energyJ: { name: 'E', unit: 'J' },
+            energyWh: { name: 'E', unit: 'Wh' },
+            percentYield: { name: 'Percent yield', unit: '%' },
+            chargeEfficiency: { name: 'Charge efficiency', unit: '%' },
+            current: { name: 'Average I', unit: 'A' },
+            runtimeMinutes: { name: 'Runtime', unit: 'min' }
+        });
+
+        const result = Uncertainty.propagate(model, values, sigmas, { method: this.uncertaintyMethod });
+        const dominant = result.outputs.energyJ.dominant;
+
+        this.workSteps.push({
+            title: 'Propagate measurement uncertainties',
+            description: result.method === 'montecarlo'
+                ? `Monte Carlo: ${result.samples} trials, each input drawn from a normal distribution with its ± as the standard deviation; result = mean ± standard deviation`
+                : 'Standard propagation: each input contributes |∂f/∂x| × σ, combined in quadrature (for × and ÷ the relative uncertainties add in quadrature)',
+            calculations: [
+                ...Uncertainty.describe(result, values, sigmas, names),
+                ...(dominant ? [`Largest source of error in the energy: ${names.inputs[dominant].source} — improve this measurement first`] : []),
+                'The ± sets the rounding: uncertainty to 1 s.f. (2 if it starts with 1), value to the same decimal place'
+            ]
+        });
+
+        return {
+            method: result.method,
+            samples: result.samples,
+            inputs: Object.fromEntries(Object.keys(sigmas).filter(key => sigmas[key] > 0).map(key => [
+                key, { value: values[key], sigma: sigmas[key] }
+            ])),
+            outputs: Object.fromEntries(Object.entries(result.outputs).filter(([, u]) => u.sigma > 0).map(([key, u]) => [
+                key, { ...u, ...names.outputs[key], source: u.dominant ? names.inputs[u.dominant].source : null }
+            ]))
+        };
+    }
+
+    /**
+     * Get work steps for display
+     */
+    getWorkSteps() {
+        return this.workSteps;
+    }
+
+    /**
+     * Export results as JSON
+     */
+    exportJSON() {
+        return {
+            results: this.results,
+            workSteps: this.workSteps,
+            constants: CHEMISTRY_CONSTANTS
+        };
+    }
+
+    /**
+     * Generate printable report HTML
+     */
+    generateReport() {
+        if (!this.results) this.calculate();
+
+        const { Uncertainty } = window.ChargeLab;
+        const { reactants, ranking, products, measured, uncertainty } = this.results;
+        const { product: productComparison, charge: chargeComparison } = this.results.comparison || {};
+
+        return `
+      <div class="report">
+        <h1>Stoichiometry Calculation Report</h1>
+        <p class="report-date">Generated: ${new Date().toLocaleString()}</p>
         
         <h2>Reaction</h2>
-        <p class="reaction-equation">Zn + 2MnO₂ → ZnO + Mn₂O₃</p>
+        <p class="reaction-equation">${this.results.reaction}</p>
         
         <h2>Input Values</h2>
         <table>
           <tr><th>Parameter</th><th>Value</th><th>Unit</th></tr>
-          <tr><td>Mass of Zinc</td><td>${this.massZn}</td><td>g</td></tr>
-          <tr><td>Mass of MnO₂</td><td>${this.massMnO2}</td><td>g</td></tr>
-          <tr><td>Molar Mass Zn</td><td>${this.molarMassZn}</td><td>g/mol</td></tr>
-          <tr><td>Molar Mass MnO₂</td><td>${this.molarMassMnO2}</td><td>g/mol</td></tr>
-          <tr><td>Cell Voltage</td><td>${this.cellVoltage}</td><td>V</td></tr>
+          <tr><td>Cell</td><td>${CELL_LIBRARY[this.cell].name}</td><td>-</td></tr>
+          ${reactants.map(r => `
+          <tr><td>Mass of ${formatFormula(r.formula)}</td><td>${r.measured ? r.measured.mass.describe() : 'excess'}</td><td>g</td></tr>
+          <tr><td>Molar Mass ${formatFormula(r.formula)}</td><td>${this.measureMolarMass(r.formula).describe()}</td><td>g/mol</td></tr>`).join('')}
+          <tr><td>Anode Couple</td><td>${STANDARD_POTENTIALS[this.anode].couple} (E° = ${STANDARD_POTENTIALS[this.anode].E} V)</td><td>-</td></tr>
+          <tr><td>Cathode Couple</td><td>${STANDARD_POTENTIALS[this.cathode].couple} (E° = ${STANDARD_POTENTIALS[this.cathode].E} V)</td><td>-</td></tr>
+          <tr><td>Cell Voltage</td><td>${this.deriveVoltage ? 'E°cell' : this.measure('voltage', this.cellVoltage).describe()}</td><td>V</td></tr>
           <tr><td>Electrons per Reaction</td><td>${this.electronsPerReaction}</td><td>-</td></tr>
         </table>
         
         <h2>Results</h2>
         <table>
           <tr><th>Result</th><th>Value</th><th>Unit</th></tr>
-          <tr><td>Moles of Zn</td><td>${this.results.molesZn.toFixed(6)}</td><td>mol</td></tr>
-          <tr><td>Moles of MnO₂</td><td>${this.results.molesMnO2.toFixed(6)}</td><td>mol</td></tr>
+          ${reactants.filter(r => r.moles !== null).map(r => `
+          <tr><td>Moles of ${formatFormula(r.formula)}</td><td>${r.measured.moles.describe()}</td><td>mol</td></tr>`).join('')}
           <tr class="highlight"><td>Limiting Reagent</td><td colspan="2">${this.results.limitingReagent}</td></tr>
-          <tr><td>Excess ${this.results.excessReagent}</td><td>${this.results.excessMoles.toFixed(6)}</td><td>mol</td></tr>
-          <tr><td>Charge (Q)</td><td>${this.results.chargeQ.toFixed(2)}</td><td>C</td></tr>
-          <tr><td>Energy</td><td>${this.results.energyJ.toFixed(2)}</td><td>J</td></tr>
-          <tr class="highlight"><td>Energy</td><td>${this.results.energyWh.toFixed(4)}</td><td>Wh</td></tr>
-          ${this.results.current ? `<tr><td>Estimated Current</td><td>${this.results.current.toFixed(4)}</td><td>A</td></tr>` : ''}
-          ${this.results.runtimeMinutes ? `<tr><td>Estimated Runtime</td><td>${this.results.runtimeMinutes.toFixed(2)}</td><td>min</td></tr>` : ''}
+          <tr><td>Moles of Reaction</td><td>${measured.molesReacting.describe()}</td><td>mol</td></tr>
+          <tr><td>Charge (Q)</td><td>${measured.chargeQ.describe()}</td><td>C</td></tr>
+          <tr><td>Standard Cell Potential (E°cell)</td><td>${measured.standardCellPotential.describe()}</td><td>V</td></tr>
+          ${this.results.nernst ? `<tr><td>Nernst Cell Potential (Q = ${this.results.nernst.Q.toPrecision(4)}, ${this.temperature} °C)</td><td>${this.results.nernst.measured.describe()}</td><td>V</td></tr>` : ''}
+          <tr><td>Energy</td><td>${measured.energyJ.describe()}</td><td>J</td></tr>
+          <tr class="highlight"><td>Energy</td><td>${measured.energyWh.describe()}</td><td>Wh</td></tr>
+          ${measured.current ? `<tr><td>Average Current</td><td>${measured.current.describe()}</td><td>A</td></tr>` : ''}
+          ${measured.runtimeMinutes ? `<tr><td>Runtime to Cutoff</td><td>${measured.runtimeMinutes.describe()}</td><td>min</td></tr>` : ''}
+          ${this.results.discharge ? `<tr><td>Delivered Charge</td><td>${this.results.discharge.measured.deliveredCharge.describe()}</td><td>C</td></tr>` : ''}
+        </table>
+        
+        <h2>Limiting Reagent Analysis</h2>
+        <table>
+          <tr><th>Rank</th><th>Reactant</th><th>Available (mol)</th><th>Reaction Equivalents (mol)</th><th>Used (mol)</th><th>Leftover (mol)</th><th>Leftover (g)</th></tr>
+          ${ranking.map(r => `
+          <tr${r.isLimiting ? ' class="highlight"' : ''}><td>${r.rank}</td><td>${formatFormula(r.formula)}</td><td>${r.measured.moles.format()}</td><td>${r.measured.equivalents.format()}</td><td>${measured.molesReacting.scaled(r.coefficient).format()}</td><td>${r.measured.leftover ? r.measured.leftover.format() : '0'}</td><td>${r.measured.leftoverMass ? r.measured.leftoverMass.format() : '0'}</td></tr>`).join('')}
+        </table>
+        
+        <h2>Theoretical Products</h2>
+        <table>
+          <tr><th>Product</th><th>Moles</th><th>Molar Mass (g/mol)</th><th>Mass (g)</th></tr>
+          ${products.map(p => `
+          <tr><td>${formatFormula(p.formula)}</td><td>${p.measured.moles.format()}</td><td>${p.measured.molarMass.format()}</td><td>${p.measured.mass.describe()}</td></tr>`).join('')}
+        </table>
+        
+        ${this.results.comparison ? `
+        <h2>Actual vs Theoretical</h2>
+        <table>
+          <tr><th>Quantity</th><th>Theoretical</th><th>Actual</th><th>Percent Yield</th><th>Percent Error</th></tr>
+          ${productComparison ? `<tr><td>Mass of ${formatFormula(productComparison.formula)} (g)</td><td>${products.find(p => p.formula === productComparison.formula).measured.mass.format()}</td><td>${this.measure('actualMass', productComparison.actual).format()}</td><td>${productComparison.measured.percentYield.format('%')}</td><td>${productComparison.measured.percentError.format('%')}</td></tr>` : ''}
+          ${chargeComparison ? `<tr><td>Charge (C)</td><td>${measured.chargeQ.format()}</td><td>${this.measure('actualCharge', chargeComparison.actual).format()}</td><td>${chargeComparison.measured.percentYield.format('%')}</td><td>${chargeComparison.measured.percentError.format('%')}</td></tr>` : ''}
+        </table>
+        ` : ''}
+        
+        ${uncertainty ? `
+        <h2>Uncertainty (${uncertainty.method === 'montecarlo' ? `Monte Carlo, ${uncertainty.samples} trials` : 'standard propagation'})</h2>
+        <table>
+          <tr><th>Result</th><th>Value ± Uncertainty</th><th>Relative</th><th>Dominant Source</th></tr>
+          ${Object.values(uncertainty.outputs).map(u => `
+          <tr><td>${u.name}</td><td>${Uncertainty.format(u.value, u.sigma, u.unit)}</td><td>±${(u.relative * 100).toPrecision(2)}%</td><td>${u.source || '-'}</td></tr>`).join('')}
         </table>
+        ` : ''}
         
         <h2>Step-by-Step Work</h2>
         ${this.workSteps.map((step, i) => `
@@ -294,16 +1750,69 @@ class ChemistryCalculator {
 
     /**
      * Load state from URL parameters
+     * Masses use m_<formula>, molar masses M_<formula>; the original
+     * massZn / massMnO2 links still load the zinc-carbon reaction.
      */
     static fromURLParams(params) {
+        const { Measurement, Uncertainty } = window.ChargeLab;
+        const masses = {};
+        const molarMasses = {};
+        const concentrations = {};
+        const sigFigs = {};
+        const uncertainties = {};
+
+        Object.entries(params).forEach(([key, value]) => {
+            if (key.startsWith('m_')) masses[key.slice(2)] = parseFloat(value) || 0;
+            if (key.startsWith('M_') && parseFloat(value)) molarMasses[key.slice(2)] = parseFloat(value);
+            if (key.startsWith('c_') && parseFloat(value)) concentrations[key.slice(2)] = parseFloat(value);
+            if (key.startsWith('u_') && Uncertainty.parse(value)) uncertainties[key.slice(2)] = Uncertainty.parse(value);
+        });
+
+        // Significant figures come from the values as written in the link
+        const typed = {
+            ...Object.fromEntries(Object.keys(masses).map(f => [`mass:${f}`, params[`m_${f}`]])),
+            ...Object.fromEntries(Object.keys(molarMasses).map(f => [`molarMass:${f}`, params[`M_${f}`]])),
+            voltage: params.voltage,
+            resistance: params.resistance,
+            internalResistance: params.rint,
+            cutoffVoltage: params.cutoff,
+            actualMass: params.actualMass,
+            actualCharge: params.actualCharge
+        };
+        Object.entries(typed).forEach(([key, text]) => {
+            const count = text !== undefined ? Measurement.countSigFigs(text) : null;
+            if (count) sigFigs[key] = count;
+        });
+
+        // Legacy parameters
+        if (params.massZn !== undefined) masses.Zn = parseFloat(params.massZn) || 0;
+        if (params.massMnO2 !== undefined) masses.MnO2 = parseFloat(params.massMnO2) || 0;
+        if (parseFloat(params.molarMassZn)) molarMasses.Zn = parseFloat(params.molarMassZn);
+        if (parseFloat(params.molarMassMnO2)) molarMasses.MnO2 = parseFloat(params.molarMassMnO2);
+
         const calc = new ChemistryCalculator({
-            massZn: parseFloat(params.massZn) || 0,
-            massMnO2: parseFloat(params.massMnO2) || 0,
-            molarMassZn: parseFloat(params.molarMassZn) || CHEMISTRY_CONSTANTS.MOLAR_MASS_ZN,
-            molarMassMnO2: parseFloat(params.molarMassMnO2) || CHEMISTRY_CONSTANTS.MOLAR_MASS_MNO2,
-            cellVoltage: parseFloat(params.voltage) || CHEMISTRY_CONSTANTS.DEFAULT_VOLTAGE,
-            electronsPerReaction: parseInt(params.electrons) || CHEMISTRY_CONSTANTS.DEFAULT_ELECTRONS,
-            resistance: parseFloat(params.resistance) || null
+            cell: params.cell,
+            equation: params.eq,
+            masses,
+            molarMasses,
+            cellVoltage: parseFloat(params.voltage),
+            anode: params.anode,
+            cathode: params.cathode,
+            deriveVoltage: params.derive === '1',
+            nernst: params.nernst === '1',
+            temperature: params.T !== undefined ? parseFloat(params.T) : undefined,
+            concentrations,
+            reactionQuotient: parseFloat(params.Q) || null,
+            electronsPerReaction: parseInt(params.electrons),
+            resistance: parseFloat(params.resistance) || null,
+            internalResistance: params.rint !== undefined ? parseFloat(params.rint) : undefined,
+            cutoffVoltage: params.cutoff !== undefined ? parseFloat(params.cutoff) : undefined,
+            actualProduct: params.actualProduct || null,
+            actualMass: parseFloat(params.actualMass) || null,
+            actualCharge: parseFloat(params.actualCharge) || null,
+            sigFigs,
+            uncertainties,
+            uncertaintyMethod: params.unc === 'mc' ? 'montecarlo' : 'linear'
         });
         return calc;
     }
@@ -313,69 +1822,440 @@ class ChemistryCalculator {
      */
     toURLParams() {
         const params = new URLSearchParams();
-        params.set('massZn', this.massZn);
-        params.set('massMnO2', this.massMnO2);
-        if (this.molarMassZn !== CHEMISTRY_CONSTANTS.MOLAR_MASS_ZN) {
-            params.set('molarMassZn', this.molarMassZn);
+        const cell = CELL_LIBRARY[this.cell];
+
+        if (this.cell !== CHEMISTRY_CONSTANTS.DEFAULT_CELL) {
+            params.set('cell', this.cell);
         }
-        if (this.molarMassMnO2 !== CHEMISTRY_CONSTANTS.MOLAR_MASS_MNO2) {
-            params.set('molarMassMnO2', this.molarMassMnO2);
+        if (this.equation !== cell.equation) {
+            params.set('eq', this.equation);
         }
-        if (this.cellVoltage !== CHEMISTRY_CONSTANTS.DEFAULT_VOLTAGE) {
-            params.set('voltage', this.cellVoltage);
+        Object.entries(this.masses).forEach(([formula, mass]) => {
+            if (typeof mass === 'number') params.set(`m_${formula}`, this.measure(`mass:${formula}`, mass).toInputString());
+        });
+        Object.entries(this.molarMasses).forEach(([formula, molarMass]) => {
+            if (molarMass) params.set(`M_${formula}`, this.measure(`molarMass:${formula}`, molarMass).toInputString());
+        });
+        if (this.cellVoltage !== cell.voltage) {
+            params.set('voltage', this.measure('voltage', this.cellVoltage).toInputString());
+        }
+        if (this.anode !== cell.anode.couple) {
+            params.set('anode', this.anode);
         }
-        if (this.electronsPerReaction !== CHEMISTRY_CONSTANTS.DEFAULT_ELECTRONS) {
+        if (this.cathode !== cell.cathode.couple) {
+            params.set('cathode', this.cathode);
+        }
+        if (this.deriveVoltage) {
+            params.set('derive', '1');
+        }
+        if (this.nernst) {
+            params.set('nernst', '1');
+            if (this.temperature !== CHEMISTRY_CONSTANTS.STANDARD_TEMPERATURE) params.set('T', this.temperature);
+            if (this.reactionQuotient) params.set('Q', this.reactionQuotient);
+            Object.entries(this.concentrations).forEach(([species, c]) => {
+                if (c) params.set(`c_${species}`, c);
+            });
+        }
+        if (this.electronsPerReaction !== cell.electrons) {
             params.set('electrons', this.electronsPerReaction);
         }
         if (this.resistance) {
-            params.set('resistance', this.resistance);
+            params.set('resistance', this.measure('resistance', this.resistance).toInputString());
+        }
+        if (this.internalResistance !== cell.discharge.internalResistance) {
+            params.set('rint', this.measure('internalResistance', this.internalResistance).toInputString());
+        }
+        if (this.cutoffVoltage !== cell.discharge.cutoffVoltage) {
+            params.set('cutoff', this.measure('cutoffVoltage', this.cutoffVoltage).toInputString());
+        }
+        if (this.actualMass) {
+            if (this.actualProduct) params.set('actualProduct', this.actualProduct);
+            params.set('actualMass', this.measure('actualMass', this.actualMass).toInputString());
+        }
+        if (this.actualCharge) {
+            params.set('actualCharge', this.measure('actualCharge', this.actualCharge).toInputString());
+        }
+        Object.entries(this.uncertainties).forEach(([key, spec]) => {
+            if (spec && spec.value > 0) params.set(`u_${key}`, window.ChargeLab.Uncertainty.toText(spec));
+        });
+        if (this.uncertaintyMethod === 'montecarlo') {
+            params.set('unc', 'mc');
         }
         return params.toString();
     }
 }
 
+// ============================================
+// Electrolysis Calculator
+// ============================================
+/**
+ * Inverse of the cell calculation: charge pushed through an electrolytic cell
+ * deposits metal or evolves gas. Forward mode takes a current and a time;
+ * target mode takes the mass to deposit and returns the charge (and time, if
+ * a current is given).
+ */
+class ElectrolysisCalculator {
+    constructor(options = {}) {
+        this.product = ELECTROLYSIS_PRODUCTS[options.product] ? options.product : 'cu';
+        this.mode = options.mode === 'target' ? 'target' : 'forward';
+
+        // Forward: current (A) and time (s); target: mass to deposit (g)
+        this.current = options.current || null;
+        this.time = options.time || null;
+        this.targetMass = options.targetMass || null;
+
+        // Fraction of the charge that goes into the product (%)
+        this.efficiency = options.efficiency ?? 100;
+
+        // Gas conditions
+        this.temperature = options.temperature ?? CHEMISTRY_CONSTANTS.STANDARD_TEMPERATURE; // °C
+        this.pressure = options.pressure ?? CHEMISTRY_CONSTANTS.STANDARD_PRESSURE; // kPa
+
+        // Significant figures of each input as typed, keyed by field name
+        this.sigFigs = { ...options.sigFigs };
+
+        this.results = null;
+        this.workSteps = [];
+    }
+
+    /**
+     * Measurement for an input value with its typed significant figures
+     */
+    measure(key, value) {
+        return window.ChargeLab.Measurement.fromInput(value, this.sigFigs[key]);
+    }
+
+    calculate() {
+        const { Measurement, GuardDigits, Units } = window.ChargeLab;
+        this.workSteps = [];
+        const guard = new GuardDigits();
+
+        const product = ELECTROLYSIS_PRODUCTS[this.product];
+        const { FARADAY } = CHEMISTRY_CONSTANTS;
+        const molarMass = PeriodicTable.molarMass(product.formula).molarMass;
+        if (!(this.efficiency > 0 && this.efficiency <= 100)) {
+            throw new Error('Efficiency must be more than 0% and at most 100%');
+        }
+        const efficiency = this.efficiency / 100;
+        const z = product.electrons;
+        const label = formatFormula(product.formula);
+
+        // 100% efficiency is the ideal case, so it doesn't limit precision
+        const faraday = Measurement.parse(String(FARADAY));
+        const measuredMolarMass = PeriodicTable.measureMolarMass(product.formula);
+        const measuredEfficiency = efficiency < 1
+            ? this.measure('efficiency', this.efficiency).scaled(1 / 100)
+            : new Measurement(1);
+
+        let chargeQ, electronMoles, productMoles, mass, time = this.time;
+        const measured = {};
+
+        if (this.mode === 'forward') {
+            if (!(this.current > 0) || !(this.time > 0)) {
+                throw new Error('Enter a current and a time');
+            }
+
+            // Step 1: Charge passed
+            chargeQ = this.current * this.time;
+            const current = this.measure('current', this.current);
+            const duration = this.measure('time', this.time);
+            measured.chargeQ = current.times(duration);
+
+            this.workSteps.push({
+                title: 'Calculate charge passed',
+                description: 'Using Q = I × t',
+                calculations: [
+                    `Q = ${current.format('A')} × ${duration.format('s')}`,
+                    `Q = ${measured.chargeQ.describe('C')}`
+                ]
+            });
+
+            // Step 2: Moles of electrons
+            electronMoles = chargeQ / FARADAY;
+            measured.electronMoles = measured.chargeQ.dividedBy(faraday);
+
+            this.workSteps.push({
+                title: 'Convert charge to moles of electrons',
+                description: `Using n(e⁻) = Q ÷ F where F = ${FARADAY} C/mol`,
+                calculations: [
+                    `n(e⁻) = ${guard.carry('Q', measured.chargeQ, 'C')} ÷ ${FARADAY} C/mol = ${measured.electronMoles.describe('mol')}`,
+                    ...guard.take()
+                ]
+            });
+
+            // Step 3: Moles of product
+            productMoles = electronMoles / z * efficiency;
+            measured.productMoles = measured.electronMoles.scaled(1 / z).times(measuredEfficiency);
+
+            this.workSteps.push({
+                title: `Calculate moles of ${label}`,
+                description: `${product.halfReaction}: ${z} mol e⁻ per mol ${label}`,
+                calculations: [
+                    `n(${label}) = ${guard.carry('n(e⁻)', measured.electronMoles, 'mol')} ÷ ${z}${efficiency < 1 ? ` × ${measuredEfficiency.format()}` : ''} = ${measured.productMoles.describe('mol')}`,
+                    ...(efficiency < 1 ? [`Only ${this.efficiency}% of the charge goes into ${label}; the rest drives side reactions`] : []),
+                    ...guard.take()
+                ]
+            });
+
+            // Step 4: Mass
+            mass = productMoles * molarMass;
+            measured.mass = measured.productMoles.times(measuredMolarMass);
+
+            this.workSteps.push({
+                title: `Calculate mass of ${label}`,
+                description: 'Using m = n × M',
+                calculations: [
+                    `m = ${guard.carry(`n(${label})`, measured.productMoles, 'mol')} × ${measuredMolarMass.format('g/mol')} = ${measured.mass.describe('g')}`,
+                    ...guard.take()
+                ]
+            });
+        } else {
+            if (!(this.targetMass > 0)) {
+                throw new Error('Enter the mass to deposit');
+            }
+
+            // Step 1: Moles of product
+            mass = this.targetMass;
+            productMoles = mass / molarMass;
+            measured.mass = this.measure('targetMass', this.targetMass);
+            measured.productMoles = measured.mass.dividedBy(measuredMolarMass);
+
+            this.workSteps.push({
+                title: `Convert target mass to moles of ${label}`,
+                description: 'Using n = m ÷ M',
+                calculations: [
+                    `n(${label}) = ${measured.mass.format('g')} ÷ ${measuredMolarMass.format('g/mol')} = ${measured.productMoles.describe('mol')}`
+                ]
+            });
+
+            // Step 2: Moles of electrons
+            electronMoles = productMoles * z / efficiency;
+            measured.electronMoles = measured.productMoles.scaled(z).dividedBy(measuredEfficiency);
+
+            this.workSteps.push({
+                title: 'Calculate moles of electrons needed',
+                description: `${product.halfReaction}: ${z} mol e⁻ per mol ${label}`,
+                calculations: [
+                    `n(e⁻) = ${guard.carry(`n(${label})`, measured.productMoles, 'mol')} × ${z}${efficiency < 1 ? ` ÷ ${measuredEfficiency.format()}` : ''} = ${measured.electronMoles.describe('mol')}`,
+                    ...(efficiency < 1 ? [`Extra charge is needed because only ${this.efficiency}% goes into ${label}`] : []),
+                    ...guard.take()
+                ]
+            });
+
+            // Step 3: Charge
+            chargeQ = electronMoles * FARADAY;
+            measured.chargeQ = measured.electronMoles.times(faraday);
+
+            this.workSteps.push({
+                title: 'Calculate charge required',
+                description: `Using Q = n(e⁻) × F where F = ${FARADAY} C/mol`,
+                calculations: [
+                    `Q = ${guard.carry('n(e⁻)', measured.electronMoles, 'mol')} × ${FARADAY} C/mol = ${measured.chargeQ.describe('C')}`,
+                    ...guard.take()
+                ]
+            });
+
+            // Step 4: Optional - Time at the given current
+            time = null;
+            if (this.current > 0) {
+                time = chargeQ / this.current;
+                const current = this.measure('current', this.current);
+                measured.time = measured.chargeQ.dividedBy(current);
+
+                this.workSteps.push({
+                    title: 'Calculate plating time',
+                    description: `Using t = Q ÷ I at ${current.format('A')}`,
+                    calculations: [
+                        `t = ${guard.carry('Q', measured.chargeQ, 'C')} ÷ ${current.format('A')} = ${measured.time.describe('s')}`,
+                        `t = ${Units.format(measured.time, 'time', 'min')} = ${Units.format(measured.time, 'time', 'h')}`,
+                        ...guard.take()
+                    ]
+                });
+            }
+        }
+
+        // Step 5: Optional - Gas volume (ideal gas; + 273.15 keeps the decimal places of T)
+        let gasVolume = null;
+        if (product.gas) {
+            if (!(this.temperature > -273.15)) {
+                throw new Error('Temperature must be above absolute zero (−273.15 °C)');
+            }
+            if (!(this.pressure > 0)) {
+                throw new Error('Pressure must be greater than zero');
+            }
+            const temperatureK = this.temperature + 273.15;
+            gasVolume = productMoles * CHEMISTRY_CONSTANTS.GAS_CONSTANT * temperatureK / this.pressure; // L (kPa·L = J)
+            const measuredTemperatureK = this.measure('temperature', this.temperature).plus(273.15);
+            const pressure = this.measure('pressure', this.pressure);
+            measured.gasVolume = measured.productMoles
+                .times(Measurement.parse(String(CHEMISTRY_CONSTANTS.GAS_CONSTANT)))
+                .times(measuredTemperatureK)
+                .dividedBy(pressure);
+
+            this.workSteps.push({
+                title: `Calculate volume of ${label} evolved`,
+                description: `Ideal gas law V = nRT ÷ P at ${this.temperature} °C and ${this.pressure} kPa`,
+                calculations: [
+                    `V = ${guard.carry(`n(${label})`, measured.productMoles, 'mol')} × ${CHEMISTRY_CONSTANTS.GAS_CONSTANT.toFixed(3)} × ${measuredTemperatureK.format('K')} ÷ ${pressure.format('kPa')}`,
+                    `V = ${measured.gasVolume.describe('L')} = ${Units.format(measured.gasVolume, 'volume', 'mL')}`,
+                    ...guard.take()
+                ]
+            });
+        }
+
+        this.results = {
+            inputs: {
+                product: this.product,
+                mode: this.mode,
+                current: this.current,
+                time: this.time,
+                targetMass: this.targetMass,
+                efficiency: this.efficiency,
+                temperature: this.temperature,
+                pressure: this.pressure
+            },
+            formula: product.formula,
+            molarMass,
+            chargeQ,
+            electronMoles,
+            productMoles,
+            mass,
+            gasVolume,
+            time,
+            measured,
+            timestamp: new Date().toISOString()
+        };
+
+        return this.results;
+    }
+
+    getWorkSteps() {
+        return this.workSteps;
+    }
+
+    exportJSON() {
+        return {
+            results: this.results,
+            workSteps: this.workSteps,
+            constants: CHEMISTRY_CONSTANTS
+        };
+    }
+}
+
 // ============================================
 // Calculator UI Controller
 // ============================================
+/**
+ * Markup for a show-work panel from { title, description, calculations } steps
+ */
+function renderWorkSteps(steps) {
+    return steps.map((step, i) => `
+      <div class="work-step">
+        <span class="work-step__number">${i + 1}</span>
+        <div class="work-step__content">
+          <strong>${step.title}</strong>
+          <p class="text-muted">${step.description}</p>
+          ${step.calculations.map(calc => `
+            <p class="work-step__formula">${calc}</p>
+          `).join('')}
+        </div>
+      </div>
+    `).join('');
+}
+
+/**
+ * Significant figures of preset masses, read as if weighed to PRESET_MASS_DECIMALS
+ */
+function presetSigFigs(masses) {
+    return Object.fromEntries(Object.entries(masses).map(([formula, mass]) => [
+        `mass:${formula}`,
+        window.ChargeLab.Measurement.countSigFigs(mass.toFixed(CHEMISTRY_CONSTANTS.PRESET_MASS_DECIMALS))
+    ]));
+}
+
 class ChemistryCalculatorUI {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
         if (!this.container) return;
 
-        this.calculator = new ChemistryCalculator();
+        this.calculator = new ChemistryCalculator({
+            masses: { ...CHEMISTRY_PRESETS.A.masses },
+            sigFigs: presetSigFigs(CHEMISTRY_PRESETS.A.masses)
+        });
         this.init();
         this.loadFromURL();
     }
 
     init() {
         this.bindElements();
+        this.renderCellOptions();
         this.bindEvents();
         this.bindPresets();
+        this.renderSpeciesInputs();
+        this.renderConcentrationInputs();
         this.updateUI();
     }
 
     bindElements() {
         // Input fields
         this.inputs = {
-            massZn: this.container.querySelector('#input-mass-zn'),
-            massMnO2: this.container.querySelector('#input-mass-mno2'),
-            molarMassZn: this.container.querySelector('#input-molar-mass-zn'),
-            molarMassMnO2: this.container.querySelector('#input-molar-mass-mno2'),
+            cell: this.container.querySelector('#input-cell'),
+            equation: this.container.querySelector('#input-equation'),
             voltage: this.container.querySelector('#input-voltage'),
+            anode: this.container.querySelector('#input-anode'),
+            cathode: this.container.querySelector('#input-cathode'),
+            deriveVoltage: this.container.querySelector('#input-derive-voltage'),
+            nernst: this.container.querySelector('#input-nernst'),
+            temperature: this.container.querySelector('#input-temperature'),
+            reactionQuotient: this.container.querySelector('#input-quotient'),
             electrons: this.container.querySelector('#input-electrons'),
-            resistance: this.container.querySelector('#input-resistance')
+            resistance: this.container.querySelector('#input-resistance'),
+            internalResistance: this.container.querySelector('#input-internal-resistance'),
+            cutoffVoltage: this.container.querySelector('#input-cutoff'),
+            actualProduct: this.container.querySelector('#input-actual-product'),
+            actualMass: this.container.querySelector('#input-actual-mass'),
+            actualCharge: this.container.querySelector('#input-actual-charge'),
+            uncertainty: this.container.querySelector('#input-uncertainty'),
+            uncertaintyMethod: this.container.querySelector('#input-uncertainty-method'),
+            chargeUnit: this.container.querySelector('#input-charge-unit')
         };
 
+        // Display unit for charge, shared with the other calculators
+        if (this.inputs.chargeUnit) this.inputs.chargeUnit.value = window.ChargeLab.Units.displayUnit('charge', 'C');
+
+        // Method selector shown when ± fields are enabled
+        this.uncertaintyControls = this.container.querySelector('#uncertainty-controls');
+
+        // Per-species mass and molar mass fields (rebuilt when the equation changes)
+        this.speciesContainer = this.container.querySelector('#species-inputs');
+        this.equationStatus = this.container.querySelector('#equation-status');
+        this.reactionTitle = this.container.querySelector('#calculator-reaction');
+
+        // Nernst mode controls, activity fields and E vs log Q plot
+        this.nernstControls = this.container.querySelector('#nernst-controls');
+        this.concentrationContainer = this.container.querySelector('#nernst-concentrations');
+        this.nernstCanvas = this.container.querySelector('#nernst-canvas');
+
+        // Discharge curves
+        this.dischargePanel = this.container.querySelector('#discharge-panel');
+        this.dischargeCanvas = this.container.querySelector('#discharge-canvas');
+        this.dischargeCurve = 'voltage';
+
         // Result displays
         this.results = {
-            molesZn: this.container.querySelector('#result-moles-zn'),
-            molesMnO2: this.container.querySelector('#result-moles-mno2'),
+            moles: this.container.querySelector('#result-moles'),
             limitingReagent: this.container.querySelector('#result-limiting'),
+            excess: this.container.querySelector('#result-excess'),
+            products: this.container.querySelector('#result-products'),
             chargeQ: this.container.querySelector('#result-charge'),
+            standardPotential: this.container.querySelector('#result-ecell'),
+            nernst: this.container.querySelector('#result-nernst'),
+            nernstItem: this.container.querySelector('#result-nernst-item'),
             energyJ: this.container.querySelector('#result-energy-j'),
             energyWh: this.container.querySelector('#result-energy-wh'),
             current: this.container.querySelector('#result-current'),
-            runtime: this.container.querySelector('#result-runtime')
+            runtime: this.container.querySelector('#result-runtime'),
+            comparison: this.container.querySelector('#result-comparison')
         };
 
         // Buttons
@@ -390,6 +2270,10 @@ class ChemistryCalculatorUI {
     }
 
     bindEvents() {
+        const debouncedCalculate = window.ChargeLab.Utils.debounce(() => {
+            this.calculate();
+        }, 300);
+
         // Calculate on button click
         this.calculateBtn?.addEventListener('click', () => this.calculate());
 
@@ -398,78 +2282,433 @@ class ChemistryCalculatorUI {
             input?.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter') this.calculate();
             });
+        });
+
+        // Real-time calculation on input change
+        ['voltage', 'electrons', 'resistance', 'internalResistance', 'cutoffVoltage', 'actualMass', 'actualCharge'].forEach(key => {
+            this.inputs[key]?.addEventListener('input', debouncedCalculate);
+        });
+        this.inputs.actualProduct?.addEventListener('change', () => this.calculate());
+        this.inputs.cell?.addEventListener('change', () => this.selectCell(this.inputs.cell.value));
+        ['anode', 'cathode'].forEach(key => {
+            this.inputs[key]?.addEventListener('change', () => {
+                this.renderConcentrationInputs();
+                this.calculate();
+            });
+        });
+        ['deriveVoltage', 'nernst'].forEach(key => {
+            this.inputs[key]?.addEventListener('change', () => this.calculate());
+        });
+        ['temperature', 'reactionQuotient'].forEach(key => {
+            this.inputs[key]?.addEventListener('input', debouncedCalculate);
+        });
+        this.concentrationContainer?.addEventListener('input', debouncedCalculate);
+
+        this.inputs.chargeUnit?.addEventListener('change', () => {
+            window.ChargeLab.Units.setDisplayUnit('charge', this.inputs.chargeUnit.value);
+            this.calculate();
+        });
+
+        // ± fields sit beside static and generated inputs alike
+        this.inputs.uncertainty?.addEventListener('change', () => this.calculate());
+        this.inputs.uncertaintyMethod?.addEventListener('change', () => this.calculate());
+        this.container.addEventListener('input', (e) => {
+            if (e.target.matches('[data-uncertainty]')) debouncedCalculate();
+        });
+
+        // Discharge curve selector
+        this.dischargePanel?.querySelectorAll('[data-curve]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.dischargeCurve = btn.getAttribute('data-curve');
+                this.dischargePanel.querySelectorAll('[data-curve]').forEach(b => {
+                    b.classList.toggle('preset-btn--active', b === btn);
+                });
+                this.drawDischargePlot(this.calculator.results?.discharge);
+            });
+        });
+
+        // Re-parse the equation and rebuild species fields as the user types
+        this.inputs.equation?.addEventListener('input', window.ChargeLab.Utils.debounce(() => {
+            this.renderSpeciesInputs();
+            this.calculate();
+        }, 500));
+
+        // Species fields are generated, so listen on their container
+        this.speciesContainer?.addEventListener('input', debouncedCalculate);
+        this.speciesContainer?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.calculate();
+        });
+
+        // Export buttons
+        this.exportJsonBtn?.addEventListener('click', () => this.exportJSON());
+        this.exportPdfBtn?.addEventListener('click', () => this.exportPDF());
+        this.shareBtn?.addEventListener('click', () => this.shareLink());
+        this.printBtn?.addEventListener('click', () => this.print());
+    }
+
+    bindPresets() {
+        this.container.querySelectorAll('[data-preset]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const presetKey = btn.getAttribute('data-preset');
+                this.loadPreset(presetKey);
+
+                // Update active state
+                this.container.querySelectorAll('[data-preset]').forEach(b => {
+                    b.classList.remove('preset-btn--active');
+                });
+                btn.classList.add('preset-btn--active');
+            });
+        });
+    }
+
+    loadPreset(presetKey) {
+        const cell = CELL_LIBRARY[this.calculator.cell];
+        const preset = cell.presets[presetKey];
+        if (!preset) return;
+
+        if (this.inputs.equation) this.inputs.equation.value = cell.equation;
+        this.calculator.masses = { ...preset.masses };
+        Object.assign(this.calculator.sigFigs, presetSigFigs(preset.masses));
+
+        // Drop the old fields so their values don't overwrite the preset
+        if (this.speciesContainer) this.speciesContainer.innerHTML = '';
+        this.renderSpeciesInputs();
+
+        this.calculate();
+    }
+
+    renderCellOptions() {
+        if (this.inputs.cell) {
+            this.inputs.cell.innerHTML = Object.entries(CELL_LIBRARY).map(([id, cell]) => `
+      <option value="${id}">${cell.name} — ${cell.voltage} V</option>
+    `).join('');
+            this.inputs.cell.value = this.calculator.cell;
+        }
+
+        const couples = Object.entries(STANDARD_POTENTIALS).map(([id, p]) => `
+      <option value="${id}">${p.couple} (${p.E >= 0 ? '+' : ''}${p.E.toFixed(3)} V)</option>
+    `).join('');
+        ['anode', 'cathode'].forEach(key => {
+            if (!this.inputs[key]) return;
+            this.inputs[key].innerHTML = couples;
+            this.inputs[key].value = this.calculator[key];
+        });
+    }
+
+    /**
+     * Switch to another cell from CELL_LIBRARY: loads its reaction, voltage,
+     * electrons, discharge defaults and preset A, relabels the preset buttons
+     * and the half-reaction animation. Molar mass overrides are cleared.
+     */
+    selectCell(cellId) {
+        const cell = CELL_LIBRARY[cellId];
+        if (!cell) return;
+
+        this.calculator.cell = cellId;
+        this.calculator.molarMasses = {};
+        if (this.inputs.cell) this.inputs.cell.value = cellId;
+        if (this.inputs.anode) this.inputs.anode.value = cell.anode.couple;
+        if (this.inputs.cathode) this.inputs.cathode.value = cell.cathode.couple;
+        if (this.inputs.voltage) this.inputs.voltage.value = cell.voltage;
+        if (this.inputs.internalResistance) this.inputs.internalResistance.value = '';
+        if (this.inputs.cutoffVoltage) this.inputs.cutoffVoltage.value = '';
+        this.renderConcentrationInputs();
+        if (this.inputs.electrons) this.inputs.electrons.value = cell.electrons;
+
+        this.applyCellLabels();
+        this.container.querySelectorAll('[data-preset]').forEach(btn => {
+            btn.classList.toggle('preset-btn--active', btn.getAttribute('data-preset') === 'A');
+        });
+        this.loadPreset('A');
+    }
+
+    /**
+     * Relabel preset buttons, half-reaction cards and the animation for the current cell
+     */
+    applyCellLabels() {
+        const cell = CELL_LIBRARY[this.calculator.cell];
+
+        this.container.querySelectorAll('[data-preset]').forEach(btn => {
+            const preset = cell.presets[btn.getAttribute('data-preset')];
+            if (preset) btn.textContent = preset.label;
+        });
+
+        if (this.inputs.internalResistance) {
+            this.inputs.internalResistance.placeholder = `${cell.discharge.internalResistance} (cell default)`;
+        }
+        if (this.inputs.cutoffVoltage) {
+            this.inputs.cutoffVoltage.placeholder = `${cell.discharge.cutoffVoltage} (cell default)`;
+        }
+
+        const oxidation = document.getElementById('half-reaction-oxidation');
+        const reduction = document.getElementById('half-reaction-reduction');
+        if (oxidation) oxidation.textContent = cell.anode.halfReaction;
+        if (reduction) reduction.textContent = cell.cathode.halfReaction;
+
+        window.halfReactionAnimation?.setCell(cell);
+    }
+
+    loadFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const keys = [...params.keys()];
+
+        if (keys.some(key => key === 'cell' || key === 'eq' || key === 'massZn' || key.startsWith('m_'))) {
+            this.calculator = ChemistryCalculator.fromURLParams(Object.fromEntries(params));
+
+            // Update input fields
+            if (this.inputs.cell) this.inputs.cell.value = this.calculator.cell;
+            this.applyCellLabels();
+            if (this.inputs.equation) this.inputs.equation.value = this.calculator.equation;
+            const typed = key => this.calculator.measure(key, this.calculator[key]).toInputString();
+            if (this.inputs.voltage) this.inputs.voltage.value = this.calculator.measure('voltage', this.calculator.cellVoltage).toInputString();
+            if (this.inputs.anode) this.inputs.anode.value = this.calculator.anode;
+            if (this.inputs.cathode) this.inputs.cathode.value = this.calculator.cathode;
+            if (this.inputs.deriveVoltage) this.inputs.deriveVoltage.checked = this.calculator.deriveVoltage;
+            if (this.inputs.nernst) this.inputs.nernst.checked = this.calculator.nernst;
+            if (this.inputs.temperature) this.inputs.temperature.value = this.calculator.temperature;
+            if (this.inputs.reactionQuotient && this.calculator.reactionQuotient) {
+                this.inputs.reactionQuotient.value = this.calculator.reactionQuotient;
+            }
+            if (this.concentrationContainer) this.concentrationContainer.innerHTML = '';
+            this.renderConcentrationInputs();
+            if (this.inputs.electrons) this.inputs.electrons.value = this.calculator.electronsPerReaction;
+            if (this.inputs.resistance && this.calculator.resistance) {
+                this.inputs.resistance.value = typed('resistance');
+            }
+            const cell = CELL_LIBRARY[this.calculator.cell];
+            if (this.inputs.internalResistance && this.calculator.internalResistance !== cell.discharge.internalResistance) {
+                this.inputs.internalResistance.value = typed('internalResistance');
+            }
+            if (this.inputs.cutoffVoltage && this.calculator.cutoffVoltage !== cell.discharge.cutoffVoltage) {
+                this.inputs.cutoffVoltage.value = typed('cutoffVoltage');
+            }
+            if (this.inputs.actualMass && this.calculator.actualMass) {
+                this.inputs.actualMass.value = typed('actualMass');
+            }
+            if (this.inputs.actualCharge && this.calculator.actualCharge) {
+                this.inputs.actualCharge.value = typed('actualCharge');
+            }
+            if (this.inputs.uncertainty) this.inputs.uncertainty.checked = Object.keys(this.calculator.uncertainties).length > 0;
+            if (this.inputs.uncertaintyMethod) this.inputs.uncertaintyMethod.value = this.calculator.uncertaintyMethod;
+            this.renderSpeciesInputs();
+            this.writeUncertainties();
+
+            this.calculate();
+        }
+    }
+
+    /**
+     * Build a mass + molar mass field pair for every reactant and a molar mass
+     * field for every product of the typed equation. Values already entered
+     * for a formula survive a rebuild. Molar mass fields are optional
+     * overrides; their placeholder shows the periodic-table value.
+     */
+    renderSpeciesInputs() {
+        if (!this.speciesContainer) return;
+
+        try {
+            this.readSpeciesInputs();
+        } catch (e) {
+            // Keep the last values read; calculate() reports the typo
+        }
+
+        let reaction;
+        try {
+            reaction = ChemicalEquation.parse(this.inputs.equation?.value || this.calculator.equation);
+        } catch (e) {
+            // Leave the previous fields in place; calculate() reports the error
+            return;
+        }
+
+        const { masses, molarMasses } = this.calculator;
+        const computed = formula => PeriodicTable.molarMass(formula).molarMass;
+        const typed = (key, value) => value === undefined ? '' : this.calculator.measure(key, value).toInputString();
+        const field = (id, label, value, attrs, key, quantity, unit) => `
+      <div class="form-group">
+        <label class="form-label" for="${id}">${label}</label>
+        <input type="text" inputmode="decimal" id="${id}" class="form-input form-input--number" ${attrs}
+          data-quantity="${quantity}" data-unit="${unit}" value="${value ?? ''}">
+        ${this.uncertaintyField(key, quantity, unit)}
+      </div>
+    `;
+
+        this.speciesContainer.innerHTML = [
+            ...reaction.reactants.map((s, i) => field(
+                `input-mass-r${i}`,
+                `Mass of ${formatFormula(s.formula)} (g)`,
+                typed(`mass:${s.formula}`, masses[s.formula]),
+                `data-species="${s.formula}" data-field="mass" placeholder="blank = in excess"`,
+                `mass:${s.formula}`, 'mass', 'g'
+            ) + field(
+                `input-molar-mass-r${i}`,
+                `Molar Mass ${formatFormula(s.formula)} (g/mol)`,
+                typed(`molarMass:${s.formula}`, molarMasses[s.formula]),
+                `data-species="${s.formula}" data-field="molar-mass" placeholder="${computed(s.formula)} (periodic table)"`,
+                `molarMass:${s.formula}`, 'molarMass', 'g/mol'
+            )),
+            ...reaction.products.map((s, i) => field(
+                `input-molar-mass-p${i}`,
+                `Molar Mass ${formatFormula(s.formula)} (g/mol)`,
+                typed(`molarMass:${s.formula}`, molarMasses[s.formula]),
+                `data-species="${s.formula}" data-field="molar-mass" placeholder="${computed(s.formula)} (periodic table)"`,
+                `molarMass:${s.formula}`, 'molarMass', 'g/mol'
+            ))
+        ].join('');
+
+        // Products the measured lab mass can refer to
+        if (this.inputs.actualProduct) {
+            const selected = this.inputs.actualProduct.value || this.calculator.actualProduct;
+            this.inputs.actualProduct.innerHTML = reaction.products.map(s => `
+        <option value="${s.formula}"${s.formula === selected ? ' selected' : ''}>${formatFormula(s.formula)}</option>
+      `).join('');
+        }
+    }
 
-            // Real-time calculation on input change
-            input?.addEventListener('input', window.ChargeLab.Utils.debounce(() => {
-                this.calculate();
-            }, 300));
-        });
+    /**
+     * Build an activity field for every species in the reaction quotient of
+     * the selected anode and cathode
+     */
+    renderConcentrationInputs() {
+        if (!this.concentrationContainer) return;
 
-        // Export buttons
-        this.exportJsonBtn?.addEventListener('click', () => this.exportJSON());
-        this.exportPdfBtn?.addEventListener('click', () => this.exportPDF());
-        this.shareBtn?.addEventListener('click', () => this.shareLink());
-        this.printBtn?.addEventListener('click', () => this.print());
+        try {
+            this.readConcentrationInputs();
+        } catch (e) {
+            // Keep the last values read; calculate() reports the typo
+        }
+        this.calculator.anode = this.inputs.anode?.value || this.calculator.anode;
+        this.calculator.cathode = this.inputs.cathode?.value || this.calculator.cathode;
+
+        const { terms } = this.calculator.getReactionQuotient();
+        this.concentrationContainer.innerHTML = terms.length === 0
+            ? '<p class="text-muted">No dissolved species change in this reaction, so Q = 1 and only temperature matters.</p>'
+            : terms.map((t, i) => `
+      <div class="form-group">
+        <label class="form-label" for="input-activity-${i}">[${t.species}] (${/[⁺⁻]/.test(t.species) ? 'mol/L' : 'mol/L or bar'})</label>
+        <input type="text" inputmode="decimal" id="input-activity-${i}" class="form-input form-input--number" data-ion="${t.species}"
+          data-quantity="concentration" data-unit="mol/L" value="${this.calculator.concentrations[t.species] ?? 1}">
+        ${this.uncertaintyField(`concentration:${t.species}`, 'concentration', 'mol/L')}
+      </div>
+    `).join('');
     }
 
-    bindPresets() {
-        this.container.querySelectorAll('[data-preset]').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const presetKey = btn.getAttribute('data-preset');
-                this.loadPreset(presetKey);
+    readConcentrationInputs() {
+        if (!this.concentrationContainer) return;
 
-                // Update active state
-                this.container.querySelectorAll('[data-preset]').forEach(b => {
-                    b.classList.remove('preset-btn--active');
-                });
-                btn.classList.add('preset-btn--active');
-            });
+        this.concentrationContainer.querySelectorAll('[data-ion]').forEach(input => {
+            const value = window.ChargeLab.Units.read(input)?.value;
+            if (value > 0) {
+                this.calculator.concentrations[input.getAttribute('data-ion')] = value;
+            } else {
+                delete this.calculator.concentrations[input.getAttribute('data-ion')];
+            }
         });
     }
 
-    loadPreset(presetKey) {
-        const preset = CHEMISTRY_PRESETS[presetKey];
-        if (!preset) return;
+    /**
+     * Copy the generated species fields back into the calculator, with the
+     * significant figures as typed
+     */
+    readSpeciesInputs() {
+        if (!this.speciesContainer) return;
 
-        if (this.inputs.massZn) this.inputs.massZn.value = preset.massZn;
-        if (this.inputs.massMnO2) this.inputs.massMnO2.value = preset.massMnO2;
+        this.speciesContainer.querySelectorAll('[data-species]').forEach(input => {
+            const formula = input.getAttribute('data-species');
 
-        this.calculate();
+            if (input.getAttribute('data-field') === 'mass') {
+                const value = this.readQuantity(`mass:${formula}`, input);
+                if (isNaN(value)) {
+                    delete this.calculator.masses[formula];
+                } else {
+                    this.calculator.masses[formula] = value;
+                }
+            } else {
+                const value = this.readQuantity(`molarMass:${formula}`, input);
+                if (value > 0) {
+                    this.calculator.molarMasses[formula] = value;
+                } else {
+                    delete this.calculator.molarMasses[formula];
+                }
+            }
+        });
     }
 
-    loadFromURL() {
-        const params = new URLSearchParams(window.location.search);
+    /**
+     * Read a field with an optional unit ("250 mg") into its base unit and
+     * record the significant figures as typed
+     * @returns {number} the value, or NaN when the field is blank
+     * @throws {Error} when the text is not a number or the unit doesn't fit the field
+     */
+    readQuantity(key, input) {
+        const parsed = input ? window.ChargeLab.Units.read(input) : null;
+        if (parsed?.sigFigs) {
+            this.calculator.sigFigs[key] = parsed.sigFigs;
+        } else {
+            delete this.calculator.sigFigs[key];
+        }
+        return parsed ? parsed.value : NaN;
+    }
 
-        if (params.has('massZn')) {
-            this.calculator = ChemistryCalculator.fromURLParams(Object.fromEntries(params));
+    /**
+     * ± field for a generated input, showing the value already entered for it
+     */
+    uncertaintyField(key, quantity, unit) {
+        const spec = this.calculator.uncertainties[key];
+        return `<input type="text" class="form-input form-input--number mt-sm" data-uncertainty="${key}"
+          data-quantity="${quantity}" data-unit="${unit}" placeholder="± e.g. 0.05 or 2%" aria-label="Uncertainty"
+          value="${spec ? window.ChargeLab.Uncertainty.toText(spec, quantity, unit) : ''}"
+          style="display: ${this.inputs.uncertainty?.checked ? 'block' : 'none'};">`;
+    }
 
-            // Update input fields
-            if (this.inputs.massZn) this.inputs.massZn.value = this.calculator.massZn;
-            if (this.inputs.massMnO2) this.inputs.massMnO2.value = this.calculator.massMnO2;
-            if (this.inputs.molarMassZn) this.inputs.molarMassZn.value = this.calculator.molarMassZn;
-            if (this.inputs.molarMassMnO2) this.inputs.molarMassMnO2.value = this.calculator.molarMassMnO2;
-            if (this.inputs.voltage) this.inputs.voltage.value = this.calculator.cellVoltage;
-            if (this.inputs.electrons) this.inputs.electrons.value = this.calculator.electronsPerReaction;
-            if (this.inputs.resistance && this.calculator.resistance) {
-                this.inputs.resistance.value = this.calculator.resistance;
-            }
+    /**
+     * Read every visible ± field into the calculator; with the option off no
+     * input is treated as uncertain
+     */
+    readUncertainties() {
+        const { Uncertainty } = window.ChargeLab;
+        const enabled = !!this.inputs.uncertainty?.checked;
+        if (this.uncertaintyControls) this.uncertaintyControls.style.display = enabled ? 'block' : 'none';
+
+        this.calculator.uncertainties = {};
+        this.calculator.uncertaintyMethod = this.inputs.uncertaintyMethod?.value === 'montecarlo' ? 'montecarlo' : 'linear';
+        this.container.querySelectorAll('[data-uncertainty]').forEach(input => {
+            input.style.display = enabled ? 'block' : 'none';
+            const spec = enabled ? Uncertainty.read(input) : null;
+            if (spec && spec.value > 0) this.calculator.uncertainties[input.getAttribute('data-uncertainty')] = spec;
+        });
+    }
 
-            this.calculate();
-        }
+    /**
+     * Copy the calculator's uncertainties into the static ± fields
+     */
+    writeUncertainties() {
+        this.container.querySelectorAll('[data-uncertainty]').forEach(input => {
+            const spec = this.calculator.uncertainties[input.getAttribute('data-uncertainty')];
+            const quantity = input.getAttribute('data-quantity');
+            input.value = spec ? window.ChargeLab.Uncertainty.toText(spec, quantity, input.getAttribute('data-unit')) : '';
+        });
     }
 
     calculate() {
-        // Read input values
-        this.calculator.massZn = parseFloat(this.inputs.massZn?.value) || 0;
-        this.calculator.massMnO2 = parseFloat(this.inputs.massMnO2?.value) || 0;
-        this.calculator.molarMassZn = parseFloat(this.inputs.molarMassZn?.value) || CHEMISTRY_CONSTANTS.MOLAR_MASS_ZN;
-        this.calculator.molarMassMnO2 = parseFloat(this.inputs.molarMassMnO2?.value) || CHEMISTRY_CONSTANTS.MOLAR_MASS_MNO2;
-        this.calculator.cellVoltage = parseFloat(this.inputs.voltage?.value) || CHEMISTRY_CONSTANTS.DEFAULT_VOLTAGE;
-        this.calculator.electronsPerReaction = parseInt(this.inputs.electrons?.value) || CHEMISTRY_CONSTANTS.DEFAULT_ELECTRONS;
-        this.calculator.resistance = parseFloat(this.inputs.resistance?.value) || null;
+        // Read input values; a number or unit that can't be read is reported
+        // like an equation error
+        try {
+            this.readInputs();
+        } catch (e) {
+            this.showStatus(e.message, true);
+            return null;
+        }
 
         // Perform calculation
-        const results = this.calculator.calculate();
+        let results;
+        try {
+            results = this.calculator.calculate();
+        } catch (e) {
+            this.showStatus(e.message, true);
+            return null;
+        }
+
+        this.showStatus(`Balanced: ${results.reaction}`, false);
 
         // Update UI
         this.updateUI();
@@ -480,64 +2719,218 @@ class ChemistryCalculatorUI {
         return results;
     }
 
+    /**
+     * Copy every field into the calculator, normalising typed units
+     */
+    readInputs() {
+        const cell = CELL_LIBRARY[this.calculator.cell];
+        this.calculator.equation = this.inputs.equation?.value.trim() || cell.equation;
+        this.readSpeciesInputs();
+        this.calculator.cellVoltage = this.readQuantity('voltage', this.inputs.voltage) || cell.voltage;
+        this.calculator.anode = this.inputs.anode?.value || cell.anode.couple;
+        this.calculator.cathode = this.inputs.cathode?.value || cell.cathode.couple;
+        this.calculator.deriveVoltage = !!this.inputs.deriveVoltage?.checked;
+        this.calculator.nernst = !!this.inputs.nernst?.checked;
+        this.calculator.temperature = this.inputs.temperature ? window.ChargeLab.Units.read(this.inputs.temperature)?.value ?? NaN : NaN;
+        if (isNaN(this.calculator.temperature)) this.calculator.temperature = CHEMISTRY_CONSTANTS.STANDARD_TEMPERATURE;
+        this.calculator.reactionQuotient = parseFloat(this.inputs.reactionQuotient?.value) || null;
+        this.readConcentrationInputs();
+        if (this.inputs.voltage) this.inputs.voltage.disabled = this.calculator.deriveVoltage || this.calculator.nernst;
+        if (this.nernstControls) this.nernstControls.style.display = this.calculator.nernst ? 'block' : 'none';
+        this.calculator.electronsPerReaction = parseInt(this.inputs.electrons?.value) || cell.electrons;
+        this.calculator.resistance = this.readQuantity('resistance', this.inputs.resistance) || null;
+        const internalResistance = this.readQuantity('internalResistance', this.inputs.internalResistance);
+        const cutoffVoltage = this.readQuantity('cutoffVoltage', this.inputs.cutoffVoltage);
+        this.calculator.internalResistance = isNaN(internalResistance) ? cell.discharge.internalResistance : internalResistance;
+        this.calculator.cutoffVoltage = isNaN(cutoffVoltage) ? cell.discharge.cutoffVoltage : cutoffVoltage;
+        this.calculator.actualProduct = this.inputs.actualProduct?.value || null;
+        this.calculator.actualMass = this.readQuantity('actualMass', this.inputs.actualMass) || null;
+        this.calculator.actualCharge = this.readQuantity('actualCharge', this.inputs.actualCharge) || null;
+        this.calculator.displayUnits.charge = this.inputs.chargeUnit?.value || window.ChargeLab.Units.displayUnit('charge', 'C');
+        this.readUncertainties();
+    }
+
+    /**
+     * Show the balanced equation, or the parse/balance error, under the equation field
+     */
+    showStatus(message, isError) {
+        if (this.equationStatus) {
+            this.equationStatus.textContent = message;
+            this.equationStatus.classList.toggle('text-teal', !isError);
+            this.equationStatus.classList.toggle('form-status--error', isError);
+        }
+        if (this.reactionTitle && !isError) {
+            this.reactionTitle.textContent = message.replace('Balanced: ', '');
+        }
+    }
+
     updateUI() {
         const results = this.calculator.results;
         if (!results) return;
 
-        const { Utils } = window.ChargeLab;
+        const { measured } = results;
+
+        // value ± uncertainty where the inputs carry one, otherwise the rounded
+        // value; with a quantity, unit is a display unit of it
+        const { Units, Uncertainty } = window.ChargeLab;
+        const show = (key, measurement, unit, quantity) => {
+            const u = results.uncertainty?.outputs[key];
+            const factor = quantity ? Units.factor(quantity, unit) : 1;
+            return u ? Uncertainty.format(u.value / factor, u.sigma / factor, unit) : measurement.scaled(1 / factor).format(unit);
+        };
 
         // Update result displays
-        if (this.results.molesZn) {
-            this.results.molesZn.textContent = Utils.formatNumber(results.molesZn, 6, 'mol');
-        }
-        if (this.results.molesMnO2) {
-            this.results.molesMnO2.textContent = Utils.formatNumber(results.molesMnO2, 6, 'mol');
+        if (this.results.moles) {
+            this.results.moles.innerHTML = results.reactants
+                .filter(r => r.moles !== null)
+                .map(r => `
+          <div class="result-item">
+            <span class="result-item__label">Moles of ${formatFormula(r.formula)}:</span>
+            <span class="result-item__value">${show(`moles:${r.formula}`, r.measured.moles, 'mol')}</span>
+          </div>
+        `).join('');
         }
         if (this.results.limitingReagent) {
             this.results.limitingReagent.textContent = results.limitingReagent;
-            this.results.limitingReagent.classList.toggle('text-cyan', results.limitingReagent === 'Zn');
-            this.results.limitingReagent.classList.toggle('text-teal', results.limitingReagent === 'MnO₂');
+        }
+        if (this.results.excess) {
+            this.results.excess.innerHTML = results.excess.map(r => `
+          <div class="result-item">
+            <span class="result-item__label">Excess ${formatFormula(r.formula)} remaining:</span>
+            <span class="result-item__value">${r.measured.leftover.format('mol')} (${r.measured.leftoverMass.format('g')})</span>
+          </div>
+        `).join('');
+        }
+        if (this.results.products) {
+            this.results.products.innerHTML = results.products.map(p => `
+          <div class="result-item">
+            <span class="result-item__label">Theoretical ${formatFormula(p.formula)}:</span>
+            <span class="result-item__value">${p.measured.mass.format('g')}</span>
+          </div>
+        `).join('');
         }
         if (this.results.chargeQ) {
-            this.results.chargeQ.textContent = Utils.formatNumber(results.chargeQ, 2, 'C');
+            this.results.chargeQ.textContent = show('chargeQ', measured.chargeQ, this.calculator.displayUnits.charge, 'charge');
         }
         if (this.results.energyJ) {
-            this.results.energyJ.textContent = Utils.formatNumber(results.energyJ, 2, 'J');
+            this.results.energyJ.textContent = show('energyJ', measured.energyJ, 'J');
+        }
+        if (this.results.standardPotential) {
+            const used = this.calculator.deriveVoltage && !this.calculator.nernst ? ' (used for the energy)' : '';
+            this.results.standardPotential.textContent = measured.standardCellPotential.format('V') + used;
+        }
+        if (this.results.nernst) {
+            this.results.nernst.textContent = results.nernst ? results.nernst.measured.format('V') : '—';
+        }
+        if (this.results.nernstItem) {
+            this.results.nernstItem.style.display = results.nernst ? 'flex' : 'none';
         }
+        this.drawNernstPlot(results.nernst);
+
+        if (this.dischargePanel) {
+            this.dischargePanel.style.display = results.discharge ? 'block' : 'none';
+        }
+        this.drawDischargePlot(results.discharge);
         if (this.results.energyWh) {
-            this.results.energyWh.textContent = Utils.formatNumber(results.energyWh, 4, 'Wh');
+            this.results.energyWh.textContent = show('energyWh', measured.energyWh, 'Wh');
         }
         if (this.results.current) {
-            this.results.current.textContent = results.current
-                ? Utils.formatNumber(results.current, 4, 'A')
-                : '—';
+            this.results.current.textContent = measured.current ? show('current', measured.current, 'A') : '—';
         }
         if (this.results.runtime) {
-            this.results.runtime.textContent = results.runtimeMinutes
-                ? Utils.formatNumber(results.runtimeMinutes, 2, 'min')
-                : '—';
+            this.results.runtime.textContent = measured.runtimeMinutes ? show('runtimeMinutes', measured.runtimeMinutes, 'min') : '—';
+        }
+        if (this.results.comparison) {
+            const { product, charge } = results.comparison || {};
+            this.results.comparison.innerHTML = `
+          ${product ? `
+          <div class="result-item result-item--highlight">
+            <span class="result-item__label">Percent Yield (${formatFormula(product.formula)}):</span>
+            <span class="result-item__value">${show('percentYield', product.measured.percentYield, '%')}</span>
+          </div>
+          <div class="result-item">
+            <span class="result-item__label">Percent Error (${formatFormula(product.formula)}):</span>
+            <span class="result-item__value">${product.measured.percentError.format('%')}</span>
+          </div>` : ''}
+          ${charge ? `
+          <div class="result-item result-item--highlight">
+            <span class="result-item__label">Charge Efficiency:</span>
+            <span class="result-item__value">${show('chargeEfficiency', charge.measured.percentYield, '%')}</span>
+          </div>
+          <div class="result-item">
+            <span class="result-item__label">Percent Error (charge):</span>
+            <span class="result-item__value">${charge.measured.percentError.format('%')}</span>
+          </div>` : ''}
+        `;
         }
 
         // Update work steps
         this.updateWorkSteps();
     }
 
+    /**
+     * Plot E against log₁₀Q at the current temperature, marking the current Q
+     */
+    drawNernstPlot(nernst) {
+        if (!this.nernstCanvas || !nernst) return;
+
+        const logQ = Math.log10(nernst.Q);
+        const from = Math.min(-6, Math.floor(logQ) - 1);
+        const to = Math.max(6, Math.ceil(logQ) + 1);
+        const E = x => nernst.standardE - nernst.slope * x;
+
+        window.ChargeLab.Charts.drawLineChart(this.nernstCanvas, {
+            series: [{ points: [{ x: from, y: E(from) }, { x: to, y: E(to) }], label: `${this.calculator.temperature} °C` }],
+            markers: [
+                { x: 0, y: nernst.standardE, label: `E° = ${nernst.standardE.toFixed(3)} V`, color: '#B6C0C9' },
+                { x: logQ, y: nernst.E, label: `E = ${nernst.E.toFixed(3)} V`, color: '#00D1FF' }
+            ],
+            xLabel: 'log₁₀ Q',
+            yLabel: 'E (V)'
+        });
+    }
+
+    /**
+     * Plot the selected discharge curve: terminal voltage, current or delivered charge against time
+     */
+    drawDischargePlot(discharge) {
+        if (!this.dischargeCanvas || !discharge) return;
+
+        // Minutes for short runs, hours for long ones
+        const inHours = discharge.runtimeSeconds > 10 * 3600;
+        const toTime = t => inHours ? t / 3600 : t / 60;
+        const curves = {
+            voltage: { key: 'voltage', label: 'Terminal voltage (V)', color: '#3EF1C6' },
+            current: { key: 'current', label: 'Current (A)', color: '#00D1FF' },
+            charge: { key: 'charge', label: 'Delivered charge (C)', color: '#F8FAFC' }
+        };
+        const curve = curves[this.dischargeCurve];
+
+        const series = [{
+            points: discharge.points.map(p => ({ x: toTime(p.t), y: p[curve.key] })),
+            label: curve.label,
+            color: curve.color
+        }];
+        if (curve.key === 'voltage') {
+            series.push({
+                points: [{ x: 0, y: this.calculator.cutoffVoltage }, { x: toTime(discharge.runtimeSeconds), y: this.calculator.cutoffVoltage }],
+                label: 'Cutoff',
+                color: '#FF6464',
+                dashed: true
+            });
+        }
+
+        window.ChargeLab.Charts.drawLineChart(this.dischargeCanvas, {
+            series,
+            xLabel: inHours ? 'Time (h)' : 'Time (min)',
+            yLabel: curve.label
+        });
+    }
+
     updateWorkSteps() {
         if (!this.workPanel) return;
 
-        const steps = this.calculator.getWorkSteps();
-        this.workPanel.innerHTML = steps.map((step, i) => `
-      <div class="work-step">
-        <span class="work-step__number">${i + 1}</span>
-        <div class="work-step__content">
-          <strong>${step.title}</strong>
-          <p class="text-muted">${step.description}</p>
-          ${step.calculations.map(calc => `
-            <p class="work-step__formula">${calc}</p>
-          `).join('')}
-        </div>
-      </div>
-    `).join('');
+        this.workPanel.innerHTML = renderWorkSteps(this.calculator.getWorkSteps());
     }
 
     storeForPhysics(results) {
@@ -575,6 +2968,336 @@ class ChemistryCalculatorUI {
     }
 }
 
+// ============================================
+// Electrolysis Calculator UI
+// ============================================
+class ElectrolysisCalculatorUI {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.calculator = new ElectrolysisCalculator({ current: 2.0, time: 1800 });
+        this.init();
+    }
+
+    init() {
+        this.bindElements();
+        this.renderProductOptions();
+        this.bindEvents();
+        this.calculate();
+    }
+
+    bindElements() {
+        this.inputs = {
+            product: this.container.querySelector('#electrolysis-product'),
+            mode: this.container.querySelector('#electrolysis-mode'),
+            current: this.container.querySelector('#electrolysis-current'),
+            time: this.container.querySelector('#electrolysis-time'),
+            targetMass: this.container.querySelector('#electrolysis-target-mass'),
+            efficiency: this.container.querySelector('#electrolysis-efficiency'),
+            temperature: this.container.querySelector('#electrolysis-temperature'),
+            pressure: this.container.querySelector('#electrolysis-pressure')
+        };
+
+        // Fields shown only in one mode, or only for gases
+        this.controlGroups = {
+            time: this.container.querySelector('#electrolysis-control-time'),
+            targetMass: this.container.querySelector('#electrolysis-control-target-mass'),
+            gas: this.container.querySelector('#electrolysis-control-gas')
+        };
+
+        this.status = this.container.querySelector('#electrolysis-status');
+        this.results = {
+            charge: this.container.querySelector('#electrolysis-result-charge'),
+            electrons: this.container.querySelector('#electrolysis-result-electrons'),
+            moles: this.container.querySelector('#electrolysis-result-moles'),
+            mass: this.container.querySelector('#electrolysis-result-mass'),
+            volume: this.container.querySelector('#electrolysis-result-volume'),
+            time: this.container.querySelector('#electrolysis-result-time')
+        };
+        this.workPanel = this.container.querySelector('#electrolysis-work-steps');
+    }
+
+    renderProductOptions() {
+        if (!this.inputs.product) return;
+
+        this.inputs.product.innerHTML = Object.entries(ELECTROLYSIS_PRODUCTS).map(([id, p]) => `
+      <option value="${id}">${p.name}: ${p.halfReaction}</option>
+    `).join('');
+        this.inputs.product.value = this.calculator.product;
+    }
+
+    bindEvents() {
+        const debouncedCalculate = window.ChargeLab.Utils.debounce(() => this.calculate(), 300);
+
+        ['product', 'mode'].forEach(key => {
+            this.inputs[key]?.addEventListener('change', () => this.calculate());
+        });
+        ['current', 'time', 'targetMass', 'efficiency', 'temperature', 'pressure'].forEach(key => {
+            this.inputs[key]?.addEventListener('input', debouncedCalculate);
+        });
+    }
+
+    updateControlVisibility() {
+        const gas = ELECTROLYSIS_PRODUCTS[this.calculator.product].gas;
+
+        if (this.controlGroups.time) {
+            this.controlGroups.time.style.display = this.calculator.mode === 'forward' ? 'block' : 'none';
+        }
+        if (this.controlGroups.targetMass) {
+            this.controlGroups.targetMass.style.display = this.calculator.mode === 'target' ? 'block' : 'none';
+        }
+        if (this.controlGroups.gas) {
+            this.controlGroups.gas.style.display = gas ? 'grid' : 'none';
+        }
+    }
+
+    calculate() {
+        this.calculator.product = this.inputs.product?.value || this.calculator.product;
+        this.calculator.mode = this.inputs.mode?.value === 'target' ? 'target' : 'forward';
+
+        let results;
+        try {
+            this.readInputs();
+            this.updateControlVisibility();
+            results = this.calculator.calculate();
+        } catch (e) {
+            if (this.status) {
+                this.status.textContent = e.message;
+                this.status.classList.add('form-status--error');
+            }
+            return null;
+        }
+
+        if (this.status) {
+            this.status.textContent = ELECTROLYSIS_PRODUCTS[this.calculator.product].halfReaction;
+            this.status.classList.remove('form-status--error');
+        }
+
+        this.updateUI();
+        return results;
+    }
+
+    /**
+     * Read the numeric fields, each in its own unit unless another is typed
+     * ("250 mA", "90 s"); unit conversions are exact, so the significant
+     * figures are those typed
+     */
+    readInputs() {
+        const { Measurement, Units } = window.ChargeLab;
+        const read = key => this.inputs[key] ? Units.read(this.inputs[key]) : null;
+        const parsed = {
+            current: read('current'),
+            time: read('time'),
+            targetMass: read('targetMass'),
+            temperature: read('temperature'),
+            pressure: read('pressure')
+        };
+        const efficiency = this.inputs.efficiency?.value;
+
+        this.calculator.current = parsed.current?.value || null;
+        this.calculator.time = parsed.time?.value > 0 ? parsed.time.value : null;
+        this.calculator.targetMass = parsed.targetMass?.value || null;
+        this.calculator.efficiency = efficiency?.trim() ? parseFloat(efficiency) : 100;
+        this.calculator.temperature = parsed.temperature ? parsed.temperature.value : CHEMISTRY_CONSTANTS.STANDARD_TEMPERATURE;
+        this.calculator.pressure = parsed.pressure ? parsed.pressure.value : CHEMISTRY_CONSTANTS.STANDARD_PRESSURE;
+
+        this.calculator.sigFigs = {};
+        Object.entries(parsed).forEach(([key, p]) => {
+            if (p?.sigFigs) this.calculator.sigFigs[key] = p.sigFigs;
+        });
+        const count = efficiency ? Measurement.countSigFigs(efficiency) : null;
+        if (count) this.calculator.sigFigs.efficiency = count;
+    }
+
+    updateUI() {
+        const { Units } = window.ChargeLab;
+        const results = this.calculator.results;
+        if (!results) return;
+
+        const { measured } = results;
+        const label = formatFormula(results.formula);
+
+        if (this.results.charge) {
+            this.results.charge.textContent = Units.format(measured.chargeQ, 'charge', Units.displayUnit('charge', 'C'));
+        }
+        if (this.results.electrons) {
+            this.results.electrons.textContent = measured.electronMoles.format('mol e⁻');
+        }
+        if (this.results.moles) {
+            this.results.moles.textContent = `${measured.productMoles.format('mol')} ${label}`;
+        }
+        if (this.results.mass) {
+            this.results.mass.textContent = `${measured.mass.format('g')} ${label}`;
+        }
+        if (this.results.volume) {
+            this.results.volume.textContent = measured.gasVolume ? Units.format(measured.gasVolume, 'volume', 'mL') : '—';
+        }
+        if (this.results.time) {
+            this.results.time.textContent = measured.time ? Units.format(measured.time, 'time', 'min') : '—';
+        }
+
+        if (this.workPanel) {
+            this.workPanel.innerHTML = renderWorkSteps(this.calculator.getWorkSteps());
+        }
+    }
+}
+
+// ============================================
+// Molar Mass Calculator UI
+// ============================================
+class MolarMassCalculatorUI {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.input = this.container.querySelector('#input-formula');
+        this.output = this.container.querySelector('#molar-mass-result');
+
+        this.input?.addEventListener('input', window.ChargeLab.Utils.debounce(() => {
+            this.update();
+        }, 200));
+
+        this.update();
+    }
+
+    update() {
+        if (!this.output) return;
+
+        const formula = this.input?.value.trim().replace(/[₀-₉]/g, d => SUBSCRIPT_DIGITS.indexOf(d));
+        if (!formula) {
+            this.output.innerHTML = '<p class="text-muted">Type a formula to see its molar mass</p>';
+            return;
+        }
+
+        let result;
+        try {
+            result = PeriodicTable.molarMass(formula);
+        } catch (e) {
+            // The message repeats the typed formula, so it goes in as text
+            const status = document.createElement('p');
+            status.className = 'form-status form-status--error';
+            status.textContent = e.message;
+            this.output.replaceChildren(status);
+            return;
+        }
+
+        this.output.innerHTML = `
+      <div class="table-container">
+        <table>
+          <thead>
+            <tr><th>Element</th><th>Atoms</th><th>Atomic Mass (g/mol)</th><th>Subtotal (g/mol)</th><th>Mass %</th></tr>
+          </thead>
+          <tbody>
+            ${result.breakdown.map(b => `
+              <tr>
+                <td>${b.element} <span class="text-muted">(${b.name})</span></td>
+                <td>${b.count}</td>
+                <td>${b.atomicMass}${b.isotope ? '*' : ''}</td>
+                <td>${b.subtotal.toFixed(4)}</td>
+                <td>${b.percent.toFixed(2)}%</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <p class="work-step__formula">${PeriodicTable.describe(result)}</p>
+      ${result.breakdown.some(b => b.isotope)
+                ? '<p class="text-muted">* Mass number of the longest-lived isotope (no stable isotopes)</p>'
+                : ''}
+    `;
+    }
+}
+
+/**
+ * Side-by-side table of every cell in CELL_LIBRARY, with a button to load
+ * each one into the stoichiometry calculator
+ */
+class CellLibraryUI {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.render();
+
+        this.container.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-cell]');
+            if (!btn) return;
+
+            window.chemistryCalculatorUI?.selectCell(btn.getAttribute('data-cell'));
+            document.getElementById('calculator')?.scrollIntoView({ behavior: 'smooth' });
+        });
+    }
+
+    /**
+     * Theoretical specific energy (Wh/kg) from the reactant masses of one
+     * mole of reaction: E = nFV ÷ Σ(coefficient × molar mass)
+     */
+    specificEnergy(cell) {
+        const reaction = ChemicalEquation.parse(cell.equation).balance();
+        const gramsPerMole = reaction.reactants.reduce(
+            (sum, s) => sum + s.coefficient * PeriodicTable.molarMass(s.formula).molarMass, 0
+        );
+        const whPerMole = cell.electrons * CHEMISTRY_CONSTANTS.FARADAY * cell.voltage / 3600;
+        return whPerMole / (gramsPerMole / 1000);
+    }
+
+    render() {
+        this.container.innerHTML = `
+      <div class="table-container">
+        <table>
+          <thead>
+            <tr><th>Cell</th><th>Anode (oxidation)</th><th>Cathode (reduction)</th><th>e⁻ per reaction</th><th>Nominal Voltage</th><th>Theoretical Energy</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${Object.entries(CELL_LIBRARY).map(([id, cell]) => `
+              <tr>
+                <td>${cell.name}</td>
+                <td class="font-mono">${cell.anode.halfReaction}</td>
+                <td class="font-mono">${cell.cathode.halfReaction}</td>
+                <td>${cell.electrons}</td>
+                <td>${cell.voltage} V</td>
+                <td>${this.specificEnergy(cell).toFixed(0)} Wh/kg</td>
+                <td><button class="preset-btn" data-cell="${id}">Use</button></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+    }
+}
+
+/**
+ * Read-only table of STANDARD_POTENTIALS, most negative first
+ */
+class ReductionPotentialTableUI {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+      <div class="table-container">
+        <table>
+          <thead>
+            <tr><th>Couple</th><th>Reduction Half-Reaction</th><th>E° (V)</th></tr>
+          </thead>
+          <tbody>
+            ${Object.values(STANDARD_POTENTIALS).map(p => `
+              <tr>
+                <td>${p.couple}${p.working ? '*' : ''}</td>
+                <td class="font-mono">${p.halfReaction}</td>
+                <td>${p.E >= 0 ? '+' : ''}${p.E.toFixed(3)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <p class="text-muted">* Typical working potential of a battery electrode rather than a strict standard state</p>
+    `;
+    }
+}
+
 // ============================================
 // Half-Reaction Animation
 // ============================================
@@ -586,6 +3309,7 @@ class HalfReactionAnimation {
         this.ctx = this.canvas.getContext('2d');
         this.electrons = [];
         this.isRunning = false;
+        this.setCell(CELL_LIBRARY[CHEMISTRY_CONSTANTS.DEFAULT_CELL]);
 
         this.resize();
         window.addEventListener('resize', () => this.resize());
@@ -618,6 +3342,13 @@ class HalfReactionAnimation {
         this.isRunning = false;
     }
 
+    /**
+     * Label the electrodes with a CELL_LIBRARY entry
+     */
+    setCell(cell) {
+        this.labels = { anode: cell.anode.label, cathode: cell.cathode.label };
+    }
+
     animate() {
         if (!this.isRunning) return;
 
@@ -657,19 +3388,19 @@ class HalfReactionAnimation {
     }
 
     drawElectrodes() {
-        // Anode (Zn)
+        // Anode (e.g. Zn)
         this.ctx.fillStyle = '#3EF1C6';
         this.ctx.fillRect(20, this.canvas.height / 2 - 40, 30, 80);
         this.ctx.fillStyle = '#F8FAFC';
         this.ctx.font = '12px Inter';
         this.ctx.textAlign = 'center';
-        this.ctx.fillText('Zn', 35, this.canvas.height / 2 + 60);
+        this.ctx.fillText(this.labels.anode, 35, this.canvas.height / 2 + 60);
         this.ctx.fillText('(Anode)', 35, this.canvas.height / 2 + 75);
 
-        // Cathode (MnO₂)
+        // Cathode (e.g. MnO₂)
         this.ctx.fillStyle = '#00D1FF';
         this.ctx.fillRect(this.canvas.width - 50, this.canvas.height / 2 - 40, 30, 80);
-        this.ctx.fillText('MnO₂', this.canvas.width - 35, this.canvas.height / 2 + 60);
+        this.ctx.fillText(this.labels.cathode, this.canvas.width - 35, this.canvas.height / 2 + 60);
         this.ctx.fillText('(Cathode)', this.canvas.width - 35, this.canvas.height / 2 + 75);
 
         // Arrow showing electron flow direction
@@ -698,10 +3429,31 @@ document.addEventListener('DOMContentLoaded', () => {
         window.chemistryCalculatorUI = new ChemistryCalculatorUI('chemistry-calculator');
     }
 
+    // Initialize electrolysis calculator
+    if (document.getElementById('electrolysis-calculator')) {
+        window.electrolysisCalculatorUI = new ElectrolysisCalculatorUI('electrolysis-calculator');
+    }
+
+    // Initialize molar mass calculator
+    if (document.getElementById('molar-mass-calculator')) {
+        window.molarMassCalculatorUI = new MolarMassCalculatorUI('molar-mass-calculator');
+    }
+
+    // Initialize cell comparison table
+    if (document.getElementById('cell-library')) {
+        window.cellLibraryUI = new CellLibraryUI('cell-library');
+    }
+
+    // Initialize standard reduction potential table
+    if (document.getElementById('reduction-potentials')) {
+        window.reductionPotentialTableUI = new ReductionPotentialTableUI('reduction-potentials');
+    }
+
     // Initialize half-reaction animation
     const animCanvas = document.getElementById('half-reaction-canvas');
     if (animCanvas) {
         window.halfReactionAnimation = new HalfReactionAnimation('half-reaction-canvas');
+        window.chemistryCalculatorUI?.applyCellLabels();
 
         // Start animation when section is visible
         const observer = new IntersectionObserver((entries) => {
@@ -723,6 +3475,14 @@ window.ChargeLab = window.ChargeLab || {};
 window.ChargeLab.Chemistry = {
     Calculator: ChemistryCalculator,
     CalculatorUI: ChemistryCalculatorUI,
+    Equation: ChemicalEquation,
+    PeriodicTable,
+    formatFormula,
     CONSTANTS: CHEMISTRY_CONSTANTS,
-    PRESETS: CHEMISTRY_PRESETS
+    PRESETS: CHEMISTRY_PRESETS,
+    Electrolysis: ElectrolysisCalculator,
+    ElectrolysisUI: ElectrolysisCalculatorUI,
+    ELECTROLYSIS_PRODUCTS,
+    CELLS: CELL_LIBRARY,
+    STANDARD_POTENTIALS
 };
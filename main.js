@@ -645,6 +645,760 @@ const Utils = {
     }
 };
 
+// ============================================
+// Significant Figures
+// ============================================
+const SUPERSCRIPT_DIGITS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+/**
+ * A measured quantity: a value plus the number of significant figures it
+ * was known to. Multiplication and division keep the fewest significant
+ * figures; addition and subtraction keep the fewest decimal places.
+ * The value itself is never rounded, so chained calculations carry full
+ * precision and only the displayed text is rounded.
+ */
+class Measurement {
+    /**
+     * @param {number} value
+     * @param {number} sigFigs - Infinity for exact numbers (counts, coefficients, defined conversions)
+     */
+    constructor(value, sigFigs = Infinity) {
+        this.value = value;
+        this.sigFigs = Math.max(1, sigFigs);
+    }
+
+    /**
+     * Count significant figures in typed text: leading zeros never count,
+     * trailing zeros count only after a decimal point ("100" has 1, "100." has 3)
+     * @returns {number|null} null when the text is not a plain number
+     */
+    static countSigFigs(text) {
+        const match = String(text).trim().match(/^[+-]?(\d*)(?:\.(\d*))?(?:[eE][+-]?\d+)?$/);
+        if (!match || (!match[1] && !match[2])) return null;
+
+        const [, whole, fraction] = match;
+        const digits = (whole + (fraction ?? '')).replace(/^0+/, '');
+
+        // "0", "0.00": the zeros after the point are the precision
+        if (!digits) return Math.max(1, (fraction ?? '').length);
+
+        return fraction === undefined ? digits.replace(/0+$/, '').length : digits.length;
+    }
+
+    /**
+     * Measurement from typed text, e.g. Measurement.parse('2.50') → 2.5 to 3 s.f.
+     */
+    static parse(text) {
+        return new Measurement(parseFloat(text), Measurement.countSigFigs(text) ?? Infinity);
+    }
+
+    /**
+     * Measurement for an entered number: the typed significant figures if
+     * known, else counted from the number's own digits
+     */
+    static fromInput(value, sigFigs) {
+        return new Measurement(value, sigFigs ?? Measurement.countSigFigs(String(value)) ?? Infinity);
+    }
+
+    /**
+     * Wrap a plain number as an exact value; Measurements pass through
+     */
+    static from(value) {
+        return value instanceof Measurement ? value : new Measurement(value);
+    }
+
+    /**
+     * Fewest significant figures among the arguments
+     */
+    static min(...values) {
+        return Math.min(...values.map(v => Measurement.from(v).sigFigs));
+    }
+
+    get exact() {
+        return this.sigFigs === Infinity;
+    }
+
+    /**
+     * Power of ten of the leading digit
+     */
+    get exponent() {
+        return this.value === 0 ? 0 : Number(Math.abs(this.value).toExponential().split('e')[1]);
+    }
+
+    /**
+     * Power of ten of the last significant digit (−2 for 1.23)
+     */
+    get lastPlace() {
+        return this.exact ? -Infinity : this.exponent - this.sigFigs + 1;
+    }
+
+    times(other) {
+        const b = Measurement.from(other);
+        return new Measurement(this.value * b.value, Math.min(this.sigFigs, b.sigFigs));
+    }
+
+    dividedBy(other) {
+        const b = Measurement.from(other);
+        return new Measurement(this.value / b.value, Math.min(this.sigFigs, b.sigFigs));
+    }
+
+    plus(other) {
+        const b = Measurement.from(other);
+        return Measurement.toPlace(this.value + b.value, Math.max(this.lastPlace, b.lastPlace));
+    }
+
+    minus(other) {
+        return this.plus(Measurement.from(other).scaled(-1));
+    }
+
+    abs() {
+        return new Measurement(Math.abs(this.value), this.sigFigs);
+    }
+
+    /**
+     * Multiply by an exact factor (unit conversion, coefficient)
+     */
+    scaled(factor) {
+        return new Measurement(this.value * factor, this.sigFigs);
+    }
+
+    /**
+     * Same value known to a different number of significant figures
+     */
+    withSigFigs(sigFigs) {
+        return new Measurement(this.value, sigFigs);
+    }
+
+    /**
+     * Measurement whose last significant digit sits at 10^place
+     */
+    static toPlace(value, place) {
+        if (place === -Infinity) return new Measurement(value);
+        const exponent = new Measurement(value).exponent;
+        return new Measurement(value, value === 0 ? 1 : exponent - place + 1);
+    }
+
+    /**
+     * Value rounded to its significant figures
+     */
+    rounded() {
+        return this.exact ? this.value : Number(this.value.toPrecision(Math.min(this.sigFigs, 100)));
+    }
+
+    /**
+     * Display text rounded to the significant figures. With guard: true one
+     * extra digit is kept, for intermediate values that feed later steps.
+     * Switches to a × 10ⁿ when trailing zeros would be ambiguous.
+     */
+    format(unit = '', { guard = false } = {}) {
+        if (typeof this.value !== 'number' || !isFinite(this.value)) return '—';
+
+        let text;
+        if (this.exact) {
+            text = String(Number(this.value.toPrecision(12)));
+        } else {
+            const digits = Math.min(this.sigFigs + (guard ? 1 : 0), 100);
+            const [mantissa, power] = this.value.toExponential(digits - 1).split('e');
+            const exponent = Number(power);
+            const fixed = this.value.toPrecision(digits);
+            const ambiguous = fixed.includes('e') || (!fixed.includes('.') && /0$/.test(fixed) && exponent > 0);
+
+            text = ambiguous || exponent >= 6 || exponent < -4
+                ? `${mantissa} × 10${Measurement.superscript(exponent)}`
+                : fixed;
+        }
+
+        return unit ? `${text} ${unit}` : text;
+    }
+
+    /**
+     * Rounded answer with its precision, e.g. "0.015 mol (2 s.f.)"
+     */
+    describe(unit = '') {
+        return this.exact ? this.format(unit) : `${this.format(unit)} (${this.sigFigs} s.f.)`;
+    }
+
+    /**
+     * Text for a number input that keeps the significant figures when read back
+     */
+    toInputString() {
+        if (this.exact) return String(this.value);
+        const digits = Math.min(this.sigFigs, 100);
+        return [String(this.rounded()), this.value.toPrecision(digits)]
+            .find(text => Measurement.countSigFigs(text) === this.sigFigs) ?? this.value.toExponential(digits - 1);
+    }
+
+    /**
+     * Work-step note for a value carried into later steps with a guard digit,
+     * or null when the value is exact
+     */
+    guardNote(label, unit = '') {
+        if (this.exact) return null;
+        return `Guard digit: ${label} is carried as ${this.format(unit, { guard: true })} and rounds to ${this.format(unit)} (${this.sigFigs} s.f.)`;
+    }
+
+    static superscript(exponent) {
+        return String(exponent).replace('-', '⁻').replace(/\d/g, d => SUPERSCRIPT_DIGITS[d]);
+    }
+
+    toString() {
+        return this.format();
+    }
+
+    toJSON() {
+        return { value: this.value, sigFigs: this.exact ? null : this.sigFigs, text: this.format() };
+    }
+}
+
+/**
+ * Guard digits for a calculator's work steps: intermediate values are shown
+ * with one digit beyond their significant figures, and the first time each
+ * is carried a note is queued for the end of the step
+ */
+class GuardDigits {
+    constructor() {
+        this.carried = new Set();
+        this.notes = [];
+    }
+
+    /**
+     * Guard-digit text for an intermediate value
+     */
+    carry(label, measurement, unit = '') {
+        if (!this.carried.has(label)) {
+            this.carried.add(label);
+            const note = measurement.guardNote(label, unit);
+            if (note) this.notes.push(note);
+        }
+        return measurement.format(unit, { guard: true });
+    }
+
+    /**
+     * Notes queued since the last call
+     */
+    take() {
+        return this.notes.splice(0);
+    }
+}
+
+// ============================================
+// Units
+// ============================================
+/**
+ * Units each kind of input accepts. Values are normalised to the quantity's
+ * base unit, the one the calculators work in: SI, except grams (so n = m/M
+ * stays in g/mol), litres, mol/L, kPa and °C. factor converts a unit to the base
+ * unit; temperature units also carry the offset added after scaling.
+ * auto lists the units a value may be shown in when no display unit is chosen.
+ */
+const UNITS = {
+    length: { base: 'm', units: { m: 1, cm: 0.01, mm: 0.001, 'μm': 1e-6, km: 1000, in: 0.0254, ft: 0.3048 }, auto: ['m', 'cm', 'mm', 'μm'] },
+    area: { base: 'm²', units: { 'm²': 1, 'cm²': 1e-4, 'mm²': 1e-6 }, auto: ['m²', 'cm²', 'mm²'] },
+    mass: { base: 'g', units: { g: 1, mg: 0.001, 'μg': 1e-6, kg: 1000, u: 1.66053906660e-24 }, auto: ['kg', 'g', 'mg', 'μg'] },
+    molarMass: { base: 'g/mol', units: { 'g/mol': 1, 'kg/mol': 1000 } },
+    current: { base: 'A', units: { A: 1, mA: 0.001, 'μA': 1e-6, kA: 1000 }, auto: ['kA', 'A', 'mA', 'μA'] },
+    time: { base: 's', units: { s: 1, ms: 0.001, 'μs': 1e-6, ns: 1e-9, min: 60, h: 3600 }, auto: ['s', 'ms', 'μs', 'ns'] },
+    charge: { base: 'C', units: { C: 1, mC: 0.001, 'μC': 1e-6, nC: 1e-9, kC: 1000, Ah: 3600, mAh: 3.6, e: 1.602176634e-19 } },
+    voltage: { base: 'V', units: { V: 1, mV: 0.001, 'μV': 1e-6, kV: 1000 }, auto: ['kV', 'V', 'mV', 'μV'] },
+    resistance: { base: 'Ω', units: { 'Ω': 1, 'mΩ': 0.001, 'kΩ': 1000, 'MΩ': 1e6 } },
+    energy: { base: 'J', units: { J: 1, kJ: 1000, MJ: 1e6, mJ: 0.001, 'μJ': 1e-6, nJ: 1e-9, Wh: 3600, mWh: 3.6, kWh: 3.6e6 }, auto: ['kJ', 'J', 'mJ', 'μJ', 'nJ'] },
+    inductance: { base: 'H', units: { H: 1, mH: 0.001, 'μH': 1e-6, nH: 1e-9 }, auto: ['H', 'mH', 'μH', 'nH'] },
+    velocity: { base: 'm/s', units: { 'm/s': 1, 'cm/s': 0.01, 'km/s': 1000, 'km/h': 1 / 3.6 } },
+    force: { base: 'N', units: { N: 1, mN: 0.001, 'μN': 1e-6, nN: 1e-9, kN: 1000 }, auto: ['kN', 'N', 'mN', 'μN', 'nN'] },
+    magneticField: { base: 'T', units: { T: 1, mT: 0.001, 'μT': 1e-6, nT: 1e-9, G: 1e-4, mG: 1e-7 }, auto: ['T', 'mT', 'μT', 'nT'] },
+    magneticFlux: { base: 'Wb', units: { Wb: 1, mWb: 0.001, 'μWb': 1e-6, nWb: 1e-9 }, auto: ['Wb', 'mWb', 'μWb', 'nWb'] },
+    magneticMoment: { base: 'A·m²', units: { 'A·m²': 1, 'mA·m²': 0.001, 'J/T': 1 } },
+    frequency: { base: 'Hz', units: { Hz: 1, kHz: 1000, rpm: 1 / 60 }, auto: ['kHz', 'Hz'] },
+    concentration: { base: 'mol/L', units: { 'mol/L': 1, M: 1, mM: 0.001, 'μM': 1e-6 } },
+    volume: { base: 'L', units: { L: 1, mL: 0.001, 'm³': 1000, 'cm³': 0.001 } },
+    pressure: { base: 'kPa', units: { kPa: 1, Pa: 0.001, bar: 100, atm: 101.325, mmHg: 0.133322 } },
+    temperature: { base: '°C', units: { '°C': 1, K: 1, '°F': 5 / 9 }, offsets: { K: -273.15, '°F': -160 / 9 } }
+};
+
+// Spellings accepted for the canonical unit names above, matched case by case
+// so that a prefix keeps its meaning (M is mega, m is milli)
+const UNIT_ALIASES = {
+    kohm: 'kΩ', kOhm: 'kΩ', Mohm: 'MΩ', MOhm: 'MΩ', mohm: 'mΩ', mOhm: 'mΩ',
+    Da: 'u', 'm s-1': 'm/s', 'rev/min': 'rpm', m2: 'm²', cm2: 'cm²', mm2: 'mm²', 'A m2': 'A·m²', 'A·m2': 'A·m²', Am2: 'A·m²', 'A·h': 'Ah', 'mA·h': 'mAh',
+    'W·h': 'Wh', 'g mol-1': 'g/mol', 'mol/dm3': 'mol/L', 'mol/dm³': 'mol/L', degC: '°C', degF: '°F', C: '°C', F: '°F'
+};
+
+// Unit words without a prefix, matched in any case ("Ohms", "Volts")
+const UNIT_WORDS = {
+    ohm: 'Ω', ohms: 'Ω', sec: 's', secs: 's', mins: 'min', hr: 'h', hrs: 'h',
+    gauss: 'G', tesla: 'T', amu: 'u', newton: 'N', amp: 'A', amps: 'A', volt: 'V', volts: 'V'
+};
+
+const Units = {
+    /**
+     * Canonical name of a typed unit for a quantity, or null when the
+     * quantity has no such unit. A leading u stands for μ.
+     */
+    resolve(quantity, text) {
+        const { units } = UNITS[quantity];
+        const candidates = [text, UNIT_ALIASES[text], UNIT_WORDS[text.toLowerCase()], text.replace(/^u/, 'μ')];
+        return candidates.find(name => name && units[name] !== undefined) || null;
+    },
+
+    /**
+     * Parse a typed value such as "12 mm", "250mA" or "3.2 Ah". A bare number
+     * is read in the field's unit.
+     * @param {string} text
+     * @param {string} quantity - key of UNITS
+     * @param {string} unit - unit of a bare number (defaults to the base unit)
+     * @returns {Object|null} { value (base unit), number, unit, sigFigs }, or null when blank
+     */
+    parse(text, quantity, unit = UNITS[quantity].base) {
+        const trimmed = String(text ?? '').trim();
+        if (!trimmed) return null;
+
+        const match = trimmed.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)\s*(.*)$/);
+        if (!match) {
+            throw new Error(`"${trimmed}" is not a number`);
+        }
+
+        const typed = match[2].trim() || unit;
+        const name = this.resolve(quantity, typed);
+        if (!name) {
+            const other = Object.keys(UNITS).find(q => q !== quantity && this.resolve(q, typed));
+            const accepted = Object.keys(UNITS[quantity].units).join(', ');
+            throw new Error(other
+                ? `"${typed}" is a unit of ${this.label(other)}, but this field takes ${this.label(quantity)} (${accepted})`
+                : `Unknown unit "${typed}" for ${this.label(quantity)} — use ${accepted}`);
+        }
+
+        const number = parseFloat(match[1]);
+        const value = this.toBase(number, quantity, name);
+        let sigFigs = Measurement.countSigFigs(match[1]);
+
+        // An offset (298 K → 24.85 °C) keeps the decimal place typed, not the digit count
+        if (UNITS[quantity].offsets?.[name] && value !== 0) {
+            const place = new Measurement(number, sigFigs).lastPlace;
+            sigFigs = Math.max(1, Math.floor(Math.log10(Math.abs(value))) - place + 1);
+        }
+
+        return { value, number, unit: name, sigFigs };
+    },
+
+    /**
+     * Parse an input field, using its data-quantity and data-unit attributes
+     */
+    read(input) {
+        return this.parse(input.value, input.getAttribute('data-quantity'), input.getAttribute('data-unit') || undefined);
+    },
+
+    /**
+     * Words for a quantity key in messages, e.g. 'magneticField' → 'magnetic field'
+     */
+    label(quantity) {
+        return quantity.replace(/[A-Z]/g, c => ` ${c.toLowerCase()}`);
+    },
+
+    toBase(number, quantity, unit) {
+        const { units, offsets } = UNITS[quantity];
+        return number * units[unit] + (offsets?.[unit] || 0);
+    },
+
+    fromBase(value, quantity, unit) {
+        const { units, offsets } = UNITS[quantity];
+        return (value - (offsets?.[unit] || 0)) / units[unit];
+    },
+
+    /**
+     * Scale factor of a unit relative to the base unit; differences such as
+     * uncertainties convert by this alone, without the temperature offset
+     */
+    factor(quantity, unit) {
+        return UNITS[quantity].units[unit];
+    },
+
+    /**
+     * The unit to show a base value in: the given unit, or with 'auto' the
+     * largest of the quantity's auto units that keeps the number at least 1
+     */
+    pick(value, quantity, unit = 'auto') {
+        const { base, units, auto } = UNITS[quantity];
+        if (unit !== 'auto') return unit;
+        if (!auto || !value) return base;
+        return auto.find(name => Math.abs(value) / units[name] >= 1) || auto[auto.length - 1];
+    },
+
+    /**
+     * A Measurement in base units re-expressed in a display unit (factor
+     * units only, so significant figures carry over unchanged)
+     * @returns {Object} { measurement, unit }
+     */
+    convert(measurement, quantity, unit = 'auto') {
+        const name = this.pick(measurement.value, quantity, unit);
+        return { measurement: measurement.scaled(1 / this.factor(quantity, name)), unit: name };
+    },
+
+    /**
+     * Text of a base-unit Measurement in a display unit, e.g. "12.3 mT"
+     */
+    format(measurement, quantity, unit = 'auto', options) {
+        const shown = this.convert(measurement, quantity, unit);
+        return shown.measurement.format(shown.unit, options);
+    },
+
+    /**
+     * Display unit the user chose for a quantity, shared across pages
+     */
+    displayUnit(quantity, fallback = 'auto') {
+        return AppState.load('display_units')?.[quantity] || fallback;
+    },
+
+    setDisplayUnit(quantity, unit) {
+        AppState.save('display_units', { ...AppState.load('display_units'), [quantity]: unit });
+    }
+};
+
+// ============================================
+// Uncertainty Propagation
+// ============================================
+const Uncertainty = {
+    METHODS: ['linear', 'montecarlo'],
+
+    // Monte Carlo trials, and a fixed seed so results don't jitter between recalculations
+    SAMPLES: 5000,
+    SEED: 12345,
+
+    /**
+     * Parse a typed uncertainty: "0.02" (absolute, in the field's unit),
+     * "0.5 mm" (absolute, in any unit of the quantity) or "2%" (relative).
+     * A leading ± or +/- is allowed. Absolute values are converted to the
+     * quantity's base unit when a quantity is given.
+     * @param {string} text
+     * @param {string} [quantity] - key of UNITS
+     * @param {string} [unit] - unit of a bare number
+     * @returns {Object|null} { value, percent }, or null when blank or invalid
+     */
+    parse(text, quantity, unit) {
+        const trimmed = String(text ?? '').trim().replace(/^(±|\+\/-)\s*/, '');
+        if (!trimmed) return null;
+
+        if (trimmed.endsWith('%')) {
+            const value = parseFloat(trimmed.slice(0, -1));
+            return value >= 0 ? { value, percent: true } : null;
+        }
+        if (!quantity) {
+            const value = parseFloat(trimmed);
+            return value >= 0 ? { value, percent: false } : null;
+        }
+
+        // A spread converts by the unit's scale factor alone (1 K = 1 °C)
+        const parsed = Units.parse(trimmed, quantity, unit);
+        return parsed.number >= 0
+            ? { value: parsed.number * Units.factor(quantity, parsed.unit), percent: false }
+            : null;
+    },
+
+    /**
+     * Parse the ± field beside an input, in that input's quantity and unit
+     */
+    read(input) {
+        return this.parse(input.value, input.getAttribute('data-quantity') || undefined, input.getAttribute('data-unit') || undefined);
+    },
+
+    /**
+     * Text that parse() reads back to the same spec; absolute values are
+     * written in the given unit of the quantity
+     */
+    toText(spec, quantity, unit) {
+        if (spec.percent) return `${spec.value}%`;
+        if (!quantity || !unit) return String(spec.value);
+        return String(Number((spec.value / Units.factor(quantity, unit)).toPrecision(12)));
+    },
+
+    /**
+     * Absolute standard uncertainty of a value from its spec
+     */
+    sigma(spec, value) {
+        if (!spec) return 0;
+        return spec.percent ? Math.abs(value) * spec.value / 100 : spec.value;
+    },
+
+    /**
+     * Propagate input uncertainties through f.
+     * 'linear' adds each input's contribution |∂f/∂x|·σx in quadrature (for
+     * products and quotients this adds relative uncertainties in quadrature).
+     * 'montecarlo' draws every input from a normal distribution and reports
+     * the mean and standard deviation of f. Contributions (for naming the
+     * dominant source) always come from the linear sensitivities.
+     * @param {Function} f - values → { output: number }
+     * @param {Object} values - nominal input values by key
+     * @param {Object} sigmas - absolute uncertainties by key (missing = 0)
+     * @returns {Object} { method, samples, outputs: { key: { value, nominal,
+     *   sigma, relative, contributions: [{ key, sigma, share }], dominant } } }
+     */
+    propagate(f, values, sigmas, { method = 'linear', samples = this.SAMPLES } = {}) {
+        const nominal = f(values);
+        const uncertain = Object.keys(sigmas).filter(key => sigmas[key] > 0 && key in values);
+
+        // Sensitivities by central difference, one input at a time
+        const contributions = Object.fromEntries(Object.keys(nominal).map(key => [key, []]));
+        uncertain.forEach(input => {
+            const h = sigmas[input] * 1e-3;
+            const up = f({ ...values, [input]: values[input] + h });
+            const down = f({ ...values, [input]: values[input] - h });
+            Object.keys(nominal).forEach(key => {
+                const derivative = (up[key] - down[key]) / (2 * h);
+                if (isFinite(derivative)) {
+                    contributions[key].push({ key: input, sigma: Math.abs(derivative) * sigmas[input] });
+                }
+            });
+        });
+
+        const outputs = {};
+        Object.entries(nominal).forEach(([key, value]) => {
+            const list = contributions[key].sort((a, b) => b.sigma - a.sigma);
+            const variance = list.reduce((sum, c) => sum + c.sigma * c.sigma, 0);
+            list.forEach(c => { c.share = variance > 0 ? c.sigma * c.sigma / variance : 0; });
+            outputs[key] = {
+                value,
+                nominal: value,
+                sigma: Math.sqrt(variance),
+                contributions: list,
+                dominant: list[0]?.sigma > 0 ? list[0].key : null
+            };
+        });
+
+        if (method === 'montecarlo' && uncertain.length > 0) {
+            const random = this.random(this.SEED);
+            const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+            const stats = Object.fromEntries(Object.keys(nominal).map(key => [key, { n: 0, mean: 0, m2: 0 }]));
+
+            for (let i = 0; i < samples; i++) {
+                const trial = { ...values };
+                uncertain.forEach(input => { trial[input] = values[input] + sigmas[input] * gaussian(); });
+
+                let result;
+                try {
+                    result = f(trial);
+                } catch (e) {
+                    continue; // an unphysical draw (e.g. negative mass); skip it
+                }
+
+                // Welford's running mean and variance
+                Object.entries(result).forEach(([key, x]) => {
+                    const s = stats[key];
+                    if (!s || !isFinite(x)) return;
+                    s.n++;
+                    const delta = x - s.mean;
+                    s.mean += delta / s.n;
+                    s.m2 += delta * (x - s.mean);
+                });
+            }
+
+            Object.entries(stats).forEach(([key, s]) => {
+                if (s.n < 2) return;
+                outputs[key].value = s.mean;
+                outputs[key].sigma = Math.sqrt(s.m2 / (s.n - 1));
+                outputs[key].trials = s.n;
+            });
+        }
+
+        Object.values(outputs).forEach(o => {
+            o.relative = o.value !== 0 ? o.sigma / Math.abs(o.value) : 0;
+        });
+
+        return { method, samples: method === 'montecarlo' ? samples : null, outputs };
+    },
+
+    /**
+     * "value ± uncertainty": the uncertainty is rounded to 1 significant
+     * figure (2 when it starts with 1) and the value to the same decimal place
+     */
+    format(value, sigma, unit = '') {
+        const suffix = unit ? ` ${unit}` : '';
+        if (typeof value !== 'number' || !isFinite(value)) return '—';
+        if (!(sigma > 0)) return `${Number(value.toPrecision(6))}${suffix}`;
+
+        const power = Math.floor(Math.log10(sigma));
+        const digits = sigma / Math.pow(10, power) < 2 ? 2 : 1;
+        const place = power - digits + 1;
+        const round = x => Math.round(x / Math.pow(10, place)) * Math.pow(10, place);
+
+        const valueExponent = value === 0 ? power : Math.floor(Math.log10(Math.abs(round(value)) || sigma));
+        if (valueExponent >= 4 || valueExponent < -3) {
+            const scale = Math.pow(10, valueExponent);
+            const decimals = Math.max(0, valueExponent - place);
+            return `(${(round(value) / scale).toFixed(decimals)} ± ${(round(sigma) / scale).toFixed(decimals)}) × 10${Measurement.superscript(valueExponent)}${suffix}`;
+        }
+
+        const decimals = Math.max(0, -place);
+        return `${round(value).toFixed(decimals)} ± ${round(sigma).toFixed(decimals)}${suffix}`;
+    },
+
+    /**
+     * Seeded uniform random numbers in [0, 1) (mulberry32)
+     */
+    random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Work-step lines: the uncertain inputs, then each output as value ±
+     * uncertainty with its dominant error source
+     * @param {Object} result - from propagate()
+     * @param {Object} values - nominal inputs
+     * @param {Object} sigmas - absolute input uncertainties
+     * @param {Object} describe - { inputs: { key: { name, unit, source } }, outputs: { key: { name, unit } } }
+     *   where source is an optional longer name used for the dominant source
+     */
+    describe(result, values, sigmas, describe) {
+        const percent = x => x >= 0.1 ? `${(x * 100).toFixed(0)}%` : `${(x * 100).toPrecision(2)}%`;
+        const inputLines = Object.keys(sigmas)
+            .filter(key => sigmas[key] > 0 && describe.inputs[key])
+            .map(key => {
+                const { name, unit } = describe.inputs[key];
+                return `${name} = ${this.format(values[key], sigmas[key], unit)} (±${percent(sigmas[key] / Math.abs(values[key]))})`;
+            });
+
+        const outputLines = Object.entries(result.outputs)
+            .filter(([key, o]) => describe.outputs[key] && o.sigma > 0)
+            .map(([key, o]) => {
+                const { name, unit } = describe.outputs[key];
+                const dominant = o.dominant
+                    ? ` — dominant source: ${describe.inputs[o.dominant]?.source || describe.inputs[o.dominant]?.name || o.dominant} (${percent(o.contributions[0].share)} of the variance)`
+                    : '';
+                return `${name} = ${this.format(o.value, o.sigma, unit)} (±${percent(o.relative)})${dominant}`;
+            });
+
+        return [...inputLines, ...outputLines];
+    }
+};
+
+// ============================================
+// Charts
+// ============================================
+const Charts = {
+    colors: ['#3EF1C6', '#00D1FF', '#F8FAFC', '#FF6464'],
+
+    /**
+     * Draw an x–y line chart on a canvas sized to its parent
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options - { series: [{ points: [{x, y}], label, color, dashed }],
+     *   markers: [{ x, y, label, color }], xLabel, yLabel, xRange: [min, max], yRange: [min, max] }
+     */
+    drawLineChart(canvas, options) {
+        if (!canvas) return;
+
+        const rect = canvas.parentElement.getBoundingClientRect();
+        canvas.width = rect.width || 600;
+        canvas.height = Math.min(rect.height || 240, 320);
+
+        const ctx = canvas.getContext('2d');
+        const { series = [], markers = [], xLabel = '', yLabel = '' } = options;
+        const pad = { left: 60, right: 16, top: 16, bottom: 40 };
+        const width = canvas.width - pad.left - pad.right;
+        const height = canvas.height - pad.top - pad.bottom;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Axis ranges from the data unless given
+        const points = series.flatMap(s => s.points).concat(markers);
+        if (points.length === 0) return;
+
+        const range = (key, given) => {
+            if (given) return given;
+            let min = Math.min(...points.map(p => p[key]));
+            let max = Math.max(...points.map(p => p[key]));
+            if (min === max) { min -= 1; max += 1; }
+            const margin = key === 'y' ? (max - min) * 0.05 : 0;
+            return [min - margin, max + margin];
+        };
+        const [xMin, xMax] = range('x', options.xRange);
+        const [yMin, yMax] = range('y', options.yRange);
+
+        const toX = x => pad.left + (x - xMin) / (xMax - xMin) * width;
+        const toY = y => pad.top + (1 - (y - yMin) / (yMax - yMin)) * height;
+
+        // Grid and tick labels
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.fillStyle = '#B6C0C9';
+        ctx.font = '12px Inter';
+        ctx.lineWidth = 1;
+
+        for (let i = 0; i <= 4; i++) {
+            const xValue = xMin + (xMax - xMin) * i / 4;
+            const yValue = yMin + (yMax - yMin) * i / 4;
+
+            ctx.beginPath();
+            ctx.moveTo(toX(xValue), pad.top);
+            ctx.lineTo(toX(xValue), pad.top + height);
+            ctx.moveTo(pad.left, toY(yValue));
+            ctx.lineTo(pad.left + width, toY(yValue));
+            ctx.stroke();
+
+            ctx.textAlign = 'center';
+            ctx.fillText(Utils.formatSigFigs(xValue, 3), toX(xValue), pad.top + height + 16);
+            ctx.textAlign = 'right';
+            ctx.fillText(Utils.formatSigFigs(yValue, 3), pad.left - 6, toY(yValue) + 4);
+        }
+
+        // Axis titles
+        ctx.textAlign = 'center';
+        ctx.fillText(xLabel, pad.left + width / 2, canvas.height - 4);
+        ctx.save();
+        ctx.translate(12, pad.top + height / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText(yLabel, 0, 0);
+        ctx.restore();
+
+        // Clip series to the plot area
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(pad.left, pad.top, width, height);
+        ctx.clip();
+
+        series.forEach((s, i) => {
+            ctx.strokeStyle = s.color || this.colors[i % this.colors.length];
+            ctx.lineWidth = 2;
+            ctx.setLineDash(s.dashed ? [6, 4] : []);
+            ctx.beginPath();
+            s.points.forEach((p, j) => {
+                if (j === 0) ctx.moveTo(toX(p.x), toY(p.y));
+                else ctx.lineTo(toX(p.x), toY(p.y));
+            });
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        markers.forEach(m => {
+            ctx.fillStyle = m.color || '#F8FAFC';
+            ctx.beginPath();
+            ctx.arc(toX(m.x), toY(m.y), 5, 0, Math.PI * 2);
+            ctx.fill();
+            if (m.label) {
+                ctx.textAlign = toX(m.x) > pad.left + width / 2 ? 'right' : 'left';
+                ctx.fillText(m.label, toX(m.x) + (ctx.textAlign === 'left' ? 8 : -8), toY(m.y) - 8);
+            }
+        });
+        ctx.restore();
+
+        // Legend
+        const labelled = series.filter(s => s.label);
+        if (labelled.length > 1) {
+            ctx.textAlign = 'left';
+            labelled.forEach((s, i) => {
+                const y = pad.top + 12 + i * 16;
+                ctx.fillStyle = s.color || this.colors[series.indexOf(s) % this.colors.length];
+                ctx.fillRect(pad.left + width - 120, y - 8, 12, 3);
+                ctx.fillStyle = '#F8FAFC';
+                ctx.fillText(s.label, pad.left + width - 102, y - 3);
+            });
+        }
+    }
+};
+
 // ============================================
 // Hero Animation
 // ============================================
@@ -883,5 +1637,10 @@ window.ChargeLab = {
     DeepLinking,
     ExportUtils,
     Utils,
+    Measurement,
+    GuardDigits,
+    Units,
+    Uncertainty,
+    Charts,
     CONFIG
 };
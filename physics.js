@@ -11,15 +11,100 @@ const PHYSICS_CONSTANTS = {
     // Permeability of free space (H/m)
     MU_0: 4 * Math.PI * 1e-7,
 
-    // Relative permeability values
+    // Core materials: initial relative permeability, saturation flux
+    // density Bs (T) and coercivity Hc (A/m) of their B–H curves
     PERMEABILITY: {
         air: { name: 'Air', value: 1 },
-        ferrite: { name: 'Ferrite', value: 2000 },
-        steel: { name: 'Steel', value: 4000 }
+        ferrite: { name: 'Ferrite', value: 2000, saturation: 0.4, coercivity: 15 }, // MnZn power ferrite
+        steel: { name: 'Steel', value: 4000, saturation: 2.0, coercivity: 40 } // silicon electrical steel
     },
 
+    // Bisection steps allowed when solving for a core's operating point
+    OPERATING_POINT_ITERATIONS: 100,
+
+    // Linear-μᵣ results more than this many times the B–H curve's are flagged
+    // as misleading
+    SATURATION_WARNING_RATIO: 1.1,
+
+    // Elementary charge (C)
+    ELEMENTARY_CHARGE: 1.602176634e-19,
+
+    // Speed of light (m/s)
+    SPEED_OF_LIGHT: 299792458,
+
+    // Charged particles with charge (C) and mass (kg)
+    PARTICLES: {
+        electron: { name: 'Electron', charge: -1.602176634e-19, mass: 9.1093837015e-31 },
+        proton: { name: 'Proton', charge: 1.602176634e-19, mass: 1.67262192369e-27 }
+    },
+
+    // Magnetic force calculator modes
+    FORCE_MODES: ['wire-in-field', 'parallel-wires', 'moving-charge'],
+
+    // Electromagnetic induction lab modes
+    INDUCTION_MODES: ['magnet', 'rotating-loop'],
+
+    // The magnet starts and ends this many coil radii from the coil, where the
+    // flux it sends through the coil is under 1% of its peak
+    INDUCTION_TRAVEL: 5,
+
+    // Samples of Φ(t) over one pass of the magnet or two turns of the loop
+    INDUCTION_SAMPLES: 401,
+
+    // DC machine modes
+    MOTOR_MODES: ['motor', 'generator'],
+
+    // Transformers coupled more loosely than this (air-cored coils, wireless
+    // chargers) pass on noticeably less than the ideal power
+    LOOSE_COUPLING: 0.9,
+
     // Conductor types
-    CONDUCTOR_TYPES: ['straight-wire', 'single-loop', 'solenoid']
+    CONDUCTOR_TYPES: ['straight-wire', 'single-loop', 'solenoid', 'square-loop', 'finite-wire', 'bent-wire', 'parallel-wires', 'helmholtz', 'anti-helmholtz', 'toroid', 'scene'],
+
+    // Axes a custom scene's conductors can lie along: out of the page, across
+    // it or up it
+    SCENE_AXES: {
+        z: { x: 0, y: 0, z: 1 },
+        x: { x: 1, y: 0, z: 0 },
+        y: { x: 0, y: 1, z: 0 }
+    },
+
+    // A conductor just added to a custom scene, in SI units, before it is
+    // moved and sized
+    SCENE_CONDUCTORS: {
+        wire: { axis: 'z', current: 1, length: 1 },
+        loop: { axis: 'z', current: 1, radius: 0.01, turns: 1 },
+        solenoid: { axis: 'x', current: 1, radius: 0.01, length: 0.05, turns: 100 }
+    },
+
+    // "Long" wires in a scene are this many separations long, so the ends
+    // change the field between them by about one part in a million
+    LONG_WIRE_RATIO: 1000,
+
+    // Chords per full turn when arcs and helices are split into straight segments
+    ARC_STEPS: 72,
+
+    // Integration steps per orbit, and orbits traced, in the particle lab
+    TRAJECTORY_STEPS_PER_TURN: 360,
+    TRAJECTORY_TURNS: 3,
+
+    // The AC field simulator's oscilloscope: divisions across and down, and
+    // cycles of the source shown across the screen
+    SCOPE_DIVISIONS: { x: 10, y: 8 },
+    SCOPE_CYCLES: 2,
+
+    // Samples in the on-axis B(z) profile of a solenoid or coil pair
+    PROFILE_POINTS: 201,
+
+    // Time constants an RL transient is followed for (the current is then within 1% of its end value)
+    RL_TIME_CONSTANTS: 5,
+
+    // Samples along each side of the grid a coil pair's uniformity region is checked on
+    UNIFORMITY_SAMPLES: 9,
+
+    // Largest shortfall of the exact center field below μ₀μᵣNI/L that still
+    // counts as the ideal formula being a good approximation
+    IDEAL_TOLERANCE: 0.01
 };
 
 // ============================================
@@ -40,912 +125,7488 @@ const PHYSICS_PRESETS = {
         radius: 0.012, // 1.2 cm
         material: 'air'
     },
+    'parallel-like': {
+        name: 'Parallel Wires, Like Currents',
+        type: 'parallel-wires',
+        current: 5,
+        distance: 0.04, // 4 cm apart
+        wireCurrents: 'like'
+    },
+    'parallel-unlike': {
+        name: 'Parallel Wires, Unlike Currents',
+        type: 'parallel-wires',
+        current: 5,
+        distance: 0.04,
+        wireCurrents: 'unlike'
+    },
+    'helmholtz': {
+        name: 'Helmholtz Coils (e/m)',
+        type: 'helmholtz',
+        current: 1.5,
+        turns: 130,
+        radius: 0.15, // 15 cm, as in e/m tube kits
+        distance: 0.15, // d = R
+        region: 0.05 // 5 cm diameter around the center
+    },
+    'anti-helmholtz': {
+        name: 'Anti-Helmholtz Coils',
+        type: 'anti-helmholtz',
+        current: 2,
+        turns: 100,
+        radius: 0.05,
+        distance: 0.087, // d ≈ √3 R for the most linear gradient
+        region: 0.02
+    },
+    'wire-and-loop': {
+        name: 'Wire Beside a Loop',
+        type: 'scene',
+        current: 1,
+        conductors: [
+            { type: 'loop', x: 0, y: 0, axis: 'z', current: 1, radius: 0.02, turns: 1 }, // around P
+            { type: 'wire', x: 0.04, y: 0, axis: 'z', current: 5, length: 1 } // 4 cm to the right, out of the page
+        ]
+    },
+    'ferrite-toroid': {
+        name: 'Ferrite Toroid Choke',
+        type: 'toroid',
+        current: 0.2,
+        turns: 20,
+        radius: 0.006, // inner radius a = 0.6 cm
+        outerRadius: 0.012, // outer radius b = 1.2 cm
+        material: 'ferrite'
+    },
     'solenoid': {
         name: 'Solenoid',
         type: 'solenoid',
         current: 2,
         turns: 200,
         length: 0.05, // 5 cm
+        radius: 0.01, // 1 cm
         material: 'air'
     }
 };
 
+// Transformers for the transformer panel; the wireless charging pad's
+// coils are the Small Coil preset's, one in the pad and one in the phone
+const TRANSFORMER_PRESETS = {
+    'wireless-charger': {
+        name: 'Wireless Charging Pad',
+        primaryTurns: PHYSICS_PRESETS['small-coil'].turns,
+        secondaryTurns: PHYSICS_PRESETS['small-coil'].turns,
+        coupling: 0.5, // a phone lying on the pad, a few mm apart
+        core: 'air',
+        area: Math.PI * PHYSICS_PRESETS['small-coil'].radius ** 2,
+        pathLength: 0.05, // 5 cm, the field's loop around the flat coils
+        voltage: 5,
+        frequency: 140000, // 140 kHz, in the Qi standard's band
+        loadResistance: 5 // a phone taking 1 A at 5 V
+    },
+    'plug-in-adapter': {
+        name: 'Plug-in Adapter (60 Hz)',
+        primaryTurns: 2000,
+        secondaryTurns: 100,
+        coupling: 0.995,
+        core: 'steel',
+        area: 0.0004, // 4 cm²
+        pathLength: 0.1, // 10 cm
+        voltage: 120,
+        frequency: 60,
+        loadResistance: 6
+    },
+    'switch-mode-charger': {
+        name: 'Switch-Mode Phone Charger',
+        primaryTurns: 96,
+        secondaryTurns: 3,
+        coupling: 0.99,
+        core: 'ferrite',
+        area: 0.00002, // 0.2 cm², a thumbnail-sized core
+        pathLength: 0.035, // 3.5 cm
+        voltage: 160, // rectified mains, switched on and off
+        frequency: 100000, // 100 kHz
+        loadResistance: 5
+    }
+};
+
 // ============================================
-// Magnetic Field Calculator
+// Magnetic Materials
 // ============================================
-class MagneticFieldCalculator {
-    constructor(options = {}) {
-        this.conductorType = options.conductorType || 'solenoid';
-        this.current = options.current || 1; // Amperes
-        this.turns = options.turns || 100;
-        this.radius = options.radius || 0.01; // meters
-        this.length = options.length || 0.05; // meters
-        this.distance = options.distance || 0.01; // meters (for straight wire)
-        this.material = options.material || 'air';
 
-        this.results = null;
-        this.workSteps = [];
+/**
+ * A core material described by its B–H curve rather than a constant μᵣ.
+ * The magnetization curve is the arctangent model
+ * B = μ₀H + (2Bs/π) × atan(πμ₀(μᵣ − 1)H / 2Bs),
+ * which starts out with slope μ₀μᵣ and levels off at Bs above μ₀H; the
+ * hysteresis loop shifts it by ±Hc along H.
+ */
+class MagneticMaterial {
+    constructor({ name = 'Air', value = 1, saturation = Infinity, coercivity = 0 } = {}) {
+        this.name = name;
+        this.mu_r = value; // initial relative permeability
+        this.saturation = saturation; // T
+        this.coercivity = coercivity; // A/m
     }
 
     /**
-     * Get relative permeability for selected material
+     * Material for a key of PHYSICS_CONSTANTS.PERMEABILITY (air if unknown)
      */
-    getMu_r() {
-        return PHYSICS_CONSTANTS.PERMEABILITY[this.material]?.value || 1;
+    static fromKey(key) {
+        const { PERMEABILITY } = PHYSICS_CONSTANTS;
+        return new MagneticMaterial(PERMEABILITY[key] || PERMEABILITY.air);
     }
 
     /**
-     * Calculate magnetic field based on conductor type
+     * Whether B depends on H only through a constant μᵣ
      */
-    calculate() {
-        this.workSteps = [];
-        const mu_r = this.getMu_r();
-        const mu_0 = PHYSICS_CONSTANTS.MU_0;
-        const mu = mu_0 * mu_r;
-
-        let B, formula, description;
+    get isLinear() {
+        return this.mu_r === 1 || !isFinite(this.saturation);
+    }
 
-        switch (this.conductorType) {
-            case 'straight-wire':
-                B = this.calculateStraightWire(mu_0);
-                formula = 'B = μ₀ × I / (2πr)';
-                description = 'Magnetic field around an infinite straight conductor';
-                break;
+    /**
+     * Magnetic polarization J = B − μ₀H in T
+     */
+    polarization(H) {
+        const { MU_0 } = PHYSICS_CONSTANTS;
+        if (this.isLinear) return MU_0 * (this.mu_r - 1) * H;
+        const Bs = this.saturation;
+        return 2 * Bs / Math.PI * Math.atan(Math.PI * MU_0 * (this.mu_r - 1) * H / (2 * Bs));
+    }
 
-            case 'single-loop':
-                B = this.calculateSingleLoop(mu_0, mu_r);
-                formula = 'B ≈ μ₀ × μᵣ × N × I / (2r)';
-                description = 'Magnetic field at the center of a circular loop (or coil)';
-                break;
+    /**
+     * B in T on the initial magnetization curve at H in A/m
+     */
+    fieldAt(H) {
+        return PHYSICS_CONSTANTS.MU_0 * H + this.polarization(H);
+    }
 
-            case 'solenoid':
-            default:
-                B = this.calculateSolenoid(mu_0, mu_r);
-                formula = 'B = μ₀ × μᵣ × N × I / L';
-                description = 'Magnetic field inside a solenoid (center approximation)';
-                break;
+    /**
+     * Solve for the core's operating point when the winding alone would give
+     * H₀. An open core's poles push back with −D × M (M = J/μ₀), so
+     * H = H₀ − D × J(H)/μ₀, found by bisection between 0 and H₀.
+     * @param {number} applied - H₀ in A/m
+     * @param {number} demagnetizing - D, 0 for a closed core
+     * @returns {Object} { applied, H, B, J, demagnetizing, mu_eff, iterations } where
+     *   mu_eff = B ÷ μ₀H₀ is the μᵣ a linear formula would need to give B
+     */
+    operatingPoint(applied, demagnetizing = 0) {
+        const { MU_0, OPERATING_POINT_ITERATIONS } = PHYSICS_CONSTANTS;
+        const residual = H => H + demagnetizing * this.polarization(H) / MU_0 - applied;
+        let low = Math.min(0, applied);
+        let high = Math.max(0, applied);
+        let iterations = 0;
+
+        while (iterations < OPERATING_POINT_ITERATIONS && high - low > 1e-12 * Math.abs(applied)) {
+            const middle = (low + high) / 2;
+            if (residual(middle) > 0) high = middle;
+            else low = middle;
+            iterations++;
         }
 
-        this.results = {
+        const H = (low + high) / 2;
+        const B = this.fieldAt(H);
+        return {
+            applied,
+            H,
             B,
-            B_mT: B * 1000, // Convert to milliTesla
-            B_uT: B * 1e6, // Convert to microTesla
-            formula,
-            description,
-            conductorType: this.conductorType,
-            inputs: {
-                current: this.current,
-                turns: this.turns,
-                radius: this.radius,
-                length: this.length,
-                distance: this.distance,
-                material: this.material,
-                mu_r
-            },
-            constants: {
-                mu_0,
-                mu: mu_0 * mu_r
-            },
-            timestamp: new Date().toISOString()
+            J: this.polarization(H),
+            demagnetizing,
+            mu_eff: applied ? B / (MU_0 * applied) : this.mu_r,
+            iterations
         };
-
-        return this.results;
     }
 
     /**
-     * Calculate B-field for straight wire at distance r
-     * B = μ₀ × I / (2πr)
+     * Hysteresis loop between ±Hmax: the rising branch is the magnetization
+     * curve moved Hc to the right, the falling branch Hc to the left
+     * @returns {Object} { rising, falling, remanence, coercivity } with the
+     *   branches as [{ H, B }] in A/m and T
      */
-    calculateStraightWire(mu_0) {
-        const B = (mu_0 * this.current) / (2 * Math.PI * this.distance);
-
-        this.workSteps.push({
-            title: 'Apply Biot-Savart law for straight wire',
-            description: 'For an infinitely long straight conductor carrying current I',
-            calculations: [
-                `Formula: B = μ₀ × I / (2πr)`,
-                `μ₀ = ${mu_0.toExponential(4)} H/m`,
-                `I = ${this.current} A`,
-                `r = ${this.distance * 100} cm = ${this.distance} m`,
-                `B = (${mu_0.toExponential(4)} × ${this.current}) / (2π × ${this.distance})`,
-                `B = ${B.toExponential(4)} T = ${(B * 1e6).toFixed(2)} μT`
-            ]
+    hysteresisLoop(Hmax, points = PHYSICS_CONSTANTS.PROFILE_POINTS) {
+        const { MU_0 } = PHYSICS_CONSTANTS;
+        const Hc = this.coercivity;
+        const branch = shift => Array.from({ length: points }, (_, i) => {
+            const H = -Hmax + 2 * Hmax * i / (points - 1);
+            return { H, B: MU_0 * H + this.polarization(H + shift) };
         });
 
-        this.workSteps.push({
-            title: 'Direction (Right-Hand Rule)',
-            description: 'Point thumb in direction of current flow',
-            calculations: [
-                'Fingers curl in direction of magnetic field lines',
-                'Field forms concentric circles around the wire',
-                'Field strength decreases with distance (1/r relationship)'
-            ]
-        });
+        return {
+            rising: branch(-Hc),
+            falling: branch(Hc),
+            remanence: this.polarization(Hc),
+            coercivity: Hc
+        };
+    }
+}
 
-        return B;
+/**
+ * Demagnetizing factor along the axis of a rod core, taken as the
+ * spheroid with the same length-to-diameter ratio m: 1/3 for a sphere,
+ * → 0 for a long rod and → 1 for a thin disc
+ */
+function demagnetizingFactor(m) {
+    if (Math.abs(m - 1) < 1e-9) return 1 / 3;
+    if (m > 1) {
+        const root = Math.sqrt(m * m - 1);
+        return (m / root * Math.log(m + root) - 1) / (m * m - 1);
     }
+    const root = Math.sqrt(1 - m * m);
+    return (1 - m / root * Math.acos(m)) / (1 - m * m);
+}
 
-    /**
-     * Calculate B-field at center of single loop or coil
-     * B = μ₀ × μᵣ × N × I / (2r)
-     */
-    calculateSingleLoop(mu_0, mu_r) {
-        const B = (mu_0 * mu_r * this.turns * this.current) / (2 * this.radius);
+// ============================================
+// Biot–Savart Integrator
+// ============================================
 
-        this.workSteps.push({
-            title: 'Calculate field at center of circular coil',
-            description: `For ${this.turns} turns of radius ${this.radius * 100} cm`,
-            calculations: [
-                `Formula: B = μ₀ × μᵣ × N × I / (2r)`,
-                `μ₀ = ${mu_0.toExponential(4)} H/m`,
-                `μᵣ = ${mu_r} (${this.material})`,
-                `N = ${this.turns} turns`,
-                `I = ${this.current} A`,
-                `r = ${this.radius * 100} cm = ${this.radius} m`,
-                `B = (${mu_0.toExponential(4)} × ${mu_r} × ${this.turns} × ${this.current}) / (2 × ${this.radius})`,
-                `B = ${B.toExponential(4)} T = ${(B * 1000).toFixed(4)} mT`
-            ]
-        });
+/**
+ * Vector helpers for points and fields as { x, y, z }
+ */
+const Vec3 = {
+    ZERO: Object.freeze({ x: 0, y: 0, z: 0 }),
+    add: (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z }),
+    sub: (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z }),
+    scale: (a, k) => ({ x: a.x * k, y: a.y * k, z: a.z * k }),
+    dot: (a, b) => a.x * b.x + a.y * b.y + a.z * b.z,
+    cross: (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x }),
+    length: a => Math.hypot(a.x, a.y, a.z)
+};
 
-        this.workSteps.push({
-            title: 'Direction (Right-Hand Rule for Loops)',
-            description: 'Curl fingers in direction of current around loop',
-            calculations: [
-                'Thumb points in direction of B-field through center',
-                'Field is strongest at the center of the loop',
-                'This approximation applies at the exact center only'
-            ]
-        });
+/**
+ * Biot–Savart integral over one straight segment from a to b, for unit
+ * current and without the μ/4π factor. With r₁ = p − a and r₂ = p − b this is
+ * the closed form of (cos θ₁ − cos θ₂)/d along dl × r̂:
+ * (r₁ × r₂)(|r₁| + |r₂|) / (|r₁||r₂|(|r₁||r₂| + r₁·r₂))
+ * Points on the segment itself give zero rather than infinity.
+ */
+function segmentField(a, b, p) {
+    const r1 = Vec3.sub(p, a);
+    const r2 = Vec3.sub(p, b);
+    const l1 = Vec3.length(r1);
+    const l2 = Vec3.length(r2);
+    const denominator = l1 * l2 * (l1 * l2 + Vec3.dot(r1, r2));
+    if (!(denominator > 1e-12 * l1 * l1 * l2 * l2)) return Vec3.ZERO;
+    return Vec3.scale(Vec3.cross(r1, r2), (l1 + l2) / denominator);
+}
 
-        return B;
+/**
+ * A current-carrying conductor as a polyline of points in m. Current I flows
+ * from the first point to the last; straight pieces are integrated exactly,
+ * and arcs and helices are split into ARC_STEPS chords per turn.
+ */
+class ConductorPath {
+    constructor(points = [], current = 1) {
+        this.points = points;
+        this.current = current;
+    }
+
+    get segmentCount() {
+        return Math.max(0, this.points.length - 1);
     }
 
     /**
-     * Calculate B-field inside solenoid (center)
-     * B = μ₀ × μᵣ × N × I / L
+     * Total wire length in m
      */
-    calculateSolenoid(mu_0, mu_r) {
-        const B = (mu_0 * mu_r * this.turns * this.current) / this.length;
-
-        this.workSteps.push({
-            title: 'Apply solenoid formula',
-            description: `For solenoid with ${this.turns} turns over ${this.length * 100} cm length`,
-            calculations: [
-                `Formula: B = μ₀ × μᵣ × N × I / L`,
-                `μ₀ = ${mu_0.toExponential(4)} H/m`,
-                `μᵣ = ${mu_r} (${this.material})`,
-                `N = ${this.turns} turns`,
-                `I = ${this.current} A`,
-                `L = ${this.length * 100} cm = ${this.length} m`,
-                `B = (${mu_0.toExponential(4)} × ${mu_r} × ${this.turns} × ${this.current}) / ${this.length}`,
-                `B = ${B.toExponential(4)} T = ${(B * 1000).toFixed(4)} mT`
-            ]
-        });
-
-        this.workSteps.push({
-            title: 'Solenoid field properties',
-            description: 'Understanding the approximation limits',
-            calculations: [
-                'This formula gives the field at the CENTER of a long solenoid',
-                'Accuracy improves when length >> radius',
-                'Field is approximately uniform inside, near zero outside',
-                'At the ends, B ≈ half the center value'
-            ]
-        });
-
-        this.workSteps.push({
-            title: 'Turns density (n)',
-            description: 'Alternative formulation using turns per unit length',
-            calculations: [
-                `n = N/L = ${this.turns}/${this.length} = ${(this.turns / this.length).toFixed(1)} turns/m`,
-                `B = μ₀ × μᵣ × n × I`,
-                `This shows B is proportional to turns density, not total turns`
-            ]
-        });
-
-        return B;
+    get wireLength() {
+        return this.points.slice(1).reduce((sum, point, i) => sum + Vec3.length(Vec3.sub(point, this.points[i])), 0);
     }
 
     /**
-     * Calculate B-field at multiple distances (for straight wire demo)
+     * Continue with another path's points, merging a shared joint
      */
-    calculateAtDistances(distances) {
-        return distances.map(d => {
-            this.distance = d;
-            const result = this.calculate();
-            return { distance: d, B: result.B };
-        });
+    append(path) {
+        const last = this.points[this.points.length - 1];
+        const [first, ...rest] = path.points;
+        const joined = last && first && Vec3.length(Vec3.sub(first, last)) < 1e-12;
+        this.points = this.points.concat(joined ? rest : path.points);
+        return this;
     }
 
     /**
-     * Get work steps
+     * Straight wire from one point to another
      */
-    getWorkSteps() {
-        return this.workSteps;
+    static segment(from, to, current = 1) {
+        return new ConductorPath([from, to], current);
     }
 
     /**
-     * Export as JSON
+     * Arc of a circle in the plane z = center.z, counterclockwise from angle
+     * `from` to `to` (radians) seen from +z
      */
-    exportJSON() {
-        return {
-            results: this.results,
-            workSteps: this.workSteps,
-            constants: PHYSICS_CONSTANTS
-        };
+    static arc({ center = Vec3.ZERO, radius, from = 0, to = 2 * Math.PI }, current = 1) {
+        const steps = Math.max(1, Math.ceil(Math.abs(to - from) / (2 * Math.PI) * PHYSICS_CONSTANTS.ARC_STEPS));
+        const points = Array.from({ length: steps + 1 }, (_, i) => {
+            const angle = from + (to - from) * i / steps;
+            return { x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle), z: center.z };
+        });
+        return new ConductorPath(points, current);
     }
 
     /**
-     * Load from URL parameters
+     * Helix along +z, centered on `center`, winding counterclockwise seen from +z
      */
-    static fromURLParams(params) {
-        return new MagneticFieldCalculator({
-            conductorType: params.type || 'solenoid',
-            current: parseFloat(params.current) || 1,
-            turns: parseInt(params.turns) || 100,
-            radius: parseFloat(params.radius) || 0.01,
-            length: parseFloat(params.length) || 0.05,
-            distance: parseFloat(params.distance) || 0.01,
-            material: params.material || 'air'
+    static helix({ center = Vec3.ZERO, radius, pitch, turns }, current = 1) {
+        const steps = Math.max(1, Math.ceil(turns * PHYSICS_CONSTANTS.ARC_STEPS));
+        const height = pitch * turns;
+        const points = Array.from({ length: steps + 1 }, (_, i) => {
+            const angle = 2 * Math.PI * turns * i / steps;
+            return {
+                x: center.x + radius * Math.cos(angle),
+                y: center.y + radius * Math.sin(angle),
+                z: center.z - height / 2 + height * i / steps
+            };
         });
+        return new ConductorPath(points, current);
     }
 
     /**
-     * Generate URL parameters
+     * Closed square loop of side a in the xy-plane, centered on the origin,
+     * counterclockwise seen from +z
      */
-    toURLParams() {
-        const params = new URLSearchParams();
-        params.set('type', this.conductorType);
-        params.set('current', this.current);
-        params.set('turns', this.turns);
-        params.set('radius', this.radius);
-        params.set('length', this.length);
-        params.set('distance', this.distance);
-        params.set('material', this.material);
-        return params.toString();
+    static square(side, current = 1) {
+        const h = side / 2;
+        return new ConductorPath([
+            { x: h, y: -h, z: 0 }, { x: h, y: h, z: 0 }, { x: -h, y: h, z: 0 },
+            { x: -h, y: -h, z: 0 }, { x: h, y: -h, z: 0 }
+        ], current);
     }
-}
-
-// ============================================
-// Magnetic Field Simulator (Canvas)
-// ============================================
-class MagneticFieldSimulator {
-    constructor(canvasId) {
-        this.canvas = document.getElementById(canvasId);
-        if (!this.canvas) return;
-
-        this.ctx = this.canvas.getContext('2d');
-        this.calculator = new MagneticFieldCalculator();
-
-        this.isRunning = false;
-        this.animationFrame = null;
-        this.time = 0;
 
-        this.resize();
-        window.addEventListener('resize', () => this.resize());
+    /**
+     * Straight wire of length L along +y, centered on the origin
+     */
+    static finiteWire(length, current = 1) {
+        return ConductorPath.segment({ x: 0, y: -length / 2, z: 0 }, { x: 0, y: length / 2, z: 0 }, current);
     }
 
-    resize() {
-        const rect = this.canvas.parentElement.getBoundingClientRect();
-        this.canvas.width = rect.width;
-        this.canvas.height = Math.min(rect.height, 400);
-        this.centerX = this.canvas.width / 2;
-        this.centerY = this.canvas.height / 2;
+    /**
+     * Wire bent through a right angle at the origin: in along −y from
+     * (0, ℓ, 0), then out along +x to (ℓ, 0, 0)
+     */
+    static bentWire(legLength, current = 1) {
+        return new ConductorPath([{ x: 0, y: legLength, z: 0 }, Vec3.ZERO, { x: legLength, y: 0, z: 0 }], current);
     }
 
     /**
-     * Update calculator parameters
+     * Shortest distance in m from a point to the path
      */
-    setParameters(params) {
-        Object.assign(this.calculator, params);
-        this.calculator.calculate();
-        this.draw();
+    distanceTo(point) {
+        let nearest = Infinity;
+        for (let i = 1; i < this.points.length; i++) {
+            const a = this.points[i - 1];
+            const along = Vec3.sub(this.points[i], a);
+            const span = Vec3.dot(along, along);
+            const t = span ? Math.min(1, Math.max(0, Vec3.dot(Vec3.sub(point, a), along) / span)) : 0;
+            nearest = Math.min(nearest, Vec3.length(Vec3.sub(point, Vec3.add(a, Vec3.scale(along, t)))));
+        }
+        return nearest;
     }
 
     /**
-     * Start animation
+     * B vector in T at a point, for a medium of permeability mu
      */
-    start() {
-        this.isRunning = true;
-        this.animate();
+    fieldAt(point, mu = PHYSICS_CONSTANTS.MU_0) {
+        let sum = Vec3.ZERO;
+        for (let i = 1; i < this.points.length; i++) {
+            sum = Vec3.add(sum, segmentField(this.points[i - 1], this.points[i], point));
+        }
+        return Vec3.scale(sum, mu * this.current / (4 * Math.PI));
     }
 
     /**
-     * Stop animation
+     * B vectors on every combination of the given coordinates (m); pass a
+     * single z for a slice in the xy-plane
+     * @returns {Array} [{ point, B }]
      */
-    stop() {
-        this.isRunning = false;
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-        }
+    fieldOnGrid(xs, ys, zs = [0], mu = PHYSICS_CONSTANTS.MU_0) {
+        return sampleGrid(point => this.fieldAt(point, mu), xs, ys, zs);
     }
+}
 
-    /**
-     * Animation loop
-     */
-    animate() {
-        if (!this.isRunning) return;
+/**
+ * Evaluate a field on every combination of the given coordinates
+ * @returns {Array} [{ point, B }]
+ */
+function sampleGrid(fieldAt, xs, ys, zs) {
+    return zs.flatMap(z => ys.flatMap(y => xs.map(x => {
+        const point = { x, y, z };
+        return { point, B: fieldAt(point) };
+    })));
+}
 
-        this.time += 0.02;
-        this.draw();
+/**
+ * Rotation taking +z onto the given axis, about their common perpendicular
+ * @returns {Function} point => rotated point
+ */
+function rotationFromZ(axis) {
+    const n = Vec3.scale(axis, 1 / Vec3.length(axis));
+    if (n.z > 1 - 1e-12) return p => p;
+    if (n.z < -1 + 1e-12) return p => ({ x: p.x, y: -p.y, z: -p.z });
+
+    // Rodrigues: v cos θ + (k × v) sin θ + k (k · v)(1 − cos θ)
+    const k = Vec3.scale(Vec3.cross({ x: 0, y: 0, z: 1 }, n), 1 / Math.hypot(n.x, n.y));
+    const cos = n.z;
+    const sin = Math.hypot(n.x, n.y);
+    return p => Vec3.add(
+        Vec3.add(Vec3.scale(p, cos), Vec3.scale(Vec3.cross(k, p), sin)),
+        Vec3.scale(k, Vec3.dot(k, p) * (1 - cos))
+    );
+}
 
-        this.animationFrame = requestAnimationFrame(() => this.animate());
+/**
+ * Several wires, loops and solenoids, each with its own position,
+ * orientation and current. The net B at a point is the vector sum of their
+ * fields.
+ */
+class FieldScene {
+    constructor(conductors = []) {
+        this.conductors = [];
+        conductors.forEach(conductor => this.add(conductor));
     }
 
     /**
-     * Draw the simulation
+     * Add a conductor { type, position, axis, current, direction, length, radius, turns, label }.
+     * type is 'wire', 'loop' or 'solenoid'. Each is built centered on the
+     * origin along +z, then turned so +z points along `axis` and moved to
+     * `position`. A wire's current flows along the axis; in loops and
+     * solenoids it circulates counterclockwise about it, so B inside points
+     * along the axis. direction −1 reverses the current.
      */
-    draw() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-
-        switch (this.calculator.conductorType) {
-            case 'straight-wire':
-                this.drawStraightWire();
+    add(conductor) {
+        const c = { position: Vec3.ZERO, axis: { x: 0, y: 0, z: 1 }, current: 1, direction: 1, turns: 1, ...conductor };
+        const current = c.current * c.direction;
+
+        let local;
+        switch (c.type) {
+            case 'wire':
+                local = ConductorPath.segment({ x: 0, y: 0, z: -c.length / 2 }, { x: 0, y: 0, z: c.length / 2 }, current);
                 break;
-            case 'single-loop':
-                this.drawSingleLoop();
+            case 'loop':
+                // N coincident turns act as one loop carrying NI
+                local = ConductorPath.arc({ radius: c.radius }, c.turns * current);
                 break;
             case 'solenoid':
-            default:
-                this.drawSolenoid();
+                local = ConductorPath.helix({ radius: c.radius, pitch: c.length / c.turns, turns: c.turns }, current);
                 break;
+            default:
+                throw new Error(`Unknown conductor type: ${c.type}`);
         }
 
-        // Draw field strength indicator
-        this.drawFieldIndicator();
+        const rotate = rotationFromZ(c.axis);
+        c.path = new ConductorPath(local.points.map(p => Vec3.add(rotate(p), c.position)), local.current);
+        this.conductors.push(c);
+        return this;
     }
 
     /**
-     * Draw straight wire visualization
+     * Net B vector in T at a point
      */
-    drawStraightWire() {
-        const { ctx, centerX, centerY, canvas } = this;
+    fieldAt(point, mu = PHYSICS_CONSTANTS.MU_0) {
+        return this.conductors.reduce((sum, c) => Vec3.add(sum, c.path.fieldAt(point, mu)), Vec3.ZERO);
+    }
 
-        // Draw the wire (going into/out of page)
-        ctx.beginPath();
-        ctx.arc(centerX, centerY, 15, 0, Math.PI * 2);
-        ctx.fillStyle = '#3EF1C6';
-        ctx.fill();
-        ctx.strokeStyle = '#00D1FF';
-        ctx.lineWidth = 2;
-        ctx.stroke();
+    /**
+     * Net B vectors on every combination of the given coordinates (m)
+     * @returns {Array} [{ point, B }]
+     */
+    fieldOnGrid(xs, ys, zs = [0], mu = PHYSICS_CONSTANTS.MU_0) {
+        return sampleGrid(point => this.fieldAt(point, mu), xs, ys, zs);
+    }
+}
 
-        // Draw current direction indicator (dot = out of page, x = into page)
-        ctx.fillStyle = '#071733';
-        ctx.beginPath();
-        ctx.arc(centerX, centerY, 5, 0, Math.PI * 2);
-        ctx.fill();
+/**
+ * Complete elliptic integrals of the first and second kind, K(k) and E(k),
+ * by the arithmetic–geometric mean
+ * @param {number} k - modulus, 0 ≤ k < 1
+ * @returns {Object} { K, E }
+ */
+function ellipticIntegrals(k) {
+    let a = 1;
+    let b = Math.sqrt(1 - k * k);
+    let c = k;
+    let weight = 0.5;
+    let sum = weight * c * c;
+
+    while (Math.abs(c) > 1e-15) {
+        const mean = (a + b) / 2;
+        c = (a - b) / 2;
+        b = Math.sqrt(a * b);
+        a = mean;
+        weight *= 2;
+        sum += weight * c * c;
+    }
 
-        // Draw concentric field lines
-        const numLines = 6;
-        for (let i = 1; i <= numLines; i++) {
-            const radius = 30 + i * 35;
-            const opacity = 1 - (i / numLines) * 0.6;
+    const K = Math.PI / (2 * a);
+    return { K, E: K * (1 - sum) };
+}
 
-            ctx.beginPath();
-            ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-            ctx.strokeStyle = `rgba(0, 209, 255, ${opacity})`;
-            ctx.lineWidth = 1.5;
-            ctx.setLineDash([5, 5]);
-            ctx.lineDashOffset = -this.time * 20;
-            ctx.stroke();
-            ctx.setLineDash([]);
+/**
+ * Nagaoka's coefficient: the inductance of a solenoid of radius R and
+ * length L as a fraction of the long-solenoid μ₀N²πR²/L, from 1 for a long
+ * coil toward 0 for a flat one
+ */
+function nagaokaCoefficient(radius, length) {
+    const k = 2 * radius / Math.hypot(2 * radius, length);
+    const kc = Math.sqrt(1 - k * k);
+    const { K, E } = ellipticIntegrals(k);
+    return 4 / (3 * Math.PI * kc) * (kc * kc / (k * k) * (K - E) + E - k);
+}
 
-            // Draw arrows on field lines
-            const arrowAngle = this.time + i * 0.5;
-            this.drawArrowOnCircle(centerX, centerY, radius, arrowAngle, this.calculator.current > 0);
-        }
+/**
+ * A length in m as "value display-unit = value m", for work steps
+ */
+function showLength(length, displayUnits) {
+    const unit = displayUnits.length;
+    return unit === 'm'
+        ? length.format('m')
+        : `${window.ChargeLab.Units.format(length, 'length', unit)} = ${length.format('m')}`;
+}
 
-        // Label
-        ctx.fillStyle = '#F8FAFC';
-        ctx.font = '14px Inter';
-        ctx.textAlign = 'center';
-        ctx.fillText('I = ' + this.calculator.current + ' A', centerX, canvas.height - 20);
-        ctx.fillText('(current out of page)', centerX, canvas.height - 5);
-    }
+/**
+ * B in tesla with its significant figures, then in the display unit
+ */
+function showB(B, displayUnits) {
+    const { Units } = window.ChargeLab;
+    const unit = Units.pick(B.value, 'magneticField', displayUnits.magneticField);
+    return unit === 'T' ? B.describe('T') : `${B.describe('T')} = ${Units.format(B, 'magneticField', unit)}`;
+}
 
+/**
+ * Base of the calculators whose inputs keep the significant figures typed
+ * (this.sigFigs, by input key)
+ */
+class MeasuredCalculator {
     /**
-     * Draw single loop visualization
+     * Measurement for an input with its typed significant figures
      */
-    drawSingleLoop() {
-        const { ctx, centerX, centerY, canvas } = this;
-        const loopRadius = Math.min(canvas.width, canvas.height) * 0.25;
-
-        // Draw the loop
-        ctx.beginPath();
-        ctx.arc(centerX, centerY, loopRadius, 0, Math.PI * 2);
-        ctx.strokeStyle = '#3EF1C6';
-        ctx.lineWidth = 6;
-        ctx.stroke();
+    measure(key) {
+        return window.ChargeLab.Measurement.fromInput(this[key], this.sigFigs[key]);
+    }
 
-        // Draw current direction arrows around the loop
-        for (let angle = 0; angle < Math.PI * 2; angle += Math.PI / 4) {
-            const x = centerX + Math.cos(angle) * loopRadius;
-            const y = centerY + Math.sin(angle) * loopRadius;
-            this.drawCurrentArrow(x, y, angle + Math.PI / 2);
-        }
+    /**
+     * A length in m as "value display-unit = value m"
+     */
+    showLength(length) {
+        return showLength(length, this.displayUnits);
+    }
 
-        // Draw field lines through center
-        const numLines = 5;
-        for (let i = 0; i < numLines; i++) {
-            const offset = (i - (numLines - 1) / 2) * 15;
+    /**
+     * B in tesla with its significant figures, then in the display unit
+     */
+    showB(B) {
+        return showB(B, this.displayUnits);
+    }
+}
 
-            ctx.beginPath();
-            ctx.moveTo(centerX + offset, centerY - loopRadius * 1.5);
-            ctx.lineTo(centerX + offset, centerY + loopRadius * 1.5);
-            ctx.strokeStyle = 'rgba(0, 209, 255, 0.6)';
-            ctx.lineWidth = 1.5;
-            ctx.setLineDash([8, 4]);
-            ctx.lineDashOffset = -this.time * 30;
-            ctx.stroke();
-            ctx.setLineDash([]);
+// ============================================
+// Magnetic Field Calculator
+// ============================================
+class MagneticFieldCalculator extends MeasuredCalculator {
+    constructor(options = {}) {
+        super();
+        this.conductorType = options.conductorType || 'solenoid';
+        this.current = options.current || 1; // Amperes
+        this.current2 = options.current2 || this.current; // Amperes, in the second of two parallel wires
+        this.turns = options.turns || 100;
+        this.radius = options.radius || 0.01; // meters
+        this.length = options.length || 0.05; // meters
+        this.distance = options.distance || 0.01; // meters from a wire, or between two wires or coils
+        this.outerRadius = options.outerRadius || 0.02; // meters, a toroid's outer radius (radius is its inner radius)
+        this.position = options.position || 0; // meters along a solenoid's axis from its center, or from a toroid's axis (0: its mean radius)
+        this.region = options.region || 0.01; // meters, diameter of the region a coil pair's uniformity is checked over
+        this.wireDiameter = options.wireDiameter || 0.0005; // meters, of the wire wound into loops and coil pairs
+        this.wireCurrents = options.wireCurrents === 'unlike' ? 'unlike' : 'like'; // parallel wires: same or opposite directions
+
+        // A custom scene's wires, loops and solenoids around the field point P:
+        // { type, x, y (m from P), axis ('z', 'x' or 'y'), current (A, negative
+        // reverses it), radius, length (m), turns, sigFigs }
+        this.conductors = (options.conductors || []).map(c => ({ ...c, sigFigs: { ...c.sigFigs } }));
+        this.material = options.material || 'air';
+        this.hysteresis = !!options.hysteresis; // include the core's hysteresis loop in the results
 
-            // Arrow at top
-            this.drawArrow(centerX + offset, centerY - loopRadius * 1.3, Math.PI / 2);
-        }
+        // Significant figures of current, radius, length and distance as
+        // typed; turns are counted, and μ₀ and μᵣ are taken as exact. Without
+        // its own I₂, the second of two parallel wires carries I₁ as typed
+        this.sigFigs = { ...options.sigFigs };
+        if (!options.current2 && this.sigFigs.current) this.sigFigs.current2 = this.sigFigs.current;
 
-        // Draw B-field indicator at center
-        ctx.fillStyle = 'rgba(0, 209, 255, 0.3)';
-        ctx.beginPath();
-        ctx.arc(centerX, centerY, 20, 0, Math.PI * 2);
-        ctx.fill();
+        // Optional ± per input ({ value, percent }, absolute values in SI
+        // units), propagated by 'linear' rules or 'montecarlo'
+        this.uncertainties = { ...options.uncertainties };
+        this.uncertaintyMethod = options.uncertaintyMethod === 'montecarlo' ? 'montecarlo' : 'linear';
 
-        ctx.fillStyle = '#00D1FF';
-        ctx.font = 'bold 14px Inter';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText('B', centerX, centerY);
+        // Units the work steps show B and lengths in ('auto' picks mT, μT, ...)
+        this.displayUnits = { magneticField: 'auto', length: 'cm', ...options.displayUnits };
 
-        // Labels
-        ctx.fillStyle = '#F8FAFC';
-        ctx.font = '12px Inter';
-        ctx.textBaseline = 'alphabetic';
-        ctx.fillText(`N = ${this.calculator.turns} turns`, centerX, canvas.height - 30);
-        ctx.fillText(`I = ${this.calculator.current} A`, centerX, canvas.height - 15);
+        this.results = null;
+        this.workSteps = [];
     }
 
     /**
-     * Draw solenoid visualization
+     * The selected core material with its B–H curve
      */
-    drawSolenoid() {
-        const { ctx, centerX, centerY, canvas } = this;
+    getMaterial() {
+        return MagneticMaterial.fromKey(this.material);
+    }
 
-        const solenoidWidth = canvas.width * 0.6;
-        const solenoidHeight = 80;
-        const startX = centerX - solenoidWidth / 2;
-        const endX = centerX + solenoidWidth / 2;
+    /**
+     * Whether the conductor type winds around a core
+     */
+    hasCore() {
+        return ['single-loop', 'solenoid', 'square-loop', 'toroid'].includes(this.conductorType);
+    }
 
-        // Draw coil turns
-        const numTurnsDrawn = Math.min(20, this.calculator.turns);
-        const turnSpacing = solenoidWidth / numTurnsDrawn;
+    /**
+     * H₀ in A/m the winding alone gives where the core is read: the center of
+     * a loop or solenoid, or r from a toroid's axis
+     * @param {Object} v - { current, turns, radius, outerRadius, length, position }, this calculator's by default
+     */
+    appliedH(v = this) {
+        const NI = v.turns * v.current;
+        switch (this.conductorType) {
+            case 'single-loop':
+                return NI / (2 * v.radius);
+            case 'square-loop':
+                return 2 * Math.SQRT2 * NI / (Math.PI * v.length);
+            case 'toroid':
+                return NI / (2 * Math.PI * this.toroidRadius(v));
+            default:
+                return NI / Math.hypot(v.length, 2 * v.radius);
+        }
+    }
 
-        for (let i = 0; i <= numTurnsDrawn; i++) {
-            const x = startX + i * turnSpacing;
+    /**
+     * Demagnetizing factor of the core: a solenoid's core is an open rod as
+     * long and wide as the winding, and a toroid's is closed. Loops take the
+     * core to close the flux path, as μ₀μᵣNI/2r assumes.
+     */
+    coreDemagnetizingFactor(v = this) {
+        return this.conductorType === 'solenoid' ? demagnetizingFactor(v.length / (2 * v.radius)) : 0;
+    }
 
-            // Draw ellipse for each turn
-            ctx.beginPath();
-            ctx.ellipse(x, centerY, 8, solenoidHeight / 2, 0, 0, Math.PI * 2);
-            ctx.strokeStyle = i % 2 === 0 ? '#3EF1C6' : '#2BC5AA';
-            ctx.lineWidth = 3;
-            ctx.stroke();
-        }
+    /**
+     * Where the core sits on its B–H curve
+     * @returns {Object|null} MagneticMaterial#operatingPoint, or null with no core or an air core
+     */
+    coreOperatingPoint(v = this) {
+        const material = this.getMaterial();
+        if (!this.hasCore() || material.mu_r === 1) return null;
+        return material.operatingPoint(this.appliedH(v), this.coreDemagnetizingFactor(v));
+    }
 
-        // Draw horizontal connecting lines
-        ctx.beginPath();
-        ctx.moveTo(startX, centerY - solenoidHeight / 2);
-        ctx.lineTo(endX, centerY - solenoidHeight / 2);
-        ctx.moveTo(startX, centerY + solenoidHeight / 2);
-        ctx.lineTo(endX, centerY + solenoidHeight / 2);
-        ctx.strokeStyle = '#3EF1C6';
-        ctx.lineWidth = 2;
-        ctx.stroke();
+    /**
+     * Relative permeability the field formulas use: the effective μᵣ = B ÷ μ₀H₀
+     * at the core's operating point, which falls below the material's initial
+     * μᵣ as the core saturates or when its ends are open
+     */
+    getMu_r(v = this) {
+        return this.coreOperatingPoint(v)?.mu_eff ?? 1;
+    }
 
-        // Draw internal field lines
-        const numFieldLines = 5;
-        for (let i = 0; i < numFieldLines; i++) {
-            const yOffset = (i - (numFieldLines - 1) / 2) * 12;
+    /**
+     * μᵣ for work steps: as given when constant, else to 4 s.f.
+     */
+    showMu_r(mu_r) {
+        return Number.isInteger(mu_r) ? String(mu_r) : mu_r.toPrecision(4);
+    }
 
-            ctx.beginPath();
-            ctx.moveTo(startX - 30, centerY + yOffset);
-            ctx.lineTo(endX + 30, centerY + yOffset);
-            ctx.strokeStyle = 'rgba(0, 209, 255, 0.5)';
-            ctx.lineWidth = 1.5;
-            ctx.setLineDash([6, 4]);
-            ctx.lineDashOffset = -this.time * 25;
-            ctx.stroke();
-            ctx.setLineDash([]);
+    /**
+     * The "μᵣ = ..." line of a work step
+     */
+    describeMu_r(mu_r) {
+        return this.coreOperatingPoint()
+            ? `μᵣ = ${this.showMu_r(mu_r)} (${this.material}, effective at its operating point)`
+            : `μᵣ = ${mu_r} (${this.material})`;
+    }
 
-            // Arrows
-            this.drawArrow(centerX, centerY + yOffset, 0);
+    /**
+     * Find the core's operating point on its B–H curve, pushed as a work
+     * step that warns when the formula with the material's constant μᵣ
+     * would be misleading
+     * @returns {Object|null} the operating point with { material, name, saturation,
+     *   fraction, linearB, warning, curve, loop }, or null with no core or an air core
+     */
+    analyzeCore() {
+        const point = this.coreOperatingPoint();
+        if (!point) return null;
+
+        const { MU_0, SATURATION_WARNING_RATIO } = PHYSICS_CONSTANTS;
+        const { Utils } = window.ChargeLab;
+        const round = x => Utils.formatSigFigs(x, 4);
+        const material = this.getMaterial();
+        const Bs = material.saturation;
+        const D = point.demagnetizing;
+        const fraction = point.B / Bs;
+
+        // What the air-core formula × μᵣ gives, and with the open ends alone
+        const linearB = MU_0 * material.mu_r * point.applied;
+        const openB = linearB / (1 + D * (material.mu_r - 1));
+        const reasons = [];
+        if (linearB / openB > SATURATION_WARNING_RATIO) {
+            reasons.push(`the open ends of the core cut it to ${round(openB)} T even before saturation`);
         }
+        if (openB / point.B > SATURATION_WARNING_RATIO) {
+            reasons.push(`the core is saturating, so B falls behind μᵣ × μ₀H and cannot climb much past Bs = ${Bs} T`);
+        }
+        const warning = reasons.length
+            ? `The air-core formula × μᵣ = ${material.mu_r} gives ${round(linearB)} T, ${Utils.formatSigFigs(linearB / point.B, 3)} times the ${round(point.B)} T on the B–H curve: ${reasons.join(', and ')}`
+            : null;
+
+        const applied = {
+            'single-loop': ['N × I / (2r)', 'at the center'],
+            'square-loop': ['2√2 × N × I / (πa)', 'at the center'],
+            'toroid': ['N × I / (2πr)', 'at r'],
+            'solenoid': ['N × I / √(L² + 4R²)', 'at the center']
+        }[this.conductorType];
+        const ratio = this.length / (2 * this.radius);
 
-        // Draw external return field lines (curved)
-        ctx.beginPath();
-        ctx.moveTo(endX + 30, centerY - 30);
-        ctx.quadraticCurveTo(endX + 80, centerY - 100, centerX, centerY - 120);
-        ctx.quadraticCurveTo(startX - 80, centerY - 100, startX - 30, centerY - 30);
-        ctx.strokeStyle = 'rgba(0, 209, 255, 0.3)';
-        ctx.lineWidth = 1;
-        ctx.stroke();
-
-        ctx.beginPath();
-        ctx.moveTo(endX + 30, centerY + 30);
-        ctx.quadraticCurveTo(endX + 80, centerY + 100, centerX, centerY + 120);
-        ctx.quadraticCurveTo(startX - 80, centerY + 100, startX - 30, centerY + 30);
-        ctx.stroke();
+        this.workSteps.push({
+            title: 'Find the operating point on the B–H curve',
+            description: `${material.name} has μᵣ = ${material.mu_r} only at low fields; its B–H curve levels off at the saturation flux density Bs = ${Bs} T`,
+            calculations: [
+                'B–H curve: B = μ₀H + (2Bs/π) × atan(πμ₀(μᵣ − 1)H / 2Bs)',
+                `The winding alone ${applied[1]}: H₀ = ${applied[0]} = ${round(point.applied)} A/m`,
+                ...(this.conductorType === 'solenoid'
+                    ? [
+                        `The core is an open rod with L/2R = ${ratio.toPrecision(3)}, so its poles push back: demagnetizing factor D = ${D.toPrecision(3)}`,
+                        `H = H₀ − D × J(H)/μ₀, with J = B − μ₀H; solved by bisection in ${point.iterations} steps: H = ${round(point.H)} A/m`
+                    ]
+                    : [
+                        this.conductorType === 'toroid'
+                            ? 'A toroidal core closes on itself (D = 0), so H = H₀'
+                            : 'The core is taken to close the flux path (D = 0), as the μᵣ formula assumes; an open core gives less',
+                        `H = ${round(point.H)} A/m`
+                    ]),
+                `B = ${round(point.B)} T on the curve, ${(fraction * 100).toFixed(0)}% of saturation`,
+                `Effective μᵣ = B / (μ₀ × H₀) = ${this.showMu_r(point.mu_eff)}, used in the formulas below`,
+                warning ? `⚠ ${warning}` : `Constant μᵣ = ${material.mu_r} agrees with the B–H curve within ${Math.round((SATURATION_WARNING_RATIO - 1) * 100)}% here`
+            ]
+        });
 
-        // N and S pole labels
-        ctx.fillStyle = '#00D1FF';
-        ctx.font = 'bold 16px Inter';
-        ctx.textAlign = 'center';
-        ctx.fillText('N', startX - 45, centerY + 5);
-        ctx.fillStyle = '#3EF1C6';
-        ctx.fillText('S', endX + 45, centerY + 5);
+        // B–H curve out to well into saturation and past the operating point
+        const knee = Math.tan(0.45 * Math.PI) * 2 * Bs / (Math.PI * MU_0 * (material.mu_r - 1));
+        const Hmax = Math.max(1.5 * Math.abs(point.H), knee, 4 * material.coercivity);
+        const points = PHYSICS_CONSTANTS.PROFILE_POINTS;
+        const curve = Array.from({ length: points }, (_, i) => {
+            const H = -Hmax + 2 * Hmax * i / (points - 1);
+            return { H, B: material.fieldAt(H) };
+        });
 
-        // Info labels
-        ctx.fillStyle = '#F8FAFC';
-        ctx.font = '12px Inter';
-        ctx.fillText(`N = ${this.calculator.turns} turns, L = ${(this.calculator.length * 100).toFixed(1)} cm`, centerX, canvas.height - 30);
-        ctx.fillText(`I = ${this.calculator.current} A, μᵣ = ${this.calculator.getMu_r()}`, centerX, canvas.height - 15);
+        return {
+            ...point,
+            material: this.material,
+            name: material.name,
+            saturation: Bs,
+            initialMu_r: material.mu_r,
+            fraction,
+            linearB,
+            warning,
+            curve,
+            loop: this.hysteresis ? material.hysteresisLoop(Hmax, points) : null
+        };
+    }
+
+    /**
+     * Calculate magnetic field based on conductor type
+     */
+    calculate() {
+        // The current, and every length but a position, must be positive
+        const sizes = { current: 'current', radius: 'radius', outerRadius: 'outer radius', length: 'length', distance: 'distance', wireDiameter: 'wire diameter' };
+        if (this.conductorType === 'parallel-wires') sizes.current2 = 'second wire\'s current';
+        Object.entries(sizes).forEach(([key, name]) => {
+            if (!(this[key] > 0)) {
+                throw new Error(`The ${name} must be greater than zero`);
+            }
+        });
+
+        this.workSteps = [];
+        const mu_r = this.getMu_r();
+        const mu_0 = PHYSICS_CONSTANTS.MU_0;
+        const core = this.analyzeCore();
+
+        let measuredB, formula, description;
+        let solenoid = null;
+        let coils = null;
+        let toroid = null;
+        let vector = null;
+
+        switch (this.conductorType) {
+            case 'straight-wire':
+                measuredB = this.calculateStraightWire(mu_0);
+                formula = 'B = μ₀ × I / (2πr)';
+                description = 'Magnetic field around an infinite straight conductor';
+                break;
+
+            case 'single-loop':
+                measuredB = this.calculateSingleLoop(mu_0, mu_r);
+                formula = 'B ≈ μ₀ × μᵣ × N × I / (2r)';
+                description = 'Magnetic field at the center of a circular loop (or coil)';
+                break;
+
+            case 'square-loop':
+            case 'finite-wire':
+            case 'bent-wire':
+                measuredB = this.calculatePath(mu_0, mu_r);
+                vector = this.pathField();
+                formula = 'B = (μ₀I / 4π) ∫ dl × r̂ / r², summed over straight segments';
+                description = {
+                    'square-loop': 'Magnetic field at the center of a square loop (or coil), by numerical Biot–Savart',
+                    'finite-wire': 'Magnetic field beside a straight wire of finite length, by numerical Biot–Savart',
+                    'bent-wire': 'Magnetic field near a wire bent through a right angle, by numerical Biot–Savart'
+                }[this.conductorType];
+                break;
+
+            case 'parallel-wires':
+                measuredB = this.calculateScene(mu_0);
+                vector = this.scene().fieldAt(Vec3.ZERO, mu_0);
+                formula = 'B = B₁ + B₂ (vectors), each B = μ₀ × I / (2πr)';
+                description = `Magnetic field midway between two long parallel wires with ${this.wireCurrents} currents`;
+                break;
+
+            case 'scene':
+                measuredB = this.calculateCustomScene(mu_0);
+                vector = this.scene().fieldAt(Vec3.ZERO, mu_0);
+                formula = 'B = B₁ + B₂ + … (vectors), each by numerical Biot–Savart';
+                description = 'Magnetic field at P from a custom scene of wires, loops and solenoids';
+                break;
+
+            case 'helmholtz':
+            case 'anti-helmholtz':
+                measuredB = this.calculateCoilPair(mu_0);
+                coils = this.analyzeCoilPair(mu_0);
+                formula = 'B(z) = μ₀NIR² / (2(R² + (z + d/2)²)^(3/2)) ± μ₀NIR² / (2(R² + (z − d/2)²)^(3/2))';
+                description = this.conductorType === 'helmholtz'
+                    ? 'Magnetic field at the midpoint of a Helmholtz coil pair'
+                    : 'Magnetic field at the midpoint of an anti-Helmholtz coil pair, where the gradient is steady';
+                break;
+
+            case 'toroid':
+                [measuredB, toroid] = this.calculateToroid(mu_0, mu_r);
+                formula = 'B = μ₀ × μᵣ × N × I / (2πr) for a ≤ r ≤ b, and 0 outside the core';
+                description = 'Magnetic field inside the core of a toroid';
+                break;
+
+            case 'solenoid':
+            default:
+                measuredB = this.calculateSolenoid(mu_0, mu_r);
+                solenoid = this.compareSolenoidWithIdeal(mu_0, mu_r);
+                formula = 'B(z) = (μ₀μᵣNI / 2L) × [(z + L/2)/√((z + L/2)² + R²) − (z − L/2)/√((z − L/2)² + R²)]';
+                description = 'Exact on-axis magnetic field of a finite solenoid';
+                break;
+        }
+
+        const B = measuredB.value;
+        const energy = this.calculateEnergy(mu_0, mu_r, measuredB);
+        const uncertainty = this.propagateUncertainty(mu_0);
+
+        this.results = {
+            B,
+            B_mT: B * 1000, // Convert to milliTesla
+            B_uT: B * 1e6, // Convert to microTesla
+            formula,
+            description,
+            conductorType: this.conductorType,
+            inputs: {
+                current: this.current,
+                current2: this.current2,
+                turns: this.turns,
+                radius: this.radius,
+                outerRadius: this.outerRadius,
+                length: this.length,
+                distance: this.distance,
+                position: this.position,
+                region: this.region,
+                wireDiameter: this.wireDiameter,
+                wireCurrents: this.wireCurrents,
+                conductors: this.conductors.map(c => ({ ...c, sigFigs: { ...c.sigFigs } })),
+                material: this.material,
+                mu_r,
+                sigFigs: { ...this.sigFigs },
+                uncertainties: { ...this.uncertainties },
+                uncertaintyMethod: this.uncertaintyMethod
+            },
+            measured: { B: measuredB },
+            uncertainty,
+
+            // Numerical conductors and scenes only: the B vector { x, y, z } in T
+            vector,
+
+            // Solenoid only: the ideal formula, center and end fields, and B(z)
+            solenoid,
+
+            // Coil pairs only: center field and gradient, B(z), and uniformity over the region
+            coils,
+
+            // Toroids only: B at the inner and outer radius, and B(r) across the core
+            toroid,
+
+            // Inductance and stored energy of windings (null for wires), and the
+            // energy density where B is found
+            energy,
+
+            // Iron and ferrite cores only: the operating point on the B–H curve,
+            // any warning about the constant-μᵣ formula, and the curve (and loop)
+            core,
+            constants: {
+                mu_0,
+                mu: mu_0 * mu_r
+            },
+            timestamp: new Date().toISOString()
+        };
+
+        return this.results;
+    }
+
+    /**
+     * Calculate B-field for straight wire at distance r
+     * B = μ₀ × I / (2πr)
+     * @returns {Measurement} B in tesla
+     */
+    calculateStraightWire(mu_0) {
+        const current = this.measure('current');
+        const distance = this.measure('distance');
+        const B = current.scaled(mu_0).dividedBy(distance.scaled(2 * Math.PI));
+
+        this.workSteps.push({
+            title: 'Apply Biot-Savart law for straight wire',
+            description: 'For an infinitely long straight conductor carrying current I',
+            calculations: [
+                `Formula: B = μ₀ × I / (2πr)`,
+                `μ₀ = ${mu_0.toExponential(4)} H/m`,
+                `I = ${current.format('A')}`,
+                `r = ${this.showLength(distance)}`,
+                `B = (${mu_0.toExponential(4)} × ${current.format()}) / (2π × ${distance.format()})`,
+                `B = ${this.showB(B)}`,
+                `B keeps the ${B.sigFigs} s.f. of the least precise of I and r`
+            ]
+        });
+
+        this.workSteps.push({
+            title: 'Direction (Right-Hand Rule)',
+            description: 'Point thumb in direction of current flow',
+            calculations: [
+                'Fingers curl in direction of magnetic field lines',
+                'Field forms concentric circles around the wire',
+                'Field strength decreases with distance (1/r relationship)'
+            ]
+        });
+
+        return B;
+    }
+
+    /**
+     * Calculate B-field at center of single loop or coil
+     * B = μ₀ × μᵣ × N × I / (2r)
+     * @returns {Measurement} B in tesla
+     */
+    calculateSingleLoop(mu_0, mu_r) {
+        const { Units } = window.ChargeLab;
+        const current = this.measure('current');
+        const radius = this.measure('radius');
+        const B = current.scaled(mu_0 * mu_r * this.turns).dividedBy(radius.scaled(2));
+
+        this.workSteps.push({
+            title: 'Calculate field at center of circular coil',
+            description: `For ${this.turns} turns of radius ${Units.format(radius, 'length', this.displayUnits.length)}`,
+            calculations: [
+                `Formula: B = μ₀ × μᵣ × N × I / (2r)`,
+                `μ₀ = ${mu_0.toExponential(4)} H/m`,
+                this.describeMu_r(mu_r),
+                `N = ${this.turns} turns`,
+                `I = ${current.format('A')}`,
+                `r = ${this.showLength(radius)}`,
+                `B = (${mu_0.toExponential(4)} × ${this.showMu_r(mu_r)} × ${this.turns} × ${current.format()}) / (2 × ${radius.format()})`,
+                `B = ${this.showB(B)}`,
+                `B keeps the ${B.sigFigs} s.f. of the least precise of I and r (N is counted exactly)`
+            ]
+        });
+
+        this.workSteps.push({
+            title: 'Direction (Right-Hand Rule for Loops)',
+            description: 'Curl fingers in direction of current around loop',
+            calculations: [
+                'Thumb points in direction of B-field through center',
+                'Field is strongest at the center of the loop',
+                'This approximation applies at the exact center only'
+            ]
+        });
+
+        return B;
+    }
+
+    /**
+     * Conductor path and field point for the shapes with no textbook formula,
+     * built from v (this calculator's values by default)
+     * @returns {Object|null} { path, point, mu }, or null for the closed-form types
+     */
+    conductorPath(v = this) {
+        const { MU_0 } = PHYSICS_CONSTANTS;
+        switch (this.conductorType) {
+            case 'square-loop':
+                // N coincident turns act as one loop carrying NI
+                return { path: ConductorPath.square(v.length, v.turns * v.current), point: Vec3.ZERO, mu: MU_0 * this.getMu_r(v) };
+            case 'finite-wire':
+                return { path: ConductorPath.finiteWire(v.length, v.current), point: { x: v.distance, y: 0, z: 0 }, mu: MU_0 };
+            case 'bent-wire':
+                // L is the whole wire; P sits r from the corner on the bisector, between the legs
+                return {
+                    path: ConductorPath.bentWire(v.length / 2, v.current),
+                    point: { x: v.distance * Math.SQRT1_2, y: v.distance * Math.SQRT1_2, z: 0 },
+                    mu: MU_0
+                };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * B vector in T at the field point of a numerical conductor
+     */
+    pathField(v = this) {
+        const { path, point, mu } = this.conductorPath(v);
+        return path.fieldAt(point, mu);
+    }
+
+    /**
+     * Calculate B by summing the Biot–Savart law over the conductor path,
+     * checked against the closed form for the shape
+     * @returns {Measurement} B in tesla
+     */
+    calculatePath(mu_0, mu_r) {
+        const { Measurement, Units } = window.ChargeLab;
+        const type = this.conductorType;
+        const current = this.measure('current');
+        const length = this.measure('length');
+        const distance = this.measure('distance');
+        const { path, point } = this.conductorPath();
+        const field = this.pathField();
+        const inputs = type === 'square-loop' ? [current, length] : [current, length, distance];
+        const B = new Measurement(Vec3.length(field), Measurement.min(...inputs));
+
+        const lengthUnit = this.displayUnits.length;
+        const showPoint = p => `(${['x', 'y', 'z'].map(k => Units.format(new Measurement(p[k], 3), 'length', lengthUnit)).join(', ')})`;
+        const a = this.length;
+        const d = this.distance;
+        const I = this.current;
+
+        this.workSteps.push({
+            title: 'Build the conductor path',
+            description: {
+                'square-loop': `Square loop of side a = ${Units.format(length, 'length', lengthUnit)} with ${this.turns} turns; field at its center`,
+                'finite-wire': `Straight wire of length L = ${Units.format(length, 'length', lengthUnit)}; field r = ${Units.format(distance, 'length', lengthUnit)} from its midpoint`,
+                'bent-wire': `Wire of length L = ${Units.format(length, 'length', lengthUnit)} bent through 90° at its middle; field r = ${Units.format(distance, 'length', lengthUnit)} from the corner, on the bisector`
+            }[type],
+            calculations: [
+                `${path.segmentCount} straight segment${path.segmentCount === 1 ? '' : 's'}, ${Units.format(new Measurement(path.wireLength, 3), 'length', lengthUnit)} of wire in the xy-plane`,
+                type === 'square-loop'
+                    ? `N coincident turns act as one loop carrying N × I = ${this.turns} × ${current.format('A')} = ${current.scaled(this.turns).format('A')}`
+                    : `I = ${current.format('A')}`,
+                `Field point P = ${showPoint(point)}`
+            ]
+        });
+
+        this.workSteps.push({
+            title: 'Sum the Biot–Savart law over the segments',
+            description: 'dB = (μ₀ × I / 4π) × dl × r̂ / r², integrated exactly along each straight segment',
+            calculations: [
+                'Each segment gives (μ₀ × I / 4πd)(cos θ₁ − cos θ₂) along dl × r̂, where d is its perpendicular distance to P and θ₁, θ₂ are the angles to its ends',
+                `μ₀${type === 'square-loop' ? ` × μᵣ = ${mu_0.toExponential(4)} × ${this.showMu_r(mu_r)}` : ` = ${mu_0.toExponential(4)}`} H/m`,
+                `B = (${field.x.toExponential(4)}, ${field.y.toExponential(4)}, ${field.z.toExponential(4)}) T`,
+                `|B| = ${this.showB(B)}, ${field.z >= 0 ? 'out of the page (+z)' : 'into the page (−z)'}`,
+                `B keeps the ${B.sigFigs} s.f. of the least precise of ${type === 'square-loop' ? 'I and a (N is counted exactly)' : 'I, L and r'}`
+            ]
+        });
+
+        // Every piece is straight, so the sum reproduces the textbook result
+        let closedForm, check;
+        if (type === 'square-loop') {
+            closedForm = 2 * Math.SQRT2 * mu_0 * mu_r * this.turns * I / (Math.PI * a);
+            const circle = mu_0 * mu_r * this.turns * I / a;
+            check = [
+                `Closed form: B = 2√2 × μ₀ × μᵣ × N × I / (πa) = ${closedForm.toExponential(4)} T`,
+                `A circular loop that just fits inside (r = a/2) gives μ₀ × μᵣ × N × I / a = ${circle.toExponential(4)} T; the square gives ${(closedForm / circle).toFixed(3)} of that`
+            ];
+        } else if (type === 'finite-wire') {
+            closedForm = mu_0 * I * a / (2 * Math.PI * d * Math.sqrt(a * a + 4 * d * d));
+            const infinite = mu_0 * I / (2 * Math.PI * d);
+            check = [
+                `Closed form: B = μ₀ × I × L / (2πr × √(L² + 4r²)) = ${closedForm.toExponential(4)} T`,
+                `An infinite wire gives μ₀ × I / (2πr) = ${infinite.toExponential(4)} T; this wire gives L / √(L² + 4r²) = ${(closedForm / infinite).toFixed(4)} of that`
+            ];
+        } else {
+            const leg = a / 2;
+            const h = d * Math.SQRT1_2;
+            closedForm = 2 * mu_0 * I / (4 * Math.PI * h) * ((leg - h) / Math.hypot(leg - h, h) + Math.SQRT1_2);
+            check = [
+                `P is h = r/√2 = ${Units.format(new Measurement(h, 3), 'length', lengthUnit)} from both legs (ℓ = L/2 each), and both add along +z`,
+                `Closed form: B = 2 × (μ₀ × I / 4πh) × [(ℓ − h)/√((ℓ − h)² + h²) + 1/√2] = ${closedForm.toExponential(4)} T`
+            ];
+        }
+
+        this.workSteps.push({
+            title: 'Check against the closed form',
+            description: 'Straight segments integrate exactly, so the sum matches the textbook result',
+            calculations: [
+                ...check,
+                `Numerical and closed-form results differ by ${(Math.abs(Vec3.length(field) - closedForm) / closedForm * 100).toExponential(1)}%`
+            ]
+        });
+
+        return B;
+    }
+
+    /**
+     * Conductors for the multi-conductor types, built from v (this
+     * calculator's values by default). Parallel wires run along z, r apart,
+     * so the page shows their cross-section; coil pairs share an axis along
+     * x, so the page shows them side-on; a custom scene's conductors sit
+     * where they were placed around P, lettered A, B, C, ...
+     * @returns {FieldScene|null} null for the single-conductor types
+     */
+    scene(v = this) {
+        if (this.isCoilPair()) return this.coilPairScene(v);
+        if (this.conductorType === 'scene') {
+            return new FieldScene(this.conductors.map((c, i) => ({
+                type: c.type,
+                label: String.fromCharCode(65 + i),
+                position: { x: c.x, y: c.y, z: 0 },
+                axis: PHYSICS_CONSTANTS.SCENE_AXES[c.axis],
+                current: c.current,
+                ...(c.type === 'wire' ? { length: c.length } : { radius: c.radius, turns: c.turns }),
+                ...(c.type === 'solenoid' ? { length: c.length } : {})
+            })));
+        }
+        if (this.conductorType !== 'parallel-wires') return null;
+        const length = PHYSICS_CONSTANTS.LONG_WIRE_RATIO * v.distance;
+        return new FieldScene([
+            { type: 'wire', label: 'A', position: { x: -v.distance / 2, y: 0, z: 0 }, current: v.current, length },
+            { type: 'wire', label: 'B', position: { x: v.distance / 2, y: 0, z: 0 }, current: v.current2, direction: this.wireCurrents === 'unlike' ? -1 : 1, length }
+        ]);
+    }
+
+    /**
+     * Calculate the net B midway between two parallel wires by adding the
+     * field vectors of each
+     * @returns {Measurement} |B| in tesla
+     */
+    calculateScene(mu_0) {
+        const { Units } = window.ChargeLab;
+        const current = this.measure('current');
+        const current2 = this.measure('current2');
+        const distance = this.measure('distance');
+        const scene = this.scene();
+        const fields = scene.conductors.map(c => c.path.fieldAt(Vec3.ZERO, mu_0));
+        const sum = fields.reduce(Vec3.add, Vec3.ZERO);
+        const like = this.wireCurrents === 'like';
+
+        // Each wire alone gives μ₀I/(πr) at P; like currents oppose there, so
+        // equal currents cancel exactly
+        const eachA = current.scaled(mu_0).dividedBy(distance.scaled(Math.PI));
+        const eachB = current2.scaled(mu_0).dividedBy(distance.scaled(Math.PI));
+        const B = like ? eachA.minus(eachB).abs() : eachA.plus(eachB);
+        const magnitude = B.value === 0 ? 0 : Vec3.length(sum);
+        const lengthUnit = this.displayUnits.length;
+        const way = field => field.y >= 0 ? 'up the page (+y)' : 'down the page (−y)';
+        const show = field => `(${field.x.toExponential(3)}, ${field.y.toExponential(3)}, ${field.z.toExponential(3)}) T`;
+
+        this.workSteps.push({
+            title: 'Set up the scene',
+            description: `Two long parallel wires ${Units.format(distance, 'length', lengthUnit)} apart, seen end-on`,
+            calculations: [
+                `Wire A at x = −r/2 carries I₁ = ${current.format('A')} out of the page (+z)`,
+                `Wire B at x = +r/2 carries I₂ = ${current2.format('A')} ${like ? 'out of the page (+z)' : 'into the page (−z)'}`,
+                `Each is modeled as ${PHYSICS_CONSTANTS.LONG_WIRE_RATIO} separations long, so it acts as an infinite wire`,
+                `Field point P: midway between them, r/2 = ${this.showLength(distance.scaled(0.5))} from each`
+            ]
+        });
+
+        this.workSteps.push({
+            title: 'Add the field vectors',
+            description: 'Fields superpose as vectors: B = B_A + B_B',
+            calculations: [
+                `Wire A alone: B = μ₀ × I₁ / (2π × r/2) = μ₀ × I₁ / (πr) = ${this.showB(eachA)}`,
+                `Wire B alone: B = μ₀ × I₂ / (πr) = ${this.showB(eachB)}`,
+                `B_A = ${show(fields[0])}, ${way(fields[0])} by the right-hand rule`,
+                `B_B = ${show(fields[1])}, ${way(fields[1])}`,
+                like
+                    ? (magnitude === 0
+                        ? 'Like currents: the two fields are equal and opposite here, so B = 0'
+                        : `Like currents: the two fields oppose here, so B = μ₀ × |I₁ − I₂| / (πr) = ${this.showB(B)}, ${way(sum)}`)
+                    : `Unlike currents: the two fields point the same way here, so B = μ₀ × (I₁ + I₂) / (πr) = ${this.showB(B)}, ${way(sum)}`,
+                `B keeps the significant figures of I₁, I₂ and r through the ${like ? 'difference' : 'sum'}`
+            ]
+        });
+
+        return B;
+    }
+
+    /**
+     * A custom scene conductor's value as a Measurement with its typed
+     * significant figures
+     */
+    measureConductor(conductor, key) {
+        return window.ChargeLab.Measurement.fromInput(conductor[key], conductor.sigFigs?.[key]);
+    }
+
+    /**
+     * Calculate the net B at P, the origin, from the conductors of a custom
+     * scene by adding the field vectors of each
+     * @returns {Measurement} |B| in tesla
+     */
+    calculateCustomScene(mu_0) {
+        const { Measurement, Units } = window.ChargeLab;
+        if (this.conductors.length === 0) {
+            throw new Error('Add a wire, loop or solenoid to the scene');
+        }
+
+        // Each conductor's sizes must be positive, and P must lie off every one
+        const scene = this.scene();
+        const names = { wire: 'Wire', loop: 'Loop', solenoid: 'Solenoid' };
+        const sizes = { wire: ['length'], loop: ['radius'], solenoid: ['radius', 'length'] };
+        scene.conductors.forEach((part, i) => {
+            const c = this.conductors[i];
+            const name = `${names[c.type]} ${part.label}`;
+            if (![c.x, c.y].every(isFinite)) {
+                throw new Error(`Place ${name} at a position (x, y)`);
+            }
+            if (!c.current || !isFinite(c.current)) {
+                throw new Error(`The current in ${name} must not be zero`);
+            }
+            sizes[c.type].forEach(key => {
+                if (!(c[key] > 0)) {
+                    throw new Error(`The ${key} of ${name} must be greater than zero`);
+                }
+            });
+            if (c.type !== 'wire' && !(Number.isInteger(c.turns) && c.turns > 0)) {
+                throw new Error(`${name} needs a whole number of turns`);
+            }
+            if (part.path.distanceTo(Vec3.ZERO) < 1e-6 * Math.max(c.radius || 0, c.length || 0)) {
+                throw new Error(`P lies on ${name}, where its field is infinite; move the conductor off P`);
+            }
+        });
+
+        const fields = scene.conductors.map(part => part.path.fieldAt(Vec3.ZERO, mu_0));
+        const sum = fields.reduce(Vec3.add, Vec3.ZERO);
+
+        // B keeps the least precise of the currents, sizes and positions; a
+        // conductor placed level with P (x or y of 0) is exactly there
+        const measured = this.conductors.flatMap(c => ['current', 'x', 'y', ...sizes[c.type]]
+            .filter(key => c[key] !== 0)
+            .map(key => this.measureConductor(c, key)));
+        const B = new Measurement(Vec3.length(sum), Measurement.min(...measured));
+
+        const lengthUnit = this.displayUnits.length;
+        const show = field => `(${field.x.toExponential(3)}, ${field.y.toExponential(3)}, ${field.z.toExponential(3)}) T`;
+        const axes = { z: 'out of the page (+z)', x: 'across the page (+x)', y: 'up the page (+y)' };
+        const place = c => `(${['x', 'y'].map(key => Units.format(this.measureConductor(c, key), 'length', lengthUnit)).join(', ')})`;
+        const setup = (c, i) => {
+            const { label } = scene.conductors[i];
+            const I = `I = ${this.measureConductor(c, 'current').format('A')}`;
+            const size = key => Units.format(this.measureConductor(c, key), 'length', lengthUnit);
+            switch (c.type) {
+                case 'wire':
+                    return `Wire ${label} at ${place(c)}, ${size('length')} long, carries ${I} ${axes[c.axis]}`;
+                case 'loop':
+                    return `Loop ${label} at ${place(c)}, r = ${size('radius')}, N = ${c.turns}, axis ${axes[c.axis]}, ${I}`;
+                default:
+                    return `Solenoid ${label} at ${place(c)}, r = ${size('radius')}, L = ${size('length')}, N = ${c.turns}, axis ${axes[c.axis]}, ${I}`;
+            }
+        };
+
+        this.workSteps.push({
+            title: 'Set up the scene',
+            description: `${this.conductors.length} conductor${this.conductors.length === 1 ? '' : 's'} placed around the field point P at the origin, with the page as the xy-plane`,
+            calculations: [
+                ...this.conductors.map(setup),
+                'Loops and solenoids carry their current counterclockwise seen from the tip of their axis; a negative current runs the other way'
+            ]
+        });
+
+        this.workSteps.push({
+            title: 'Add the field vectors',
+            description: 'Each conductor\'s field at P is found by numerical Biot–Savart, and the fields superpose as vectors',
+            calculations: [
+                ...fields.map((field, i) => `B_${scene.conductors[i].label} = ${show(field)}`),
+                `B = ${scene.conductors.map(part => `B_${part.label}`).join(' + ')} = ${show(sum)}`,
+                `|B| = ${this.showB(B)}`,
+                `B keeps the ${B.sigFigs} s.f. of the least precise current, size and position`
+            ]
+        });
+
+        return B;
+    }
+
+    /**
+     * Exact on-axis field of a finite solenoid at axial position z (m from
+     * its center), treating the winding as a uniform current sheet:
+     * B = (μ₀μᵣNI / 2L) × [(z + L/2)/√((z + L/2)² + R²) − (z − L/2)/√((z − L/2)² + R²)]
+     * @param {number} z
+     * @param {Object} v - { current, turns, length, radius }, this calculator's by default
+     * @returns {number} B in tesla
+     */
+    solenoidFieldAt(z, v = this) {
+        const mu = PHYSICS_CONSTANTS.MU_0 * this.getMu_r(v);
+        const a = z + v.length / 2;
+        const b = z - v.length / 2;
+        return mu * v.turns * v.current / (2 * v.length) * (a / Math.hypot(a, v.radius) - b / Math.hypot(b, v.radius));
+    }
+
+    /**
+     * B(z) along the axis, from beyond one end to beyond the other
+     * @returns {Array} [{ z, B }] in m and T
+     */
+    solenoidProfile(points = PHYSICS_CONSTANTS.PROFILE_POINTS) {
+        const reach = this.length / 2 + Math.max(this.length / 2, 2 * this.radius, Math.abs(this.position));
+        return Array.from({ length: points }, (_, i) => {
+            const z = -reach + 2 * reach * i / (points - 1);
+            return { z, B: this.solenoidFieldAt(z) };
+        });
+    }
+
+    /**
+     * Calculate the on-axis B-field of a finite solenoid at z
+     * @returns {Measurement} B in tesla
+     */
+    calculateSolenoid(mu_0, mu_r) {
+        const { Measurement, Units, Utils } = window.ChargeLab;
+        const current = this.measure('current');
+        const length = this.measure('length');
+        const radius = this.measure('radius');
+        const position = this.position ? this.measure('position') : new Measurement(0);
+        const turnsDensity = new Measurement(this.turns).dividedBy(length);
+
+        const z = this.position;
+        const a = z + this.length / 2;
+        const b = z - this.length / 2;
+        const prefactor = mu_0 * mu_r * this.turns * this.current / (2 * this.length);
+        const B = new Measurement(this.solenoidFieldAt(z), Measurement.min(current, length, radius, position));
+        const round = x => Utils.formatSigFigs(x, 4);
+        const squared = x => x < 0 ? `(${round(x)})²` : `${round(x)}²`;
+
+        this.workSteps.push({
+            title: 'Apply finite solenoid formula (on axis)',
+            description: `For ${this.turns} turns over ${Units.format(length, 'length', this.displayUnits.length)} length and ${Units.format(radius, 'length', this.displayUnits.length)} radius, at z = ${z ? Units.format(position, 'length', this.displayUnits.length) : 0} from the center`,
+            calculations: [
+                `Formula: B(z) = (μ₀ × μᵣ × N × I / 2L) × [(z + L/2)/√((z + L/2)² + R²) − (z − L/2)/√((z − L/2)² + R²)]`,
+                `μ₀ = ${mu_0.toExponential(4)} H/m`,
+                this.describeMu_r(mu_r),
+                `N = ${this.turns} turns`,
+                `I = ${current.format('A')}`,
+                `L = ${this.showLength(length)}`,
+                `R = ${this.showLength(radius)}`,
+                `z = ${z ? this.showLength(position) : '0 (center)'}`,
+                `μ₀ × μᵣ × N × I / 2L = ${prefactor.toExponential(4)} T`,
+                `(z + L/2)/√((z + L/2)² + R²) = ${round(a)}/√(${squared(a)} + ${squared(this.radius)}) = ${(a / Math.hypot(a, this.radius)).toFixed(4)}`,
+                `(z − L/2)/√((z − L/2)² + R²) = ${round(b)}/√(${squared(b)} + ${squared(this.radius)}) = ${(b / Math.hypot(b, this.radius)).toFixed(4)}`,
+                `B(z) = ${this.showB(B)}`,
+                `B keeps the ${B.sigFigs} s.f. of the least precise of I, L and R${z ? ' and z' : ''} (N is counted exactly)`
+            ]
+        });
+
+        this.workSteps.push({
+            title: 'Turns density (n)',
+            description: 'Alternative formulation using turns per unit length',
+            calculations: [
+                `n = N/L = ${this.turns}/${length.format()} = ${turnsDensity.describe('turns/m')}`,
+                `Deep inside a long solenoid B → μ₀ × μᵣ × n × I`,
+                `This shows B is proportional to turns density, not total turns`
+            ]
+        });
+
+        return B;
+    }
+
+    /**
+     * Compare the exact center field with the ideal (infinitely long)
+     * solenoid, B = μ₀μᵣNI/L, pushed as a work step
+     * @returns {Object} { ideal, center, end, ratio, minLengthRatio, profile } where
+     *   ratio = B(0) ÷ B_ideal and minLengthRatio is the L/R at which the
+     *   ideal formula comes within IDEAL_TOLERANCE
+     */
+    compareSolenoidWithIdeal(mu_0, mu_r) {
+        const { Measurement } = window.ChargeLab;
+        const current = this.measure('current');
+        const length = this.measure('length');
+        const radius = this.measure('radius');
+        const known = value => new Measurement(value, Measurement.min(current, length, radius));
+
+        const ideal = current.scaled(mu_0 * mu_r * this.turns).dividedBy(length);
+        const center = known(this.solenoidFieldAt(0));
+        const end = known(this.solenoidFieldAt(this.length / 2));
+        const ratio = this.length / Math.hypot(this.length, 2 * this.radius);
+        const shortfall = 1 - ratio;
+
+        // L/√(L² + 4R²) ≥ 1 − tolerance  ⇔  L/R ≥ 2(1 − t)/√(1 − (1 − t)²)
+        const target = 1 - PHYSICS_CONSTANTS.IDEAL_TOLERANCE;
+        const minLengthRatio = 2 * target / Math.sqrt(1 - target * target);
+
+        this.workSteps.push({
+            title: 'Compare with the ideal solenoid formula',
+            description: 'B = μ₀ × μᵣ × N × I / L assumes an infinitely long solenoid',
+            calculations: [
+                `Ideal: B = (${PHYSICS_CONSTANTS.MU_0.toExponential(4)} × ${this.showMu_r(mu_r)} × ${this.turns} × ${current.format()}) / ${length.format()} = ${this.showB(ideal)}`,
+                `Exact at the center: B(0) = ${this.showB(center)}`,
+                `B(0) ÷ B_ideal = L / √(L² + 4R²) = ${ratio.toFixed(4)} with L/R = ${(this.length / this.radius).toPrecision(3)}`,
+                shortfall <= PHYSICS_CONSTANTS.IDEAL_TOLERANCE
+                    ? `The ideal formula is within ${(shortfall * 100).toFixed(2)}% here, so the approximation holds`
+                    : `The ideal formula overestimates the center field by ${(shortfall * 100).toFixed(1)}%; it needs L ≳ ${minLengthRatio.toFixed(0)}R to be within ${PHYSICS_CONSTANTS.IDEAL_TOLERANCE * 100}%`,
+                `At the ends: B(±L/2) = ${this.showB(end)}, ${(end.value / center.value * 100).toFixed(1)}% of the center value (tends to 50% for a long solenoid)`,
+                ...(mu_r !== 1 ? [`μᵣ = ${this.showMu_r(mu_r)} scales the air-core field, which assumes the core fills the whole field region`] : [])
+            ]
+        });
+
+        return { ideal, center, end, ratio, minLengthRatio, profile: this.solenoidProfile() };
+    }
+
+    /**
+     * Helmholtz or anti-Helmholtz coils: two coaxial coils d apart
+     */
+    isCoilPair() {
+        return this.conductorType === 'helmholtz' || this.conductorType === 'anti-helmholtz';
+    }
+
+    /**
+     * On-axis field of the coil pair at z (m from the midpoint), adding the
+     * field of each N-turn coil, μ₀NIR² / (2(R² + s²)^(3/2)) at s from its
+     * plane. Anti-Helmholtz coils carry opposite currents, so the second
+     * coil's field subtracts.
+     * @param {Object} v - { current, turns, radius, distance }, this calculator's by default
+     * @returns {number} B along the axis in tesla
+     */
+    coilPairFieldAt(z, v = this) {
+        const coil = s => PHYSICS_CONSTANTS.MU_0 * v.turns * v.current * v.radius ** 2 / (2 * (v.radius ** 2 + s ** 2) ** 1.5);
+        const sign = this.conductorType === 'anti-helmholtz' ? -1 : 1;
+        return coil(z + v.distance / 2) + sign * coil(z - v.distance / 2);
+    }
+
+    /**
+     * Both coils as a FieldScene, for the field off the axis
+     */
+    coilPairScene(v = this) {
+        const axis = { x: 1, y: 0, z: 0 };
+        const coil = { type: 'loop', axis, current: v.current, turns: v.turns, radius: v.radius };
+        return new FieldScene([
+            { ...coil, label: 'Coil 1', position: { x: -v.distance / 2, y: 0, z: 0 } },
+            this.conductorType === 'anti-helmholtz'
+                ? { ...coil, label: 'Coil 2 (reversed)', position: { x: v.distance / 2, y: 0, z: 0 }, direction: -1 }
+                : { ...coil, label: 'Coil 2', position: { x: v.distance / 2, y: 0, z: 0 } }
+        ]);
+    }
+
+    /**
+     * B(z) along the axis, from beyond one coil to beyond the other
+     * @returns {Array} [{ z, B }] in m and T
+     */
+    coilPairProfile(points = PHYSICS_CONSTANTS.PROFILE_POINTS) {
+        const reach = this.distance / 2 + Math.max(this.distance / 2, 2 * this.radius);
+        return Array.from({ length: points }, (_, i) => {
+            const z = -reach + 2 * reach * i / (points - 1);
+            return { z, B: this.coilPairFieldAt(z) };
+        });
+    }
+
+    /**
+     * Calculate the field at the midpoint of the coil pair
+     * @returns {Measurement} |B| in tesla
+     */
+    calculateCoilPair(mu_0) {
+        const { Measurement, Units } = window.ChargeLab;
+        const current = this.measure('current');
+        const radius = this.measure('radius');
+        const distance = this.measure('distance');
+        const anti = this.conductorType === 'anti-helmholtz';
+        const lengthUnit = this.displayUnits.length;
+
+        const each = mu_0 * this.turns * this.current * this.radius ** 2 / (2 * (this.radius ** 2 + (this.distance / 2) ** 2) ** 1.5);
+        const sum = Math.abs(this.coilPairFieldAt(0));
+
+        // Opposite currents cancel exactly; keep rounding noise from showing as a field
+        const B = new Measurement(sum < 1e-9 * each ? 0 : sum, Measurement.min(current, radius, distance));
+        const known = value => new Measurement(value, B.sigFigs);
+
+        this.workSteps.push({
+            title: 'Add the fields of the two coils (on axis)',
+            description: `Two coils of ${this.turns} turns and radius ${Units.format(radius, 'length', lengthUnit)}, ${Units.format(distance, 'length', lengthUnit)} apart, with ${anti ? 'opposite' : 'the same'} current`,
+            calculations: [
+                'One coil, on its axis at s from its plane: B = μ₀ × N × I × R² / (2(R² + s²)^(3/2))',
+                `μ₀ = ${mu_0.toExponential(4)} H/m (air-cored: the coils leave the space between them open)`,
+                `N = ${this.turns} turns per coil`,
+                `I = ${current.format('A')}`,
+                `R = ${this.showLength(radius)}`,
+                `d = ${this.showLength(distance)}, so the midpoint is s = d/2 = ${this.showLength(distance.scaled(0.5))} from each coil`,
+                `Each coil: B = ${this.showB(known(each))}`,
+                anti
+                    ? 'The currents are opposite, so the two fields cancel at the midpoint: B(0) = 0'
+                    : `The currents agree, so the fields add: B(0) = 2 × ${known(each).format()} = ${this.showB(B)}`,
+                `B keeps the ${B.sigFigs} s.f. of the least precise of I, R and d (N is counted exactly)`
+            ]
+        });
+
+        return B;
+    }
+
+    /**
+     * Compare the spacing with the ideal one, find the gradient at the
+     * midpoint, and check how steady the field (Helmholtz) or its gradient
+     * (anti-Helmholtz) is across a sphere of diameter `region` at the
+     * midpoint, sampled off the axis by Biot–Savart. Pushed as work steps.
+     * @returns {Object} { center, gradient, ratio, optimalRatio, profile, uniformity: { region, deviation, samples } }
+     *   with gradient |dB/dz| in T/m and deviation a fraction of B(0) or of the
+     *   gradient's field at the region's edge
+     */
+    analyzeCoilPair(mu_0) {
+        const { Measurement, Units } = window.ChargeLab;
+        const current = this.measure('current');
+        const radius = this.measure('radius');
+        const distance = this.measure('distance');
+        const known = value => new Measurement(value, Measurement.min(current, radius, distance));
+        const anti = this.conductorType === 'anti-helmholtz';
+        const R = this.radius;
+        const d = this.distance;
+        const h = this.region / 2;
+
+        if (this.region <= 0) {
+            throw new Error('The uniformity region\'s diameter must be greater than zero');
+        }
+        if (h >= R) {
+            throw new Error('The uniformity region must fit inside the coils: make its diameter less than 2R');
+        }
+
+        // |dB/dz| at the midpoint: each coil's dB/ds = −3μ₀NIR²s / (2(R² + s²)^(5/2)), so the
+        // two cancel for Helmholtz coils and add for anti-Helmholtz coils
+        const slope = 3 * mu_0 * this.turns * this.current * R ** 2 * d / (2 * (R ** 2 + d ** 2 / 4) ** 2.5);
+        const gradient = known(anti ? slope : 0);
+        const center = known(Math.abs(this.coilPairFieldAt(0)));
+        const ratio = d / R;
+        const optimalRatio = anti ? Math.sqrt(3) : 1;
+
+        this.workSteps.push(anti
+            ? {
+                title: 'Field gradient at the center',
+                description: 'Opposite currents give zero field at the midpoint and a steady gradient through it',
+                calculations: [
+                    'Formula: |dB/dz| = 3μ₀ × N × I × R² × d / (2(R² + d²/4)^(5/2))',
+                    `|dB/dz| = ${gradient.format('T/m')} = ${gradient.scaled(100).format('G/cm')}`,
+                    `d/R = ${ratio.toFixed(3)}; the gradient is most nearly constant at d = √3 R ≈ ${(Math.sqrt(3)).toFixed(3)}R, where d³B/dz³ = 0`,
+                    'Along the axis B ≈ (dB/dz) × z; across it the field grows half as fast, so ∇ · B = 0'
+                ]
+            }
+            : {
+                title: 'Compare with the Helmholtz condition',
+                description: 'At d = R the second derivative of B cancels at the midpoint, so the field is flattest there',
+                calculations: [
+                    `At d = R: B = (4/5)^(3/2) × μ₀ × N × I / R = ${this.showB(known((4 / 5) ** 1.5 * mu_0 * this.turns * this.current / R))}`,
+                    `Here d/R = ${ratio.toFixed(3)}`,
+                    Math.abs(ratio - 1) < 0.01
+                        ? 'The coils are at the Helmholtz spacing'
+                        : ratio > 1
+                            ? 'd > R: the field dips at the midpoint between two maxima near the coils'
+                            : 'd < R: the field peaks at the midpoint and falls off along the axis'
+                ]
+            });
+
+        // Off-axis check: a grid over the meridian plane, inside the sphere
+        const scene = this.coilPairScene();
+        const n = PHYSICS_CONSTANTS.UNIFORMITY_SAMPLES;
+        const along = Array.from({ length: 2 * n - 1 }, (_, i) => -h + h * i / (n - 1));
+        const across = Array.from({ length: n }, (_, j) => h * j / (n - 1));
+        const points = along.flatMap(x => across.map(y => ({ x, y, z: 0 }))).filter(p => Math.hypot(p.x, p.y) <= h * (1 + 1e-9));
+
+        // The scene's polygon coils differ from true circles by a few parts in 10⁴,
+        // so the reference field and gradient come from the scene itself
+        const B0 = scene.fieldAt(Vec3.ZERO, mu_0);
+        const step = R * 1e-4;
+        const G = (scene.fieldAt({ x: step, y: 0, z: 0 }, mu_0).x - scene.fieldAt({ x: -step, y: 0, z: 0 }, mu_0).x) / (2 * step);
+        const expected = p => (anti ? { x: G * p.x, y: -G * p.y / 2, z: 0 } : B0);
+        const scale = anti ? Math.abs(G) * h : Vec3.length(B0);
+        const deviation = Math.max(...points.map(p => Vec3.length(Vec3.sub(scene.fieldAt(p, mu_0), expected(p))))) / scale;
+
+        this.workSteps.push({
+            title: 'Uniformity over the region',
+            description: `A sphere ${Units.format(known(this.region), 'length', this.displayUnits.length)} across at the center, checked at ${points.length} points by Biot–Savart`,
+            calculations: [
+                anti
+                    ? 'Each point is compared with the ideal gradient field B = (dB/dz) × (z, −x/2, −y/2)'
+                    : 'Each point is compared with the field at the center, B(0)',
+                anti
+                    ? `The field departs from the steady gradient by at most ${(deviation * 100).toPrecision(2)}% of its value at the edge of the region`
+                    : `|B − B(0)| is at most ${(deviation * 100).toPrecision(2)}% of B(0) anywhere in the region`,
+                `The ${anti ? 'most linear' : 'Helmholtz'} spacing is d = ${anti ? '√3 R' : 'R'} = ${this.showLength(radius.scaled(optimalRatio))}; here d/R = ${ratio.toFixed(3)}`
+            ]
+        });
+
+        return {
+            center,
+            gradient,
+            ratio,
+            optimalRatio,
+            profile: this.coilPairProfile(),
+            uniformity: { region: this.region, deviation, samples: points.length }
+        };
+    }
+
+    /**
+     * Distance from a toroid's axis that B is read at: the position typed,
+     * or the core's mean radius
+     */
+    toroidRadius(v = this) {
+        return v.position || (v.radius + v.outerRadius) / 2;
+    }
+
+    /**
+     * B at distance r from a toroid's axis: H = NI / (2πr) inside the core
+     * (a ≤ r ≤ b), read off the core's B–H curve (μ₀μᵣH while it is linear),
+     * and zero in the hole and outside, where a circle about the axis
+     * encloses no net current
+     * @param {Object} v - { current, turns, radius, outerRadius }, this calculator's by default
+     * @returns {number} B in tesla
+     */
+    toroidFieldAt(r, v = this) {
+        if (r < v.radius || r > v.outerRadius) return 0;
+        return this.getMaterial().fieldAt(v.turns * v.current / (2 * Math.PI * r));
+    }
+
+    /**
+     * B(r) from the axis, through the core, to half as far again outside
+     * @returns {Array} [{ r, B }] in m and T
+     */
+    toroidProfile(points = PHYSICS_CONSTANTS.PROFILE_POINTS) {
+        const reach = 1.5 * this.outerRadius;
+        return Array.from({ length: points }, (_, i) => {
+            const r = reach * i / (points - 1);
+            return { r, B: this.toroidFieldAt(r) };
+        });
+    }
+
+    /**
+     * Calculate B in a toroid's core by Ampère's law, and compare the
+     * inner and outer edges with the field outside
+     * @returns {Array} [Measurement B in tesla at r, { inner, outer, r, profile }]
+     */
+    calculateToroid(mu_0, mu_r) {
+        const { Measurement, Units } = window.ChargeLab;
+        if (!(this.outerRadius > this.radius)) {
+            throw new Error('The outer radius of the toroid must be larger than its inner radius');
+        }
+
+        const current = this.measure('current');
+        const inner = this.measure('radius');
+        const outer = this.measure('outerRadius');
+        const r = this.toroidRadius();
+        const atR = this.position ? this.measure('position') : inner.plus(outer).scaled(0.5);
+        const inside = r >= this.radius && r <= this.outerRadius;
+        const NI = current.scaled(mu_0 * mu_r * this.turns);
+        const B = inside ? NI.dividedBy(atR.scaled(2 * Math.PI)) : new Measurement(0, Measurement.min(current, atR));
+        const lengthUnit = this.displayUnits.length;
+
+        this.workSteps.push({
+            title: "Apply Ampère's law inside the core",
+            description: `For ${this.turns} turns on a core from a = ${Units.format(inner, 'length', lengthUnit)} to b = ${Units.format(outer, 'length', lengthUnit)}, at r = ${Units.format(atR, 'length', lengthUnit)} from the axis${this.position ? '' : ' (the mean radius)'}`,
+            calculations: [
+                'A circle of radius r inside the core threads all N turns: B × 2πr = μ₀ × μᵣ × N × I',
+                'Formula: B = μ₀ × μᵣ × N × I / (2πr)',
+                `μ₀ = ${mu_0.toExponential(4)} H/m`,
+                this.describeMu_r(mu_r),
+                `N = ${this.turns} turns`,
+                `I = ${current.format('A')}`,
+                `r = ${this.showLength(atR)}`,
+                inside
+                    ? `B = (${mu_0.toExponential(4)} × ${this.showMu_r(mu_r)} × ${this.turns} × ${current.format()}) / (2π × ${atR.format()}) = ${this.showB(B)}`
+                    : `r is outside the core (a ≤ r ≤ b), so B = 0`,
+                `B keeps the ${B.sigFigs} s.f. of the least precise of I and r (N is counted exactly)`
+            ]
+        });
+
+        const atInner = new Measurement(this.toroidFieldAt(this.radius), Measurement.min(current, inner));
+        const atOuter = new Measurement(this.toroidFieldAt(this.outerRadius), Measurement.min(current, outer));
+        const linear = this.getMaterial().isLinear;
+        const spread = atInner.value / atOuter.value;
+        this.workSteps.push({
+            title: 'Field across the core, and outside',
+            description: linear
+                ? 'B falls off as 1/r across the core and is zero everywhere else'
+                : 'H falls off as 1/r across the core, B follows the B–H curve, and both are zero everywhere else',
+            calculations: [
+                `At the inner edge: B(a) = ${this.showB(atInner)}`,
+                linear
+                    ? `At the outer edge: B(b) = ${this.showB(atOuter)}, so the field is b/a = ${(this.outerRadius / this.radius).toFixed(2)} times stronger on the inside`
+                    : `At the outer edge: B(b) = ${this.showB(atOuter)}, so the field is ${spread.toFixed(2)} times stronger on the inside (b/a = ${(this.outerRadius / this.radius).toFixed(2)} for a linear core)`,
+                'In the hole (r < a) a circle about the axis threads no current, so B = 0',
+                'Outside (r > b) it threads each turn twice, once each way, so B = 0: all the flux stays in the core'
+            ]
+        });
+
+        return [B, { inner: atInner, outer: atOuter, r, profile: this.toroidProfile() }];
+    }
+
+    /**
+     * Self-inductance of the winding, L = NΦ/I, with μᵣ the core's effective
+     * value at this current
+     * @param {Object} v - this calculator's values by default
+     * @returns {number|null} L in henries, or null for wires, which have no
+     *   closed circuit of their own
+     */
+    inductanceOf(v = this) {
+        const { MU_0 } = PHYSICS_CONSTANTS;
+        const N2 = v.turns * v.turns;
+        const wire = v.wireDiameter / 2;
+
+        // A thin ring of N turns, with the current spread evenly through the wire
+        const loop = radius => MU_0 * N2 * radius * (Math.log(8 * radius / wire) - 7 / 4);
+
+        switch (this.conductorType) {
+            case 'solenoid':
+                return MU_0 * this.getMu_r(v) * N2 * Math.PI * v.radius * v.radius / v.length * nagaokaCoefficient(v.radius, v.length);
+            case 'single-loop':
+                return this.getMu_r(v) * loop(v.radius);
+            case 'square-loop':
+                return this.getMu_r(v) * 2 * MU_0 * N2 * v.length / Math.PI * (Math.log(v.length / wire) + wire / v.length - 0.524);
+            case 'toroid': {
+                // Φ = h∫B dr over a square cross-section h = b − a, by Simpson's rule
+                const points = PHYSICS_CONSTANTS.PROFILE_POINTS;
+                const h = v.outerRadius - v.radius;
+                const step = h / (points - 1);
+                let integral = 0;
+                for (let i = 0; i < points; i++) {
+                    const weight = i === 0 || i === points - 1 ? 1 : i % 2 ? 4 : 2;
+                    const r = i === points - 1 ? v.outerRadius : v.radius + i * step;
+                    integral += weight * this.toroidFieldAt(r, v);
+                }
+                return v.turns * h * integral * step / 3 / v.current;
+            }
+            case 'helmholtz':
+            case 'anti-helmholtz': {
+                // Two rings in series, plus or minus twice their mutual inductance
+                const k = 2 * v.radius / Math.hypot(2 * v.radius, v.distance);
+                const { K, E } = ellipticIntegrals(k);
+                const mutual = MU_0 * N2 * v.radius * ((2 / k - k) * K - 2 / k * E);
+                return 2 * loop(v.radius) + (this.conductorType === 'helmholtz' ? 2 : -2) * mutual;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Calculate the inductance and stored energy ½LI² of the winding, and the
+     * energy density B²/2μ where B was found, pushed as a work step
+     * @returns {Object} { inductance, stored, density } as Measurements in H,
+     *   J and J/m³; inductance and stored are null for wires
+     */
+    calculateEnergy(mu_0, mu_r, B) {
+        const { Measurement, Units } = window.ChargeLab;
+        const type = this.conductorType;
+        const current = this.measure('current');
+        const mu = mu_0 * (this.hasCore() ? mu_r : 1);
+        const density = B.times(B).scaled(1 / (2 * mu));
+        const densityLine = `Energy density where B was found: u = B² / (2μ₀${this.hasCore() && mu_r !== 1 ? 'μᵣ' : ''}) = ${density.describe('J/m³')}`;
+
+        const inductance = this.inductanceOf();
+        if (inductance === null) {
+            this.workSteps.push({
+                title: 'Energy density of the field',
+                description: type === 'scene'
+                    ? 'The conductors of a scene are separate circuits, so there is no one inductance to find; the field still holds energy wherever B is non-zero'
+                    : 'A wire on its own is not a closed circuit, so it has no inductance of its own; the field still holds energy wherever B is non-zero',
+                calculations: [densityLine]
+            });
+            return { inductance: null, stored: null, density };
+        }
+
+        const wireDiameter = this.measure('wireDiameter');
+        const thin = { 'single-loop': 'radius', 'square-loop': 'length', 'helmholtz': 'radius', 'anti-helmholtz': 'radius' }[type];
+        if (thin && !(this.wireDiameter < this[thin])) {
+            throw new Error(`The wire diameter must be much smaller than the ${thin === 'length' ? 'side' : 'radius'} of the loop`);
+        }
+        if (!(inductance > 0)) {
+            throw new Error('The coils are too close together for their inductance to be found this way');
+        }
+
+        const keys = {
+            'solenoid': ['radius', 'length'],
+            'single-loop': ['radius', 'wireDiameter'],
+            'square-loop': ['length', 'wireDiameter'],
+            'toroid': ['radius', 'outerRadius'],
+            'helmholtz': ['radius', 'distance', 'wireDiameter'],
+            'anti-helmholtz': ['radius', 'distance', 'wireDiameter']
+        }[type];
+        const L = new Measurement(inductance, Measurement.min(...keys.map(key => this.measure(key))));
+        const stored = L.times(current).times(current).scaled(0.5);
+        const showL = value => Units.format(value, 'inductance', Units.pick(value.value, 'inductance'));
+        const a = Units.format(wireDiameter.scaled(0.5), 'length', 'mm');
+        const core = this.coreOperatingPoint();
+
+        const formulas = {
+            'solenoid': [
+                "L = μ₀ × μᵣ × N² × πR² / L_coil × K, with Nagaoka's coefficient K for the coil's shape",
+                `K = ${nagaokaCoefficient(this.radius, this.length).toFixed(4)} for 2R / L_coil = ${(2 * this.radius / this.length).toPrecision(3)} (1 for a long solenoid)`
+            ],
+            'single-loop': [
+                'L = μ₀ × μᵣ × N² × r × (ln(8r/a) − 7/4), for N turns of wire radius a bundled together',
+                `a = ${a}, so ln(8r/a) = ${Math.log(8 * this.radius / (this.wireDiameter / 2)).toFixed(3)}`
+            ],
+            'square-loop': [
+                'L = (2μ₀ × μᵣ × N² × s / π) × (ln(s/a) + a/s − 0.524), for N turns of wire radius a around a square of side s',
+                `a = ${a}, so ln(s/a) = ${Math.log(this.length / (this.wireDiameter / 2)).toFixed(3)}`
+            ],
+            'toroid': [
+                'L = NΦ / I, with Φ = h∫B dr across a square cross-section h = b − a',
+                this.getMaterial().isLinear
+                    ? 'For a linear core this is L = μ₀ × μᵣ × N² × h × ln(b/a) / 2π'
+                    : 'B(r) is read off the B–H curve at each r and integrated by Simpson\'s rule'
+            ],
+            'helmholtz': [
+                'L = 2L₁ + 2M: two coils in series, each L₁ = μ₀N²R(ln(8R/a) − 7/4), aiding through their mutual inductance M',
+                `M = μ₀N²R[(2/k − k)K(k) − (2/k)E(k)] with k = 2R / √(4R² + d²) = ${(2 * this.radius / Math.hypot(2 * this.radius, this.distance)).toFixed(4)}; a = ${a}`
+            ],
+            'anti-helmholtz': [
+                'L = 2L₁ − 2M: two coils in series, each L₁ = μ₀N²R(ln(8R/a) − 7/4), opposing through their mutual inductance M',
+                `M = μ₀N²R[(2/k − k)K(k) − (2/k)E(k)] with k = 2R / √(4R² + d²) = ${(2 * this.radius / Math.hypot(2 * this.radius, this.distance)).toFixed(4)}; a = ${a}`
+            ]
+        }[type];
+
+        this.workSteps.push({
+            title: 'Inductance and stored energy',
+            description: 'L = NΦ/I is the flux linked per ampere; keeping I flowing through the winding stores ½LI² in its field',
+            calculations: [
+                ...formulas,
+                `L = ${L.describe('H')}${Units.pick(L.value, 'inductance') === 'H' ? '' : ` = ${showL(L)}`}`,
+                ...(core ? [`With the core at its operating point L is the secant NΦ/I at this current; it falls as the core saturates, so ½LI² is approximate`] : []),
+                `Stored energy: W = ½LI² = ½ × ${L.format()} × (${current.format()})² = ${stored.describe('J')}`,
+                densityLine
+            ]
+        });
+
+        return { inductance: L, stored, density };
+    }
+
+    /**
+     * Propagate the ± of the inputs the selected formula uses into B, pushed
+     * as a work step naming the dominant error source
+     * @returns {Object|null} { method, samples, B: { value, sigma, relative, dominant, source } },
+     *   or null when no input has a ± value
+     */
+    propagateUncertainty(mu_0) {
+        const { Uncertainty, Units } = window.ChargeLab;
+        const inputs = {
+            current: { name: this.conductorType === 'parallel-wires' ? 'I₁' : 'I', unit: 'A', source: 'current' },
+            current2: { name: 'I₂', unit: 'A', source: 'second wire\'s current' },
+            turns: { name: 'N', unit: 'turns', source: 'turn count' },
+            radius: { name: this.conductorType === 'toroid' ? 'a' : 'r', unit: 'm', source: this.conductorType === 'toroid' ? 'inner radius' : 'coil radius' },
+            outerRadius: { name: 'b', unit: 'm', source: 'outer radius' },
+            length: { name: this.conductorType === 'square-loop' ? 'a' : 'L', unit: 'm', source: { solenoid: 'solenoid length', 'square-loop': 'side length' }[this.conductorType] || 'wire length' },
+            distance: {
+                name: this.isCoilPair() ? 'd' : 'r',
+                unit: 'm',
+                source: this.isCoilPair() ? 'coil separation' : this.conductorType === 'parallel-wires' ? 'wire separation' : 'distance from the wire'
+            },
+            position: this.conductorType === 'toroid'
+                ? { name: 'r', unit: 'm', source: 'radial position' }
+                : { name: 'z', unit: 'm', source: 'axial position' }
+        };
+        // Parallel wires: B along the nominal field's direction, which stays
+        // smooth as like currents pass through equal, where |B| has a kink
+        const along = v => this.scene(v).fieldAt(Vec3.ZERO, mu_0).y;
+        const formulas = {
+            'straight-wire': [['current', 'distance'], v => mu_0 * v.current / (2 * Math.PI * v.distance)],
+            'single-loop': [['current', 'turns', 'radius'], v => mu_0 * this.getMu_r(v) * v.turns * v.current / (2 * v.radius)],
+            'solenoid': [['current', 'turns', 'length', 'radius', 'position'], v => this.solenoidFieldAt(v.position, v)],
+            'square-loop': [['current', 'turns', 'length'], v => Vec3.length(this.pathField(v))],
+            'finite-wire': [['current', 'length', 'distance'], v => Vec3.length(this.pathField(v))],
+            'bent-wire': [['current', 'length', 'distance'], v => Vec3.length(this.pathField(v))],
+            'parallel-wires': [['current', 'current2', 'distance'], v => (Math.sign(along(this)) || 1) * along(v)],
+            'helmholtz': [['current', 'turns', 'radius', 'distance'], v => this.coilPairFieldAt(0, v)],
+            'toroid': [['current', 'turns', ...(this.position ? ['position'] : ['radius', 'outerRadius'])], v => {
+                const w = { radius: this.radius, outerRadius: this.outerRadius, position: this.position, ...v };
+                return this.toroidFieldAt(this.toroidRadius(w), w);
+            }]
+        };
+
+        // Anti-Helmholtz coils: B(0) is zero whatever the inputs; a custom
+        // scene's conductors take no ± values
+        if (this.conductorType === 'anti-helmholtz' || this.conductorType === 'scene') return null;
+
+        const [keys, field] = formulas[this.conductorType] || formulas.solenoid;
+
+        const values = Object.fromEntries(keys.map(key => [key, this[key]]));
+        const sigmas = Object.fromEntries(keys.map(key => [key, Uncertainty.sigma(this.uncertainties[key], this[key])]));
+        if (!Object.values(sigmas).some(sigma => sigma > 0)) return null;
+
+        const result = Uncertainty.propagate(v => ({ B: field(v) }), values, sigmas, { method: this.uncertaintyMethod });
+        const B = result.outputs.B;
+        const unit = Units.pick(B.value, 'magneticField', this.displayUnits.magneticField);
+        const factor = Units.factor('magneticField', unit);
+
+        this.workSteps.push({
+            title: 'Propagate measurement uncertainties',
+            description: result.method === 'montecarlo'
+                ? `Monte Carlo: ${result.samples} trials with each input drawn from a normal distribution; B = mean ± standard deviation`
+                : this.conductorType === 'solenoid' || this.conductorPath() || this.scene()
+                    ? 'The sensitivity of B to each input is found numerically, and the contributions add in quadrature'
+                    : 'B is a product and quotient of the inputs, so their relative uncertainties add in quadrature',
+            calculations: [
+                ...Uncertainty.describe(result, values, sigmas, { inputs, outputs: { B: { name: 'B', unit: 'T' } } }),
+                ...(unit === 'T' ? [] : [`B = ${Uncertainty.format(B.value / factor, B.sigma / factor, unit)}`]),
+                ...(B.dominant ? [`Largest source of error: ${inputs[B.dominant].source} — improve this measurement first`] : [])
+            ]
+        });
+
+        return {
+            method: result.method,
+            samples: result.samples,
+            B: { ...B, source: B.dominant ? inputs[B.dominant].source : null }
+        };
+    }
+
+    /**
+     * Calculate B-field at multiple distances (for straight wire demo)
+     */
+    calculateAtDistances(distances) {
+        return distances.map(d => {
+            this.distance = d;
+            const result = this.calculate();
+            return { distance: d, B: result.B };
+        });
+    }
+
+    /**
+     * Get work steps
+     */
+    getWorkSteps() {
+        return this.workSteps;
+    }
+
+    /**
+     * Export as JSON
+     */
+    exportJSON() {
+        return {
+            results: this.results,
+            workSteps: this.workSteps,
+            constants: PHYSICS_CONSTANTS
+        };
+    }
+
+    /**
+     * Load from URL parameters
+     */
+    static fromURLParams(params) {
+        const { Measurement, Uncertainty } = window.ChargeLab;
+        const sigFigs = {};
+        ['current', 'current2', 'radius', 'length', 'distance', 'position', 'region'].forEach(key => {
+            const count = params[key] !== undefined ? Measurement.countSigFigs(params[key]) : null;
+            if (count) sigFigs[key] = count;
+        });
+        const outerSigFigs = params.outer !== undefined ? Measurement.countSigFigs(params.outer) : null;
+        if (outerSigFigs) sigFigs.outerRadius = outerSigFigs;
+        const wireSigFigs = params.wire !== undefined ? Measurement.countSigFigs(params.wire) : null;
+        if (wireSigFigs) sigFigs.wireDiameter = wireSigFigs;
+        const uncertainties = {};
+        ['current', 'current2', 'turns', 'radius', 'outerRadius', 'length', 'distance', 'position'].forEach(key => {
+            const spec = Uncertainty.parse(params[`u_${key}`]);
+            if (spec) uncertainties[key] = spec;
+        });
+
+        return new MagneticFieldCalculator({
+            conductorType: params.type || 'solenoid',
+            current: parseFloat(params.current) || 1,
+            current2: parseFloat(params.current2) || parseFloat(params.current) || 1,
+            turns: parseInt(params.turns) || 100,
+            radius: parseFloat(params.radius) || 0.01,
+            outerRadius: parseFloat(params.outer) || 0.02,
+            length: parseFloat(params.length) || 0.05,
+            distance: parseFloat(params.distance) || 0.01,
+            position: parseFloat(params.position) || 0,
+            region: parseFloat(params.region) || 0.01,
+            wireDiameter: parseFloat(params.wire) || 0.0005,
+            wireCurrents: params.currents,
+            conductors: MagneticFieldCalculator.sceneFromURL(params.scene),
+            material: params.material || 'air',
+            hysteresis: params.loop === '1',
+            sigFigs,
+            uncertainties,
+            uncertaintyMethod: params.unc === 'mc' ? 'montecarlo' : 'linear'
+        });
+    }
+
+    /**
+     * A custom scene's conductors from the "scene" URL parameter, a JSON list
+     * with values as typed; anything unreadable is left out
+     */
+    static sceneFromURL(text) {
+        const { Measurement } = window.ChargeLab;
+        const { SCENE_AXES, SCENE_CONDUCTORS } = PHYSICS_CONSTANTS;
+        let list;
+        try {
+            list = JSON.parse(text ?? '[]');
+        } catch (e) {
+            return [];
+        }
+        if (!Array.isArray(list)) return [];
+
+        return list.filter(c => c && SCENE_CONDUCTORS[c.type] && SCENE_AXES[c.axis]).map(c => {
+            const conductor = { type: c.type, axis: c.axis, sigFigs: {} };
+            ['x', 'y', 'current', 'radius', 'length'].forEach(key => {
+                if (c[key] === undefined) return;
+                conductor[key] = parseFloat(c[key]);
+                const count = Measurement.countSigFigs(c[key]);
+                if (count) conductor.sigFigs[key] = count;
+            });
+            if (c.type !== 'wire') conductor.turns = parseInt(c.turns);
+            return conductor;
+        });
+    }
+
+    /**
+     * Generate URL parameters
+     */
+    toURLParams() {
+        const params = new URLSearchParams();
+        params.set('type', this.conductorType);
+        params.set('current', this.measure('current').toInputString());
+        params.set('turns', this.turns);
+        params.set('radius', this.measure('radius').toInputString());
+        params.set('length', this.measure('length').toInputString());
+        params.set('distance', this.measure('distance').toInputString());
+        if (this.position) {
+            params.set('position', this.measure('position').toInputString());
+        }
+        if (this.conductorType === 'parallel-wires') {
+            params.set('current2', this.measure('current2').toInputString());
+            params.set('currents', this.wireCurrents);
+        }
+        if (this.conductorType === 'scene') {
+            params.set('scene', JSON.stringify(this.conductors.map(c => ({
+                type: c.type,
+                axis: c.axis,
+                ...Object.fromEntries(['x', 'y', 'current', 'radius', 'length']
+                    .filter(key => c[key] !== undefined)
+                    .map(key => [key, this.measureConductor(c, key).toInputString()])),
+                ...(c.type === 'wire' ? {} : { turns: c.turns })
+            }))));
+        }
+        if (this.isCoilPair()) {
+            params.set('region', this.measure('region').toInputString());
+        }
+        if (this.conductorType === 'toroid') {
+            params.set('outer', this.measure('outerRadius').toInputString());
+        }
+        if (['single-loop', 'square-loop', 'helmholtz', 'anti-helmholtz'].includes(this.conductorType)) {
+            params.set('wire', this.measure('wireDiameter').toInputString());
+        }
+        params.set('material', this.material);
+        if (this.hysteresis) {
+            params.set('loop', '1');
+        }
+        Object.entries(this.uncertainties).forEach(([key, spec]) => {
+            if (spec && spec.value > 0) params.set(`u_${key}`, window.ChargeLab.Uncertainty.toText(spec));
+        });
+        if (this.uncertaintyMethod === 'montecarlo') {
+            params.set('unc', 'mc');
+        }
+        return params.toString();
+    }
+}
+
+// ============================================
+// Magnetic Force Calculator
+// ============================================
+class MagneticForceCalculator extends MeasuredCalculator {
+    constructor(options = {}) {
+        super();
+        this.mode = PHYSICS_CONSTANTS.FORCE_MODES.includes(options.mode) ? options.mode : 'wire-in-field';
+        this.field = options.field || 0.1; // tesla
+        this.current = options.current || 2; // Amperes (I₁ for parallel wires)
+        this.current2 = options.current2 || 2; // Amperes (I₂ for parallel wires)
+        this.length = options.length || 0.1; // meters of wire in the field
+        this.distance = options.distance || 0.01; // meters between parallel wires
+        this.angle = options.angle ?? 90; // degrees between the wire (or velocity) and B
+        this.wireCurrents = options.wireCurrents === 'unlike' ? 'unlike' : 'like';
+        this.particle = options.particle || 'proton'; // key of PARTICLES, or 'custom'
+        this.charge = options.charge ?? PHYSICS_CONSTANTS.ELEMENTARY_CHARGE; // C, custom particle
+        this.mass = options.mass || PHYSICS_CONSTANTS.PARTICLES.proton.mass; // kg, custom particle
+        this.velocity = options.velocity || 1e6; // m/s
+
+        // Significant figures of the inputs as typed; θ is taken as exact
+        this.sigFigs = { ...options.sigFigs };
+
+        // Units the work steps show B and lengths in
+        this.displayUnits = { magneticField: 'auto', length: 'cm', ...options.displayUnits };
+
+        this.results = null;
+        this.workSteps = [];
+    }
+
+    /**
+     * Charge and mass of the moving particle, with the particle's name
+     */
+    getParticle() {
+        return PHYSICS_CONSTANTS.PARTICLES[this.particle] || { name: 'Custom particle', charge: this.charge, mass: this.mass };
+    }
+
+    /**
+     * Calculate the force for the selected mode
+     */
+    calculate() {
+        // Fields, currents, lengths and speeds are sizes: a field or current
+        // the other way is set by θ or by the currents' directions, since a
+        // negative F would not match the direction found
+        const sizes = {
+            'wire-in-field': { field: 'field B', current: 'current I', length: 'length L' },
+            'parallel-wires': { current: 'current I₁', current2: 'current I₂' },
+            'moving-charge': { field: 'field B', velocity: 'speed v' }
+        }[this.mode];
+        Object.entries(sizes).forEach(([key, name]) => {
+            if (!(this[key] >= 0)) {
+                throw new Error(`The ${name} cannot be negative; reverse it with ${this.mode === 'parallel-wires' ? 'the currents\' directions' : 'θ'} instead`);
+            }
+        });
+        if (this.mode === 'moving-charge' && this.particle === 'custom' && !(this.mass > 0)) {
+            throw new Error('The mass must be greater than zero');
+        }
+
+        this.workSteps = [];
+
+        let measuredF, formula, description, vectors;
+        switch (this.mode) {
+            case 'parallel-wires':
+                [measuredF, vectors] = this.calculateParallelWires();
+                formula = 'F/L = μ₀ × I₁ × I₂ / (2πd)';
+                description = `Force per unit length between parallel wires with ${this.wireCurrents} currents`;
+                break;
+
+            case 'moving-charge':
+                [measuredF, vectors] = this.calculateMovingCharge();
+                formula = 'F = |q| × v × B × sin θ';
+                description = 'Force on a charge moving through a magnetic field';
+                break;
+
+            case 'wire-in-field':
+            default:
+                [measuredF, vectors] = this.calculateWireInField();
+                formula = 'F = B × I × L × sin θ';
+                description = 'Force on a current-carrying wire in a magnetic field';
+                break;
+        }
+
+        this.results = {
+            F: measuredF.value,
+            unit: this.mode === 'parallel-wires' ? 'N/m' : 'N',
+            formula,
+            description,
+            mode: this.mode,
+            inputs: {
+                field: this.field,
+                current: this.current,
+                current2: this.current2,
+                length: this.length,
+                distance: this.distance,
+                angle: this.angle,
+                wireCurrents: this.wireCurrents,
+                particle: this.particle,
+                charge: this.getParticle().charge,
+                mass: this.getParticle().mass,
+                velocity: this.velocity,
+                sigFigs: { ...this.sigFigs }
+            },
+            measured: { F: measuredF },
+
+            // Unit vectors for the right-hand rule: the current or velocity, B, and F
+            vectors,
+            timestamp: new Date().toISOString()
+        };
+
+        return this.results;
+    }
+
+    /**
+     * Which way F points, in words
+     */
+    describeDirection(force) {
+        if (Vec3.length(force) < 1e-12) return 'nowhere: there is no force';
+        const axes = [
+            ['x', 'to the right (+x)', 'to the left (−x)'],
+            ['y', 'up the page (+y)', 'down the page (−y)'],
+            ['z', 'out of the page (+z)', 'into the page (−z)']
+        ];
+        const [key, positive, negative] = axes.reduce((best, axis) => Math.abs(force[axis[0]]) > Math.abs(force[best[0]]) ? axis : best);
+        return force[key] > 0 ? positive : negative;
+    }
+
+    /**
+     * F = BIL sin θ on a straight wire along +x, with B in the xy-plane at θ
+     * @returns {Array} [Measurement F in N, vectors]
+     */
+    calculateWireInField() {
+        const { Measurement, Units } = window.ChargeLab;
+        const B = this.measure('field');
+        const current = this.measure('current');
+        const length = this.measure('length');
+        const theta = this.angle * Math.PI / 180;
+        const sin = Math.abs(Math.sin(theta)) < 1e-12 ? 0 : Math.sin(theta);
+        const F = B.times(current).times(length).scaled(Math.abs(sin));
+
+        const along = { x: 1, y: 0, z: 0 };
+        const field = { x: Math.cos(theta), y: Math.sin(theta), z: 0 };
+        const force = Vec3.cross(along, field);
+
+        this.workSteps.push({
+            title: 'Apply F = BIL sin θ',
+            description: `A ${Units.format(length, 'length', this.displayUnits.length)} length of wire carrying ${current.format('A')} at ${this.angle}° to the field`,
+            calculations: [
+                'Formula: F = B × I × L × sin θ',
+                `B = ${this.showB(B)}`,
+                `I = ${current.format('A')}`,
+                `L = ${this.showLength(length)}`,
+                `θ = ${this.angle}° (taken as exact), sin θ = ${Math.abs(sin).toFixed(4)}`,
+                `F = ${B.format()} × ${current.format()} × ${length.format()} × ${Math.abs(sin).toFixed(4)} = ${sin ? F.describe('N') : '0 N'}`,
+                `F keeps the ${F.sigFigs} s.f. of the least precise of B, I and L`
+            ]
+        });
+
+        this.workSteps.push({
+            title: 'Find the direction',
+            description: 'F = I L × B is perpendicular to both the wire and the field',
+            calculations: [
+                'Point your fingers along the current and curl them toward B: your thumb gives F',
+                !sin
+                    ? 'The wire runs along the field, so there is no force'
+                    : F.value
+                        ? `With the current along +x and B at ${this.angle}° in the xy-plane, F points ${this.describeDirection(force)}`
+                        : 'With no field, current or wire in it, there is no force',
+                'F is largest when the wire is perpendicular to the field (θ = 90°)'
+            ]
+        });
+
+        return [F, { along, field, force: F.value && Vec3.length(force) > 1e-12 ? Vec3.scale(force, 1 / Vec3.length(force)) : Vec3.ZERO, alongLabel: 'I' }];
+    }
+
+    /**
+     * F/L between two long parallel wires d apart, on wire 2
+     * @returns {Array} [Measurement F/L in N/m, vectors]
+     */
+    calculateParallelWires() {
+        if (!(this.distance > 0)) {
+            throw new Error('The separation d must be greater than zero');
+        }
+        const mu_0 = PHYSICS_CONSTANTS.MU_0;
+        const current = this.measure('current');
+        const current2 = this.measure('current2');
+        const distance = this.measure('distance');
+        const B1 = current.scaled(mu_0 / (2 * Math.PI)).dividedBy(distance);
+        const perLength = B1.times(current2);
+        const like = this.wireCurrents === 'like';
+
+        // Wire 1 at the origin and wire 2 at +x, both along z: I₁ out of the page
+        const along = { x: 0, y: 0, z: like ? 1 : -1 };
+        const field = { x: 0, y: 1, z: 0 };
+        const force = Vec3.cross(along, field);
+
+        this.workSteps.push({
+            title: 'Field of wire 1 at wire 2',
+            description: `Two long parallel wires ${this.showLength(distance)} apart`,
+            calculations: [
+                `B₁ = μ₀ × I₁ / (2πd) = (${mu_0.toExponential(4)} × ${current.format()}) / (2π × ${distance.format()})`,
+                `B₁ = ${this.showB(B1)}`
+            ]
+        });
+
+        this.workSteps.push({
+            title: 'Force per unit length on wire 2',
+            description: 'Wire 2 carries I₂ through the field of wire 1, at right angles to it',
+            calculations: [
+                `F/L = I₂ × B₁ = μ₀ × I₁ × I₂ / (2πd)`,
+                `F/L = ${current2.format('A')} × ${B1.format('T')} = ${perLength.describe('N/m')}`,
+                'Wire 1 feels the same force in the opposite direction (Newton\'s third law)',
+                `F/L keeps the ${perLength.sigFigs} s.f. of the least precise of I₁, I₂ and d`
+            ]
+        });
+
+        this.workSteps.push({
+            title: like ? 'Like currents attract' : 'Unlike currents repel',
+            description: 'F = I₂ L × B₁, by the right-hand rule',
+            calculations: [
+                `With I₁ out of the page, B₁ points up the page (+y) at wire 2`,
+                perLength.value
+                    ? `I₂ points ${like ? 'out of' : 'into'} the page, so F on wire 2 points ${this.describeDirection(force)}: ${like ? 'toward' : 'away from'} wire 1`
+                    : 'With no current in one of the wires, there is no force',
+                'Check: I₁ = I₂ = 1 A and d = 1 m give 2 × 10⁻⁷ N/m, the force once used to define the ampere'
+            ]
+        });
+
+        return [perLength, { along, field, force: perLength.value ? force : Vec3.ZERO, alongLabel: 'I₂' }];
+    }
+
+    /**
+     * F = |q|vB sin θ on a particle moving along +x, with B in the xy-plane at θ
+     * @returns {Array} [Measurement F in N, vectors]
+     */
+    calculateMovingCharge() {
+        const { Measurement } = window.ChargeLab;
+        const particle = this.getParticle();
+        const custom = this.particle === 'custom';
+        const q = custom ? this.measure('charge') : new Measurement(particle.charge);
+        const mass = custom ? this.measure('mass') : new Measurement(particle.mass);
+        const velocity = this.measure('velocity');
+        const B = this.measure('field');
+        const theta = this.angle * Math.PI / 180;
+        const sin = Math.abs(Math.sin(theta)) < 1e-12 ? 0 : Math.sin(theta);
+        const F = q.abs().times(velocity).times(B).scaled(Math.abs(sin));
+        const sign = Math.sign(particle.charge) || 1;
+
+        const along = { x: 1, y: 0, z: 0 };
+        const field = { x: Math.cos(theta), y: Math.sin(theta), z: 0 };
+        const force = Vec3.scale(Vec3.cross(along, field), sign);
+
+        // Exact constants are shown to 5 s.f. rather than every digit
+        const show = (m, unit) => (m.exact ? new Measurement(m.value, 5) : m).format(unit);
+
+        this.workSteps.push({
+            title: 'Apply F = |q|vB sin θ',
+            description: `${particle.name} moving at ${velocity.format('m/s')}, at ${this.angle}° to the field`,
+            calculations: [
+                'Formula: F = |q| × v × B × sin θ',
+                `q = ${show(q, 'C')}${q.exact ? ' (exact)' : ''}`,
+                `v = ${velocity.format('m/s')}`,
+                `B = ${this.showB(B)}`,
+                `θ = ${this.angle}° (taken as exact), sin θ = ${Math.abs(sin).toFixed(4)}`,
+                `F = ${show(q.abs())} × ${velocity.format()} × ${B.format()} × ${Math.abs(sin).toFixed(4)} = ${sin ? F.describe('N') : '0 N'}`
+            ]
+        });
+
+        this.workSteps.push({
+            title: 'Find the direction',
+            description: 'F = q v × B is perpendicular to both the velocity and the field',
+            calculations: [
+                'Point your fingers along v and curl them toward B: your thumb gives F for a positive charge',
+                ...(sign < 0 ? ['q is negative, so F points opposite to your thumb'] : []),
+                !sin
+                    ? 'The particle moves along the field, so there is no force'
+                    : F.value
+                        ? `With v along +x and B at ${this.angle}° in the xy-plane, F points ${this.describeDirection(force)}`
+                        : 'With no charge, speed or field, there is no force'
+            ]
+        });
+
+        if (F.value) {
+            const acceleration = F.dividedBy(mass);
+            const radius = mass.times(velocity).scaled(Math.abs(sin)).dividedBy(q.abs().times(B));
+            this.workSteps.push({
+                title: 'Resulting motion',
+                description: 'F is always perpendicular to v, so it turns the particle without changing its speed',
+                calculations: [
+                    `a = F / m = ${F.format('N')} / ${show(mass, 'kg')} = ${acceleration.describe('m/s²')}`,
+                    `The velocity component across B circles with r = m × v sin θ / (|q| × B) = ${this.showLength(radius)}`,
+                    'The magnetic force does no work: W = F · d = 0, since F ⟂ v'
+                ]
+            });
+        }
+
+        return [F, { along, field, force: F.value ? force : Vec3.ZERO, alongLabel: 'v', negative: sign < 0 }];
+    }
+
+    /**
+     * Get work steps
+     */
+    getWorkSteps() {
+        return this.workSteps;
+    }
+
+    /**
+     * Export as JSON
+     */
+    exportJSON() {
+        return {
+            results: this.results,
+            workSteps: this.workSteps,
+            constants: PHYSICS_CONSTANTS
+        };
+    }
+}
+
+// ============================================
+// Charged Particle Motion
+// ============================================
+
+/**
+ * Move a charged particle through a magnetic field with the Boris pusher.
+ * Each step turns v about B without changing its length, so the orbit
+ * neither spirals out nor decays however many turns are traced.
+ * @param {Object} options - { charge (C), mass (kg), position (m), velocity (m/s), fieldAt(point) → B (T), dt (s), steps }
+ * @returns {Array} { t, position, velocity } for the start and after each step
+ */
+function traceParticle({ charge, mass, position, velocity, fieldAt, dt, steps }) {
+    const states = [{ t: 0, position, velocity }];
+    let x = position;
+    let v = velocity;
+
+    for (let i = 1; i <= steps; i++) {
+        const half = Vec3.scale(fieldAt(x), charge * dt / (2 * mass));
+        const turn = Vec3.scale(half, 2 / (1 + Vec3.dot(half, half)));
+        const v1 = Vec3.add(v, Vec3.cross(v, half));
+        v = Vec3.add(v, Vec3.cross(v1, turn));
+        x = Vec3.add(x, Vec3.scale(v, dt));
+        states.push({ t: i * dt, position: x, velocity: v });
+    }
+
+    return states;
+}
+
+class ParticleMotionCalculator extends MeasuredCalculator {
+    constructor(options = {}) {
+        super();
+        this.particle = options.particle || 'proton'; // key of PARTICLES, or 'custom'
+        this.charge = options.charge ?? PHYSICS_CONSTANTS.ELEMENTARY_CHARGE; // C, custom particle
+        this.mass = options.mass || PHYSICS_CONSTANTS.PARTICLES.proton.mass; // kg, custom particle
+        this.velocity = options.velocity || 1e5; // m/s
+        this.angle = options.angle ?? 90; // degrees between the velocity and B
+        this.field = options.field || 0.01; // tesla, uniform across the region
+        this.source = options.source || 'Uniform field'; // where B came from
+        this.turns = options.turns || PHYSICS_CONSTANTS.TRAJECTORY_TURNS;
+
+        // Significant figures of the inputs as typed; θ is taken as exact
+        this.sigFigs = { ...options.sigFigs };
+
+        // Units the work steps show B and lengths in
+        this.displayUnits = { magneticField: 'auto', length: 'cm', ...options.displayUnits };
+
+        this.results = null;
+        this.workSteps = [];
+    }
+
+    /**
+     * Charge and mass of the particle, with the particle's name
+     */
+    getParticle() {
+        return PHYSICS_CONSTANTS.PARTICLES[this.particle] || { name: 'Custom particle', charge: this.charge, mass: this.mass };
+    }
+
+    /**
+     * Trace the particle through the field and compare the orbit it
+     * follows with r = mv sin θ / (|q|B) and T = 2πm / (|q|B).
+     * B points along +z; the particle starts at the origin moving in the
+     * xz-plane at θ to B.
+     */
+    calculate() {
+        const { Measurement, Units } = window.ChargeLab;
+        const c = PHYSICS_CONSTANTS.SPEED_OF_LIGHT;
+        const particle = this.getParticle();
+        const custom = this.particle === 'custom';
+
+        if (!(this.field > 0)) {
+            throw new Error('B is zero in this configuration, so the particle would fly straight through');
+        }
+        if (!particle.charge) {
+            throw new Error('A neutral particle is not deflected by a magnetic field');
+        }
+        if (!(particle.mass > 0)) {
+            throw new Error('Mass must be greater than zero');
+        }
+        if (!(this.velocity > 0) || this.velocity >= c) {
+            throw new Error(`Speed must be between 0 and the speed of light, ${new Measurement(c, 4).format('m/s')}`);
+        }
+
+        this.workSteps = [];
+        const q = custom ? this.measure('charge') : new Measurement(particle.charge);
+        const mass = custom ? this.measure('mass') : new Measurement(particle.mass);
+        const velocity = this.measure('velocity');
+        const B = this.measure('field');
+        const theta = this.angle * Math.PI / 180;
+        const snap = x => (Math.abs(x) < 1e-12 ? 0 : x);
+        const sin = snap(Math.sin(theta));
+        const cos = snap(Math.cos(theta));
+        const sign = Math.sign(particle.charge);
+
+        // Exact constants are shown to 5 s.f. rather than every digit
+        const show = (m, unit) => (m.exact ? new Measurement(m.value, 5) : m).format(unit);
+        const showTime = t => Units.format(t, 'time');
+
+        const qB = q.abs().times(B);
+        const radius = mass.times(velocity).scaled(Math.abs(sin)).dividedBy(qB);
+        const period = mass.scaled(2 * Math.PI).dividedBy(qB);
+        const pitch = velocity.scaled(cos).times(period);
+
+        const gyration = [
+            'Formula: r = m × v sin θ / (|q| × B)',
+            `m = ${show(mass, 'kg')}, q = ${show(q, 'C')}${q.exact ? ' (exact)' : ''}`,
+            `v = ${velocity.format('m/s')} at θ = ${this.angle}° to B (taken as exact), so v sin θ = ${velocity.scaled(Math.abs(sin)).format('m/s')}`,
+            `B = ${this.showB(B)} (${this.source})`,
+            `r = ${show(mass)} × ${velocity.scaled(Math.abs(sin)).format()} / (${show(q.abs())} × ${B.format()}) = ${this.showLength(radius)}`
+        ];
+        if (this.velocity > 0.1 * c) {
+            const gamma = 1 / Math.sqrt(1 - (this.velocity / c) ** 2);
+            gyration.push(`v is ${(100 * this.velocity / c).toFixed(0)}% of c: relativity makes the true radius γ = ${gamma.toFixed(3)} times larger`);
+        }
+        this.workSteps.push({
+            title: 'Apply r = mv sin θ / (|q|B)',
+            description: 'The magnetic force q v × B supplies the centripetal force for the motion across B',
+            calculations: gyration
+        });
+
+        this.workSteps.push({
+            title: 'Cyclotron period',
+            description: 'The time for one turn does not depend on the speed',
+            calculations: [
+                'Formula: T = 2πr / (v sin θ) = 2πm / (|q| × B)',
+                `T = 2π × ${show(mass)} / (${show(q.abs())} × ${B.format()}) = ${showTime(period)}`,
+                `f = 1 / T = ${new Measurement(1 / period.value, period.sigFigs).format('Hz')}`,
+                cos
+                    ? `The motion along B is untouched, so the path is a helix with pitch p = v cos θ × T = ${this.showLength(pitch.abs())}`
+                    : 'v is perpendicular to B, so the path is a circle',
+                `Seen with B out of the page, a ${sign > 0 ? 'positive' : 'negative'} charge circles ${sign > 0 ? 'clockwise' : 'counterclockwise'}`
+            ]
+        });
+
+        // Numerical path: the same orbit found step by step from F = q v × B
+        const stepsPerTurn = PHYSICS_CONSTANTS.TRAJECTORY_STEPS_PER_TURN;
+        const dt = period.value / stepsPerTurn;
+        const states = traceParticle({
+            charge: particle.charge,
+            mass: particle.mass,
+            position: Vec3.ZERO,
+            velocity: { x: this.velocity * sin, y: 0, z: this.velocity * cos },
+            fieldAt: () => ({ x: 0, y: 0, z: this.field }),
+            dt,
+            steps: stepsPerTurn * this.turns
+        });
+        const traced = this.measureOrbit(states);
+        const difference = (a, b) => (b ? Math.abs(a - b) / b : 0);
+        const agreement = {
+            radius: difference(traced.radius, radius.value),
+            period: traced.period ? difference(traced.period, period.value) : 0
+        };
+
+        this.workSteps.push({
+            title: 'Trace the path numerically',
+            description: 'Each step turns v about B by the angle the force q v × B would turn it, then moves the particle on',
+            calculations: [
+                `Δt = T / ${stepsPerTurn} = ${showTime(new Measurement(dt, 4))}, ${stepsPerTurn * this.turns} steps for ${this.turns} turns`,
+                `Traced radius: half the width of the orbit = ${this.showLength(new Measurement(traced.radius, 4))}`,
+                traced.period
+                    ? `Traced period: time for v to turn through 360° = ${showTime(new Measurement(traced.period, 4))}`
+                    : 'v never turns, so there is no period to trace',
+                `The traced orbit matches the formulas to ${(100 * Math.max(agreement.radius, agreement.period)).toPrecision(2)}%`
+            ]
+        });
+
+        this.results = {
+            radius: radius.value,
+            period: period.value,
+            frequency: 1 / period.value,
+            pitch: pitch.value,
+            measured: { radius, period, pitch },
+            traced,
+            agreement,
+            path: states.map(s => s.position),
+            dt,
+            charge: particle.charge,
+            inputs: {
+                particle: this.particle,
+                charge: particle.charge,
+                mass: particle.mass,
+                velocity: this.velocity,
+                angle: this.angle,
+                field: this.field,
+                source: this.source,
+                sigFigs: { ...this.sigFigs }
+            },
+            timestamp: new Date().toISOString()
+        };
+
+        return this.results;
+    }
+
+    /**
+     * Radius, period and pitch read off a traced path: the radius from the
+     * orbit's width across B, the period from when the velocity across B has
+     * turned through a full circle (interpolated between steps)
+     * @returns {Object} { radius (m), period (s) or null, pitch (m) or null }
+     */
+    measureOrbit(states) {
+        const xs = states.map(s => s.position.x);
+        const ys = states.map(s => s.position.y);
+        const radius = (Math.max(...xs) - Math.min(...xs) + Math.max(...ys) - Math.min(...ys)) / 4;
+
+        let turned = 0;
+        for (let i = 1; i < states.length; i++) {
+            const a = states[i - 1].velocity;
+            const b = states[i].velocity;
+            const step = Math.abs(Math.atan2(a.x * b.y - a.y * b.x, a.x * b.x + a.y * b.y));
+            if (step && turned + step >= 2 * Math.PI) {
+                const fraction = (2 * Math.PI - turned) / step;
+                const z0 = states[i - 1].position.z;
+                return {
+                    radius,
+                    period: states[i - 1].t + (states[i].t - states[i - 1].t) * fraction,
+                    pitch: z0 + (states[i].position.z - z0) * fraction
+                };
+            }
+            turned += step;
+        }
+
+        return { radius, period: null, pitch: null };
+    }
+
+    /**
+     * Get work steps
+     */
+    getWorkSteps() {
+        return this.workSteps;
+    }
+
+    /**
+     * Export as JSON, without the traced points
+     */
+    exportJSON() {
+        const { path, ...results } = this.results || {};
+        return {
+            results: this.results && { ...results, points: path.length },
+            workSteps: this.workSteps,
+            constants: PHYSICS_CONSTANTS
+        };
+    }
+}
+
+// ============================================
+// RL Circuit
+// ============================================
+class RLCircuitCalculator extends MeasuredCalculator {
+    constructor(options = {}) {
+        super();
+        this.inductance = options.inductance || 0.001; // henries, of the winding
+        this.resistance = options.resistance || 10; // ohms, of the whole circuit
+        this.current = options.current || 1; // amperes, once the current has settled
+        this.source = options.source || 'Coil'; // which winding L came from
+
+        // Significant figures of the inputs as typed or carried over
+        this.sigFigs = { ...options.sigFigs };
+
+        this.results = null;
+        this.workSteps = [];
+    }
+
+    /**
+     * Current in A t seconds after the switch closes ('rise') or opens ('decay')
+     */
+    currentAt(t, mode = 'rise') {
+        const remaining = Math.exp(-t * this.resistance / this.inductance);
+        return this.current * (mode === 'rise' ? 1 - remaining : remaining);
+    }
+
+    /**
+     * The time constant τ = L/R, and i(t) as the current builds up after
+     * the switch closes and dies away after it opens
+     */
+    calculate() {
+        const { Measurement, Units } = window.ChargeLab;
+        if (!(this.inductance > 0)) {
+            throw new Error('A lone wire has no inductance to charge: choose a loop, solenoid, toroid or coil pair in the calculator');
+        }
+        if (!(this.resistance > 0)) {
+            throw new Error('Resistance must be greater than zero');
+        }
+
+        this.workSteps = [];
+        const L = this.measure('inductance');
+        const R = this.measure('resistance');
+        const I = this.measure('current');
+        const tau = L.dividedBy(R);
+        const voltage = I.times(R);
+        const energy = L.times(I).times(I).scaled(0.5);
+        const halfLife = tau.scaled(Math.LN2);
+        const span = PHYSICS_CONSTANTS.RL_TIME_CONSTANTS;
+        const showTime = t => Units.format(t, 'time', Units.pick(t.value, 'time'));
+        const showL = Units.format(L, 'inductance', Units.pick(L.value, 'inductance'));
+
+        this.workSteps.push({
+            title: 'Time constant',
+            description: `${this.source}, L = ${showL}, in series with R = ${R.format('Ω')} and a switch`,
+            calculations: [
+                'Formula: τ = L / R',
+                `τ = ${L.format()} H / ${R.format()} Ω = ${tau.describe('s')}${Units.pick(tau.value, 'time') === 's' ? '' : ` = ${showTime(tau)}`}`,
+                `To drive a steady ${I.format('A')} the supply must give V = I × R = ${voltage.format('V')}`
+            ]
+        });
+
+        this.workSteps.push({
+            title: 'Switch closed: the current builds up',
+            description: 'The coil\'s back-EMF L di/dt opposes the change, so the current cannot jump to V/R',
+            calculations: [
+                'i(t) = I × (1 − e^(−t/τ))',
+                `At t = τ: i = ${(1 - Math.exp(-1)).toFixed(3)} × I = ${new Measurement(this.currentAt(tau.value), I.sigFigs).format('A')}`,
+                `At t = ${span}τ = ${showTime(tau.scaled(span))}: i = ${(1 - Math.exp(-span)).toFixed(3)} × I, within 1% of its final value`,
+                `The field ends up holding W = ½LI² = ${energy.describe('J')}`
+            ]
+        });
+
+        this.workSteps.push({
+            title: 'Switch opened: the current dies away',
+            description: 'The collapsing field keeps the current flowing around the loop through R',
+            calculations: [
+                'i(t) = I × e^(−t/τ)',
+                `The current halves every τ ln 2 = ${showTime(halfLife)}`,
+                `The ${energy.format('J')} stored in the field is turned into heat in R`,
+                'With a saturating core L is taken at its value for the full current'
+            ]
+        });
+
+        const points = PHYSICS_CONSTANTS.PROFILE_POINTS;
+        const curve = mode => Array.from({ length: points }, (_, i) => {
+            const t = span * tau.value * i / (points - 1);
+            return { t, i: this.currentAt(t, mode) };
+        });
+
+        this.results = {
+            tau: tau.value,
+            voltage: voltage.value,
+            energy: energy.value,
+            halfLife: halfLife.value,
+            measured: { tau, voltage, energy, halfLife },
+            rise: curve('rise'),
+            decay: curve('decay'),
+            inputs: {
+                inductance: this.inductance,
+                resistance: this.resistance,
+                current: this.current,
+                source: this.source
+            },
+            timestamp: new Date().toISOString()
+        };
+
+        return this.results;
+    }
+
+    /**
+     * Get work steps
+     */
+    getWorkSteps() {
+        return this.workSteps;
+    }
+}
+
+// ============================================
+// Electromagnetic Induction
+// ============================================
+class InductionCalculator extends MeasuredCalculator {
+    constructor(options = {}) {
+        super();
+        this.mode = PHYSICS_CONSTANTS.INDUCTION_MODES.includes(options.mode) ? options.mode : 'magnet';
+        this.turns = options.turns || 100;
+        this.radius = options.radius || 0.02; // meters, of the coil or the turning loop
+        this.moment = options.moment || 1; // A·m², dipole moment of the bar magnet
+        this.speed = options.speed || 1; // m/s, of the magnet along the coil's axis
+        this.field = options.field || 0.1; // tesla, uniform field the loop turns in
+        this.frequency = options.frequency || 5; // Hz, turns per second of the loop
+
+        // Significant figures of the inputs as typed; turns are counted
+        this.sigFigs = { ...options.sigFigs };
+
+        // Units the work steps show B and lengths in
+        this.displayUnits = { magneticField: 'auto', length: 'cm', ...options.displayUnits };
+
+        this.results = null;
+        this.workSteps = [];
+    }
+
+    /**
+     * Seconds one run lasts: the magnet passing from INDUCTION_TRAVEL coil
+     * radii before the coil to as far beyond it, or two turns of the loop
+     */
+    duration() {
+        return this.mode === 'magnet'
+            ? 2 * PHYSICS_CONSTANTS.INDUCTION_TRAVEL * this.radius / this.speed
+            : 2 / this.frequency;
+    }
+
+    /**
+     * t seconds into the run: how far the magnet's center is past the coil
+     * in m, or the angle in rad between the loop's normal and B
+     */
+    positionAt(t) {
+        return this.mode === 'magnet'
+            ? this.speed * t - PHYSICS_CONSTANTS.INDUCTION_TRAVEL * this.radius
+            : 2 * Math.PI * this.frequency * t;
+    }
+
+    /**
+     * Flux through one turn in Wb, t seconds into the run. The magnet is a
+     * point dipole on the coil's axis, north pole leading, so the flux it
+     * sends through a turn is m × the field the turn makes there per ampere.
+     */
+    fluxAt(t) {
+        const R = this.radius;
+        const at = this.positionAt(t);
+        if (this.mode === 'magnet') {
+            return PHYSICS_CONSTANTS.MU_0 * this.moment * R * R / (2 * Math.pow(R * R + at * at, 1.5));
+        }
+        return this.field * Math.PI * R * R * Math.cos(at);
+    }
+
+    /**
+     * Sample Φ(t) over the run, differentiate it numerically for
+     * ℰ = −N dΦ/dt, and check the peak against the exact derivative.
+     * A positive ℰ drives current whose field points along the coil's
+     * axis (the magnet's motion) or the loop's normal.
+     */
+    calculate() {
+        const magnet = this.mode === 'magnet';
+        if (!(this.turns >= 1)) {
+            throw new Error('The coil needs at least one turn');
+        }
+        if (!(this.radius > 0)) {
+            throw new Error('Radius must be greater than zero');
+        }
+        if (magnet && !(this.moment > 0)) {
+            throw new Error('The magnet\'s moment must be greater than zero');
+        }
+        if (magnet && !(this.speed > 0)) {
+            throw new Error('Speed must be greater than zero: a magnet at rest induces nothing');
+        }
+        if (!magnet && !(this.field > 0)) {
+            throw new Error('B must be greater than zero');
+        }
+        if (!magnet && !(this.frequency > 0)) {
+            throw new Error('Frequency must be greater than zero: a loop at rest induces nothing');
+        }
+
+        this.workSteps = [];
+        const samples = PHYSICS_CONSTANTS.INDUCTION_SAMPLES;
+        const dt = this.duration() / (samples - 1);
+        const flux = Array.from({ length: samples }, (_, i) => this.fluxAt(i * dt));
+
+        // Central differences, one-sided at the two ends
+        const points = flux.map((phi, i) => {
+            const before = Math.max(0, i - 1);
+            const after = Math.min(samples - 1, i + 1);
+            return { t: i * dt, flux: phi, emf: -this.turns * (flux[after] - flux[before]) / ((after - before) * dt) };
+        });
+        const peak = points.reduce((best, p) => Math.abs(p.emf) > Math.abs(best.emf) ? p : best);
+
+        const measured = magnet ? this.calculateMagnet(dt, peak) : this.calculateRotatingLoop(dt, peak);
+
+        this.results = {
+            mode: this.mode,
+            flux: measured.flux.value,
+            emf: measured.emf.value,
+            numericEmf: Math.abs(peak.emf),
+            measured,
+            samples: points,
+            duration: this.duration(),
+            formula: magnet ? 'ℰ = −N dΦ/dt, Φ = μ₀mR² / (2(R² + z²)^(3/2))' : 'ℰ = −N dΦ/dt = NBAω sin ωt',
+            inputs: {
+                mode: this.mode,
+                turns: this.turns,
+                radius: this.radius,
+                moment: this.moment,
+                speed: this.speed,
+                field: this.field,
+                frequency: this.frequency,
+                sigFigs: { ...this.sigFigs }
+            },
+            timestamp: new Date().toISOString()
+        };
+
+        return this.results;
+    }
+
+    /**
+     * Bar magnet through a coil: Φ(z) of the dipole, and the exact peak of
+     * ℰ = −Nv dΦ/dz, reached R/2 either side of the coil
+     * @returns {Object} { flux, emf } Measurements of the peaks in Wb and V
+     */
+    calculateMagnet(dt, peak) {
+        const mu_0 = PHYSICS_CONSTANTS.MU_0;
+        const travel = PHYSICS_CONSTANTS.INDUCTION_TRAVEL;
+        const m = this.measure('moment');
+        const R = this.measure('radius');
+        const v = this.measure('speed');
+        const flux = m.scaled(mu_0).dividedBy(R.scaled(2));
+        const emf = m.times(v).scaled(24 * mu_0 * this.turns / (25 * Math.sqrt(5))).dividedBy(R.times(R));
+
+        this.workSteps.push({
+            title: 'Flux from the magnet through one turn',
+            description: `A magnet of moment m = ${m.format('A·m²')} moving at ${v.format('m/s')} along the axis of a ${this.turns}-turn coil`,
+            calculations: [
+                'Treat the magnet as a point dipole: Φ = m × (the field one turn makes at the magnet per ampere)',
+                'Φ(z) = μ₀mR² / (2(R² + z²)^(3/2)), with z how far the magnet is past the coil',
+                `R = ${this.showLength(R)}`,
+                `In the coil (z = 0): Φ = μ₀m / (2R) = ${flux.describe('Wb')}`,
+                `The run starts and ends ${travel}R away, where Φ is ${(100 * Math.pow(1 + travel * travel, -1.5)).toFixed(2)}% of that`
+            ]
+        });
+
+        const z = this.positionAt(peak.t) / this.radius;
+        this.workSteps.push(this.differentiationStep(dt, peak, emf, [
+            `found with the magnet ${window.ChargeLab.Utils.formatSigFigs(Math.abs(z), 3)}R ${z < 0 ? 'before' : 'past'} the coil`,
+            `Exact: ℰ = −Nv dΦ/dz is largest at z = ±R/2, where ℰ = 24μ₀Nmv / (25√5 R²) = ${emf.describe('V')}`
+        ]));
+
+        this.workSteps.push({
+            title: 'Lenz\'s law: which way the current flows',
+            description: 'The induced current makes a field that opposes the change in flux',
+            calculations: [
+                'North pole approaching: Φ rises, so the coil\'s field points back at the magnet and repels it (ℰ < 0)',
+                'North pole leaving: Φ falls, so the coil\'s field points after the magnet and pulls it back (ℰ > 0)',
+                'The two pulses have equal areas and opposite signs: ∫ℰ dt = −N(Φ_end − Φ_start) = 0',
+                'Either way the coil resists the motion: the energy in the current comes from pushing the magnet through'
+            ]
+        });
+
+        return { flux, emf };
+    }
+
+    /**
+     * Loop turning in a uniform field: Φ = BA cos ωt, and the exact
+     * ℰ = NBAω sin ωt, largest with the loop edge-on to B
+     * @returns {Object} { flux, emf } Measurements of the peaks in Wb and V
+     */
+    calculateRotatingLoop(dt, peak) {
+        const { Units } = window.ChargeLab;
+        const B = this.measure('field');
+        const R = this.measure('radius');
+        const f = this.measure('frequency');
+        const area = R.times(R).scaled(Math.PI);
+        const omega = f.scaled(2 * Math.PI);
+        const flux = B.times(area);
+        const emf = flux.times(omega).scaled(this.turns);
+
+        this.workSteps.push({
+            title: 'Flux through the turning loop',
+            description: `A ${this.turns}-turn loop turning at ${Units.format(f, 'frequency', 'Hz')} in a uniform ${Units.format(B, 'magneticField', Units.pick(B.value, 'magneticField', this.displayUnits.magneticField))} field`,
+            calculations: [
+                'Φ = BA cos θ, with θ = ωt the angle between the loop\'s normal and B',
+                `B = ${this.showB(B)}`,
+                `A = πR² = π × (${R.format('m')})² = ${area.describe('m²')}`,
+                `ω = 2πf = ${omega.describe('rad/s')}`,
+                `Facing the field (θ = 0): Φ = BA = ${flux.describe('Wb')}`
+            ]
+        });
+
+        const theta = Math.round(this.positionAt(peak.t) * 180 / Math.PI) % 360;
+        this.workSteps.push(this.differentiationStep(dt, peak, emf, [
+            `found at θ = ${theta}°`,
+            `Exact: ℰ = NBAω sin ωt, largest edge-on to the field (θ = 90°, where Φ = 0): ℰ = NBAω = ${emf.describe('V')}`
+        ]));
+
+        this.workSteps.push({
+            title: 'Lenz\'s law: which way the current flows',
+            description: 'The induced current makes a field that opposes the change in flux',
+            calculations: [
+                'From θ = 0° to 180° Φ falls, so the current adds flux along the loop\'s normal (ℰ > 0)',
+                'From 180° to 360° Φ rises, so the current takes it away (ℰ < 0)',
+                `The current reverses every half turn: the loop is an AC generator at ${Units.format(f, 'frequency', 'Hz')}`,
+                'The current\'s field also pushes back on the loop: turning it is the work that supplies the energy'
+            ]
+        });
+
+        return { flux, emf };
+    }
+
+    /**
+     * Work step for ℰ = −N dΦ/dt by central differences, checked against the exact peak
+     * @param {Array} exact - [where the numerical peak was found, the exact peak worked out]
+     */
+    differentiationStep(dt, peak, emf, [where, exact]) {
+        const { Measurement, Units, Utils } = window.ChargeLab;
+        const found = new Measurement(Math.abs(peak.emf), emf.sigFigs);
+        const time = new Measurement(dt, 3);
+        const error = Math.abs(found.value - emf.value) / emf.value;
+
+        return {
+            title: 'Differentiate Φ(t) numerically: ℰ = −N dΦ/dt',
+            description: `Φ is sampled every Δt = ${Units.format(time, 'time', Units.pick(dt, 'time'))} through the run`,
+            calculations: [
+                'ℰ(t) ≈ −N × (Φ(t + Δt) − Φ(t − Δt)) / (2Δt)',
+                `Largest |ℰ| = ${Units.format(found, 'voltage', Units.pick(found.value, 'voltage'))}, ${where}`,
+                exact,
+                `The numerical peak is within ${Utils.formatSigFigs(error * 100, 2)}% of the exact one`
+            ]
+        };
+    }
+
+    /**
+     * Lenz's law for one sample of the run, in words
+     */
+    describeLenz({ emf }) {
+        if (Math.abs(emf) < 0.02 * this.results.numericEmf) {
+            return 'Φ is hardly changing, so almost no current is induced';
+        }
+        if (this.mode === 'magnet') {
+            return emf < 0
+                ? 'Φ rising: the coil\'s field points back at the magnet, repelling it'
+                : 'Φ falling: the coil\'s field points after the magnet, pulling it back';
+        }
+        return emf > 0
+            ? 'Φ falling: the current adds flux along the loop\'s normal'
+            : 'Φ rising: the current takes flux away';
+    }
+
+    /**
+     * Get work steps
+     */
+    getWorkSteps() {
+        return this.workSteps;
+    }
+
+    /**
+     * Export as JSON, without the sampled run
+     */
+    exportJSON() {
+        const { samples, ...results } = this.results || {};
+        return {
+            results: this.results && { ...results, samples: samples.length },
+            workSteps: this.workSteps,
+            constants: PHYSICS_CONSTANTS
+        };
+    }
+}
+
+// ============================================
+// DC Motor and Generator
+// ============================================
+class DCMotorCalculator extends MeasuredCalculator {
+    constructor(options = {}) {
+        super();
+        this.mode = PHYSICS_CONSTANTS.MOTOR_MODES.includes(options.mode) ? options.mode : 'motor';
+        this.turns = options.turns || 100;
+        this.area = options.area || 0.0025; // m², of the rotor coil
+        this.field = options.field || 0.5; // tesla, between the pole pieces
+        this.current = options.current || 2; // Amperes from the supply (motor)
+        this.voltage = options.voltage || 12; // volts across the brushes (motor)
+        this.resistance = options.resistance ?? 1.5; // ohms, of the rotor coil
+        this.speed = options.speed || 25; // Hz, turns per second the rotor is driven at (generator)
+        this.loadResistance = options.loadResistance || 10; // ohms, of what the generator powers
+
+        // Significant figures of the inputs as typed; turns are counted
+        this.sigFigs = { ...options.sigFigs };
+
+        // Units the work steps show B in
+        this.displayUnits = { magneticField: 'auto', ...options.displayUnits };
+
+        this.results = null;
+        this.workSteps = [];
+    }
+
+    /**
+     * Current in the coil as a share of the brush current at angle θ (rad)
+     * between its normal and B. The commutator swaps the coil's ends every
+     * half turn, so the current in it reverses at θ = 0 and 180°: a motor's
+     * torque, or the pull a generator's load puts on it, keeps its sign.
+     */
+    coilCurrentAt(theta) {
+        const sin = Math.sin(theta);
+        return this.mode === 'motor' ? -Math.sign(sin) : Math.sign(sin);
+    }
+
+    /**
+     * Torque on the coil in N·m, counterclockwise positive as drawn, at θ
+     * with brush current I: NIAB sin θ with the commutator's sign
+     */
+    torqueAt(theta, current) {
+        return -this.coilCurrentAt(theta) * this.turns * current * this.area * this.field * Math.sin(theta);
+    }
+
+    /**
+     * EMF across the brushes in V at θ turning at ω rad/s: NABω |sin θ|
+     */
+    emfAt(theta, omega) {
+        return this.turns * this.area * this.field * omega * Math.abs(Math.sin(theta));
+    }
+
+    /**
+     * Run the machine as a motor on a supply of V and I, or as a generator
+     * turned at a set speed into a load
+     */
+    calculate() {
+        if (!(this.turns >= 1)) {
+            throw new Error('The rotor needs at least one turn');
+        }
+        if (!(this.area > 0)) {
+            throw new Error('The coil\'s area must be greater than zero');
+        }
+        if (!(this.field > 0)) {
+            throw new Error('B must be greater than zero');
+        }
+        if (!(this.resistance >= 0)) {
+            throw new Error('The coil\'s resistance cannot be negative');
+        }
+
+        this.workSteps = [];
+        const results = this.mode === 'motor' ? this.calculateMotor() : this.calculateGenerator();
+
+        this.results = {
+            mode: this.mode,
+            torque: results.torque.value,
+            emf: results.emf.value,
+            omega: results.omega.value,
+            current: results.current.value,
+            efficiency: results.efficiency.value,
+            measured: results,
+            inputs: {
+                mode: this.mode,
+                turns: this.turns,
+                area: this.area,
+                field: this.field,
+                current: this.current,
+                voltage: this.voltage,
+                resistance: this.resistance,
+                speed: this.speed,
+                loadResistance: this.loadResistance,
+                sigFigs: { ...this.sigFigs }
+            },
+            timestamp: new Date().toISOString()
+        };
+
+        return this.results;
+    }
+
+    /**
+     * Motor: torque from NIAB sin θ, then the speed at which the back-EMF
+     * takes up all of the supply voltage the coil's resistance leaves
+     * @returns {Object} Measurements { torque, peakTorque, emf, omega, current, voltage, powerIn, powerOut, heat, efficiency }
+     */
+    calculateMotor() {
+        const { Units } = window.ChargeLab;
+        if (!(this.current > 0)) {
+            throw new Error('The supply current must be greater than zero');
+        }
+        if (!(this.voltage > 0)) {
+            throw new Error('The supply voltage must be greater than zero');
+        }
+        const N = this.turns;
+        const A = this.measure('area');
+        const B = this.measure('field');
+        const I = this.measure('current');
+        const V = this.measure('voltage');
+        const R = this.measure('resistance');
+
+        const peakTorque = I.times(A).times(B).scaled(N);
+        const torque = peakTorque.scaled(2 / Math.PI);
+        const drop = I.times(R);
+        if (!(this.voltage > this.current * this.resistance)) {
+            throw new Error(`The supply must give more than I × R = ${drop.format('V')} for the rotor to turn: below that it stalls`);
+        }
+
+        const emf = V.minus(drop);
+        const constant = A.times(B).scaled(2 * N / Math.PI);
+        const omega = emf.dividedBy(constant);
+        const rpm = omega.scaled(60 / (2 * Math.PI));
+        const powerIn = V.times(I);
+        const powerOut = emf.times(I);
+        const heat = drop.times(I);
+        const efficiency = emf.dividedBy(V);
+
+        this.workSteps.push({
+            title: 'Torque on the coil',
+            description: `${N} turns of area ${Units.format(A, 'area', 'cm²')} carrying ${I.format('A')} between the poles`,
+            calculations: [
+                'Formula: τ = NIAB sin θ, θ = angle between the coil\'s normal and B',
+                `B = ${this.showB(B)}`,
+                `Largest with the coil's plane along B (θ = 90°): τ = NIAB = ${N} × ${I.format()} × ${A.format()} × ${B.format()} = ${peakTorque.describe('N·m')}`,
+                'At θ = 0 the commutator reverses the current, so τ keeps turning the rotor the same way',
+                `Averaged over a turn: τ = (2/π)NIAB = ${torque.describe('N·m')}`
+            ]
+        });
+
+        this.workSteps.push({
+            title: 'Back-EMF and speed',
+            description: 'The turning coil is also a generator, and its EMF pushes back against the supply',
+            calculations: [
+                'V = ℰ + IR, so ℰ = V − IR',
+                `ℰ = ${V.format('V')} − ${I.format('A')} × ${R.format('Ω')} = ${emf.describe('V')}`,
+                'Averaged over a turn ℰ = (2/π)NABω, so ω = ℰ / ((2/π)NAB)',
+                `ω = ${emf.format()} / ${constant.format()} = ${omega.describe('rad/s')} = ${rpm.format('rpm')}`,
+                'A heavier load slows the rotor, so ℰ falls and more of V drives current'
+            ]
+        });
+
+        this.workSteps.push({
+            title: 'Power and efficiency',
+            description: 'The supply\'s power goes into turning the load and heating the coil',
+            calculations: [
+                `P_in = VI = ${powerIn.describe('W')}`,
+                `P_out = τω = ℰI = ${powerOut.describe('W')}`,
+                `Heat in the coil: I²R = ${heat.describe('W')}`,
+                `η = P_out / P_in = ℰ / V = ${efficiency.scaled(100).format()}%`
+            ]
+        });
+
+        return { torque, peakTorque, emf, omega, current: I, voltage: V, powerIn, powerOut, heat, efficiency };
+    }
+
+    /**
+     * Generator: the coil turned at a set speed makes NABω |sin θ| across the
+     * brushes, which drives current through the coil and the load in series
+     * @returns {Object} Measurements { torque, peakEMF, emf, omega, current, voltage, powerIn, powerOut, heat, efficiency }
+     */
+    calculateGenerator() {
+        const { Units } = window.ChargeLab;
+        const N = this.turns;
+        const A = this.measure('area');
+        const B = this.measure('field');
+        const f = this.measure('speed');
+        const R = this.measure('resistance');
+        const load = this.measure('loadResistance');
+        if (!(this.speed > 0)) {
+            throw new Error('Speed must be greater than zero: a rotor at rest generates nothing');
+        }
+        if (!(this.loadResistance > 0)) {
+            throw new Error('The load\'s resistance must be greater than zero');
+        }
+
+        const omega = f.scaled(2 * Math.PI);
+        const peakEMF = A.times(B).times(omega).scaled(N);
+        const emf = peakEMF.scaled(2 / Math.PI);
+        const total = R.plus(load);
+        const current = emf.dividedBy(total);
+        const voltage = current.times(load);
+        const powerOut = voltage.times(current);
+        const powerIn = emf.times(current);
+        const heat = current.times(current).times(R);
+        const torque = current.times(A).times(B).scaled(2 * N / Math.PI);
+        const efficiency = load.dividedBy(total);
+
+        this.workSteps.push({
+            title: 'EMF from the turning coil',
+            description: `${N} turns of area ${Units.format(A, 'area', 'cm²')} turned at ${Units.format(f, 'frequency', 'rpm')}`,
+            calculations: [
+                'Formula: ℰ = NABω sin θ, the rotating loop of the induction lab',
+                `B = ${this.showB(B)}`,
+                `ω = 2πf = ${omega.describe('rad/s')}`,
+                `Largest with the coil's plane along B: ℰ = NABω = ${peakEMF.describe('V')}`,
+                `The commutator flips every negative half turn, so ℰ is DC, averaging (2/π)NABω = ${emf.describe('V')}`
+            ]
+        });
+
+        this.workSteps.push({
+            title: 'Current into the load',
+            description: `The coil's ${R.format('Ω')} and the load's ${load.format('Ω')} in series`,
+            calculations: [
+                `I = ℰ / (R + R_L) = ${emf.format('V')} / ${total.format('Ω')} = ${current.describe('A')}`,
+                `Across the load: V = IR_L = ${voltage.describe('V')}`,
+                `By Lenz's law the current pushes back on the coil: keeping it turning takes τ = (2/π)NIAB = ${torque.describe('N·m')}`
+            ]
+        });
+
+        this.workSteps.push({
+            title: 'Power and efficiency',
+            description: 'The work done turning the rotor becomes electrical power in the load and heat in the coil',
+            calculations: [
+                `P_in = τω = ℰI = ${powerIn.describe('W')}`,
+                `P_out = VI = ${powerOut.describe('W')}`,
+                `Heat in the coil: I²R = ${heat.describe('W')}`,
+                `η = P_out / P_in = R_L / (R + R_L) = ${efficiency.scaled(100).format()}%`
+            ]
+        });
+
+        return { torque, peakEMF, emf, omega, current, voltage, powerIn, powerOut, heat, efficiency };
+    }
+
+    /**
+     * Get work steps
+     */
+    getWorkSteps() {
+        return this.workSteps;
+    }
+
+    /**
+     * Export as JSON
+     */
+    exportJSON() {
+        return {
+            results: this.results,
+            workSteps: this.workSteps,
+            constants: PHYSICS_CONSTANTS
+        };
+    }
+}
+
+// ============================================
+// Transformer
+// ============================================
+class TransformerCalculator extends MeasuredCalculator {
+    constructor(options = {}) {
+        super();
+        this.primaryTurns = options.primaryTurns || 2000;
+        this.secondaryTurns = options.secondaryTurns || 100;
+        this.coupling = options.coupling ?? 0.995; // k, share of the primary's flux through the secondary
+        this.core = PHYSICS_CONSTANTS.PERMEABILITY[options.core] ? options.core : 'steel';
+        this.area = options.area || 0.0004; // m², of the core's cross-section
+        this.pathLength = options.pathLength || 0.1; // meters, once around the core
+        this.voltage = options.voltage || 120; // volts rms from the AC source
+        this.frequency = options.frequency || 60; // Hz, of the source
+        this.loadResistance = options.loadResistance || 6; // ohms, across the secondary
+
+        // Significant figures of the inputs as typed; turns are counted
+        this.sigFigs = { ...options.sigFigs };
+
+        // Units the work steps show B in
+        this.displayUnits = { magneticField: 'auto', ...options.displayUnits };
+
+        this.results = null;
+        this.workSteps = [];
+    }
+
+    getMaterial() {
+        return MagneticMaterial.fromKey(this.core);
+    }
+
+    /**
+     * Solve the two coupled windings driven at ω, with the secondary's
+     * current I₂ flowing out into the load:
+     *   V₁ = jωL₁I₁ − jωM I₂ and jωM I₁ = (R_L + jωL₂)I₂.
+     * The windings are taken as loss-free, so the only real power drawn is
+     * what the load takes.
+     * @returns {Object} rms amplitudes { I1, I2, V2 }, the real power P, the
+     *   primary's power factor, and the phases (rad) behind v₁ of i₁, i₂ and v₂
+     */
+    solveCircuit(L1, L2, M) {
+        const omega = 2 * Math.PI * this.frequency;
+        const R = this.loadResistance;
+        const X1 = omega * L1;
+        const X2 = omega * L2;
+        const XM = omega * M;
+
+        // Input impedance: the primary's own reactance plus the load reflected through M
+        const loop = R * R + X2 * X2;
+        const Zre = XM * XM * R / loop;
+        const Zim = X1 - XM * XM * X2 / loop;
+        const Z = Math.hypot(Zre, Zim);
+
+        const I1 = this.voltage / Z;
+        const I2 = XM * I1 / Math.sqrt(loop);
+        const phase1 = Math.atan2(Zim, Zre);
+        const phase2 = phase1 - Math.PI / 2 + Math.atan2(X2, R);
+
+        return {
+            I1,
+            I2,
+            V2: I2 * R,
+            power: I2 * I2 * R,
+            powerFactor: Zre / Z,
+            phase1,
+            phase2
+        };
+    }
+
+    /**
+     * Flux through the primary in Wb at phase ωt, for v₁ = √2 V₁ sin ωt:
+     * v₁ = N₁ dΦ/dt puts it a quarter cycle behind
+     */
+    fluxAt(phase) {
+        return -this.results.peakFlux * Math.cos(phase);
+    }
+
+    /**
+     * Inductances, the voltage and current ratios with the load on, the
+     * power that reaches it, and the flux the core must carry
+     */
+    calculate() {
+        const { Measurement, Units, Utils } = window.ChargeLab;
+        const { MU_0 } = PHYSICS_CONSTANTS;
+        if (!(this.primaryTurns >= 1) || !(this.secondaryTurns >= 1)) {
+            throw new Error('Each winding needs at least one turn');
+        }
+        if (!(this.coupling > 0 && this.coupling <= 1)) {
+            throw new Error('The coupling k must be more than 0 and at most 1');
+        }
+        if (!(this.area > 0) || !(this.pathLength > 0)) {
+            throw new Error('The core\'s area and path length must be greater than zero');
+        }
+        if (!(this.voltage > 0)) {
+            throw new Error('The source voltage must be greater than zero');
+        }
+        if (!(this.frequency > 0)) {
+            throw new Error('The source must alternate: its frequency must be greater than zero (a transformer does nothing with DC)');
+        }
+        if (!(this.loadResistance > 0)) {
+            throw new Error('The load\'s resistance must be greater than zero');
+        }
+
+        this.workSteps = [];
+        const material = this.getMaterial();
+        const N1 = this.primaryTurns;
+        const N2 = this.secondaryTurns;
+        const k = this.measure('coupling');
+        const A = this.measure('area');
+        const l = this.measure('pathLength');
+        const V1 = this.measure('voltage');
+        const f = this.measure('frequency');
+        const load = this.measure('loadResistance');
+        const showL = L => Units.format(L, 'inductance', Units.pick(L.value, 'inductance'));
+        const showV = V => Units.format(V, 'voltage', Units.pick(V.value, 'voltage'));
+        const showI = I => Units.format(I, 'current', Units.pick(I.value, 'current'));
+
+        // Step 1: each winding's inductance, and how much of it they share
+        const permeance = A.dividedBy(l).scaled(MU_0 * material.mu_r);
+        const L1 = permeance.scaled(N1 * N1);
+        const L2 = permeance.scaled(N2 * N2);
+        const M = k.times(permeance).scaled(N1 * N2);
+
+        this.workSteps.push({
+            title: 'Self- and mutual inductance',
+            description: `${N1} primary and ${N2} secondary turns on ${this.core === 'air' ? 'an air' : `a ${material.name.toLowerCase()}`} core, A = ${Units.format(A, 'area', 'cm²')}, ℓ = ${Units.format(l, 'length', 'cm')} around`,
+            calculations: [
+                'Formula: L = μ₀μᵣN²A / ℓ for each winding',
+                `μᵣ = ${material.mu_r} (${material.name})`,
+                `L₁ = ${showL(L1)}, L₂ = ${showL(L2)}`,
+                'M = k√(L₁L₂) = kμ₀μᵣN₁N₂A / ℓ: only the share k of one coil\'s flux passes through the other',
+                `M = ${k.format()} × √(${L1.format()} × ${L2.format()}) = ${M.describe('H')}${Units.pick(M.value, 'inductance') === 'H' ? '' : ` = ${showL(M)}`}`
+            ]
+        });
+
+        // Step 2: the ratios, ideal and with the load on
+        const sigFigs = Measurement.min(k, A, l, V1, f, load);
+        const solved = this.solveCircuit(L1.value, L2.value, M.value);
+        const I1 = new Measurement(solved.I1, sigFigs);
+        const I2 = new Measurement(solved.I2, sigFigs);
+        const V2 = new Measurement(solved.V2, sigFigs);
+        const turnsRatio = N2 / N1;
+        const idealV2 = V1.scaled(turnsRatio);
+        const openV2 = V1.times(k).scaled(turnsRatio);
+        const voltageRatio = V2.dividedBy(V1);
+        const currentRatio = I2.dividedBy(I1);
+        const omega = f.scaled(2 * Math.PI);
+        const ratio = value => Utils.formatSigFigs(value, 3);
+
+        this.workSteps.push({
+            title: 'Voltage and current ratios',
+            description: `${showV(V1)} rms at ${Units.format(f, 'frequency', Units.pick(f.value, 'frequency'))} across the primary, the secondary into ${load.format('Ω')}`,
+            calculations: [
+                `Ideal (k = 1, no magnetizing current): V₂/V₁ = N₂/N₁ = ${ratio(turnsRatio)} and I₂/I₁ = N₁/N₂ = ${ratio(1 / turnsRatio)}`,
+                `Unloaded: V₂ = k(N₂/N₁)V₁ = ${showV(openV2)}, against ${showV(idealV2)} ideally`,
+                `Loaded: V₁ = jωL₁I₁ − jωMI₂ and jωMI₁ = (R_L + jωL₂)I₂, with ω = ${omega.describe('rad/s')}`,
+                `I₁ = ${showI(I1)}, I₂ = ${showI(I2)}, V₂ = I₂R_L = ${showV(V2)}`,
+                `V₂/V₁ = ${voltageRatio.format()}, I₂/I₁ = ${currentRatio.format()}`
+            ]
+        });
+
+        // Step 3: the power that gets through
+        const power = new Measurement(solved.power, sigFigs);
+        const idealPower = idealV2.times(idealV2).dividedBy(load);
+        const apparent = V1.times(I1);
+        const transfer = power.dividedBy(idealPower);
+        const powerFactor = new Measurement(solved.powerFactor, sigFigs);
+
+        this.workSteps.push({
+            title: 'Power transfer',
+            description: 'Loss-free windings pass on all the real power they draw; the rest of the primary current only builds the field',
+            calculations: [
+                `To the load: P = I₂²R_L = ${power.describe('W')}`,
+                `An ideal transformer would give (N₂V₁/N₁)² / R_L = ${idealPower.describe('W')}, so ${transfer.scaled(100).format()}% of that gets through`,
+                `Drawn from the source: V₁I₁ = ${apparent.format('V·A')}, power factor P / V₁I₁ = ${powerFactor.format()}`,
+                this.coupling < PHYSICS_CONSTANTS.LOOSE_COUPLING
+                    ? 'With loose coupling much of L₁\'s flux misses the secondary: wireless chargers add capacitors to resonate away the leakage reactance'
+                    : 'Tight coupling, and a primary reactance ωL₁ well above the reflected load (N₁/N₂)²R_L, keep it close to ideal'
+            ]
+        });
+
+        // Step 4: the flux the source forces through the core
+        const peakFlux = V1.dividedBy(omega).scaled(Math.SQRT2 / N1);
+        const peakB = peakFlux.dividedBy(A);
+        const saturates = peakB.value > material.saturation;
+        const warning = saturates
+            ? `B would swing to ${Utils.formatSigFigs(peakB.value, 3)} T, past the ${material.name.toLowerCase()}'s saturation at Bs = ${material.saturation} T: the core saturates and the primary current spikes. Use more primary turns, a larger core or a higher frequency`
+            : null;
+
+        this.workSteps.push({
+            title: 'Flux in the core',
+            description: 'Each turn of the primary must carry its share of V₁, so the flux swings the same whatever the load',
+            calculations: [
+                'v₁ = N₁ dΦ/dt, so for a sine wave Φ_peak = √2 V₁ / (ωN₁)',
+                `Φ_peak = √2 × ${V1.format()} / (${omega.format()} × ${N1}) = ${peakFlux.describe('Wb')}`,
+                `B_peak = Φ_peak / A = ${this.showB(peakB)}`,
+                isFinite(material.saturation)
+                    ? (warning ? `⚠ ${warning}` : `Below Bs = ${material.saturation} T for ${material.name.toLowerCase()}, ${Math.round(peakB.value / material.saturation * 100)}% of the way`)
+                    : 'An air core cannot saturate',
+                'The same volts per turn at a higher frequency need less flux: that is why a 100 kHz charger\'s core is thumbnail-sized'
+            ]
+        });
+
+        this.results = {
+            inductance: { primary: L1.value, secondary: L2.value, mutual: M.value },
+            voltageRatio: voltageRatio.value,
+            currentRatio: currentRatio.value,
+            turnsRatio,
+            current: { primary: I1.value, secondary: I2.value },
+            secondaryVoltage: V2.value,
+            power: power.value,
+            idealPower: idealPower.value,
+            powerFactor: solved.powerFactor,
+            phases: { primaryCurrent: solved.phase1, secondaryVoltage: solved.phase2 },
+            peakFlux: peakFlux.value,
+            peakB: peakB.value,
+            warning,
+            measured: { L1, L2, M, I1, I2, V2, voltageRatio, currentRatio, power, idealPower, transfer, powerFactor, peakFlux, peakB },
+            inputs: {
+                primaryTurns: N1,
+                secondaryTurns: N2,
+                coupling: this.coupling,
+                core: this.core,
+                area: this.area,
+                pathLength: this.pathLength,
+                voltage: this.voltage,
+                frequency: this.frequency,
+                loadResistance: this.loadResistance,
+                sigFigs: { ...this.sigFigs }
+            },
+            timestamp: new Date().toISOString()
+        };
+
+        return this.results;
+    }
+
+    /**
+     * Get work steps
+     */
+    getWorkSteps() {
+        return this.workSteps;
+    }
+
+    /**
+     * Export as JSON
+     */
+    exportJSON() {
+        return {
+            results: this.results,
+            workSteps: this.workSteps,
+            constants: PHYSICS_CONSTANTS
+        };
+    }
+}
+
+// ============================================
+// Magnetic Field Simulator (Canvas)
+// ============================================
+class MagneticFieldSimulator {
+    constructor(canvasId, scopeCanvasId) {
+        this.canvas = document.getElementById(canvasId);
+        if (!this.canvas) return;
+
+        this.ctx = this.canvas.getContext('2d');
+        this.calculator = new MagneticFieldCalculator();
+        this.scopeCanvas = scopeCanvasId ? document.getElementById(scopeCanvasId) : null;
+
+        this.isRunning = false;
+        this.animationFrame = null;
+        this.time = 0;
+
+        // DC, or AC at a frequency in Hz with the calculator's current as the
+        // amplitude I₀. The source's phase ωt runs at the cycles per second
+        // drawn, whatever its real frequency, and the field lines creep along
+        // (flow) at a speed that follows B(t)
+        this.source = { type: 'dc', frequency: 60 };
+        this.phase = 0;
+        this.cyclesPerSecond = 0.5;
+        this.flow = 0;
+
+        this.resize();
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    resize() {
+        const rect = this.canvas.parentElement.getBoundingClientRect();
+        this.canvas.width = rect.width;
+        this.canvas.height = Math.min(rect.height, 400);
+        this.centerX = this.canvas.width / 2;
+        this.centerY = this.canvas.height / 2;
+        this.sceneGrid = null;
+    }
+
+    /**
+     * Update calculator parameters
+     */
+    setParameters(params) {
+        Object.assign(this.calculator, params);
+        this.calculator.calculate();
+        this.sceneGrid = null;
+        this.draw();
+    }
+
+    /**
+     * Drive the conductor with DC, or with AC: { type: 'ac', frequency }
+     */
+    setSource(source) {
+        const switched = source.type !== this.source.type;
+        this.source = { ...this.source, ...source };
+
+        // The scope shares the canvas's row, so showing it resizes the canvas
+        if (switched) {
+            if (this.scopeCanvas) {
+                this.scopeCanvas.parentElement.style.display = this.source.type === 'ac' ? 'block' : 'none';
+            }
+            this.resize();
+        }
+        this.draw();
+    }
+
+    /**
+     * I(t) / I₀ and B(t) / B₀ now: 1 for DC, sin ωt for AC. B follows the
+     * current in step, since the field reaches across the scene in
+     * nanoseconds, far quicker than any current here changes
+     */
+    fieldShare() {
+        return this.source.type === 'ac' ? Math.sin(this.phase) : 1;
+    }
+
+    /**
+     * Whether an AC current and its field are running the other way just now
+     */
+    get reversed() {
+        return this.fieldShare() < 0;
+    }
+
+    /**
+     * The current as captions show it; several currents (["I₁ = 2 A", ...])
+     * share one AC waveform
+     */
+    currentLabel(currents = [`I = ${this.calculator.current} A`]) {
+        const amplitude = currents.join(', ');
+        if (this.source.type !== 'ac') return amplitude;
+        const { Units, Utils } = window.ChargeLab;
+        const f = this.source.frequency;
+        const unit = Units.pick(f, 'frequency');
+        return `${currents.length > 1 ? `(${amplitude})` : amplitude} × sin(2π × ${Utils.formatSigFigs(Units.fromBase(f, 'frequency', unit), 3)} ${unit} × t)`;
+    }
+
+    /**
+     * Show any FieldScene in place of the calculator's conductor; null goes back
+     */
+    setScene(scene) {
+        this.customScene = scene;
+        this.sceneGrid = null;
+        this.draw();
+    }
+
+    /**
+     * Start animation
+     */
+    start() {
+        this.isRunning = true;
+        this.animate();
+    }
+
+    /**
+     * Stop animation
+     */
+    stop() {
+        this.isRunning = false;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+        }
+    }
+
+    /**
+     * Animation loop
+     */
+    animate() {
+        if (!this.isRunning) return;
+
+        this.time += 0.02;
+        if (this.source.type === 'ac') {
+            this.phase = (this.phase + 2 * Math.PI * this.cyclesPerSecond / 60) % (2 * Math.PI);
+        }
+        this.flow += 0.02 * this.fieldShare();
+        this.draw();
+
+        this.animationFrame = requestAnimationFrame(() => this.animate());
+    }
+
+    /**
+     * Draw the simulation
+     */
+    draw() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (this.customScene) {
+            this.drawScene(this.customScene, `${this.customScene.conductors.length} conductors`);
+            return;
+        }
+
+        switch (this.calculator.conductorType) {
+            case 'straight-wire':
+                this.drawStraightWire();
+                break;
+            case 'single-loop':
+                this.drawSingleLoop();
+                break;
+            case 'square-loop':
+            case 'finite-wire':
+            case 'bent-wire':
+                this.drawPath();
+                break;
+            case 'parallel-wires':
+                this.drawScene(this.calculator.scene(), `${this.currentLabel([`I₁ = ${this.calculator.current} A`, `I₂ = ${this.calculator.current2} A`])}, ${this.calculator.wireCurrents} currents`);
+                break;
+            case 'scene': {
+                const count = this.calculator.conductors.length;
+                const ac = this.source.type === 'ac' ? `, ${this.currentLabel(['each current'])}` : '';
+                this.drawScene(this.calculator.scene(), `${count} conductor${count === 1 ? '' : 's'} around P${ac}`, { point: Vec3.ZERO, label: 'P' });
+                break;
+            }
+            case 'helmholtz':
+            case 'anti-helmholtz':
+                this.drawScene(this.calculator.scene(), `${this.calculator.turns} turns per coil, ${this.currentLabel()}, ${this.calculator.conductorType === 'helmholtz' ? 'same' : 'opposite'} currents`);
+                break;
+            case 'toroid':
+                this.drawToroid();
+                break;
+            case 'solenoid':
+            default:
+                this.drawSolenoid();
+                break;
+        }
+
+        // Draw field strength indicator
+        this.drawFieldIndicator();
+
+        if (this.source.type === 'ac') {
+            this.drawTimeStretch();
+            this.drawScope();
+        }
+    }
+
+    /**
+     * Draw straight wire visualization
+     */
+    drawStraightWire() {
+        const { ctx, centerX, centerY, canvas } = this;
+
+        // Draw the wire (going into/out of page)
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, 15, 0, Math.PI * 2);
+        ctx.fillStyle = '#3EF1C6';
+        ctx.fill();
+        ctx.strokeStyle = '#00D1FF';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Draw current direction indicator (dot = out of page, x = into page)
+        if (this.reversed) {
+            ctx.strokeStyle = '#071733';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(centerX - 7, centerY - 7);
+            ctx.lineTo(centerX + 7, centerY + 7);
+            ctx.moveTo(centerX + 7, centerY - 7);
+            ctx.lineTo(centerX - 7, centerY + 7);
+            ctx.stroke();
+        } else {
+            ctx.fillStyle = '#071733';
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, 5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Draw concentric field lines
+        const numLines = 6;
+        for (let i = 1; i <= numLines; i++) {
+            const radius = 30 + i * 35;
+            const opacity = 1 - (i / numLines) * 0.6;
+
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+            ctx.strokeStyle = `rgba(0, 209, 255, ${opacity})`;
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([5, 5]);
+            ctx.lineDashOffset = -this.flow * 20;
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            // Draw arrows on field lines
+            const arrowAngle = this.flow + i * 0.5;
+            this.drawArrowOnCircle(centerX, centerY, radius, arrowAngle, (this.calculator.current > 0) !== this.reversed);
+        }
+
+        // Label
+        ctx.fillStyle = '#F8FAFC';
+        ctx.font = '14px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.currentLabel(), centerX, canvas.height - 20);
+        ctx.fillText(this.reversed ? '(current into page)' : '(current out of page)', centerX, canvas.height - 5);
+    }
+
+    /**
+     * Draw single loop visualization
+     */
+    drawSingleLoop() {
+        const { ctx, centerX, centerY, canvas } = this;
+        const loopRadius = Math.min(canvas.width, canvas.height) * 0.25;
+
+        // Draw the loop
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, loopRadius, 0, Math.PI * 2);
+        ctx.strokeStyle = '#3EF1C6';
+        ctx.lineWidth = 6;
+        ctx.stroke();
+
+        // Draw current direction arrows around the loop
+        for (let angle = 0; angle < Math.PI * 2; angle += Math.PI / 4) {
+            const x = centerX + Math.cos(angle) * loopRadius;
+            const y = centerY + Math.sin(angle) * loopRadius;
+            this.drawCurrentArrow(x, y, angle + Math.PI / 2);
+        }
+
+        // Draw field lines through center
+        const numLines = 5;
+        for (let i = 0; i < numLines; i++) {
+            const offset = (i - (numLines - 1) / 2) * 15;
+
+            ctx.beginPath();
+            ctx.moveTo(centerX + offset, centerY - loopRadius * 1.5);
+            ctx.lineTo(centerX + offset, centerY + loopRadius * 1.5);
+            ctx.strokeStyle = 'rgba(0, 209, 255, 0.6)';
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([8, 4]);
+            ctx.lineDashOffset = -this.flow * 30;
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            // Arrow at top
+            this.drawArrow(centerX + offset, centerY - loopRadius * 1.3, this.reversed ? -Math.PI / 2 : Math.PI / 2);
+        }
+
+        // Draw B-field indicator at center
+        ctx.fillStyle = 'rgba(0, 209, 255, 0.3)';
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, 20, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = '#00D1FF';
+        ctx.font = 'bold 14px Inter';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('B', centerX, centerY);
+
+        // Labels
+        ctx.fillStyle = '#F8FAFC';
+        ctx.font = '12px Inter';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText(`N = ${this.calculator.turns} turns`, centerX, canvas.height - 30);
+        ctx.fillText(this.currentLabel(), centerX, canvas.height - 15);
+    }
+
+    /**
+     * Draw solenoid visualization
+     */
+    drawSolenoid() {
+        const { ctx, centerX, centerY, canvas } = this;
+
+        const solenoidWidth = canvas.width * 0.6;
+        const solenoidHeight = 80;
+        const startX = centerX - solenoidWidth / 2;
+        const endX = centerX + solenoidWidth / 2;
+
+        // Draw coil turns
+        const numTurnsDrawn = Math.min(20, this.calculator.turns);
+        const turnSpacing = solenoidWidth / numTurnsDrawn;
+
+        for (let i = 0; i <= numTurnsDrawn; i++) {
+            const x = startX + i * turnSpacing;
+
+            // Draw ellipse for each turn
+            ctx.beginPath();
+            ctx.ellipse(x, centerY, 8, solenoidHeight / 2, 0, 0, Math.PI * 2);
+            ctx.strokeStyle = i % 2 === 0 ? '#3EF1C6' : '#2BC5AA';
+            ctx.lineWidth = 3;
+            ctx.stroke();
+        }
+
+        // Draw horizontal connecting lines
+        ctx.beginPath();
+        ctx.moveTo(startX, centerY - solenoidHeight / 2);
+        ctx.lineTo(endX, centerY - solenoidHeight / 2);
+        ctx.moveTo(startX, centerY + solenoidHeight / 2);
+        ctx.lineTo(endX, centerY + solenoidHeight / 2);
+        ctx.strokeStyle = '#3EF1C6';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Draw internal field lines
+        const numFieldLines = 5;
+        for (let i = 0; i < numFieldLines; i++) {
+            const yOffset = (i - (numFieldLines - 1) / 2) * 12;
+
+            ctx.beginPath();
+            ctx.moveTo(startX - 30, centerY + yOffset);
+            ctx.lineTo(endX + 30, centerY + yOffset);
+            ctx.strokeStyle = 'rgba(0, 209, 255, 0.5)';
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([6, 4]);
+            ctx.lineDashOffset = -this.flow * 25;
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            // Arrows
+            this.drawArrow(centerX, centerY + yOffset, this.reversed ? Math.PI : 0);
+        }
+
+        // Draw external return field lines (curved)
+        ctx.beginPath();
+        ctx.moveTo(endX + 30, centerY - 30);
+        ctx.quadraticCurveTo(endX + 80, centerY - 100, centerX, centerY - 120);
+        ctx.quadraticCurveTo(startX - 80, centerY - 100, startX - 30, centerY - 30);
+        ctx.strokeStyle = 'rgba(0, 209, 255, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.moveTo(endX + 30, centerY + 30);
+        ctx.quadraticCurveTo(endX + 80, centerY + 100, centerX, centerY + 120);
+        ctx.quadraticCurveTo(startX - 80, centerY + 100, startX - 30, centerY + 30);
+        ctx.stroke();
+
+        // N and S pole labels
+        ctx.fillStyle = '#00D1FF';
+        ctx.font = 'bold 16px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.reversed ? 'S' : 'N', startX - 45, centerY + 5);
+        ctx.fillStyle = '#3EF1C6';
+        ctx.fillText(this.reversed ? 'N' : 'S', endX + 45, centerY + 5);
+
+        // Info labels
+        ctx.fillStyle = '#F8FAFC';
+        ctx.font = '12px Inter';
+        const { Units, Utils } = window.ChargeLab;
+        const lengthUnit = this.calculator.displayUnits.length;
+        ctx.fillText(`N = ${this.calculator.turns} turns, L = ${Utils.formatSigFigs(Units.fromBase(this.calculator.length, 'length', lengthUnit), 3)} ${lengthUnit}`, centerX, canvas.height - 30);
+        ctx.fillText(`${this.currentLabel()}, μᵣ = ${this.calculator.showMu_r(this.calculator.getMu_r())}`, centerX, canvas.height - 15);
+    }
+
+    /**
+     * Draw a toroid seen along its axis: windings around the core, and
+     * circular flux lines that never leave it, brighter toward the inside
+     * where B is stronger
+     */
+    drawToroid() {
+        const { ctx, centerX, centerY, canvas } = this;
+        const { radius: a, outerRadius: b } = this.calculator;
+        const outer = Math.min(canvas.width, canvas.height) * 0.36;
+        const inner = outer * a / b;
+
+        // Core
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, outer, 0, Math.PI * 2);
+        ctx.arc(centerX, centerY, inner, 0, Math.PI * 2, true);
+        ctx.fillStyle = 'rgba(62, 241, 198, 0.08)';
+        ctx.fill();
+
+        // Flux lines, flowing counterclockwise
+        const numFluxLines = 4;
+        for (let i = 0; i < numFluxLines; i++) {
+            const r = inner + (outer - inner) * (i + 0.5) / numFluxLines;
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, r, 0, Math.PI * 2);
+            ctx.strokeStyle = `rgba(0, 209, 255, ${(0.8 * inner / r).toFixed(2)})`;
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([6, 4]);
+            ctx.lineDashOffset = this.flow * 25;
+            ctx.stroke();
+            ctx.setLineDash([]);
+            this.drawArrowOnCircle(centerX, centerY, r, -Math.PI / 4 + i * Math.PI / 2, this.reversed);
+        }
+
+        // Windings wrap the core from the hole to the outside
+        const numTurnsDrawn = Math.min(36, this.calculator.turns);
+        for (let i = 0; i < numTurnsDrawn; i++) {
+            const angle = i * Math.PI * 2 / numTurnsDrawn;
+            ctx.beginPath();
+            ctx.moveTo(centerX + Math.cos(angle) * (inner - 5), centerY + Math.sin(angle) * (inner - 5));
+            ctx.lineTo(centerX + Math.cos(angle) * (outer + 5), centerY + Math.sin(angle) * (outer + 5));
+            ctx.strokeStyle = i % 2 === 0 ? '#3EF1C6' : '#2BC5AA';
+            ctx.lineWidth = 3;
+            ctx.stroke();
+        }
+
+        // No field in the hole or outside
+        ctx.fillStyle = '#B6C0C9';
+        ctx.font = '12px Inter';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('B = 0', centerX, centerY);
+        ctx.fillText('B = 0 outside', canvas.width - 60, centerY);
+        ctx.textBaseline = 'alphabetic';
+
+        // Labels
+        const { Units, Utils } = window.ChargeLab;
+        const lengthUnit = this.calculator.displayUnits.length;
+        const show = length => Utils.formatSigFigs(Units.fromBase(length, 'length', lengthUnit), 3);
+        ctx.fillStyle = '#F8FAFC';
+        ctx.fillText(`N = ${this.calculator.turns} turns, a = ${show(a)} ${lengthUnit}, b = ${show(b)} ${lengthUnit}`, centerX, canvas.height - 30);
+        ctx.fillText(`${this.currentLabel()}, μᵣ = ${this.calculator.showMu_r(this.calculator.getMu_r())}`, centerX, canvas.height - 15);
+    }
+
+    /**
+     * Draw a conductor path in the xy-plane over its numerically computed
+     * field: ⊙ out of the page, ⊗ into it, brighter where B is stronger
+     */
+    drawPath() {
+        const { ctx, centerX, centerY, canvas } = this;
+        const { path, point, mu } = this.calculator.conductorPath();
+
+        // Fit the wire and the field point in the middle of the canvas
+        const all = [...path.points, point];
+        const xs = all.map(p => p.x);
+        const ys = all.map(p => p.y);
+        const midX = (Math.min(...xs) + Math.max(...xs)) / 2;
+        const midY = (Math.min(...ys) + Math.max(...ys)) / 2;
+        const span = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys), 1e-6);
+        const scale = Math.min(canvas.width, canvas.height) * 0.55 / span;
+        const toCanvas = p => ({ x: centerX + (p.x - midX) * scale, y: centerY - (p.y - midY) * scale });
+
+        // Field on a grid, shaded on a log scale across two decades below the strongest value
+        const spacing = 28;
+        const columns = Math.floor(canvas.width / spacing);
+        const rows = Math.floor(canvas.height / spacing);
+        const gridX = Array.from({ length: columns }, (_, i) => midX + ((i + 0.5) * spacing - centerX) / scale);
+        const gridY = Array.from({ length: rows }, (_, j) => midY - ((j + 0.5) * spacing - centerY) / scale);
+        const grid = path.fieldOnGrid(gridX, gridY, [0], mu);
+        const strongest = Math.max(...grid.map(g => Math.abs(g.B.z)));
+
+        grid.forEach(({ point: p, B }) => {
+            if (!strongest || !B.z) return;
+            const { x, y } = toCanvas(p);
+            this.drawOutOfPage(x, y, 6, B.z > 0, `rgba(0, 209, 255, ${0.15 + 0.75 * this.strength(Math.abs(B.z), strongest)})`);
+        });
+
+        // The wire, with the current direction on each segment
+        const corners = path.points.map(toCanvas);
+        ctx.beginPath();
+        corners.forEach((c, i) => (i ? ctx.lineTo(c.x, c.y) : ctx.moveTo(c.x, c.y)));
+        ctx.strokeStyle = '#3EF1C6';
+        ctx.lineWidth = 5;
+        ctx.stroke();
+        corners.slice(1).forEach((c, i) => {
+            const from = corners[i];
+            this.drawCurrentArrow((from.x + c.x) / 2, (from.y + c.y) / 2, Math.atan2(c.y - from.y, c.x - from.x));
+        });
+
+        // Field point
+        const P = toCanvas(point);
+        ctx.fillStyle = '#F8FAFC';
+        ctx.beginPath();
+        ctx.arc(P.x, P.y, 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.font = 'bold 12px Inter';
+        ctx.textAlign = 'left';
+        ctx.fillText('P', P.x + 8, P.y - 8);
+
+        // Labels
+        ctx.font = '12px Inter';
+        ctx.textAlign = 'center';
+        const turns = this.calculator.conductorType === 'square-loop' ? `N = ${this.calculator.turns} turns, ` : '';
+        ctx.fillText(`${turns}${this.currentLabel()} (⊙ B out of page, ⊗ into page)`, centerX, canvas.height - 15);
+    }
+
+    /**
+     * Draw several conductors over their combined field in the xy-plane:
+     * arrows for the in-plane field, ⊙/⊗ where it points out of or into the
+     * page. Wires seen end-on are drawn as ⊙ or ⊗ in the direction of their current.
+     */
+    drawScene(scene, caption, marker = null) {
+        const { ctx, centerX, centerY, canvas } = this;
+
+        // Frame the conductors' positions and loop radii, and any marked point
+        const extents = scene.conductors.flatMap(c => {
+            const r = c.radius || 0;
+            return [{ x: c.position.x - r, y: c.position.y - r }, { x: c.position.x + r, y: c.position.y + r }];
+        }).concat(marker ? [marker.point] : []);
+        const xs = extents.map(p => p.x);
+        const ys = extents.map(p => p.y);
+        const midX = (Math.min(...xs) + Math.max(...xs)) / 2;
+        const midY = (Math.min(...ys) + Math.max(...ys)) / 2;
+        const span = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) || 0.05;
+        const scale = Math.min(canvas.width, canvas.height) * 0.4 / span;
+        const toCanvas = p => ({ x: centerX + (p.x - midX) * scale, y: centerY - (p.y - midY) * scale });
+
+        // The net field is sampled once per scene; it can take thousands of segments
+        const spacing = 30;
+        if (!this.sceneGrid) {
+            const gridX = Array.from({ length: Math.floor(canvas.width / spacing) }, (_, i) => midX + ((i + 0.5) * spacing - centerX) / scale);
+            const gridY = Array.from({ length: Math.floor(canvas.height / spacing) }, (_, j) => midY - ((j + 0.5) * spacing - centerY) / scale);
+            this.sceneGrid = scene.fieldOnGrid(gridX, gridY);
+        }
+        const inPlane = B => Math.hypot(B.x, B.y);
+        const strongest = Math.max(...this.sceneGrid.map(g => Vec3.length(g.B)));
+
+        this.sceneGrid.forEach(({ point: p, B }) => {
+            const magnitude = Vec3.length(B);
+            if (!strongest || !magnitude) return;
+            const { x, y } = toCanvas(p);
+            const alpha = 0.15 + 0.75 * this.strength(magnitude, strongest);
+
+            if (inPlane(B) >= Math.abs(B.z)) {
+                const angle = Math.atan2(-B.y, B.x) + (this.reversed ? Math.PI : 0);
+                ctx.save();
+                ctx.globalAlpha = alpha;
+                ctx.strokeStyle = '#00D1FF';
+                ctx.lineWidth = 1.5;
+                ctx.beginPath();
+                ctx.moveTo(x - Math.cos(angle) * 10, y - Math.sin(angle) * 10);
+                ctx.lineTo(x + Math.cos(angle) * 4, y + Math.sin(angle) * 4);
+                ctx.stroke();
+                this.drawArrow(x + Math.cos(angle) * 4, y + Math.sin(angle) * 4, angle);
+                ctx.restore();
+            } else {
+                this.drawOutOfPage(x, y, 6, B.z > 0, `rgba(0, 209, 255, ${alpha})`);
+            }
+        });
+
+        // Conductors
+        ctx.font = 'bold 12px Inter';
+        ctx.textAlign = 'left';
+        scene.conductors.forEach(c => {
+            const points = c.path.points.map(toCanvas);
+            const across = Math.max(...points.map(p => p.x)) - Math.min(...points.map(p => p.x));
+            const down = Math.max(...points.map(p => p.y)) - Math.min(...points.map(p => p.y));
+            const endOn = across < 2 && down < 2;
+            const at = toCanvas(c.position);
+
+            if (endOn) {
+                ctx.fillStyle = '#3EF1C6';
+                ctx.beginPath();
+                ctx.arc(at.x, at.y, 12, 0, Math.PI * 2);
+                ctx.fill();
+                this.drawOutOfPage(at.x, at.y, 8, c.axis.z * c.direction * c.current > 0, '#071733');
+            } else {
+                ctx.beginPath();
+                points.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+                ctx.strokeStyle = '#3EF1C6';
+                ctx.lineWidth = 4;
+                ctx.stroke();
+            }
+            if (c.label) {
+                ctx.fillStyle = '#F8FAFC';
+                ctx.fillText(c.label, at.x + 16, at.y - 14);
+            }
+        });
+
+        // The point B is found at
+        if (marker) {
+            const at = toCanvas(marker.point);
+            ctx.strokeStyle = '#F8FAFC';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(at.x - 6, at.y - 6);
+            ctx.lineTo(at.x + 6, at.y + 6);
+            ctx.moveTo(at.x + 6, at.y - 6);
+            ctx.lineTo(at.x - 6, at.y + 6);
+            ctx.stroke();
+            ctx.fillStyle = '#F8FAFC';
+            ctx.fillText(marker.label, at.x + 10, at.y + 16);
+        }
+
+        ctx.fillStyle = '#F8FAFC';
+        ctx.font = '12px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText(caption, centerX, canvas.height - 15);
+    }
+
+    /**
+     * Brightness 0–1 for a field strength, on a log scale across the two
+     * decades below the strongest value
+     */
+    strength(magnitude, strongest) {
+        return Math.max(0, 1 + Math.log10(magnitude / strongest) / 2);
+    }
+
+    /**
+     * Draw ⊙ (out of the page) or ⊗ (into it)
+     */
+    drawOutOfPage(x, y, radius, outward, color) {
+        const { ctx } = this;
+        const arm = radius * 0.65;
+
+        // An AC current and its field point the other way on the negative half cycle
+        if (this.reversed) outward = !outward;
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        if (outward) {
+            ctx.moveTo(x + radius / 4, y);
+            ctx.arc(x, y, radius / 4, 0, Math.PI * 2);
+        } else {
+            ctx.moveTo(x - arm, y - arm);
+            ctx.lineTo(x + arm, y + arm);
+            ctx.moveTo(x + arm, y - arm);
+            ctx.lineTo(x - arm, y + arm);
+        }
+        ctx.stroke();
     }
 
     /**
      * Draw arrow helper
      */
-    drawArrow(x, y, angle) {
-        const { ctx } = this;
-        const size = 8;
+    drawArrow(x, y, angle) {
+        const { ctx } = this;
+        const size = 8;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+
+        ctx.beginPath();
+        ctx.moveTo(size, 0);
+        ctx.lineTo(-size, -size / 2);
+        ctx.lineTo(-size, size / 2);
+        ctx.closePath();
+        ctx.fillStyle = '#00D1FF';
+        ctx.fill();
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw arrow on circular path
+     */
+    drawArrowOnCircle(cx, cy, radius, angle, clockwise) {
+        const x = cx + Math.cos(angle) * radius;
+        const y = cy + Math.sin(angle) * radius;
+        const tangentAngle = angle + (clockwise ? Math.PI / 2 : -Math.PI / 2);
+        this.drawArrow(x, y, tangentAngle);
+    }
+
+    /**
+     * Draw current direction arrow, turned around while an AC current is reversed
+     */
+    drawCurrentArrow(x, y, angle) {
+        const { ctx } = this;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(this.reversed ? angle + Math.PI : angle);
+
+        ctx.beginPath();
+        ctx.moveTo(10, 0);
+        ctx.lineTo(-5, -5);
+        ctx.lineTo(-5, 5);
+        ctx.closePath();
+        ctx.fillStyle = '#F8FAFC';
+        ctx.fill();
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw field strength indicator
+     */
+    drawFieldIndicator() {
+        const { ctx, canvas } = this;
+
+        if (!this.calculator.results) return;
+
+        // With AC, B(t) now, in the unit its peak is shown in
+        const ac = this.source.type === 'ac';
+        const B = this.calculator.results.B;
+        const unit = window.ChargeLab.Units.pick(B, 'magneticField', this.calculator.displayUnits.magneticField);
+        const now = ac ? B * this.fieldShare() : B;
+        const B_display = `${window.ChargeLab.Utils.formatSigFigs(window.ChargeLab.Units.fromBase(now, 'magneticField', unit), 4)} ${unit}`;
+
+        // Background box
+        ctx.fillStyle = 'rgba(7, 23, 51, 0.9)';
+        ctx.fillRect(10, 10, 140, 50);
+        ctx.strokeStyle = '#00D1FF';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(10, 10, 140, 50);
+
+        // Text
+        ctx.fillStyle = '#B6C0C9';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'left';
+        const where = { toroid: 'in the core', scene: 'at P' }[this.calculator.conductorType] || 'center';
+        ctx.fillText(ac ? `B(t) (${where}), now:` : `B-field (${where}):`, 20, 30);
+
+        ctx.fillStyle = '#3EF1C6';
+        ctx.font = 'bold 16px Inter';
+        ctx.fillText(B_display, 20, 50);
+    }
+
+    /**
+     * How much slower than the real source the AC animation runs
+     */
+    drawTimeStretch() {
+        const { ctx, canvas } = this;
+        const { Utils } = window.ChargeLab;
+        const stretch = this.source.frequency / this.cyclesPerSecond;
+
+        ctx.fillStyle = '#B6C0C9';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'right';
+        ctx.fillText(stretch > 1 ? `${Utils.formatSigFigs(stretch, 2)}× slower than real time` : `${Utils.formatSigFigs(1 / stretch, 2)}× faster than real time`, canvas.width - 10, 20);
+    }
+
+    /**
+     * The peak current channel 1 traces: a custom scene's largest
+     */
+    scopeCurrent() {
+        const { conductorType, conductors, current } = this.calculator;
+        return conductorType === 'scene' && conductors.length ? Math.max(...conductors.map(c => Math.abs(c.current))) : current;
+    }
+
+    /**
+     * Oscilloscope beside the canvas: I(t) on channel 1 above B(t) on
+     * channel 2, each at its own 1-2-5 scale per division, over the last
+     * two cycles up to now
+     */
+    drawScope() {
+        const canvas = this.scopeCanvas;
+        if (!canvas || !this.calculator.results) return;
+
+        const { Units, Utils } = window.ChargeLab;
+        const { SCOPE_DIVISIONS, SCOPE_CYCLES } = PHYSICS_CONSTANTS;
+        const rect = canvas.parentElement.getBoundingClientRect();
+        canvas.width = rect.width || 300;
+        canvas.height = Math.min(rect.height || 240, 400);
+        const ctx = canvas.getContext('2d');
+        const pad = { left: 12, right: 12, top: 12, bottom: 52 };
+        const width = canvas.width - pad.left - pad.right;
+        const height = canvas.height - pad.top - pad.bottom;
+        const across = width / SCOPE_DIVISIONS.x;
+        const down = height / SCOPE_DIVISIONS.y;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = 'rgba(7, 23, 51, 0.9)';
+        ctx.fillRect(pad.left, pad.top, width, height);
+
+        // Graticule, with the middle lines brighter
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= SCOPE_DIVISIONS.x; i++) {
+            ctx.strokeStyle = i === SCOPE_DIVISIONS.x / 2 ? 'rgba(62, 241, 198, 0.3)' : 'rgba(62, 241, 198, 0.12)';
+            ctx.beginPath();
+            ctx.moveTo(pad.left + i * across, pad.top);
+            ctx.lineTo(pad.left + i * across, pad.top + height);
+            ctx.stroke();
+        }
+        for (let j = 0; j <= SCOPE_DIVISIONS.y; j++) {
+            ctx.strokeStyle = j === SCOPE_DIVISIONS.y / 2 ? 'rgba(62, 241, 198, 0.3)' : 'rgba(62, 241, 198, 0.12)';
+            ctx.beginPath();
+            ctx.moveTo(pad.left, pad.top + j * down);
+            ctx.lineTo(pad.left + width, pad.top + j * down);
+            ctx.stroke();
+        }
+
+        // Each channel's peak spans about one and a half divisions either side of its baseline
+        const perDivision = peak => {
+            const raw = Math.abs(peak) / 1.5;
+            if (!raw) return 1;
+            const power = Math.pow(10, Math.floor(Math.log10(raw)));
+            const step = [1, 2, 5, 10].find(m => m * power >= raw);
+            return step * power;
+        };
+        const channels = [
+            { name: 'CH1 I', quantity: 'current', peak: this.scopeCurrent(), baseline: SCOPE_DIVISIONS.y / 4, color: '#FFAA3C' },
+            { name: 'CH2 B', quantity: 'magneticField', peak: this.calculator.results.B, baseline: SCOPE_DIVISIONS.y * 3 / 4, color: '#00D1FF' }
+        ];
+        const samples = 200;
+
+        channels.forEach(({ peak, baseline, color }, index) => {
+            const scale = perDivision(peak);
+            channels[index].scale = scale;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            for (let i = 0; i <= samples; i++) {
+                const phase = this.phase - 2 * Math.PI * SCOPE_CYCLES * (1 - i / samples);
+                const x = pad.left + width * i / samples;
+                const y = pad.top + (baseline - peak * Math.sin(phase) / scale) * down;
+                if (i) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+            }
+            ctx.stroke();
+
+            // The trace's leading spot
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(pad.left + width, pad.top + (baseline - peak * Math.sin(this.phase) / scale) * down, 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Scales, as a scope's readout shows them
+        const show = (value, quantity) => {
+            const unit = Units.pick(value, quantity);
+            return `${Utils.formatSigFigs(Units.fromBase(value, quantity, unit), 3)} ${unit}`;
+        };
+        const timePerDivision = SCOPE_CYCLES / this.source.frequency / SCOPE_DIVISIONS.x;
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'left';
+        channels.forEach(({ name, quantity, scale, color }, index) => {
+            ctx.fillStyle = color;
+            ctx.fillText(`${name}: ${show(scale, quantity)}/div`, pad.left + index * width / 2, pad.top + height + 18);
+        });
+        ctx.fillStyle = '#B6C0C9';
+        ctx.fillText(`t: ${show(timePerDivision, 'time')}/div · B in step with I`, pad.left, pad.top + height + 36);
+    }
+}
+
+// ============================================
+// Charged Particle Lab (Canvas)
+// ============================================
+class ParticleLabSimulator {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.canvas = this.container.querySelector('canvas');
+        this.ctx = this.canvas.getContext('2d');
+
+        this.results = null;
+        this.caption = '';
+        this.frame = 0;
+        this.isRunning = false;
+        this.animationFrame = null;
+
+        // Integration steps revealed per animation frame, and frames to rest on the finished path
+        this.stepsPerFrame = 3;
+        this.holdFrames = 90;
+
+        this.resize();
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    resize() {
+        const rect = this.container.getBoundingClientRect();
+        this.canvas.width = rect.width;
+        this.canvas.height = Math.min(rect.height, 320);
+        if (!this.isRunning) this.draw();
+    }
+
+    /**
+     * Show a ParticleMotionCalculator result, tracing it from the start
+     */
+    setResults(results, caption = '') {
+        this.results = results;
+        this.caption = caption;
+        this.frame = 0;
+        this.draw();
+    }
+
+    /**
+     * Start animation
+     */
+    start() {
+        this.isRunning = true;
+        this.animate();
+    }
+
+    /**
+     * Stop animation
+     */
+    stop() {
+        this.isRunning = false;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+        }
+    }
+
+    /**
+     * Animation loop: reveal the path a few steps at a time, then start over
+     */
+    animate() {
+        if (!this.isRunning) return;
+
+        const length = this.results?.path.length || 0;
+        this.frame = this.frame * this.stepsPerFrame > length + this.holdFrames * this.stepsPerFrame ? 0 : this.frame + 1;
+        this.draw();
+
+        this.animationFrame = requestAnimationFrame(() => this.animate());
+    }
+
+    /**
+     * Draw both views: along B (B out of the page), and from the side (B up the page)
+     */
+    draw() {
+        const { ctx, canvas } = this;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!this.results) return;
+
+        const { path, radius, charge } = this.results;
+        const shown = path.slice(0, Math.min(path.length, this.frame * this.stepsPerFrame + 1));
+        const half = canvas.width / 2;
+
+        // The formula's orbit: the particle starts at the origin moving along +x
+        const center = { x: 0, y: -Math.sign(charge) * radius };
+        this.drawView({
+            left: 0, width: half, title: 'Looking along B',
+            path, shown, across: p => p.x, up: p => p.y,
+            predicted: radius ? { center, radius } : null,
+            fieldOutOfPage: true
+        });
+        this.drawView({
+            left: half, width: half, title: 'Side view',
+            path, shown, across: p => p.x, up: p => p.z
+        });
+
+        ctx.strokeStyle = 'rgba(182, 192, 201, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(half, 10);
+        ctx.lineTo(half, canvas.height - 10);
+        ctx.stroke();
+
+        ctx.fillStyle = '#F8FAFC';
+        ctx.font = '12px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.caption, half, canvas.height - 12);
+    }
+
+    /**
+     * Draw one projection of the path, framed to fit its panel
+     */
+    drawView({ left, width, title, path, shown, across, up, predicted, fieldOutOfPage }) {
+        const { ctx, canvas } = this;
+        const height = canvas.height - 40;
+        const xs = path.map(across);
+        const ys = path.map(up);
+        const midX = (Math.min(...xs) + Math.max(...xs)) / 2;
+        const midY = (Math.min(...ys) + Math.max(...ys)) / 2;
+        const spanX = Math.max(...xs) - Math.min(...xs);
+        const spanY = Math.max(...ys) - Math.min(...ys);
+        const fit = Math.min(width * 0.8 / (spanX || Infinity), height * 0.8 / (spanY || Infinity));
+        const scale = isFinite(fit) ? fit : 1; // a path straight along B is a dot seen along B
+        const cx = left + width / 2;
+        const cy = 20 + height / 2;
+        const toCanvas = p => ({ x: cx + (across(p) - midX) * scale, y: cy - (up(p) - midY) * scale });
+
+        // The uniform field: ⊙ across the panel, or upward lines
+        const spacing = 40;
+        ctx.strokeStyle = 'rgba(0, 209, 255, 0.25)';
+        ctx.fillStyle = 'rgba(0, 209, 255, 0.25)';
+        ctx.lineWidth = 1;
+        for (let x = left + spacing / 2; x < left + width; x += spacing) {
+            if (fieldOutOfPage) {
+                for (let y = 30; y < canvas.height - 30; y += spacing) {
+                    ctx.beginPath();
+                    ctx.arc(x, y, 5, 0, Math.PI * 2);
+                    ctx.stroke();
+                    ctx.beginPath();
+                    ctx.arc(x, y, 1.5, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            } else {
+                ctx.beginPath();
+                ctx.moveTo(x, canvas.height - 30);
+                ctx.lineTo(x, 30);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(x, 24);
+                ctx.lineTo(x - 4, 32);
+                ctx.lineTo(x + 4, 32);
+                ctx.closePath();
+                ctx.fill();
+            }
+        }
+
+        // Dashed: the circle r = mv sin θ / (|q|B) predicts
+        if (predicted) {
+            const at = toCanvas({ ...predicted.center, z: 0 });
+            ctx.setLineDash([6, 4]);
+            ctx.strokeStyle = '#B6C0C9';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(at.x, at.y, predicted.radius * scale, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Solid: the traced path so far, and the particle
+        const points = shown.map(toCanvas);
+        ctx.strokeStyle = '#3EF1C6';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+        ctx.stroke();
+
+        const particle = points[points.length - 1];
+        ctx.fillStyle = this.results.charge > 0 ? '#FF6464' : '#00D1FF';
+        ctx.beginPath();
+        ctx.arc(particle.x, particle.y, 6, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = '#B6C0C9';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'left';
+        ctx.fillText(`${title} (B ${fieldOutOfPage ? 'out of the page' : 'up the page'})`, left + 10, 16);
+    }
+}
+
+// ============================================
+// RL Circuit (Canvas)
+// ============================================
+class RLCircuitSimulator {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.canvas = this.container.querySelector('canvas');
+
+        this.results = null;
+        this.calculator = null;
+        this.mode = 'rise';
+        this.frame = 0;
+        this.animationFrame = null;
+
+        // Frames one transient of RL_TIME_CONSTANTS time constants plays over
+        this.frames = 180;
+
+        window.addEventListener('resize', () => this.draw());
+    }
+
+    /**
+     * Show an RLCircuitCalculator result, replaying the current transient
+     */
+    setResults(results, calculator) {
+        this.results = results;
+        this.calculator = calculator;
+        this.play(this.mode);
+    }
+
+    /**
+     * Play the current rising after the switch closes ('rise') or dying away after it opens ('decay')
+     */
+    play(mode) {
+        this.mode = mode;
+        this.frame = 0;
+        if (this.animationFrame) cancelAnimationFrame(this.animationFrame);
+        this.animate();
+    }
+
+    /**
+     * Animation loop: reveal the curve up to the current moment, then rest on it
+     */
+    animate() {
+        this.draw();
+        if (this.frame >= this.frames) return;
+
+        this.frame++;
+        this.animationFrame = requestAnimationFrame(() => this.animate());
+    }
+
+    /**
+     * i(t) so far, with the whole transient dashed behind it
+     */
+    draw() {
+        if (!this.results || !this.canvas) return;
+
+        const { Measurement, Units, Charts } = window.ChargeLab;
+        const curve = this.results[this.mode];
+        const end = curve[curve.length - 1].t;
+        const timeUnit = Units.pick(end, 'time');
+        const currentUnit = Units.pick(this.calculator.current, 'current');
+        const toT = t => Units.fromBase(t, 'time', timeUnit);
+        const toI = i => Units.fromBase(i, 'current', currentUnit);
+
+        const t = end * this.frame / this.frames;
+        const i = this.calculator.currentAt(t, this.mode);
+        const shown = curve.filter(p => p.t <= t);
+        const energy = new Measurement(0.5 * this.calculator.inductance * i * i, 3);
+        const tau = this.results.tau;
+
+        Charts.drawLineChart(this.canvas, {
+            series: [
+                { points: curve.map(p => ({ x: toT(p.t), y: toI(p.i) })), color: 'rgba(182, 192, 201, 0.5)', dashed: true },
+                { points: [...shown, { t, i }].map(p => ({ x: toT(p.t), y: toI(p.i) })), color: '#3EF1C6' }
+            ],
+            markers: [
+                { x: toT(tau), y: toI(this.calculator.currentAt(tau, this.mode)), label: 'τ', color: '#B6C0C9' },
+                {
+                    x: toT(t),
+                    y: toI(i),
+                    label: `i = ${Units.format(new Measurement(i, 3), 'current', currentUnit)}, ½Li² = ${Units.format(energy, 'energy', Units.pick(energy.value, 'energy'))}`,
+                    color: '#00D1FF'
+                }
+            ],
+            xLabel: `t (${timeUnit}) after the switch ${this.mode === 'rise' ? 'closes' : 'opens'}`,
+            yLabel: `i (${currentUnit})`,
+            yRange: [0, toI(this.calculator.current) * 1.05]
+        });
+    }
+}
+
+// ============================================
+// Electromagnetic Induction (Canvas)
+// ============================================
+class InductionSimulator {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.canvas = this.container.querySelector('#induction-scene-canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.fluxCanvas = this.container.querySelector('#induction-flux-canvas');
+        this.emfCanvas = this.container.querySelector('#induction-emf-canvas');
+
+        this.calculator = null;
+        this.isRunning = false;
+        this.animationFrame = null;
+        this.time = 0;
+        this.frame = 0;
+
+        // Frames one run plays over, however long it lasts in real time
+        this.frames = 240;
+
+        this.resize();
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    resize() {
+        const rect = this.canvas.parentElement.getBoundingClientRect();
+        this.canvas.width = rect.width;
+        this.canvas.height = Math.min(rect.height, 320);
+        this.centerX = this.canvas.width / 2;
+        this.centerY = this.canvas.height / 2;
+        if (!this.isRunning) this.draw();
+    }
+
+    /**
+     * Show an InductionCalculator's run from the start
+     */
+    setResults(calculator) {
+        this.calculator = calculator;
+        this.frame = 0;
+        this.draw();
+    }
+
+    /**
+     * Start animation
+     */
+    start() {
+        this.isRunning = true;
+        this.animate();
+    }
+
+    /**
+     * Stop animation
+     */
+    stop() {
+        this.isRunning = false;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+        }
+    }
+
+    /**
+     * Animation loop: play the run, then start it over
+     */
+    animate() {
+        if (!this.isRunning) return;
+
+        this.time += 0.02;
+        this.frame = this.frame >= this.frames ? 0 : this.frame + 1;
+        this.draw();
+
+        this.animationFrame = requestAnimationFrame(() => this.animate());
+    }
+
+    /**
+     * The sample of the run the animation has reached
+     */
+    sample() {
+        const { samples, flux, numericEmf } = this.calculator.results;
+        const sample = samples[Math.round(this.frame / this.frames * (samples.length - 1))];
+
+        // cos 90° and the like come out as 1e-17, not 0: show them as 0
+        const tidy = (value, peak) => Math.abs(value) < peak * 1e-9 ? 0 : value;
+        return { t: sample.t, flux: tidy(sample.flux, flux), emf: tidy(sample.emf, numericEmf) };
+    }
+
+    /**
+     * Draw the magnet or loop with the induced current, and Φ(t) and ℰ(t) so far
+     */
+    draw() {
+        if (!this.canvas || !this.calculator?.results) return;
+
+        const { ctx, canvas } = this;
+        const sample = this.sample();
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        if (this.calculator.mode === 'magnet') {
+            this.drawMagnet(sample);
+        } else {
+            this.drawRotatingLoop(sample);
+        }
+        this.drawEMFIndicator(sample);
+
+        // Runs last from milliseconds to seconds, so say how much the animation stretches them
+        const { Utils } = window.ChargeLab;
+        const stretch = this.frames / 60 / this.calculator.results.duration;
+        ctx.fillStyle = '#B6C0C9';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'right';
+        ctx.fillText(stretch > 1 ? `${Utils.formatSigFigs(stretch, 2)}× slower than real time` : `${Utils.formatSigFigs(1 / stretch, 2)}× faster than real time`, canvas.width - 10, 20);
+
+        ctx.fillStyle = '#F8FAFC';
+        ctx.font = '12px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.calculator.describeLenz(sample), this.centerX, canvas.height - 12);
+
+        this.drawCharts(sample);
+    }
+
+    /**
+     * Bar magnet passing along the coil's axis, north pole first, with the
+     * coil's induced field against the change in flux
+     */
+    drawMagnet(sample) {
+        const { ctx, canvas, centerX, centerY } = this;
+        const { radius, turns } = this.calculator;
+        const travel = PHYSICS_CONSTANTS.INDUCTION_TRAVEL;
+        const scale = Math.min(canvas.width * 0.85 / (2 * travel * radius), canvas.height * 0.25 / radius);
+        const R = radius * scale;
+
+        // Axis
+        ctx.strokeStyle = 'rgba(182, 192, 201, 0.35)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(10, centerY);
+        ctx.lineTo(canvas.width - 10, centerY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Magnet: south half trailing, north half leading
+        const x = centerX + this.calculator.positionAt(sample.t) * scale;
+        const half = R * 0.7;
+        const thickness = R * 0.5;
+        ctx.fillStyle = 'rgba(0, 209, 255, 0.85)';
+        ctx.fillRect(x - half, centerY - thickness / 2, half, thickness);
+        ctx.fillStyle = 'rgba(255, 100, 100, 0.85)';
+        ctx.fillRect(x, centerY - thickness / 2, half, thickness);
+        ctx.fillStyle = '#071733';
+        ctx.font = 'bold 12px Inter';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('S', x - half / 2, centerY);
+        ctx.fillText('N', x + half / 2, centerY);
+        ctx.textBaseline = 'alphabetic';
+
+        ctx.fillStyle = '#B6C0C9';
+        ctx.font = '12px Inter';
+        ctx.fillText('v →', x, centerY - thickness / 2 - 8);
+
+        // Coil, tilted a little so both sides show
+        this.drawLoop(centerX, centerY, R, 0.35, sample.emf);
+        ctx.fillStyle = '#F8FAFC';
+        ctx.fillText(`N = ${turns} turns`, centerX, centerY - R - 10);
+
+        // Induced field at the coil's center, scaled to the largest ℰ
+        const share = sample.emf / this.calculator.results.numericEmf;
+        if (Math.abs(share) > 0.02) {
+            const tip = centerX + Math.sign(share) * (12 + R * 1.2 * Math.abs(share));
+            ctx.strokeStyle = '#FF6464';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(centerX, centerY + R + 22);
+            ctx.lineTo(tip, centerY + R + 22);
+            ctx.stroke();
+            this.drawArrowHead(tip, centerY + R + 22, share > 0 ? 0 : Math.PI, '#FF6464');
+            ctx.fillStyle = '#FF6464';
+            ctx.fillText('B induced', centerX, centerY + R + 40);
+        }
+    }
+
+    /**
+     * Loop turning about the vertical in a uniform field pointing right
+     */
+    drawRotatingLoop(sample) {
+        const { ctx, canvas, centerX, centerY } = this;
+        const R = Math.min(canvas.width, canvas.height) * 0.3;
+        const theta = this.calculator.positionAt(sample.t);
+
+        // Uniform B, flowing to the right
+        for (let i = -2; i <= 2; i++) {
+            const y = centerY + i * R * 0.45;
+            ctx.beginPath();
+            ctx.moveTo(10, y);
+            ctx.lineTo(canvas.width - 18, y);
+            ctx.strokeStyle = 'rgba(0, 209, 255, 0.35)';
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([6, 4]);
+            ctx.lineDashOffset = -this.time * 25;
+            ctx.stroke();
+            ctx.setLineDash([]);
+            this.drawArrowHead(canvas.width - 10, y, 0, 'rgba(0, 209, 255, 0.6)');
+        }
+        ctx.fillStyle = '#00D1FF';
+        ctx.font = 'bold 14px Inter';
+        ctx.textAlign = 'left';
+        ctx.fillText('B', 14, centerY - R * 0.9 - 6);
+
+        // Rotation axis
+        ctx.strokeStyle = 'rgba(182, 192, 201, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(centerX, centerY - R - 20);
+        ctx.lineTo(centerX, centerY + R + 20);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        this.drawLoop(centerX, centerY, R, theta, sample.emf);
+
+        const degrees = Math.round(theta * 180 / Math.PI) % 360;
+        ctx.fillStyle = '#F8FAFC';
+        ctx.font = '12px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText(`θ = ${degrees}° between the normal and B`, centerX, centerY - R - 26);
+    }
+
+    /**
+     * Draw a loop of radius R px whose normal is turned θ from +x toward the
+     * viewer: its near side bright, its far side faint, and arrows for the
+     * induced current. A positive ℰ drives current whose field is along the
+     * normal: down the side that is on the left for 0 < θ < 180°, up the other.
+     */
+    drawLoop(cx, cy, R, theta, emf) {
+        const { ctx } = this;
+        const steps = 48;
+        const across = -R * Math.sin(theta);
+
+        for (let i = 0; i < steps; i++) {
+            const a = 2 * Math.PI * i / steps;
+            const b = 2 * Math.PI * (i + 1) / steps;
+            const near = Math.cos(theta) * Math.cos((a + b) / 2) > 0;
+            ctx.beginPath();
+            ctx.moveTo(cx + across * Math.cos(a), cy - R * Math.sin(a));
+            ctx.lineTo(cx + across * Math.cos(b), cy - R * Math.sin(b));
+            ctx.strokeStyle = near ? '#3EF1C6' : 'rgba(62, 241, 198, 0.35)';
+            ctx.lineWidth = 5;
+            ctx.stroke();
+        }
+
+        if (Math.abs(emf) < 0.02 * this.calculator.results.numericEmf) return;
+        [1, -1].forEach(side => {
+            const near = side * Math.cos(theta) > 0;
+            const down = side * Math.sign(emf);
+            this.drawArrowHead(cx + side * across, cy + down * 7, down * Math.PI / 2, near ? '#FF6464' : 'rgba(255, 100, 100, 0.4)');
+        });
+    }
+
+    /**
+     * Live ℰ and Φ in a box like the field simulator's
+     */
+    drawEMFIndicator(sample) {
+        const { ctx } = this;
+        const { Measurement, Units } = window.ChargeLab;
+        const emfUnit = Units.pick(this.calculator.results.numericEmf, 'voltage');
+        const fluxUnit = Units.pick(this.calculator.results.flux, 'magneticFlux');
+
+        ctx.fillStyle = 'rgba(7, 23, 51, 0.9)';
+        ctx.fillRect(10, 10, 160, 62);
+        ctx.strokeStyle = '#00D1FF';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(10, 10, 160, 62);
+
+        ctx.fillStyle = '#B6C0C9';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'left';
+        ctx.fillText('Induced EMF ℰ:', 20, 28);
+        ctx.fillText(`Φ per turn: ${Units.format(new Measurement(sample.flux, 3), 'magneticFlux', fluxUnit)}`, 20, 64);
+
+        ctx.fillStyle = '#3EF1C6';
+        ctx.font = 'bold 16px Inter';
+        ctx.fillText(Units.format(new Measurement(sample.emf, 3), 'voltage', emfUnit), 20, 47);
+    }
+
+    /**
+     * Φ(t) and ℰ(t) up to the moment shown, with the whole run dashed behind
+     */
+    drawCharts(sample) {
+        const { Measurement, Units, Charts } = window.ChargeLab;
+        const { samples, duration, flux, numericEmf } = this.calculator.results;
+        const timeUnit = Units.pick(duration, 'time');
+        const toT = t => Units.fromBase(t, 'time', timeUnit);
+        const shown = samples.filter(p => p.t <= sample.t);
+
+        const chart = (canvas, key, quantity, unit, color, yLabel, [bottom, top]) => {
+            const toY = value => Units.fromBase(value, quantity, unit);
+            Charts.drawLineChart(canvas, {
+                series: [
+                    { points: samples.map(p => ({ x: toT(p.t), y: toY(p[key]) })), color: 'rgba(182, 192, 201, 0.5)', dashed: true },
+                    { points: shown.map(p => ({ x: toT(p.t), y: toY(p[key]) })), color }
+                ],
+                markers: [{ x: toT(sample.t), y: toY(sample[key]), label: Units.format(new Measurement(sample[key], 3), quantity, unit), color: '#00D1FF' }],
+                xLabel: `t (${timeUnit})`,
+                yLabel,
+                yRange: [toY(bottom * 1.05), toY(top * 1.05)]
+            });
+        };
+
+        // The magnet's flux never reverses; the loop's and both EMFs swing evenly about zero
+        const fluxUnit = Units.pick(flux, 'magneticFlux');
+        const emfUnit = Units.pick(numericEmf, 'voltage');
+        chart(this.fluxCanvas, 'flux', 'magneticFlux', fluxUnit, '#3EF1C6', `Φ per turn (${fluxUnit})`, [this.calculator.mode === 'magnet' ? 0 : -flux, flux]);
+        chart(this.emfCanvas, 'emf', 'voltage', emfUnit, '#FF6464', `ℰ (${emfUnit})`, [-numericEmf, numericEmf]);
+    }
+
+    drawArrowHead(x, y, angle, color = '#00D1FF') {
+        const { ctx } = this;
+        const size = 10;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(-size, -size / 2);
+        ctx.lineTo(-size, size / 2);
+        ctx.closePath();
+        ctx.fillStyle = color;
+        ctx.fill();
+
+        ctx.restore();
+    }
+}
+
+// ============================================
+// DC Motor and Generator (Canvas)
+// ============================================
+class DCMotorSimulator {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.canvas = this.container.querySelector('#motor-rotor-canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.chartCanvas = this.container.querySelector('#motor-chart-canvas');
+
+        this.calculator = null;
+        this.isRunning = false;
+        this.animationFrame = null;
+        this.time = 0;
+
+        // Angle θ between the coil's normal and B, and the turns per second
+        // the rotor is drawn at, whatever its real speed
+        this.angle = Math.PI / 2;
+        this.turnsPerSecond = 0.5;
+
+        this.resize();
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    resize() {
+        const rect = this.canvas.parentElement.getBoundingClientRect();
+        this.canvas.width = rect.width;
+        this.canvas.height = Math.min(rect.height, 320);
+        this.centerX = this.canvas.width / 2;
+        this.centerY = this.canvas.height / 2;
+        if (!this.isRunning) this.draw();
+    }
+
+    /**
+     * Show a DCMotorCalculator's machine
+     */
+    setResults(calculator) {
+        this.calculator = calculator;
+        this.draw();
+    }
+
+    /**
+     * Start animation
+     */
+    start() {
+        this.isRunning = true;
+        this.animate();
+    }
+
+    /**
+     * Stop animation
+     */
+    stop() {
+        this.isRunning = false;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+        }
+    }
+
+    /**
+     * Animation loop: turn the rotor counterclockwise
+     */
+    animate() {
+        if (!this.isRunning) return;
+
+        this.time += 0.02;
+        this.angle = (this.angle + 2 * Math.PI * this.turnsPerSecond / 60) % (2 * Math.PI);
+        this.draw();
+
+        this.animationFrame = requestAnimationFrame(() => this.animate());
+    }
+
+    /**
+     * Draw the rotor between the poles, then τ(θ) or ℰ(θ) with the commutator
+     */
+    draw() {
+        if (!this.canvas || !this.calculator?.results) return;
+
+        const { ctx, canvas, centerX, centerY } = this;
+        const { Utils } = window.ChargeLab;
+        const theta = this.angle;
+        const gap = Math.min(canvas.width, canvas.height) * 0.38;
+        const arm = gap * 0.75;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Pole pieces, and the field between them
+        ctx.fillStyle = 'rgba(255, 100, 100, 0.75)';
+        ctx.fillRect(centerX - gap - 50, centerY - gap * 0.8, 50, gap * 1.6);
+        ctx.fillStyle = 'rgba(0, 209, 255, 0.75)';
+        ctx.fillRect(centerX + gap, centerY - gap * 0.8, 50, gap * 1.6);
+        ctx.fillStyle = '#071733';
+        ctx.font = 'bold 18px Inter';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('N', centerX - gap - 25, centerY);
+        ctx.fillText('S', centerX + gap + 25, centerY);
+        ctx.textBaseline = 'alphabetic';
+
+        for (let i = -2; i <= 2; i++) {
+            const y = centerY + i * gap * 0.35;
+            ctx.beginPath();
+            ctx.moveTo(centerX - gap, y);
+            ctx.lineTo(centerX + gap, y);
+            ctx.strokeStyle = 'rgba(0, 209, 255, 0.3)';
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([6, 4]);
+            ctx.lineDashOffset = -this.time * 25;
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // The coil seen end on: its two sides, ±u from the axle, with u
+        // along the coil's plane, a quarter turn on from its normal
+        const u = { x: -Math.sin(theta), y: Math.cos(theta) };
+        const sides = [1, -1].map(sign => ({ sign, x: centerX + sign * u.x * arm, y: centerY - sign * u.y * arm }));
+        ctx.strokeStyle = '#3EF1C6';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(sides[0].x, sides[0].y);
+        ctx.lineTo(sides[1].x, sides[1].y);
+        ctx.stroke();
+
+        // Current out of the page in the +u side when the coil current is
+        // positive, and F = IL × B up the page on that side
+        const current = this.calculator.coilCurrentAt(theta);
+        sides.forEach(({ sign, x, y }) => {
+            ctx.fillStyle = '#071733';
+            ctx.beginPath();
+            ctx.arc(x, y, 10, 0, Math.PI * 2);
+            ctx.fill();
+            this.drawOutOfPage(x, y, 10, sign * current > 0, '#F8FAFC');
+            if (current) {
+                const up = sign * current;
+                ctx.strokeStyle = '#FF6464';
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.moveTo(x, y - up * 14);
+                ctx.lineTo(x, y - up * 40);
+                ctx.stroke();
+                this.drawArrowHead(x, y - up * 44, -up * Math.PI / 2, '#FF6464');
+            }
+        });
+
+        this.drawCommutator(theta);
+
+        const degrees = Math.round(theta * 180 / Math.PI) % 360;
+        ctx.fillStyle = '#F8FAFC';
+        ctx.font = '12px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText(`θ = ${degrees}° between the coil's normal and B · red arrows: F = BIL on each side`, centerX, canvas.height - 12);
+
+        const realTurns = this.calculator.results.omega / (2 * Math.PI);
+        const stretch = realTurns / this.turnsPerSecond;
+        ctx.fillStyle = '#B6C0C9';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'right';
+        ctx.fillText(stretch > 1 ? `${Utils.formatSigFigs(stretch, 2)}× slower than real time` : `${Utils.formatSigFigs(1 / stretch, 2)}× faster than real time`, canvas.width - 10, 20);
+
+        this.drawIndicator(theta);
+        this.drawChart(theta);
+    }
+
+    /**
+     * Split ring on the axle, each half joined to one side of the coil, and
+     * the fixed brushes it slides under: the halves swap brushes as the
+     * gaps pass them, at θ = 0 and 180°
+     */
+    drawCommutator(theta) {
+        const { ctx, centerX, centerY } = this;
+        const radius = 16;
+        const u = Math.atan2(Math.cos(theta), -Math.sin(theta));
+
+        [1, -1].forEach(sign => {
+            const middle = sign > 0 ? u : u + Math.PI;
+            ctx.beginPath();
+            for (let i = 0; i <= 16; i++) {
+                const a = middle - Math.PI / 2 + 0.25 + (Math.PI - 0.5) * i / 16;
+                const x = centerX + radius * Math.cos(a);
+                const y = centerY - radius * Math.sin(a);
+                if (i) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+            }
+            ctx.strokeStyle = sign > 0 ? '#3EF1C6' : '#2BC5AA';
+            ctx.lineWidth = 6;
+            ctx.stroke();
+        });
+
+        [-1, 1].forEach(side => {
+            ctx.fillStyle = '#B6C0C9';
+            ctx.fillRect(centerX + side * (radius + 4) - (side < 0 ? 10 : 0), centerY - 5, 10, 10);
+            ctx.font = 'bold 12px Inter';
+            ctx.textAlign = 'center';
+            ctx.fillText(side < 0 ? '+' : '−', centerX + side * (radius + 22), centerY + 4);
+        });
+    }
+
+    /**
+     * Live torque (motor) or EMF (generator) in a box like the field simulator's
+     */
+    drawIndicator(theta) {
+        const { ctx } = this;
+        const { Measurement, Units } = window.ChargeLab;
+        const calc = this.calculator;
+        const motor = calc.mode === 'motor';
+        const value = motor
+            ? Math.abs(calc.torqueAt(theta, calc.current))
+            : calc.emfAt(theta, calc.results.omega);
+
+        ctx.fillStyle = 'rgba(7, 23, 51, 0.9)';
+        ctx.fillRect(10, 10, 150, 50);
+        ctx.strokeStyle = '#00D1FF';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(10, 10, 150, 50);
+
+        ctx.fillStyle = '#B6C0C9';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'left';
+        ctx.fillText(motor ? 'Torque on the rotor:' : 'EMF across the brushes:', 20, 30);
+
+        ctx.fillStyle = '#3EF1C6';
+        ctx.font = 'bold 16px Inter';
+        ctx.fillText(motor
+            ? new Measurement(value, 3).format('N·m')
+            : Units.format(new Measurement(value, 3), 'voltage', Units.pick(calc.results.measured.peakEMF.value, 'voltage')), 20, 50);
+    }
+
+    /**
+     * Over one turn: with the commutator, without it (dashed), and the average
+     */
+    drawChart(theta) {
+        const { Charts, Units } = window.ChargeLab;
+        const calc = this.calculator;
+        const motor = calc.mode === 'motor';
+        const unit = motor ? 'N·m' : Units.pick(calc.results.measured.peakEMF.value, 'voltage');
+        const peak = motor
+            ? calc.results.measured.peakTorque.value
+            : Units.fromBase(calc.results.measured.peakEMF.value, 'voltage', unit);
+        const points = PHYSICS_CONSTANTS.PROFILE_POINTS;
+        const curve = shape => Array.from({ length: points }, (_, i) => {
+            const degrees = 360 * i / (points - 1);
+            return { x: degrees, y: peak * shape(degrees * Math.PI / 180) };
+        });
+        const average = 2 * peak / Math.PI;
+        const degrees = theta * 180 / Math.PI;
+
+        Charts.drawLineChart(this.chartCanvas, {
+            series: [
+                { points: curve(Math.sin), color: 'rgba(182, 192, 201, 0.5)', dashed: true, label: 'no commutator' },
+                { points: [{ x: 0, y: average }, { x: 360, y: average }], color: '#B6C0C9', dashed: true, label: 'average' },
+                { points: curve(a => Math.abs(Math.sin(a))), color: motor ? '#FF6464' : '#3EF1C6', label: 'commutator' }
+            ],
+            markers: [{ x: degrees, y: peak * Math.abs(Math.sin(theta)), label: `θ = ${Math.round(degrees) % 360}°`, color: '#00D1FF' }],
+            xLabel: 'θ (°)',
+            yLabel: motor ? `τ (${unit})` : `ℰ (${unit})`,
+            xRange: [0, 360],
+            yRange: [-peak * 1.05, peak * 1.05]
+        });
+    }
+
+    /**
+     * Draw ⊙ (out of the page) or ⊗ (into it)
+     */
+    drawOutOfPage(x, y, radius, outward, color) {
+        const { ctx } = this;
+        const arm = radius * 0.65;
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        if (outward) {
+            ctx.moveTo(x + radius / 4, y);
+            ctx.arc(x, y, radius / 4, 0, Math.PI * 2);
+        } else {
+            ctx.moveTo(x - arm, y - arm);
+            ctx.lineTo(x + arm, y + arm);
+            ctx.moveTo(x + arm, y - arm);
+            ctx.lineTo(x - arm, y + arm);
+        }
+        ctx.stroke();
+    }
+
+    drawArrowHead(x, y, angle, color = '#00D1FF') {
+        const { ctx } = this;
+        const size = 10;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(-size, -size / 2);
+        ctx.lineTo(-size, size / 2);
+        ctx.closePath();
+        ctx.fillStyle = color;
+        ctx.fill();
+
+        ctx.restore();
+    }
+}
+
+// ============================================
+// Transformer (Canvas)
+// ============================================
+class TransformerSimulator {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.canvas = this.container.querySelector('#transformer-core-canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.chartCanvas = this.container.querySelector('#transformer-chart-canvas');
+
+        this.calculator = null;
+        this.isRunning = false;
+        this.animationFrame = null;
+        this.time = 0;
+
+        // Phase ωt of the source, the cycles per second it is drawn at,
+        // whatever its real frequency, and how far the flux has carried the
+        // dashes around the core
+        this.phase = 0;
+        this.cyclesPerSecond = 0.5;
+        this.flow = 0;
+
+        this.resize();
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    resize() {
+        const rect = this.canvas.parentElement.getBoundingClientRect();
+        this.canvas.width = rect.width;
+        this.canvas.height = Math.min(rect.height, 320);
+        this.centerX = this.canvas.width / 2;
+        this.centerY = this.canvas.height / 2;
+        if (!this.isRunning) this.draw();
+    }
+
+    /**
+     * Show a TransformerCalculator's transformer
+     */
+    setResults(calculator) {
+        this.calculator = calculator;
+        this.draw();
+    }
+
+    /**
+     * Start animation
+     */
+    start() {
+        this.isRunning = true;
+        this.animate();
+    }
+
+    /**
+     * Stop animation
+     */
+    stop() {
+        this.isRunning = false;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+        }
+    }
+
+    /**
+     * Animation loop: run the source through two cycles, then start over
+     */
+    animate() {
+        if (!this.isRunning) return;
+
+        this.time += 0.02;
+        this.phase = (this.phase + 2 * Math.PI * this.cyclesPerSecond / 60) % (4 * Math.PI);
+        if (this.calculator?.results) {
+            this.flow += 3 * this.calculator.fluxAt(this.phase) / this.calculator.results.peakFlux;
+        }
+        this.draw();
+
+        this.animationFrame = requestAnimationFrame(() => this.animate());
+    }
+
+    /**
+     * Draw the core with its windings, source and load, the flux going round
+     * it and the leakage flux that misses the secondary, then v/N against ωt
+     */
+    draw() {
+        if (!this.canvas || !this.calculator?.results) return;
+
+        const { ctx, canvas, centerX, centerY } = this;
+        const { Utils } = window.ChargeLab;
+        const calc = this.calculator;
+        const results = calc.results;
+        const share = calc.fluxAt(this.phase) / results.peakFlux;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Core: a closed frame, the windings on its two upright limbs
+        const width = Math.min(canvas.width * 0.5, 320);
+        const height = canvas.height * 0.62;
+        const thick = 26;
+        const left = centerX - width / 2;
+        const top = centerY - height / 2;
+        const fill = { air: null, ferrite: 'rgba(90, 90, 110, 0.6)', steel: 'rgba(182, 192, 201, 0.35)' }[calc.core];
+
+        if (fill) {
+            ctx.fillStyle = fill;
+            ctx.beginPath();
+            ctx.rect(left, top, width, height);
+            ctx.rect(left + width - thick, top + thick, -(width - 2 * thick), height - 2 * thick);
+            ctx.fill();
+        } else {
+            ctx.strokeStyle = 'rgba(182, 192, 201, 0.3)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.strokeRect(left, top, width, height);
+            ctx.strokeRect(left + thick, top + thick, width - 2 * thick, height - 2 * thick);
+            ctx.setLineDash([]);
+        }
+
+        // Flux round the core's centerline, clockwise while Φ > 0
+        const path = { left: left + thick / 2, right: left + width - thick / 2, top: top + thick / 2, bottom: top + height - thick / 2 };
+        ctx.strokeStyle = `rgba(0, 209, 255, ${0.15 + 0.85 * Math.abs(share)})`;
+        ctx.lineWidth = 3;
+        ctx.setLineDash([10, 8]);
+        ctx.lineDashOffset = -this.flow;
+        ctx.strokeRect(path.left, path.top, path.right - path.left, path.bottom - path.top);
+        ctx.setLineDash([]);
+        if (Math.abs(share) > 0.05) {
+            const color = `rgba(0, 209, 255, ${Math.abs(share)})`;
+            const direction = Math.sign(share);
+            this.drawArrowHead(centerX + direction * 6, path.top, direction > 0 ? 0 : Math.PI, color);
+            this.drawArrowHead(centerX - direction * 6, path.bottom, direction > 0 ? Math.PI : 0, color);
+        }
+
+        // Leakage: the primary's flux that closes around it without reaching the secondary
+        const leak = 1 - calc.coupling;
+        if (leak > 0.001) {
+            ctx.strokeStyle = `rgba(255, 170, 60, ${Math.min(1, 0.2 + leak) * Math.abs(share)})`;
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([4, 4]);
+            [1.4, 2.2].forEach(spread => {
+                ctx.beginPath();
+                ctx.ellipse(path.left, centerY, thick * spread, height * 0.3, 0, 0, Math.PI * 2);
+                ctx.stroke();
+            });
+            ctx.setLineDash([]);
+        }
+
+        // Windings: turns drawn in proportion, so the ratio shows
+        const most = Math.max(calc.primaryTurns, calc.secondaryTurns);
+        const drawn = turns => Math.max(1, Math.round(10 * turns / most));
+        this.drawWinding(path.left, centerY, thick, height * 0.55, drawn(calc.primaryTurns), '#FFAA3C');
+        this.drawWinding(path.right, centerY, thick, height * 0.55, drawn(calc.secondaryTurns), '#3EF1C6');
+
+        // Source on the left, load on the right
+        const reach = height * 0.275;
+        const sourceX = Math.max(20, left - 70);
+        const loadX = Math.min(canvas.width - 20, left + width + 70);
+        this.drawLeads(path.left - thick / 2, sourceX, centerY, reach, '#FFAA3C');
+        this.drawLeads(path.right + thick / 2, loadX, centerY, reach, '#3EF1C6');
+        this.drawSource(sourceX, centerY);
+        this.drawLoad(loadX, centerY);
+
+        ctx.fillStyle = '#F8FAFC';
+        ctx.font = '12px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText(`N₁ = ${calc.primaryTurns}`, path.left, top + height + 18);
+        ctx.fillText(`N₂ = ${calc.secondaryTurns}`, path.right, top + height + 18);
+        ctx.fillText(`${calc.getMaterial().name} core · blue: flux Φ through both coils${leak > 0.001 ? ' · orange: leakage' : ''}`, centerX, canvas.height - 10);
+
+        const stretch = calc.frequency / this.cyclesPerSecond;
+        ctx.fillStyle = '#B6C0C9';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'right';
+        ctx.fillText(stretch > 1 ? `${Utils.formatSigFigs(stretch, 2)}× slower than real time` : `${Utils.formatSigFigs(1 / stretch, 2)}× faster than real time`, canvas.width - 10, 20);
+
+        this.drawIndicator();
+        this.drawChart();
+    }
+
+    /**
+     * Turns of wire across a limb of the core
+     */
+    drawWinding(x, y, thick, span, turns, color) {
+        const { ctx } = this;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        for (let i = 0; i < turns; i++) {
+            const ty = turns === 1 ? y : y - span / 2 + span * i / (turns - 1);
+            ctx.beginPath();
+            ctx.moveTo(x - thick / 2 - 4, ty + 4);
+            ctx.lineTo(x + thick / 2 + 4, ty - 4);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Two wires from the ends of a winding out to a source or load at x
+     */
+    drawLeads(from, x, y, reach, color) {
+        const { ctx } = this;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        [-1, 1].forEach(side => {
+            ctx.beginPath();
+            ctx.moveTo(from, y + side * reach);
+            ctx.lineTo(x, y + side * reach);
+            ctx.lineTo(x, y + side * 18);
+            ctx.stroke();
+        });
+    }
+
+    /**
+     * AC source: a circle with a sine wave in it
+     */
+    drawSource(x, y) {
+        const { ctx } = this;
+        ctx.fillStyle = '#071733';
+        ctx.strokeStyle = '#FFAA3C';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, 18, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.beginPath();
+        for (let i = 0; i <= 20; i++) {
+            const px = x - 10 + i;
+            const py = y - 6 * Math.sin(i / 20 * 2 * Math.PI);
+            if (i) ctx.lineTo(px, py); else ctx.moveTo(px, py);
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Load resistor: a zigzag
+     */
+    drawLoad(x, y) {
+        const { ctx } = this;
+        ctx.strokeStyle = '#3EF1C6';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, y - 18);
+        for (let i = 1; i <= 6; i++) {
+            ctx.lineTo(x + (i % 2 ? 7 : -7), y - 18 + i * 6);
+        }
+        ctx.lineTo(x, y + 18);
+        ctx.stroke();
+        ctx.fillStyle = '#B6C0C9';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText('R_L', x, y + 34);
+    }
+
+    /**
+     * Live core flux and secondary voltage in a box like the field simulator's
+     */
+    drawIndicator() {
+        const { ctx } = this;
+        const { Measurement, Units } = window.ChargeLab;
+        const calc = this.calculator;
+        const results = calc.results;
+        const flux = calc.fluxAt(this.phase);
+        const v2 = Math.SQRT2 * results.secondaryVoltage * Math.sin(this.phase - results.phases.secondaryVoltage);
+        const show = (value, quantity, peak) => Units.format(new Measurement(value, 3), quantity, Units.pick(peak, quantity));
+
+        ctx.fillStyle = 'rgba(7, 23, 51, 0.9)';
+        ctx.fillRect(10, 10, 150, 64);
+        ctx.strokeStyle = '#00D1FF';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(10, 10, 150, 64);
+
+        ctx.fillStyle = '#B6C0C9';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'left';
+        ctx.fillText('Core flux Φ:', 20, 28);
+        ctx.fillText('Secondary v₂:', 20, 56);
+
+        ctx.fillStyle = '#3EF1C6';
+        ctx.font = 'bold 13px Inter';
+        ctx.fillText(show(flux, 'magneticFlux', results.peakFlux), 20, 43);
+        ctx.fillText(show(v2, 'voltage', Math.SQRT2 * results.secondaryVoltage), 20, 70);
+    }
+
+    /**
+     * Volts per turn on each side over two cycles: equal for an ideal
+     * transformer, the secondary's smaller and later with leakage
+     */
+    drawChart() {
+        const { Charts, Units } = window.ChargeLab;
+        const calc = this.calculator;
+        const results = calc.results;
+        const primaryPeak = Math.SQRT2 * calc.voltage / calc.primaryTurns;
+        const secondaryPeak = Math.SQRT2 * results.secondaryVoltage / calc.secondaryTurns;
+        const unit = Units.pick(primaryPeak, 'voltage');
+        const scale = value => Units.fromBase(value, 'voltage', unit);
+        const lag = results.phases.secondaryVoltage;
+        const points = PHYSICS_CONSTANTS.PROFILE_POINTS;
+        const curve = (peak, shift) => Array.from({ length: points }, (_, i) => {
+            const degrees = 720 * i / (points - 1);
+            return { x: degrees, y: scale(peak) * Math.sin(degrees * Math.PI / 180 - shift) };
+        });
+        const degrees = this.phase * 180 / Math.PI;
+        const top = scale(primaryPeak) * 1.05;
+
+        Charts.drawLineChart(this.chartCanvas, {
+            series: [
+                { points: curve(primaryPeak, 0), color: '#FFAA3C', label: 'primary v₁/N₁' },
+                { points: curve(secondaryPeak, lag), color: '#3EF1C6', label: 'secondary v₂/N₂' }
+            ],
+            markers: [{ x: degrees, y: scale(primaryPeak) * Math.sin(this.phase), label: `ωt = ${Math.round(degrees)}°`, color: '#00D1FF' }],
+            xLabel: 'ωt (°)',
+            yLabel: `volts per turn (${unit})`,
+            xRange: [0, 720],
+            yRange: [-top, top]
+        });
+    }
+
+    drawArrowHead(x, y, angle, color = '#00D1FF') {
+        const { ctx } = this;
+        const size = 10;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(-size, -size / 2);
+        ctx.lineTo(-size, size / 2);
+        ctx.closePath();
+        ctx.fillStyle = color;
+        ctx.fill();
+
+        ctx.restore();
+    }
+}
+
+// ============================================
+// Right-Hand Rule Demonstrator
+// ============================================
+class RightHandRuleDemonstrator {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.canvas = this.container.querySelector('canvas');
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.container.appendChild(this.canvas);
+        }
+
+        this.ctx = this.canvas.getContext('2d');
+        this.mode = 'wire'; // 'wire', 'loop' or 'force'
+
+        // Force rule: unit vectors { along, field, force, alongLabel, negative }
+        this.force = {
+            along: { x: 1, y: 0, z: 0 },
+            field: { x: 0, y: 1, z: 0 },
+            force: { x: 0, y: 0, z: 1 },
+            alongLabel: 'I'
+        };
+        this.rotation = 0;
+
+        this.resize();
+        this.draw();
+
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    resize() {
+        const rect = this.container.getBoundingClientRect();
+        this.canvas.width = rect.width;
+        this.canvas.height = Math.min(rect.height, 300);
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.draw();
+    }
+
+    /**
+     * Show the force rule for the vectors of a MagneticForceCalculator result
+     */
+    setForce(vectors) {
+        this.force = vectors;
+        this.setMode('force');
+    }
+
+    draw() {
+        const { ctx, canvas } = this;
+        const centerX = canvas.width / 2;
+        const centerY = canvas.height / 2;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        if (this.mode === 'wire') {
+            this.drawWireRule(centerX, centerY);
+        } else if (this.mode === 'force') {
+            this.drawForceRule(centerX, centerY);
+        } else {
+            this.drawLoopRule(centerX, centerY);
+        }
+    }
+
+    drawWireRule(cx, cy) {
+        const { ctx } = this;
+
+        // Title
+        ctx.fillStyle = '#F8FAFC';
+        ctx.font = 'bold 14px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText('Right-Hand Rule for Straight Wire', cx, 25);
+
+        // Instructions
+        ctx.font = '12px Inter';
+        ctx.fillStyle = '#B6C0C9';
+        ctx.fillText('Point thumb in direction of current (I)', cx, 45);
+        ctx.fillText('Fingers curl in direction of B-field', cx, 60);
+
+        // Draw hand representation
+        // Thumb (current direction)
+        ctx.fillStyle = '#3EF1C6';
+        ctx.beginPath();
+        ctx.ellipse(cx - 30, cy, 15, 50, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#2BC5AA';
+        ctx.beginPath();
+        ctx.ellipse(cx - 30, cy - 55, 12, 15, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Current arrow
+        ctx.strokeStyle = '#00D1FF';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(cx - 30, cy + 30);
+        ctx.lineTo(cx - 30, cy - 80);
+        ctx.stroke();
+        this.drawArrowHead(cx - 30, cy - 80, -Math.PI / 2);
+
+        ctx.fillStyle = '#00D1FF';
+        ctx.font = 'bold 14px Inter';
+        ctx.fillText('I', cx - 15, cy - 70);
+
+        // Curling fingers (B-field direction)
+        for (let i = 0; i < 4; i++) {
+            const angle = Math.PI * 0.3 + i * 0.35;
+            const radius = 60 + i * 5;
+            const startAngle = -Math.PI / 4;
+            const endAngle = Math.PI * 0.8;
+
+            ctx.strokeStyle = `rgba(0, 209, 255, ${0.8 - i * 0.15})`;
+            ctx.lineWidth = 3 - i * 0.5;
+            ctx.beginPath();
+            ctx.arc(cx - 30, cy, radius, startAngle, endAngle);
+            ctx.stroke();
+        }
+
+        // B-field label
+        ctx.fillStyle = '#F8FAFC';
+        ctx.font = '12px Inter';
+        ctx.fillText('B (curls around wire)', cx + 50, cy + 70);
+    }
+
+    drawLoopRule(cx, cy) {
+        const { ctx } = this;
+
+        // Title
+        ctx.fillStyle = '#F8FAFC';
+        ctx.font = 'bold 14px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText('Right-Hand Rule for Loops/Solenoids', cx, 25);
+
+        // Instructions
+        ctx.font = '12px Inter';
+        ctx.fillStyle = '#B6C0C9';
+        ctx.fillText('Curl fingers in direction of current', cx, 45);
+        ctx.fillText('Thumb points in direction of B-field (N pole)', cx, 60);
+
+        // Draw loop
+        ctx.strokeStyle = '#3EF1C6';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.ellipse(cx, cy + 20, 70, 30, 0, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // Current arrows around loop
+        const arrowPositions = [0, Math.PI / 2, Math.PI, Math.PI * 1.5];
+        arrowPositions.forEach(angle => {
+            const x = cx + Math.cos(angle) * 70;
+            const y = cy + 20 + Math.sin(angle) * 30;
+            this.drawArrowHead(x, y, angle + Math.PI / 2);
+        });
+
+        ctx.fillStyle = '#3EF1C6';
+        ctx.font = '12px Inter';
+        ctx.fillText('I', cx + 85, cy + 25);
+
+        // B-field through center (thumb direction)
+        ctx.strokeStyle = '#00D1FF';
+        ctx.lineWidth = 3;
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        ctx.moveTo(cx, cy + 80);
+        ctx.lineTo(cx, cy - 60);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        this.drawArrowHead(cx, cy - 60, -Math.PI / 2);
+
+        ctx.fillStyle = '#00D1FF';
+        ctx.font = 'bold 14px Inter';
+        ctx.fillText('B', cx + 15, cy - 50);
+        ctx.font = '12px Inter';
+        ctx.fillText('(N pole)', cx + 15, cy - 35);
+    }
+
+    drawForceRule(cx, cy) {
+        const { ctx, canvas } = this;
+        const { along, field, force, alongLabel, negative } = this.force;
+
+        // Title
+        ctx.fillStyle = '#F8FAFC';
+        ctx.font = 'bold 14px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText('Right-Hand Rule for Magnetic Force', cx, 25);
+
+        // Instructions
+        ctx.font = '12px Inter';
+        ctx.fillStyle = '#B6C0C9';
+        ctx.fillText(`Point fingers along ${alongLabel}, then curl them toward B`, cx, 45);
+        ctx.fillText(negative ? 'Thumb gives F for +q: reverse it for a negative charge' : 'Thumb points along the force F', cx, 60);
+
+        // Oblique view: x to the right, y up, z out of the page toward the lower left
+        const size = Math.min(canvas.width, canvas.height - 80) * 0.4;
+        const origin = { x: cx, y: cy + 30 };
+        const project = v => ({ x: origin.x + (v.x - 0.5 * v.z) * size, y: origin.y - (v.y - 0.5 * v.z) * size });
+
+        ctx.strokeStyle = 'rgba(182, 192, 201, 0.35)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        [['x', { x: 1, y: 0, z: 0 }], ['y', { x: 0, y: 1, z: 0 }], ['z', { x: 0, y: 0, z: 1 }]].forEach(([name, axis]) => {
+            const from = project(Vec3.scale(axis, -1));
+            const to = project(axis);
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+            ctx.fillStyle = '#B6C0C9';
+            ctx.fillText(name, to.x + (to.x - origin.x) * 0.08, to.y + (to.y - origin.y) * 0.08);
+        });
+        ctx.setLineDash([]);
+
+        const arrow = (vector, color, label) => {
+            const tip = project(Vec3.scale(vector, 0.85));
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(origin.x, origin.y);
+            ctx.lineTo(tip.x, tip.y);
+            ctx.stroke();
+            this.drawArrowHead(tip.x, tip.y, Math.atan2(tip.y - origin.y, tip.x - origin.x), color);
+            ctx.fillStyle = color;
+            ctx.font = 'bold 14px Inter';
+            ctx.fillText(label, tip.x + 14 * Math.sign(tip.x - origin.x || 1), tip.y - 8);
+        };
+
+        arrow(along, '#3EF1C6', alongLabel);
+        arrow(field, '#00D1FF', 'B');
+        if (Vec3.length(force) > 1e-9) {
+            arrow(force, '#FF6464', 'F');
+        } else {
+            ctx.fillStyle = '#FF6464';
+            ctx.font = '12px Inter';
+            ctx.fillText(`F = 0: ${alongLabel} is parallel to B`, cx, canvas.height - 15);
+        }
+    }
+
+    drawArrowHead(x, y, angle, color = '#00D1FF') {
+        const { ctx } = this;
+        const size = 10;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(-size, -size / 2);
+        ctx.lineTo(-size, size / 2);
+        ctx.closePath();
+        ctx.fillStyle = color;
+        ctx.fill();
+
+        ctx.restore();
+    }
+}
+
+// ============================================
+// Physics Calculator UI
+// ============================================
+
+/**
+ * Work steps as HTML for a Show Work panel
+ */
+function renderWorkSteps(steps) {
+    return steps.map((step, i) => `
+      <div class="work-step">
+        <span class="work-step__number">${i + 1}</span>
+        <div class="work-step__content">
+          <strong>${step.title}</strong>
+          <p class="text-muted">${step.description}</p>
+          ${step.calculations.map(calc => `
+            <p class="work-step__formula">${calc}</p>
+          `).join('')}
+        </div>
+      </div>
+    `).join('');
+}
+
+/**
+ * Read a UI's numeric fields into its calculator, each in its own unit unless
+ * another is typed ("12 mm", "250 mA"), with the significant figures typed.
+ * A blank field takes the calculator's default.
+ * @returns {Object} the parsed fields by key, for callers that check the unit typed
+ */
+function readUnitFields(inputs, keys, calculator) {
+    const { Units } = window.ChargeLab;
+    const defaults = new calculator.constructor();
+    const parsed = {};
+
+    keys.forEach(key => {
+        const p = inputs[key] ? Units.read(inputs[key]) : null;
+        parsed[key] = p;
+        calculator[key] = p ? p.value : defaults[key];
+        if (p?.sigFigs) calculator.sigFigs[key] = p.sigFigs;
+        else delete calculator.sigFigs[key];
+    });
+    return parsed;
+}
+
+class PhysicsCalculatorUI {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.calculator = new MagneticFieldCalculator();
+        this.simulator = null;
+
+        this.init();
+        this.loadFromURL();
+    }
+
+    init() {
+        this.bindElements();
+        this.bindEvents();
+        this.bindPresets();
+
+        // The custom scene starts as the Wire Beside a Loop preset
+        this.calculator.conductors = PHYSICS_PRESETS['wire-and-loop'].conductors.map(c => this.quoteConductor(c));
+        this.renderSceneInputs();
+
+        // Initialize simulator
+        const simCanvas = this.container.querySelector('#field-simulator-canvas');
+        if (simCanvas) {
+            this.simulator = new MagneticFieldSimulator('field-simulator-canvas', 'field-scope-canvas');
+            this.simulator.start();
+        }
+
+        // The particle lab fills its region with the field calculated here
+        if (document.getElementById('particle-lab')) {
+            this.particleLab = new ParticleLabUI('particle-lab');
+        }
+
+        // The RL circuit charges and discharges the winding calculated here
+        if (document.getElementById('rl-circuit')) {
+            this.rlCircuit = new RLCircuitUI('rl-circuit');
+        }
+
+        // Initialize right-hand rule demonstrator
+        const rhrContainer = document.getElementById('right-hand-rule-demo');
+        if (rhrContainer) {
+            this.rhrDemo = new RightHandRuleDemonstrator('right-hand-rule-demo');
+        }
+
+        this.calculate();
+    }
+
+    bindElements() {
+        this.inputs = {
+            conductorType: this.container.querySelector('#input-conductor-type'),
+            current: this.container.querySelector('#input-current'),
+            current2: this.container.querySelector('#input-current2'),
+            source: this.container.querySelector('#input-source'),
+            acFrequency: this.container.querySelector('#input-ac-frequency'),
+            turns: this.container.querySelector('#input-turns'),
+            radius: this.container.querySelector('#input-radius'),
+            outerRadius: this.container.querySelector('#input-outer-radius'),
+            length: this.container.querySelector('#input-length'),
+            distance: this.container.querySelector('#input-distance'),
+            position: this.container.querySelector('#input-position'),
+            region: this.container.querySelector('#input-region'),
+            wireDiameter: this.container.querySelector('#input-wire-diameter'),
+            wireCurrents: this.container.querySelector('#input-wire-currents'),
+            material: this.container.querySelector('#input-material'),
+            hysteresis: this.container.querySelector('#input-hysteresis'),
+            uncertainty: this.container.querySelector('#input-uncertainty'),
+            uncertaintyMethod: this.container.querySelector('#input-uncertainty-method'),
+            bUnit: this.container.querySelector('#input-b-unit'),
+            lengthUnit: this.container.querySelector('#input-length-unit')
+        };
+
+        // Display units, shared with the other calculators
+        const { Units } = window.ChargeLab;
+        if (this.inputs.bUnit) this.inputs.bUnit.value = Units.displayUnit('magneticField');
+        if (this.inputs.lengthUnit) this.inputs.lengthUnit.value = Units.displayUnit('length', 'cm');
+
+        // ± fields beside each input, and the method selector
+        this.uncertaintyInputs = [...this.container.querySelectorAll('[data-uncertainty]')];
+        this.uncertaintyControls = this.container.querySelector('#uncertainty-controls');
+
+        this.results = {
+            bField: this.container.querySelector('#result-b-field'),
+            bLabel: this.container.querySelector('#result-b-label'),
+            formula: this.container.querySelector('#result-formula'),
+            comparison: this.container.querySelector('#solenoid-comparison'),
+            ideal: this.container.querySelector('#result-ideal'),
+            idealRatio: this.container.querySelector('#result-ideal-ratio'),
+            coils: this.container.querySelector('#coil-pair-results'),
+            gradient: this.container.querySelector('#result-gradient'),
+            uniformity: this.container.querySelector('#result-uniformity'),
+            toroid: this.container.querySelector('#toroid-results'),
+            toroidRange: this.container.querySelector('#result-toroid-range'),
+            inductanceGroup: this.container.querySelector('#inductance-results'),
+            inductance: this.container.querySelector('#result-inductance'),
+            energy: this.container.querySelector('#result-energy'),
+            energyDensity: this.container.querySelector('#result-energy-density'),
+            core: this.container.querySelector('#core-results'),
+            operatingPoint: this.container.querySelector('#result-core'),
+            coreMu: this.container.querySelector('#result-core-mu'),
+            coreWarning: this.container.querySelector('#result-core-warning'),
+            profile: this.container.querySelector('#axial-profile'),
+            ac: this.container.querySelector('#ac-results'),
+            acField: this.container.querySelector('#result-ac-field')
+        };
+        this.profileCanvas = this.container.querySelector('#axial-profile-canvas');
+        this.curveCanvas = this.container.querySelector('#bh-curve-canvas');
+        this.labels = {
+            current: this.container.querySelector('#current-label'),
+            radius: this.container.querySelector('#radius-label'),
+            position: this.container.querySelector('#position-label'),
+            distance: this.container.querySelector('#distance-label')
+        };
+
+        this.workPanel = this.container.querySelector('#physics-work-steps');
+        this.status = this.container.querySelector('#physics-status');
+        this.sceneContainer = this.container.querySelector('#scene-conductors');
+
+        // Control groups for showing/hiding based on conductor type
+        this.controlGroups = {
+            current: this.container.querySelector('#control-current'),
+            turns: this.container.querySelector('#control-turns'),
+            radius: this.container.querySelector('#control-radius'),
+            outerRadius: this.container.querySelector('#control-outer-radius'),
+            length: this.container.querySelector('#control-length'),
+            distance: this.container.querySelector('#control-distance'),
+            position: this.container.querySelector('#control-position'),
+            region: this.container.querySelector('#control-region'),
+            wireDiameter: this.container.querySelector('#control-wire-diameter'),
+            wireCurrents: this.container.querySelector('#control-wire-currents'),
+            current2: this.container.querySelector('#control-current2'),
+            scene: this.container.querySelector('#control-scene'),
+            material: this.container.querySelector('#control-material'),
+            acFrequency: this.container.querySelector('#control-ac-frequency')
+        };
+    }
+
+    bindEvents() {
+        // Conductor type change
+        this.inputs.conductorType?.addEventListener('change', () => {
+            this.updateControlVisibility();
+            this.calculate();
+            if (this.rhrDemo) {
+                this.rhrDemo.setMode(this.rhrMode(this.inputs.conductorType.value));
+            }
+        });
+
+        // DC or AC, and the AC frequency
+        this.inputs.source?.addEventListener('change', () => this.calculate());
+        this.inputs.acFrequency?.addEventListener('input', () => this.calculate());
+
+        // Other inputs
+        ['current', 'current2', 'turns', 'radius', 'outerRadius', 'length', 'distance', 'position', 'region', 'wireDiameter', 'wireCurrents', 'material', 'hysteresis'].forEach(key => {
+            this.inputs[key]?.addEventListener('input', () => this.calculate());
+            this.inputs[key]?.addEventListener('change', () => this.calculate());
+        });
+
+        // Custom scene: each conductor's fields, and adding or removing conductors
+        this.sceneContainer?.addEventListener('input', () => this.calculate());
+        this.sceneContainer?.addEventListener('change', () => this.calculate());
+        this.sceneContainer?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-scene-remove]');
+            if (btn) this.removeSceneConductor(parseInt(btn.getAttribute('data-scene-remove')));
+        });
+        this.container.querySelectorAll('[data-scene-add]').forEach(btn => {
+            btn.addEventListener('click', () => this.addSceneConductor(btn.getAttribute('data-scene-add')));
+        });
+
+        // Display units
+        [['bUnit', 'magneticField'], ['lengthUnit', 'length']].forEach(([key, quantity]) => {
+            this.inputs[key]?.addEventListener('change', () => {
+                window.ChargeLab.Units.setDisplayUnit(quantity, this.inputs[key].value);
+                this.calculate();
+            });
+        });
+
+        // Uncertainty toggle, method and ± fields
+        ['uncertainty', 'uncertaintyMethod'].forEach(key => {
+            this.inputs[key]?.addEventListener('change', () => this.calculate());
+        });
+        this.uncertaintyInputs.forEach(input => {
+            input.addEventListener('input', () => this.calculate());
+        });
+
+        // Import from chemistry toggle
+        const importToggle = this.container.querySelector('#import-chemistry');
+        if (importToggle) {
+            importToggle.addEventListener('change', () => {
+                if (importToggle.checked) {
+                    this.importFromChemistry();
+                }
+            });
+        }
+
+        // Export buttons
+        this.container.querySelector('#btn-physics-export')?.addEventListener('click', () => {
+            this.exportJSON();
+        });
+
+        this.container.querySelector('#btn-physics-share')?.addEventListener('click', () => {
+            this.shareLink();
+        });
+    }
+
+    bindPresets() {
+        this.container.querySelectorAll('[data-physics-preset]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const presetKey = btn.getAttribute('data-physics-preset');
+                this.loadPreset(presetKey);
+
+                // Update active state
+                this.container.querySelectorAll('[data-physics-preset]').forEach(b => {
+                    b.classList.remove('preset-btn--active');
+                });
+                btn.classList.add('preset-btn--active');
+            });
+        });
+    }
+
+    loadPreset(presetKey) {
+        const preset = PHYSICS_PRESETS[presetKey];
+        if (!preset) return;
+
+        if (this.inputs.conductorType) this.inputs.conductorType.value = preset.type;
+        // Preset currents are quoted to 0.1 A
+        if (this.inputs.current) this.inputs.current.value = preset.current.toFixed(1);
+        if (this.inputs.current2) this.inputs.current2.value = (preset.current2 ?? preset.current).toFixed(1);
+        if (this.inputs.turns && preset.turns) this.inputs.turns.value = preset.turns;
+        // Preset lengths are in m; fields read cm, quoted to 0.1 cm
+        ['radius', 'outerRadius', 'length', 'distance', 'region'].forEach(key => {
+            if (this.inputs[key] && preset[key]) this.inputs[key].value = this.fieldValue(this.inputs[key], preset[key]).toFixed(1);
+        });
+        if (this.inputs.wireCurrents && preset.wireCurrents) this.inputs.wireCurrents.value = preset.wireCurrents;
+        if (this.inputs.material && preset.material) this.inputs.material.value = preset.material;
+        if (preset.conductors) {
+            this.calculator.conductors = preset.conductors.map(c => this.quoteConductor(c));
+            this.renderSceneInputs();
+        }
+
+        this.updateControlVisibility();
+        this.calculate();
+
+        if (this.rhrDemo) {
+            this.rhrDemo.setMode(this.rhrMode(preset.type));
+        }
+    }
+
+    updateControlVisibility() {
+        const type = this.inputs.conductorType?.value || 'solenoid';
+
+        // Show the inputs each conductor type uses
+        const coils = ['single-loop', 'solenoid', 'square-loop', 'toroid'];
+        const wires = ['straight-wire', 'finite-wire', 'bent-wire', 'parallel-wires'];
+        const pairs = ['helmholtz', 'anti-helmholtz'];
+        const shown = {
+            turns: coils.includes(type) || pairs.includes(type),
+            radius: ['single-loop', 'solenoid', 'toroid', ...pairs].includes(type),
+            outerRadius: type === 'toroid',
+            length: ['solenoid', 'square-loop', 'finite-wire', 'bent-wire'].includes(type),
+            position: type === 'solenoid' || type === 'toroid',
+            region: pairs.includes(type),
+            wireDiameter: ['single-loop', 'square-loop', ...pairs].includes(type),
+            wireCurrents: type === 'parallel-wires',
+            current2: type === 'parallel-wires',
+            current: type !== 'scene',
+            scene: type === 'scene',
+            distance: wires.includes(type) || pairs.includes(type),
+            material: coils.includes(type)
+        };
+        Object.entries(shown).forEach(([key, visible]) => {
+            if (this.controlGroups[key]) this.controlGroups[key].style.display = visible ? 'block' : 'none';
+        });
+
+        // Inputs that mean something else for some types
+        const labels = {
+            radius: type === 'toroid' ? 'Inner Radius a (cm)' : 'Radius (cm)',
+            position: type === 'toroid' ? 'Radial Position r (cm)' : 'Axial Position z (cm)',
+            distance: pairs.includes(type) ? 'Coil separation d (cm)' : 'Distance from wire (cm)'
+        };
+        Object.entries(labels).forEach(([key, text]) => {
+            if (this.labels[key]) this.labels[key].textContent = text;
+        });
+    }
+
+    /**
+     * Right-hand rule for wires, or for loops and coils
+     */
+    rhrMode(type) {
+        return ['straight-wire', 'finite-wire', 'bent-wire', 'parallel-wires', 'scene'].includes(type) ? 'wire' : 'loop';
+    }
+
+    /**
+     * A scene conductor given in SI units, with its values quoted like the
+     * presets' other fields: to 0.1 A and 0.1 cm
+     */
+    quoteConductor(conductor) {
+        const { Measurement, Units } = window.ChargeLab;
+        const sigFigs = {};
+        ['x', 'y', 'current', 'radius', 'length'].forEach(key => {
+            if (conductor[key] === undefined) return;
+            const value = key === 'current' ? conductor[key] : Units.fromBase(conductor[key], 'length', 'cm');
+            sigFigs[key] = Measurement.countSigFigs(value.toFixed(1));
+        });
+        return { ...conductor, sigFigs };
+    }
+
+    /**
+     * Build the fields of every conductor in the custom scene: its position,
+     * axis and current, and the sizes its type needs
+     */
+    renderSceneInputs() {
+        if (!this.sceneContainer) return;
+
+        const { Units } = window.ChargeLab;
+        const names = { wire: 'Wire', loop: 'Loop', solenoid: 'Solenoid' };
+        const axes = { z: 'Out of the page (z)', x: 'Across the page (x)', y: 'Up the page (y)' };
+        const sizes = { wire: ['length'], loop: ['radius', 'turns'], solenoid: ['radius', 'length', 'turns'] };
+        const labels = { x: 'x (cm)', y: 'y (cm)', current: 'Current I (A)', radius: 'Radius (cm)', length: 'Length (cm)', turns: 'Turns' };
+        const typed = (c, key) => {
+            if (key === 'turns') return c.turns ?? '';
+            if (!isFinite(c[key])) return '';
+            const value = this.calculator.measureConductor(c, key);
+            return key === 'current' ? value.toInputString() : Units.convert(value, 'length', 'cm').measurement.toInputString();
+        };
+        const field = (c, i, key) => `
+      <div class="form-group">
+        <label class="form-label" for="input-scene-${i}-${key}">${labels[key]}</label>
+        <input type="text" inputmode="decimal" id="input-scene-${i}-${key}" class="form-input form-input--number"
+          data-conductor="${i}" data-field="${key}"${key === 'turns' ? '' : ` data-quantity="${key === 'current' ? 'current' : 'length'}" data-unit="${key === 'current' ? 'A' : 'cm'}"`} value="${typed(c, key)}">
+      </div>
+    `;
+
+        this.sceneContainer.innerHTML = this.calculator.conductors.map((c, i) => `
+      <div class="scene-conductor">
+        <div class="flex flex--between">
+          <strong>${names[c.type]} ${String.fromCharCode(65 + i)}</strong>
+          <button type="button" class="btn btn--ghost btn--sm" data-scene-remove="${i}">Remove</button>
+        </div>
+        <div class="input-grid mt-sm">
+          ${field(c, i, 'x')}
+          ${field(c, i, 'y')}
+          <div class="form-group">
+            <label class="form-label" for="input-scene-${i}-axis">Axis</label>
+            <select id="input-scene-${i}-axis" class="form-select" data-conductor="${i}" data-field="axis">
+              ${Object.entries(axes).map(([axis, name]) => `<option value="${axis}"${axis === c.axis ? ' selected' : ''}>${name}</option>`).join('')}
+            </select>
+          </div>
+          ${['current', ...sizes[c.type]].map(key => field(c, i, key)).join('')}
+        </div>
+      </div>
+    `).join('');
+    }
+
+    /**
+     * Read every conductor's fields into the calculator's scene, lengths in
+     * m, with the significant figures as typed
+     */
+    readSceneInputs() {
+        if (!this.sceneContainer) return;
+
+        this.sceneContainer.querySelectorAll('[data-conductor]').forEach(input => {
+            const conductor = this.calculator.conductors[parseInt(input.getAttribute('data-conductor'))];
+            const key = input.getAttribute('data-field');
+            if (!conductor) return;
+
+            if (key === 'axis') {
+                conductor.axis = input.value;
+            } else if (key === 'turns') {
+                conductor.turns = Number(input.value);
+            } else {
+                const parsed = window.ChargeLab.Units.read(input);
+                conductor[key] = parsed ? parsed.value : NaN;
+                if (parsed?.sigFigs) conductor.sigFigs[key] = parsed.sigFigs;
+                else delete conductor.sigFigs[key];
+            }
+        });
+    }
+
+    /**
+     * Add a wire, loop or solenoid to the custom scene, 2 cm to the right of P
+     */
+    addSceneConductor(type) {
+        try {
+            this.readSceneInputs();
+        } catch (e) {
+            // Keep the last values read; calculate() reports the typo
+        }
+        this.calculator.conductors.push(this.quoteConductor({ type, x: 0.02, y: 0, ...PHYSICS_CONSTANTS.SCENE_CONDUCTORS[type] }));
+        this.renderSceneInputs();
+        this.calculate();
+    }
+
+    /**
+     * Take a conductor out of the custom scene; the rest are lettered again
+     */
+    removeSceneConductor(index) {
+        try {
+            this.readSceneInputs();
+        } catch (e) {
+            // Keep the last values read; calculate() reports the typo
+        }
+        this.calculator.conductors.splice(index, 1);
+        this.renderSceneInputs();
+        this.calculate();
+    }
+
+    loadFromURL() {
+        const params = new URLSearchParams(window.location.search);
+
+        if (params.has('current') || params.has('type')) {
+            const { Units, Uncertainty } = window.ChargeLab;
+            const { conductors } = this.calculator;
+            this.calculator = MagneticFieldCalculator.fromURLParams(Object.fromEntries(params));
+
+            // A link without a custom scene keeps the one already in the editor
+            if (!params.has('scene')) this.calculator.conductors = conductors;
+            this.renderSceneInputs();
+
+            // Update inputs
+            if (this.inputs.conductorType) this.inputs.conductorType.value = this.calculator.conductorType;
+            ['current', 'current2'].forEach(key => {
+                if (this.inputs[key]) this.inputs[key].value = this.calculator.measure(key).toInputString();
+            });
+            if (this.inputs.turns) this.inputs.turns.value = this.calculator.turns;
+            ['radius', 'outerRadius', 'length', 'distance', 'position', 'region', 'wireDiameter'].forEach(key => {
+                const input = this.inputs[key];
+                if (input) input.value = Units.convert(this.calculator.measure(key), 'length', input.getAttribute('data-unit')).measurement.toInputString();
+            });
+            if (this.inputs.material) this.inputs.material.value = this.calculator.material;
+            if (this.inputs.hysteresis) this.inputs.hysteresis.checked = this.calculator.hysteresis;
+            if (this.inputs.wireCurrents) this.inputs.wireCurrents.value = this.calculator.wireCurrents;
+            if (this.inputs.uncertainty) this.inputs.uncertainty.checked = Object.keys(this.calculator.uncertainties).length > 0;
+            if (this.inputs.uncertaintyMethod) this.inputs.uncertaintyMethod.value = this.calculator.uncertaintyMethod;
+            this.uncertaintyInputs.forEach(input => {
+                const spec = this.calculator.uncertainties[input.getAttribute('data-uncertainty')];
+                input.value = spec ? Uncertainty.toText(spec, input.getAttribute('data-quantity') || undefined, input.getAttribute('data-unit') || undefined) : '';
+            });
+
+            this.updateControlVisibility();
+            this.calculate();
+        }
+    }
+
+    calculate() {
+        // Read inputs
+        this.calculator.conductorType = this.inputs.conductorType?.value || 'solenoid';
+        this.calculator.turns = parseInt(this.inputs.turns?.value) || 100;
+        this.calculator.material = this.inputs.material?.value || 'air';
+        this.calculator.hysteresis = !!this.inputs.hysteresis?.checked;
+        this.calculator.wireCurrents = this.inputs.wireCurrents?.value === 'unlike' ? 'unlike' : 'like';
+        this.calculator.displayUnits = {
+            magneticField: this.inputs.bUnit?.value || 'auto',
+            length: this.inputs.lengthUnit?.value || 'cm'
+        };
+
+        // Lengths accept any unit ("12 mm"); a bare number is read in the field's unit
+        let results;
+        try {
+            this.readQuantities();
+            if (this.calculator.conductorType === 'scene') this.readSceneInputs();
+            this.readUncertainties();
+            this.readSource();
+            results = this.calculator.calculate();
+        } catch (e) {
+            this.showStatus(e.message);
+            return null;
+        }
+        this.showStatus('');
+
+        // Update UI
+        this.updateUI(results);
+        this.storeForPipeline(results);
+        this.particleLab?.setField(results);
+        this.rlCircuit?.setField(results);
+        this.updateSourceUI(results);
+
+        // Update simulator
+        if (this.simulator) {
+            this.simulator.setParameters({
+                conductorType: this.calculator.conductorType,
+                current: this.calculator.current,
+                current2: this.calculator.current2,
+                turns: this.calculator.turns,
+                radius: this.calculator.radius,
+                outerRadius: this.calculator.outerRadius,
+                length: this.calculator.length,
+                distance: this.calculator.distance,
+                position: this.calculator.position,
+                region: this.calculator.region,
+                wireCurrents: this.calculator.wireCurrents,
+                conductors: this.calculator.conductors.map(c => ({ ...c })),
+                material: this.calculator.material,
+                displayUnits: this.calculator.displayUnits
+            });
+            this.simulator.setSource(this.source);
+        }
+
+        return results;
+    }
+
+    /**
+     * DC, or AC at the frequency typed in any unit ("60 Hz", "1 kHz"); with
+     * AC the current is the amplitude I₀ of I(t) = I₀ sin(2πft)
+     */
+    readSource() {
+        const type = this.inputs.source?.value === 'ac' ? 'ac' : 'dc';
+        const parsed = type === 'ac' && this.inputs.acFrequency ? window.ChargeLab.Units.read(this.inputs.acFrequency) : null;
+        const frequency = parsed ? parsed.value : 60;
+        if (!(frequency > 0)) {
+            throw new Error('The AC frequency must be greater than zero');
+        }
+        this.source = { type, frequency };
+    }
 
-        ctx.save();
-        ctx.translate(x, y);
-        ctx.rotate(angle);
+    /**
+     * Relabel the current as an amplitude for AC, and give B(t)
+     */
+    updateSourceUI(results) {
+        const { Units, Utils } = window.ChargeLab;
+        const ac = this.source.type === 'ac';
+
+        if (this.controlGroups.acFrequency) this.controlGroups.acFrequency.style.display = ac ? 'block' : 'none';
+        if (this.labels.current) this.labels.current.textContent = ac ? 'Amplitude I₀' : 'Current I';
+        if (this.results.ac) this.results.ac.style.display = ac ? 'block' : 'none';
+        if (!ac || !this.results.acField) return;
+
+        const { B } = results.measured;
+        const unit = Units.pick(results.B, 'magneticField', this.calculator.displayUnits.magneticField);
+        const f = this.source.frequency;
+        const fUnit = Units.pick(f, 'frequency');
+        this.results.acField.textContent = `B₀ sin(2πft): ±${Units.format(B, 'magneticField', unit)}, reversing ${Utils.formatSigFigs(2 * f, 3)} times a second, rms ${Units.format(B.scaled(Math.SQRT1_2), 'magneticField', unit)} (f = ${Utils.formatSigFigs(Units.fromBase(f, 'frequency', fUnit), 3)} ${fUnit})`;
+    }
+
+    /**
+     * Read the current, and the radii, length, distance, position, region and
+     * wire diameter in m, with the significant figures as typed
+     */
+    readQuantities() {
+        this.calculator.sigFigs = {};
+        readUnitFields(this.inputs, ['current', 'current2', 'radius', 'outerRadius', 'length', 'distance', 'position', 'region', 'wireDiameter'], this.calculator);
+    }
+
+    /**
+     * A value in base units expressed in the unit a field reads bare numbers in
+     */
+    fieldValue(input, value) {
+        return window.ChargeLab.Units.fromBase(value, input.getAttribute('data-quantity'), input.getAttribute('data-unit'));
+    }
+
+    /**
+     * Show a typing error (unknown unit, not a number) under the inputs
+     */
+    showStatus(message) {
+        if (!this.status) return;
+        this.status.textContent = message;
+        this.status.classList.toggle('form-status--error', !!message);
+    }
+
+    /**
+     * ± values as typed; absolute values convert to SI like their fields
+     */
+    readUncertainties() {
+        const { Uncertainty } = window.ChargeLab;
+        const enabled = !!this.inputs.uncertainty?.checked;
+        const uncertainties = {};
+
+        if (this.uncertaintyControls) this.uncertaintyControls.style.display = enabled ? 'block' : 'none';
+        this.uncertaintyInputs.forEach(input => {
+            input.style.display = enabled ? 'block' : 'none';
+            const spec = enabled ? Uncertainty.read(input) : null;
+            if (spec && spec.value > 0) uncertainties[input.getAttribute('data-uncertainty')] = spec;
+        });
+
+        this.calculator.uncertainties = uncertainties;
+        this.calculator.uncertaintyMethod = this.inputs.uncertaintyMethod?.value === 'montecarlo' ? 'montecarlo' : 'linear';
+    }
+
+    updateUI(results) {
+        if (!results) return;
+
+        // Format B-field display in the chosen unit, rounded to its
+        // significant figures or, when the inputs carry ± values, to its uncertainty
+        const { Measurement, Units, Uncertainty } = window.ChargeLab;
+        const { B } = results.measured;
+        const u = results.uncertainty?.B;
+        const unit = Units.pick(results.B, 'magneticField', this.calculator.displayUnits.magneticField);
+        const factor = Units.factor('magneticField', unit);
+        const bDisplay = u?.sigma > 0
+            ? Uncertainty.format(u.value / factor, u.sigma / factor, unit)
+            : Units.format(B, 'magneticField', unit);
+
+        if (this.results.bField) {
+            this.results.bField.textContent = bDisplay;
+        }
+
+        if (this.results.formula) {
+            this.results.formula.textContent = results.formula;
+        }
+
+        // Solenoids are read at z, and compared with the ideal formula
+        const { solenoid } = results;
+        if (this.results.bLabel) {
+            const labels = {
+                'finite-wire': 'B-field (r from the midpoint):',
+                'bent-wire': 'B-field (r from the corner):',
+                'parallel-wires': 'B-field (midway between the wires):',
+                'scene': 'B-field (at P):',
+                'helmholtz': 'B-field (midway between the coils):',
+                'anti-helmholtz': 'B-field (midway between the coils):'
+            };
+            const lengthUnit = this.calculator.displayUnits.length;
+            this.results.bLabel.textContent = solenoid && this.calculator.position
+                ? `B-field (at z = ${Units.format(this.calculator.measure('position'), 'length', lengthUnit)}):`
+                : results.toroid
+                    ? `B-field (at r = ${Units.format(this.calculator.position ? this.calculator.measure('position') : new Measurement(results.toroid.r, 3), 'length', lengthUnit)}):`
+                    : labels[results.conductorType] || 'B-field (at center):';
+        }
+        if (this.results.comparison) {
+            this.results.comparison.style.display = solenoid ? 'block' : 'none';
+        }
+        if (solenoid) {
+            if (this.results.ideal) {
+                this.results.ideal.textContent = Units.format(solenoid.ideal, 'magneticField', unit);
+            }
+            if (this.results.idealRatio) {
+                this.results.idealRatio.textContent = `${solenoid.ratio.toFixed(3)} (ideal is ${((1 - solenoid.ratio) * 100).toFixed(1)}% high)`;
+            }
+        }
+
+        // Coil pairs: the gradient at the center and the uniformity over the region
+        const { coils } = results;
+        if (this.results.coils) {
+            this.results.coils.style.display = coils ? 'block' : 'none';
+        }
+        if (coils) {
+            if (this.results.gradient) {
+                this.results.gradient.textContent = coils.gradient.value
+                    ? `${coils.gradient.format('T/m')} (d/R = ${coils.ratio.toFixed(3)})`
+                    : `0 (d/R = ${coils.ratio.toFixed(3)})`;
+            }
+            if (this.results.uniformity) {
+                const region = Units.format(this.calculator.measure('region'), 'length', this.calculator.displayUnits.length);
+                this.results.uniformity.textContent = `within ${(coils.uniformity.deviation * 100).toPrecision(2)}% ${results.conductorType === 'helmholtz' ? 'of B(0)' : 'of a steady gradient'} over ${region}`;
+            }
+        }
+
+        // Toroids: B across the core, and none outside
+        const { toroid } = results;
+        if (this.results.toroid) {
+            this.results.toroid.style.display = toroid ? 'block' : 'none';
+        }
+        if (toroid && this.results.toroidRange) {
+            this.results.toroidRange.textContent = `${Units.format(toroid.inner, 'magneticField', unit)} at a → ${Units.format(toroid.outer, 'magneticField', unit)} at b`;
+        }
+
+        // Windings: inductance and the energy in their field; every type: the energy density at the point
+        const { energy } = results;
+        if (this.results.inductanceGroup) {
+            this.results.inductanceGroup.style.display = energy.inductance ? 'block' : 'none';
+        }
+        if (energy.inductance) {
+            if (this.results.inductance) {
+                this.results.inductance.textContent = Units.format(energy.inductance, 'inductance', Units.pick(energy.inductance.value, 'inductance'));
+            }
+            if (this.results.energy) {
+                this.results.energy.textContent = Units.format(energy.stored, 'energy', Units.pick(energy.stored.value, 'energy'));
+            }
+        }
+        if (this.results.energyDensity) {
+            this.results.energyDensity.textContent = energy.density.format('J/m³');
+        }
+
+        // Cores: where the core sits on its B–H curve, and whether μᵣ × the air-core field misleads
+        const { core } = results;
+        if (this.results.core) {
+            this.results.core.style.display = core ? 'block' : 'none';
+        }
+        if (core) {
+            const { Utils } = window.ChargeLab;
+            if (this.results.operatingPoint) {
+                this.results.operatingPoint.textContent = `H = ${Utils.formatSigFigs(core.H, 3)} A/m, B = ${Utils.formatSigFigs(core.B, 3)} T (${(core.fraction * 100).toFixed(0)}% of Bs = ${core.saturation} T)`;
+            }
+            if (this.results.coreMu) {
+                this.results.coreMu.textContent = `${this.calculator.showMu_r(core.mu_eff)} (${core.initialMu_r} at low fields)`;
+            }
+            if (this.results.coreWarning) {
+                this.results.coreWarning.textContent = core.warning ? `⚠ ${core.warning}` : '';
+            }
+            this.drawBHCurve(core);
+        }
+
+        if (this.results.profile) {
+            this.results.profile.style.display = solenoid || coils || toroid ? 'block' : 'none';
+        }
+        if (solenoid) this.drawSolenoidProfile(solenoid, unit);
+        if (coils) this.drawCoilPairProfile(coils, unit);
+        if (toroid) this.drawToroidProfile(toroid, unit);
+
+        // Update work steps
+        this.updateWorkSteps();
+    }
+
+    /**
+     * Plot B(z) along the axis with the ideal value across the winding,
+     * marking the center and the chosen position
+     */
+    drawSolenoidProfile(solenoid, unit) {
+        if (!this.profileCanvas) return;
+
+        const { Units } = window.ChargeLab;
+        const lengthUnit = this.calculator.displayUnits.length;
+        const toZ = z => Units.fromBase(z, 'length', lengthUnit);
+        const toB = B => Units.fromBase(B, 'magneticField', unit);
+        const halfLength = toZ(this.calculator.length / 2);
+        const z = this.calculator.position;
+
+        window.ChargeLab.Charts.drawLineChart(this.profileCanvas, {
+            series: [
+                { points: solenoid.profile.map(p => ({ x: toZ(p.z), y: toB(p.B) })), label: 'Exact B(z)' },
+                {
+                    points: [{ x: -halfLength, y: toB(solenoid.ideal.value) }, { x: halfLength, y: toB(solenoid.ideal.value) }],
+                    label: 'Ideal μ₀μᵣNI/L',
+                    color: '#FF6464',
+                    dashed: true
+                }
+            ],
+            markers: [
+                { x: 0, y: toB(solenoid.center.value), label: `B(0) = ${Units.format(solenoid.center, 'magneticField', unit)}`, color: '#B6C0C9' },
+                ...(z ? [{ x: toZ(z), y: toB(this.calculator.solenoidFieldAt(z)), label: `B(z) = ${Units.format(this.calculator.results.measured.B, 'magneticField', unit)}`, color: '#00D1FF' }] : [])
+            ],
+            xLabel: `z (${lengthUnit})`,
+            yLabel: `B (${unit})`
+        });
+    }
+
+    /**
+     * Plot B(z) along the axis of a coil pair, marking the center and the
+     * ends of the uniformity region
+     */
+    drawCoilPairProfile(coils, unit) {
+        if (!this.profileCanvas) return;
+
+        const { Units } = window.ChargeLab;
+        const lengthUnit = this.calculator.displayUnits.length;
+        const toZ = z => Units.fromBase(z, 'length', lengthUnit);
+        const toB = B => Units.fromBase(B, 'magneticField', unit);
+        const edge = this.calculator.region / 2;
+
+        window.ChargeLab.Charts.drawLineChart(this.profileCanvas, {
+            series: [
+                { points: coils.profile.map(p => ({ x: toZ(p.z), y: toB(p.B) })), label: 'B(z) on the axis' }
+            ],
+            markers: [
+                { x: 0, y: toB(this.calculator.coilPairFieldAt(0)), label: `B(0) = ${Units.format(coils.center, 'magneticField', unit)}`, color: '#B6C0C9' },
+                ...[-edge, edge].map(z => ({ x: toZ(z), y: toB(this.calculator.coilPairFieldAt(z)), label: 'Region edge', color: '#00D1FF' }))
+            ],
+            xLabel: `z (${lengthUnit})`,
+            yLabel: `B (${unit})`
+        });
+    }
+
+    /**
+     * Plot B(r) from the toroid's axis outward, marking the core's edges
+     * and the radius B is read at
+     */
+    drawToroidProfile(toroid, unit) {
+        if (!this.profileCanvas) return;
+
+        const { Units } = window.ChargeLab;
+        const lengthUnit = this.calculator.displayUnits.length;
+        const toR = r => Units.fromBase(r, 'length', lengthUnit);
+        const toB = B => Units.fromBase(B, 'magneticField', unit);
+        const { radius: a, outerRadius: b } = this.calculator;
+
+        window.ChargeLab.Charts.drawLineChart(this.profileCanvas, {
+            series: [
+                { points: toroid.profile.map(p => ({ x: toR(p.r), y: toB(p.B) })), label: 'B(r)' }
+            ],
+            markers: [
+                { x: toR(a), y: toB(toroid.inner.value), label: 'a', color: '#B6C0C9' },
+                { x: toR(b), y: toB(toroid.outer.value), label: 'b', color: '#B6C0C9' },
+                { x: toR(toroid.r), y: toB(this.calculator.toroidFieldAt(toroid.r)), label: `B(r) = ${Units.format(this.calculator.results.measured.B, 'magneticField', unit)}`, color: '#00D1FF' }
+            ],
+            xLabel: `r (${lengthUnit})`,
+            yLabel: `B (${unit})`
+        });
+    }
+
+    /**
+     * Plot the core's B–H curve against the constant-μᵣ line, with the
+     * hysteresis loop when asked for, marking the operating point
+     */
+    drawBHCurve(core) {
+        if (!this.curveCanvas) return;
+
+        const { MU_0 } = PHYSICS_CONSTANTS;
+        const { Utils } = window.ChargeLab;
+        const Hmax = core.curve.at(-1).H;
+        const linearReach = Math.min(Hmax, 1.2 * core.saturation / (MU_0 * core.initialMu_r));
+        const toPoints = branch => branch.map(p => ({ x: p.H, y: p.B }));
+
+        window.ChargeLab.Charts.drawLineChart(this.curveCanvas, {
+            series: [
+                { points: toPoints(core.curve), label: 'B–H curve' },
+                {
+                    points: [{ x: -linearReach, y: -MU_0 * core.initialMu_r * linearReach }, { x: linearReach, y: MU_0 * core.initialMu_r * linearReach }],
+                    label: `Constant μᵣ = ${core.initialMu_r}`,
+                    color: '#FF6464',
+                    dashed: true
+                },
+                ...(core.loop
+                    ? [
+                        { points: toPoints(core.loop.rising), label: 'Hysteresis loop', color: '#F8FAFC' },
+                        { points: toPoints(core.loop.falling), color: '#F8FAFC' }
+                    ]
+                    : [])
+            ],
+            markers: [
+                ...(core.loop ? [{ x: 0, y: core.loop.remanence, label: `Br = ${Utils.formatSigFigs(core.loop.remanence, 2)} T`, color: '#B6C0C9' }] : []),
+                { x: core.H, y: core.B, label: `B = ${Utils.formatSigFigs(core.B, 3)} T`, color: '#00D1FF' }
+            ],
+            xLabel: 'H (A/m)',
+            yLabel: 'B (T)'
+        });
+    }
+
+    updateWorkSteps() {
+        if (!this.workPanel) return;
+
+        this.workPanel.innerHTML = renderWorkSteps(this.calculator.getWorkSteps());
+    }
+
+    /**
+     * Store the field, inductance and stored energy for the integrated pipeline.
+     * Only a coil is stored, so a straight wire keeps the last coil in place
+     */
+    storeForPipeline(results) {
+        const { energy } = results;
+        if (!energy.stored) return;
+
+        window.ChargeLab.AppState.save('physics_results', {
+            conductorType: results.conductorType,
+            current: results.inputs.current,
+            B: results.B,
+            inductance: energy.inductance.value,
+            energyJ: energy.stored.value,
+            timestamp: results.timestamp
+        });
+    }
+
+    importFromChemistry() {
+        const chemResults = window.ChargeLab.AppState.load('chemistry_results');
+        if (chemResults && chemResults.current) {
+            this.inputs.current.value = chemResults.current;
+            this.calculate();
+        }
+    }
+
+    exportJSON() {
+        const data = this.calculator.exportJSON();
+        window.ChargeLab.ExportUtils.exportJSON(data, 'chargelab-physics-results.json');
+    }
+
+    shareLink() {
+        const params = this.calculator.toURLParams();
+        window.ChargeLab.DeepLinking.copyURL({ ...Object.fromEntries(new URLSearchParams(params)) });
+    }
+}
+
+// ============================================
+// Magnetic Force Calculator UI
+// ============================================
+class ForceCalculatorUI {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.calculator = new MagneticForceCalculator();
+        this.rhrDemo = new RightHandRuleDemonstrator('force-rule-demo');
+        this.init();
+    }
+
+    init() {
+        this.bindElements();
+        this.bindEvents();
+        this.calculate();
+    }
+
+    bindElements() {
+        this.inputs = {
+            mode: this.container.querySelector('#force-mode'),
+            field: this.container.querySelector('#force-field'),
+            current: this.container.querySelector('#force-current'),
+            current2: this.container.querySelector('#force-current2'),
+            length: this.container.querySelector('#force-length'),
+            distance: this.container.querySelector('#force-distance'),
+            wireCurrents: this.container.querySelector('#force-wire-currents'),
+            particle: this.container.querySelector('#force-particle'),
+            charge: this.container.querySelector('#force-charge'),
+            mass: this.container.querySelector('#force-mass'),
+            velocity: this.container.querySelector('#force-velocity'),
+            angle: this.container.querySelector('#force-angle')
+        };
+
+        // Control groups for showing/hiding based on the mode
+        this.controlGroups = {
+            field: this.container.querySelector('#force-control-field'),
+            current: this.container.querySelector('#force-control-current'),
+            current2: this.container.querySelector('#force-control-current2'),
+            length: this.container.querySelector('#force-control-length'),
+            distance: this.container.querySelector('#force-control-distance'),
+            wireCurrents: this.container.querySelector('#force-control-wire-currents'),
+            particle: this.container.querySelector('#force-control-particle'),
+            charge: this.container.querySelector('#force-control-charge'),
+            mass: this.container.querySelector('#force-control-mass'),
+            velocity: this.container.querySelector('#force-control-velocity'),
+            angle: this.container.querySelector('#force-control-angle')
+        };
+
+        this.status = this.container.querySelector('#force-status');
+        this.results = {
+            force: this.container.querySelector('#force-result'),
+            direction: this.container.querySelector('#force-result-direction'),
+            formula: this.container.querySelector('#force-result-formula')
+        };
+        this.workPanel = this.container.querySelector('#force-work-steps');
+    }
+
+    bindEvents() {
+        const debouncedCalculate = window.ChargeLab.Utils.debounce(() => this.calculate(), 300);
+
+        ['mode', 'wireCurrents', 'particle'].forEach(key => {
+            this.inputs[key]?.addEventListener('change', () => this.calculate());
+        });
+        ['field', 'current', 'current2', 'length', 'distance', 'charge', 'mass', 'velocity', 'angle'].forEach(key => {
+            this.inputs[key]?.addEventListener('input', debouncedCalculate);
+        });
+
+        this.container.querySelector('#btn-force-export')?.addEventListener('click', () => {
+            window.ChargeLab.ExportUtils.exportJSON(this.calculator.exportJSON(), 'chargelab-force-results.json');
+        });
+    }
+
+    updateControlVisibility() {
+        const { mode, particle } = this.calculator;
+        const custom = mode === 'moving-charge' && particle === 'custom';
+        const shown = {
+            field: mode !== 'parallel-wires',
+            current: mode !== 'moving-charge',
+            current2: mode === 'parallel-wires',
+            length: mode === 'wire-in-field',
+            distance: mode === 'parallel-wires',
+            wireCurrents: mode === 'parallel-wires',
+            particle: mode === 'moving-charge',
+            charge: custom,
+            mass: custom,
+            velocity: mode === 'moving-charge',
+            angle: mode !== 'parallel-wires'
+        };
+        Object.entries(shown).forEach(([key, visible]) => {
+            if (this.controlGroups[key]) this.controlGroups[key].style.display = visible ? 'block' : 'none';
+        });
+    }
+
+    calculate() {
+        const mode = this.inputs.mode?.value;
+        this.calculator.mode = PHYSICS_CONSTANTS.FORCE_MODES.includes(mode) ? mode : 'wire-in-field';
+        this.calculator.wireCurrents = this.inputs.wireCurrents?.value === 'unlike' ? 'unlike' : 'like';
+        this.calculator.particle = this.inputs.particle?.value || 'proton';
+        this.calculator.displayUnits = {
+            magneticField: window.ChargeLab.Units.displayUnit('magneticField'),
+            length: window.ChargeLab.Units.displayUnit('length', 'cm')
+        };
+
+        let results;
+        try {
+            this.readInputs();
+            this.updateControlVisibility();
+            results = this.calculator.calculate();
+        } catch (e) {
+            if (this.status) {
+                this.status.textContent = e.message;
+                this.status.classList.add('form-status--error');
+            }
+            return null;
+        }
+
+        if (this.status) {
+            this.status.textContent = '';
+            this.status.classList.remove('form-status--error');
+        }
+
+        this.updateUI();
+        return results;
+    }
+
+    /**
+     * Read the numeric fields, each in its own unit unless another is typed
+     * ("250 mA", "0.2 T", "3.2e-19 C"), with the significant figures typed
+     */
+    readInputs() {
+        const parsed = readUnitFields(this.inputs, ['field', 'current', 'current2', 'length', 'distance', 'charge', 'mass', 'velocity'], this.calculator);
+        // Masses are read in g; the force calculator works in kg
+        if (parsed.mass) this.calculator.mass = window.ChargeLab.Units.fromBase(parsed.mass.value, 'mass', 'kg');
+        const angle = parseFloat(this.inputs.angle?.value);
+        this.calculator.angle = isNaN(angle) ? 90 : angle;
+
+        // A charge in e counts elementary charges, so it is exact
+        if (parsed.charge?.unit === 'e') this.calculator.sigFigs.charge = Infinity;
+    }
+
+    updateUI() {
+        const { Units } = window.ChargeLab;
+        const results = this.calculator.results;
+        if (!results) return;
+
+        const F = results.measured.F;
+        if (this.results.force) {
+            this.results.force.textContent = results.unit === 'N' && F.value >= 1e-9
+                ? Units.format(F, 'force')
+                : F.format(results.unit);
+        }
+        if (this.results.direction) {
+            const direction = this.calculator.describeDirection(results.vectors.force);
+            this.results.direction.textContent = results.mode === 'parallel-wires' && results.F
+                ? `${direction} (${this.calculator.wireCurrents === 'like' ? 'attract' : 'repel'})`
+                : direction;
+        }
+        if (this.results.formula) {
+            this.results.formula.textContent = results.formula;
+        }
+
+        if (this.rhrDemo?.canvas) this.rhrDemo.setForce(results.vectors);
+
+        if (this.workPanel) {
+            this.workPanel.innerHTML = renderWorkSteps(this.calculator.getWorkSteps());
+        }
+    }
+}
+
+// ============================================
+// Charged Particle Lab UI
+// ============================================
+class ParticleLabUI {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.calculator = new ParticleMotionCalculator();
+        this.simulator = new ParticleLabSimulator('particle-lab-view');
+        this.init();
+    }
+
+    init() {
+        this.bindElements();
+        this.bindEvents();
+        this.calculate();
+        this.simulator.start();
+    }
+
+    bindElements() {
+        this.inputs = {
+            particle: this.container.querySelector('#particle-type'),
+            charge: this.container.querySelector('#particle-charge'),
+            mass: this.container.querySelector('#particle-mass'),
+            velocity: this.container.querySelector('#particle-velocity'),
+            angle: this.container.querySelector('#particle-angle')
+        };
+
+        // Custom q and m only show for a custom particle
+        this.controlGroups = {
+            charge: this.container.querySelector('#particle-control-charge'),
+            mass: this.container.querySelector('#particle-control-mass')
+        };
+
+        this.status = this.container.querySelector('#particle-status');
+        this.results = {
+            field: this.container.querySelector('#particle-result-field'),
+            radius: this.container.querySelector('#particle-result-radius'),
+            period: this.container.querySelector('#particle-result-period'),
+            pitch: this.container.querySelector('#particle-result-pitch')
+        };
+        this.workPanel = this.container.querySelector('#particle-work-steps');
+    }
+
+    bindEvents() {
+        const debouncedCalculate = window.ChargeLab.Utils.debounce(() => this.calculate(), 300);
+
+        this.inputs.particle?.addEventListener('change', () => this.calculate());
+        ['charge', 'mass', 'velocity', 'angle'].forEach(key => {
+            this.inputs[key]?.addEventListener('input', debouncedCalculate);
+        });
 
-        ctx.beginPath();
-        ctx.moveTo(size, 0);
-        ctx.lineTo(-size, -size / 2);
-        ctx.lineTo(-size, size / 2);
-        ctx.closePath();
-        ctx.fillStyle = '#00D1FF';
-        ctx.fill();
+        this.container.querySelector('#btn-particle-replay')?.addEventListener('click', () => {
+            this.simulator.frame = 0;
+        });
 
-        ctx.restore();
+        this.container.querySelector('#btn-particle-export')?.addEventListener('click', () => {
+            window.ChargeLab.ExportUtils.exportJSON(this.calculator.exportJSON(), 'chargelab-particle-results.json');
+        });
     }
 
     /**
-     * Draw arrow on circular path
+     * Fill the region with the field a MagneticFieldCalculator result found
      */
-    drawArrowOnCircle(cx, cy, radius, angle, clockwise) {
-        const x = cx + Math.cos(angle) * radius;
-        const y = cy + Math.sin(angle) * radius;
-        const tangentAngle = angle + (clockwise ? Math.PI / 2 : -Math.PI / 2);
-        this.drawArrow(x, y, tangentAngle);
+    setField(fieldResults) {
+        const { description } = fieldResults;
+        this.calculator.field = fieldResults.B;
+        this.calculator.sigFigs.field = fieldResults.measured.B.sigFigs;
+        this.calculator.source = description.charAt(0).toLowerCase() + description.slice(1);
+        this.calculate();
     }
 
-    /**
-     * Draw current direction arrow
-     */
-    drawCurrentArrow(x, y, angle) {
-        const { ctx } = this;
+    updateControlVisibility() {
+        const custom = this.calculator.particle === 'custom';
+        Object.values(this.controlGroups).forEach(group => {
+            if (group) group.style.display = custom ? 'block' : 'none';
+        });
+    }
 
-        ctx.save();
-        ctx.translate(x, y);
-        ctx.rotate(angle);
+    calculate() {
+        this.calculator.particle = this.inputs.particle?.value || 'proton';
+        this.calculator.displayUnits = {
+            magneticField: window.ChargeLab.Units.displayUnit('magneticField'),
+            length: window.ChargeLab.Units.displayUnit('length', 'cm')
+        };
 
-        ctx.beginPath();
-        ctx.moveTo(10, 0);
-        ctx.lineTo(-5, -5);
-        ctx.lineTo(-5, 5);
-        ctx.closePath();
-        ctx.fillStyle = '#F8FAFC';
-        ctx.fill();
+        let results;
+        try {
+            this.readInputs();
+            this.updateControlVisibility();
+            results = this.calculator.calculate();
+        } catch (e) {
+            if (this.status) {
+                this.status.textContent = e.message;
+                this.status.classList.add('form-status--error');
+            }
+            return null;
+        }
 
-        ctx.restore();
+        if (this.status) {
+            this.status.textContent = '';
+            this.status.classList.remove('form-status--error');
+        }
+
+        this.updateUI();
+        return results;
     }
 
     /**
-     * Draw field strength indicator
+     * Read the numeric fields, each in its own unit unless another is typed,
+     * with the significant figures typed; B comes from setField
      */
-    drawFieldIndicator() {
-        const { ctx, canvas } = this;
+    readInputs() {
+        const parsed = readUnitFields(this.inputs, ['charge', 'mass', 'velocity'], this.calculator);
+        // Masses are read in g; the particle lab works in kg
+        if (parsed.mass) this.calculator.mass = window.ChargeLab.Units.fromBase(parsed.mass.value, 'mass', 'kg');
+        const angle = parseFloat(this.inputs.angle?.value);
+        this.calculator.angle = isNaN(angle) ? 90 : angle;
+
+        // A charge in e counts elementary charges, so it is exact
+        if (parsed.charge?.unit === 'e') this.calculator.sigFigs.charge = Infinity;
+    }
 
-        if (!this.calculator.results) return;
+    updateUI() {
+        const { Measurement, Units } = window.ChargeLab;
+        const results = this.calculator.results;
+        if (!results) return;
 
-        const B = this.calculator.results.B;
-        const B_display = B > 0.001 ? (B * 1000).toFixed(3) + ' mT' :
-            B > 0.000001 ? (B * 1e6).toFixed(2) + ' μT' :
-                B.toExponential(2) + ' T';
+        const { measured, traced } = results;
+        const lengthUnit = this.calculator.displayUnits.length;
+        const tracedAs = (value, quantity, unit) => `traced ${Units.format(new Measurement(value, 4), quantity, unit)}`;
 
-        // Background box
-        ctx.fillStyle = 'rgba(7, 23, 51, 0.9)';
-        ctx.fillRect(10, 10, 140, 50);
-        ctx.strokeStyle = '#00D1FF';
-        ctx.lineWidth = 1;
-        ctx.strokeRect(10, 10, 140, 50);
+        if (this.results.field) {
+            this.results.field.textContent = Units.format(this.calculator.measure('field'), 'magneticField', this.calculator.displayUnits.magneticField);
+        }
+        if (this.results.radius) {
+            this.results.radius.textContent = `${Units.format(measured.radius, 'length', lengthUnit)} · ${tracedAs(traced.radius, 'length', lengthUnit)}`;
+        }
+        if (this.results.period) {
+            this.results.period.textContent = traced.period
+                ? `${Units.format(measured.period, 'time')} · ${tracedAs(traced.period, 'time')}`
+                : `${Units.format(measured.period, 'time')} · v never turns`;
+        }
+        if (this.results.pitch) {
+            this.results.pitch.textContent = !measured.radius.value
+                ? '— (straight along B)'
+                : measured.pitch.value
+                    ? `${Units.format(measured.pitch.abs(), 'length', lengthUnit)} (helix)`
+                    : '— (circle)';
+        }
 
-        // Text
-        ctx.fillStyle = '#B6C0C9';
-        ctx.font = '11px Inter';
-        ctx.textAlign = 'left';
-        ctx.fillText('B-field (center):', 20, 30);
+        const particle = this.calculator.getParticle();
+        this.simulator.setResults(results, `${particle.name} in ${Units.format(this.calculator.measure('field'), 'magneticField')}, ${this.calculator.angle}° to B`);
 
-        ctx.fillStyle = '#3EF1C6';
-        ctx.font = 'bold 16px Inter';
-        ctx.fillText(B_display, 20, 50);
+        if (this.workPanel) {
+            this.workPanel.innerHTML = renderWorkSteps(this.calculator.getWorkSteps());
+        }
     }
 }
 
 // ============================================
-// Right-Hand Rule Demonstrator
+// RL Circuit UI
 // ============================================
-class RightHandRuleDemonstrator {
+class RLCircuitUI {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
         if (!this.container) return;
 
-        this.canvas = this.container.querySelector('canvas');
-        if (!this.canvas) {
-            this.canvas = document.createElement('canvas');
-            this.container.appendChild(this.canvas);
-        }
+        this.calculator = new RLCircuitCalculator();
+        this.simulator = new RLCircuitSimulator('rl-circuit-view');
+        this.init();
+    }
 
-        this.ctx = this.canvas.getContext('2d');
-        this.mode = 'wire'; // 'wire' or 'loop'
-        this.rotation = 0;
+    init() {
+        this.bindElements();
+        this.bindEvents();
+    }
 
-        this.resize();
-        this.draw();
+    bindElements() {
+        this.inputs = {
+            resistance: this.container.querySelector('#rl-resistance')
+        };
 
-        window.addEventListener('resize', () => this.resize());
+        this.status = this.container.querySelector('#rl-status');
+        this.results = {
+            inductance: this.container.querySelector('#rl-result-inductance'),
+            tau: this.container.querySelector('#rl-result-tau'),
+            voltage: this.container.querySelector('#rl-result-voltage'),
+            energy: this.container.querySelector('#rl-result-energy')
+        };
+        this.workPanel = this.container.querySelector('#rl-work-steps');
     }
 
-    resize() {
-        const rect = this.container.getBoundingClientRect();
-        this.canvas.width = rect.width;
-        this.canvas.height = Math.min(rect.height, 300);
-    }
+    bindEvents() {
+        const debouncedCalculate = window.ChargeLab.Utils.debounce(() => this.calculate(), 300);
+        this.inputs.resistance?.addEventListener('input', debouncedCalculate);
 
-    setMode(mode) {
-        this.mode = mode;
-        this.draw();
+        this.container.querySelector('#btn-rl-close')?.addEventListener('click', () => this.simulator.play('rise'));
+        this.container.querySelector('#btn-rl-open')?.addEventListener('click', () => this.simulator.play('decay'));
     }
 
-    draw() {
-        const { ctx, canvas } = this;
-        const centerX = canvas.width / 2;
-        const centerY = canvas.height / 2;
+    /**
+     * Take L and the steady current from a MagneticFieldCalculator result
+     */
+    setField(fieldResults) {
+        const { energy, inputs, conductorType } = fieldResults;
+        this.calculator.inductance = energy.inductance?.value || 0;
+        this.calculator.current = inputs.current;
+        this.calculator.sigFigs.inductance = energy.inductance?.sigFigs;
+        this.calculator.sigFigs.current = inputs.sigFigs.current;
+        this.calculator.source = {
+            'single-loop': 'Circular coil',
+            'square-loop': 'Square coil',
+            'solenoid': 'Solenoid',
+            'toroid': 'Toroid',
+            'helmholtz': 'Helmholtz coils',
+            'anti-helmholtz': 'Anti-Helmholtz coils'
+        }[conductorType] || 'Wire';
+        this.calculate();
+    }
 
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    calculate() {
+        let results;
+        try {
+            this.readInputs();
+            results = this.calculator.calculate();
+        } catch (e) {
+            if (this.status) {
+                this.status.textContent = e.message;
+                this.status.classList.add('form-status--error');
+            }
+            return null;
+        }
 
-        if (this.mode === 'wire') {
-            this.drawWireRule(centerX, centerY);
-        } else {
-            this.drawLoopRule(centerX, centerY);
+        if (this.status) {
+            this.status.textContent = '';
+            this.status.classList.remove('form-status--error');
         }
+
+        this.updateUI();
+        return results;
     }
 
-    drawWireRule(cx, cy) {
-        const { ctx } = this;
+    /**
+     * Read R in its field's unit unless another is typed; L and I come from setField
+     */
+    readInputs() {
+        readUnitFields(this.inputs, ['resistance'], this.calculator);
+    }
 
-        // Title
-        ctx.fillStyle = '#F8FAFC';
-        ctx.font = 'bold 14px Inter';
-        ctx.textAlign = 'center';
-        ctx.fillText('Right-Hand Rule for Straight Wire', cx, 25);
+    updateUI() {
+        const { Units } = window.ChargeLab;
+        const results = this.calculator.results;
+        if (!results) return;
 
-        // Instructions
-        ctx.font = '12px Inter';
-        ctx.fillStyle = '#B6C0C9';
-        ctx.fillText('Point thumb in direction of current (I)', cx, 45);
-        ctx.fillText('Fingers curl in direction of B-field', cx, 60);
+        const { tau, voltage, energy } = results.measured;
+        const L = this.calculator.measure('inductance');
+        const show = (m, quantity) => Units.format(m, quantity, Units.pick(m.value, quantity));
 
-        // Draw hand representation
-        // Thumb (current direction)
-        ctx.fillStyle = '#3EF1C6';
-        ctx.beginPath();
-        ctx.ellipse(cx - 30, cy, 15, 50, 0, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.fillStyle = '#2BC5AA';
-        ctx.beginPath();
-        ctx.ellipse(cx - 30, cy - 55, 12, 15, 0, 0, Math.PI * 2);
-        ctx.fill();
+        if (this.results.inductance) this.results.inductance.textContent = show(L, 'inductance');
+        if (this.results.tau) this.results.tau.textContent = show(tau, 'time');
+        if (this.results.voltage) this.results.voltage.textContent = `${voltage.format('V')} for ${this.calculator.measure('current').format('A')}`;
+        if (this.results.energy) this.results.energy.textContent = show(energy, 'energy');
 
-        // Current arrow
-        ctx.strokeStyle = '#00D1FF';
-        ctx.lineWidth = 3;
-        ctx.beginPath();
-        ctx.moveTo(cx - 30, cy + 30);
-        ctx.lineTo(cx - 30, cy - 80);
-        ctx.stroke();
-        this.drawArrowHead(cx - 30, cy - 80, -Math.PI / 2);
+        this.simulator.setResults(results, this.calculator);
 
-        ctx.fillStyle = '#00D1FF';
-        ctx.font = 'bold 14px Inter';
-        ctx.fillText('I', cx - 15, cy - 70);
+        if (this.workPanel) {
+            this.workPanel.innerHTML = renderWorkSteps(this.calculator.getWorkSteps());
+        }
+    }
+}
 
-        // Curling fingers (B-field direction)
-        for (let i = 0; i < 4; i++) {
-            const angle = Math.PI * 0.3 + i * 0.35;
-            const radius = 60 + i * 5;
-            const startAngle = -Math.PI / 4;
-            const endAngle = Math.PI * 0.8;
+// ============================================
+// Electromagnetic Induction UI
+// ============================================
+class InductionLabUI {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
 
-            ctx.strokeStyle = `rgba(0, 209, 255, ${0.8 - i * 0.15})`;
-            ctx.lineWidth = 3 - i * 0.5;
-            ctx.beginPath();
-            ctx.arc(cx - 30, cy, radius, startAngle, endAngle);
-            ctx.stroke();
-        }
+        this.calculator = new InductionCalculator();
+        this.simulator = new InductionSimulator('induction-lab-view');
+        this.init();
+    }
 
-        // B-field label
-        ctx.fillStyle = '#F8FAFC';
-        ctx.font = '12px Inter';
-        ctx.fillText('B (curls around wire)', cx + 50, cy + 70);
+    init() {
+        this.bindElements();
+        this.bindEvents();
+        this.calculate();
+        this.simulator.start();
     }
 
-    drawLoopRule(cx, cy) {
-        const { ctx } = this;
+    bindElements() {
+        this.inputs = {
+            mode: this.container.querySelector('#induction-mode'),
+            turns: this.container.querySelector('#induction-turns'),
+            radius: this.container.querySelector('#induction-radius'),
+            moment: this.container.querySelector('#induction-moment'),
+            speed: this.container.querySelector('#induction-speed'),
+            field: this.container.querySelector('#induction-field'),
+            frequency: this.container.querySelector('#induction-frequency')
+        };
 
-        // Title
-        ctx.fillStyle = '#F8FAFC';
-        ctx.font = 'bold 14px Inter';
-        ctx.textAlign = 'center';
-        ctx.fillText('Right-Hand Rule for Loops/Solenoids', cx, 25);
+        // The magnet's moment and speed, or the loop's field and frequency
+        this.controlGroups = {
+            moment: this.container.querySelector('#induction-control-moment'),
+            speed: this.container.querySelector('#induction-control-speed'),
+            field: this.container.querySelector('#induction-control-field'),
+            frequency: this.container.querySelector('#induction-control-frequency')
+        };
 
-        // Instructions
-        ctx.font = '12px Inter';
-        ctx.fillStyle = '#B6C0C9';
-        ctx.fillText('Curl fingers in direction of current', cx, 45);
-        ctx.fillText('Thumb points in direction of B-field (N pole)', cx, 60);
+        this.status = this.container.querySelector('#induction-status');
+        this.results = {
+            flux: this.container.querySelector('#induction-result-flux'),
+            emf: this.container.querySelector('#induction-result-emf'),
+            formula: this.container.querySelector('#induction-result-formula')
+        };
+        this.workPanel = this.container.querySelector('#induction-work-steps');
+    }
 
-        // Draw loop
-        ctx.strokeStyle = '#3EF1C6';
-        ctx.lineWidth = 4;
-        ctx.beginPath();
-        ctx.ellipse(cx, cy + 20, 70, 30, 0, 0, Math.PI * 2);
-        ctx.stroke();
+    bindEvents() {
+        const debouncedCalculate = window.ChargeLab.Utils.debounce(() => this.calculate(), 300);
 
-        // Current arrows around loop
-        const arrowPositions = [0, Math.PI / 2, Math.PI, Math.PI * 1.5];
-        arrowPositions.forEach(angle => {
-            const x = cx + Math.cos(angle) * 70;
-            const y = cy + 20 + Math.sin(angle) * 30;
-            this.drawArrowHead(x, y, angle + Math.PI / 2);
+        this.inputs.mode?.addEventListener('change', () => this.calculate());
+        ['turns', 'radius', 'moment', 'speed', 'field', 'frequency'].forEach(key => {
+            this.inputs[key]?.addEventListener('input', debouncedCalculate);
         });
 
-        ctx.fillStyle = '#3EF1C6';
-        ctx.font = '12px Inter';
-        ctx.fillText('I', cx + 85, cy + 25);
+        this.container.querySelector('#btn-induction-replay')?.addEventListener('click', () => {
+            this.simulator.frame = 0;
+        });
 
-        // B-field through center (thumb direction)
-        ctx.strokeStyle = '#00D1FF';
-        ctx.lineWidth = 3;
-        ctx.setLineDash([5, 5]);
-        ctx.beginPath();
-        ctx.moveTo(cx, cy + 80);
-        ctx.lineTo(cx, cy - 60);
-        ctx.stroke();
-        ctx.setLineDash([]);
+        this.container.querySelector('#btn-induction-export')?.addEventListener('click', () => {
+            window.ChargeLab.ExportUtils.exportJSON(this.calculator.exportJSON(), 'chargelab-induction-results.json');
+        });
+    }
 
-        this.drawArrowHead(cx, cy - 60, -Math.PI / 2);
+    updateControlVisibility() {
+        const magnet = this.calculator.mode === 'magnet';
+        const shown = { moment: magnet, speed: magnet, field: !magnet, frequency: !magnet };
+        Object.entries(shown).forEach(([key, visible]) => {
+            if (this.controlGroups[key]) this.controlGroups[key].style.display = visible ? 'block' : 'none';
+        });
+    }
 
-        ctx.fillStyle = '#00D1FF';
-        ctx.font = 'bold 14px Inter';
-        ctx.fillText('B', cx + 15, cy - 50);
-        ctx.font = '12px Inter';
-        ctx.fillText('(N pole)', cx + 15, cy - 35);
+    calculate() {
+        const mode = this.inputs.mode?.value;
+        this.calculator.mode = PHYSICS_CONSTANTS.INDUCTION_MODES.includes(mode) ? mode : 'magnet';
+        this.calculator.displayUnits = {
+            magneticField: window.ChargeLab.Units.displayUnit('magneticField'),
+            length: window.ChargeLab.Units.displayUnit('length', 'cm')
+        };
+
+        let results;
+        try {
+            this.readInputs();
+            this.updateControlVisibility();
+            results = this.calculator.calculate();
+        } catch (e) {
+            if (this.status) {
+                this.status.textContent = e.message;
+                this.status.classList.add('form-status--error');
+            }
+            return null;
+        }
+
+        if (this.status) {
+            this.status.textContent = '';
+            this.status.classList.remove('form-status--error');
+        }
+
+        this.updateUI();
+        return results;
+    }
+
+    /**
+     * Read the numeric fields, each in its own unit unless another is typed
+     * ("3 mm", "1500 rpm"), with the significant figures typed; turns are counted
+     */
+    readInputs() {
+        readUnitFields(this.inputs, ['radius', 'moment', 'speed', 'field', 'frequency'], this.calculator);
+        const turns = parseInt(this.inputs.turns?.value);
+        this.calculator.turns = isNaN(turns) ? new InductionCalculator().turns : turns;
     }
 
-    drawArrowHead(x, y, angle) {
-        const { ctx } = this;
-        const size = 10;
+    updateUI() {
+        const { Units } = window.ChargeLab;
+        const results = this.calculator.results;
+        if (!results) return;
 
-        ctx.save();
-        ctx.translate(x, y);
-        ctx.rotate(angle);
+        const { flux, emf } = results.measured;
+        const show = (m, quantity) => Units.format(m, quantity, Units.pick(m.value, quantity));
 
-        ctx.beginPath();
-        ctx.moveTo(0, 0);
-        ctx.lineTo(-size, -size / 2);
-        ctx.lineTo(-size, size / 2);
-        ctx.closePath();
-        ctx.fillStyle = '#00D1FF';
-        ctx.fill();
+        if (this.results.flux) this.results.flux.textContent = show(flux, 'magneticFlux');
+        if (this.results.emf) this.results.emf.textContent = show(emf, 'voltage');
+        if (this.results.formula) this.results.formula.textContent = results.formula;
 
-        ctx.restore();
+        this.simulator.setResults(this.calculator);
+
+        if (this.workPanel) {
+            this.workPanel.innerHTML = renderWorkSteps(this.calculator.getWorkSteps());
+        }
     }
 }
 
 // ============================================
-// Physics Calculator UI
+// DC Motor and Generator UI
 // ============================================
-class PhysicsCalculatorUI {
+class DCMotorUI {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
         if (!this.container) return;
 
-        this.calculator = new MagneticFieldCalculator();
-        this.simulator = null;
-
+        this.calculator = new DCMotorCalculator();
+        this.simulator = new DCMotorSimulator('dc-motor-view');
         this.init();
-        this.loadFromURL();
     }
 
     init() {
         this.bindElements();
         this.bindEvents();
-        this.bindPresets();
-
-        // Initialize simulator
-        const simCanvas = this.container.querySelector('#field-simulator-canvas');
-        if (simCanvas) {
-            this.simulator = new MagneticFieldSimulator('field-simulator-canvas');
-            this.simulator.start();
-        }
-
-        // Initialize right-hand rule demonstrator
-        const rhrContainer = document.getElementById('right-hand-rule-demo');
-        if (rhrContainer) {
-            this.rhrDemo = new RightHandRuleDemonstrator('right-hand-rule-demo');
-        }
-
         this.calculate();
+        this.simulator.start();
     }
 
     bindElements() {
         this.inputs = {
-            conductorType: this.container.querySelector('#input-conductor-type'),
-            current: this.container.querySelector('#input-current'),
-            currentDisplay: this.container.querySelector('#current-display'),
-            turns: this.container.querySelector('#input-turns'),
-            radius: this.container.querySelector('#input-radius'),
-            length: this.container.querySelector('#input-length'),
-            distance: this.container.querySelector('#input-distance'),
-            material: this.container.querySelector('#input-material')
+            mode: this.container.querySelector('#motor-mode'),
+            turns: this.container.querySelector('#motor-turns'),
+            area: this.container.querySelector('#motor-area'),
+            field: this.container.querySelector('#motor-field'),
+            current: this.container.querySelector('#motor-current'),
+            voltage: this.container.querySelector('#motor-voltage'),
+            resistance: this.container.querySelector('#motor-resistance'),
+            speed: this.container.querySelector('#motor-speed'),
+            loadResistance: this.container.querySelector('#motor-load')
         };
 
-        this.results = {
-            bField: this.container.querySelector('#result-b-field'),
-            formula: this.container.querySelector('#result-formula')
+        // The supply's current and voltage drive a motor; a generator is turned into a load
+        this.controlGroups = {
+            current: this.container.querySelector('#motor-control-current'),
+            voltage: this.container.querySelector('#motor-control-voltage'),
+            speed: this.container.querySelector('#motor-control-speed'),
+            loadResistance: this.container.querySelector('#motor-control-load'),
+            importChemistry: this.container.querySelector('#motor-control-import')
         };
 
-        this.workPanel = this.container.querySelector('#physics-work-steps');
-
-        // Control groups for showing/hiding based on conductor type
-        this.controlGroups = {
-            turns: this.container.querySelector('#control-turns'),
-            radius: this.container.querySelector('#control-radius'),
-            length: this.container.querySelector('#control-length'),
-            distance: this.container.querySelector('#control-distance'),
-            material: this.container.querySelector('#control-material')
+        this.status = this.container.querySelector('#motor-status');
+        this.labels = {
+            emf: this.container.querySelector('#motor-emf-label'),
+            torque: this.container.querySelector('#motor-torque-label'),
+            output: this.container.querySelector('#motor-output-label')
+        };
+        this.results = {
+            torque: this.container.querySelector('#motor-result-torque'),
+            emf: this.container.querySelector('#motor-result-emf'),
+            output: this.container.querySelector('#motor-result-output'),
+            efficiency: this.container.querySelector('#motor-result-efficiency')
         };
+        this.workPanel = this.container.querySelector('#motor-work-steps');
     }
 
     bindEvents() {
-        // Conductor type change
-        this.inputs.conductorType?.addEventListener('change', () => {
-            this.updateControlVisibility();
-            this.calculate();
-            if (this.rhrDemo) {
-                this.rhrDemo.setMode(this.inputs.conductorType.value === 'straight-wire' ? 'wire' : 'loop');
-            }
-        });
-
-        // Current slider
-        this.inputs.current?.addEventListener('input', () => {
-            if (this.inputs.currentDisplay) {
-                this.inputs.currentDisplay.textContent = this.inputs.current.value + ' A';
-            }
-            this.calculate();
-        });
+        const debouncedCalculate = window.ChargeLab.Utils.debounce(() => this.calculate(), 300);
 
-        // Other inputs
-        ['turns', 'radius', 'length', 'distance', 'material'].forEach(key => {
-            this.inputs[key]?.addEventListener('input', () => this.calculate());
-            this.inputs[key]?.addEventListener('change', () => this.calculate());
+        this.inputs.mode?.addEventListener('change', () => this.calculate());
+        ['turns', 'area', 'field', 'current', 'voltage', 'resistance', 'speed', 'loadResistance'].forEach(key => {
+            this.inputs[key]?.addEventListener('input', debouncedCalculate);
         });
 
-        // Import from chemistry toggle
-        const importToggle = this.container.querySelector('#import-chemistry');
+        // Run the motor on the current the chemistry calculator found
+        const importToggle = this.container.querySelector('#motor-import-chemistry');
         if (importToggle) {
             importToggle.addEventListener('change', () => {
                 if (importToggle.checked) {
@@ -954,195 +7615,268 @@ class PhysicsCalculatorUI {
             });
         }
 
-        // Export buttons
-        this.container.querySelector('#btn-physics-export')?.addEventListener('click', () => {
-            this.exportJSON();
-        });
-
-        this.container.querySelector('#btn-physics-share')?.addEventListener('click', () => {
-            this.shareLink();
+        this.container.querySelector('#btn-motor-export')?.addEventListener('click', () => {
+            window.ChargeLab.ExportUtils.exportJSON(this.calculator.exportJSON(), 'chargelab-motor-results.json');
         });
     }
 
-    bindPresets() {
-        this.container.querySelectorAll('[data-physics-preset]').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const presetKey = btn.getAttribute('data-physics-preset');
-                this.loadPreset(presetKey);
-
-                // Update active state
-                this.container.querySelectorAll('[data-physics-preset]').forEach(b => {
-                    b.classList.remove('preset-btn--active');
-                });
-                btn.classList.add('preset-btn--active');
-            });
+    updateControlVisibility() {
+        const motor = this.calculator.mode === 'motor';
+        const shown = { current: motor, voltage: motor, speed: !motor, loadResistance: !motor, importChemistry: motor };
+        Object.entries(shown).forEach(([key, visible]) => {
+            if (this.controlGroups[key]) this.controlGroups[key].style.display = visible ? 'block' : 'none';
         });
     }
 
-    loadPreset(presetKey) {
-        const preset = PHYSICS_PRESETS[presetKey];
-        if (!preset) return;
+    calculate() {
+        const mode = this.inputs.mode?.value;
+        this.calculator.mode = PHYSICS_CONSTANTS.MOTOR_MODES.includes(mode) ? mode : 'motor';
+        this.calculator.displayUnits = {
+            magneticField: window.ChargeLab.Units.displayUnit('magneticField')
+        };
 
-        if (this.inputs.conductorType) this.inputs.conductorType.value = preset.type;
-        if (this.inputs.current) {
-            this.inputs.current.value = preset.current;
-            if (this.inputs.currentDisplay) {
-                this.inputs.currentDisplay.textContent = preset.current + ' A';
+        let results;
+        try {
+            this.readInputs();
+            this.updateControlVisibility();
+            results = this.calculator.calculate();
+        } catch (e) {
+            if (this.status) {
+                this.status.textContent = e.message;
+                this.status.classList.add('form-status--error');
             }
+            return null;
         }
-        if (this.inputs.turns && preset.turns) this.inputs.turns.value = preset.turns;
-        if (this.inputs.radius && preset.radius) this.inputs.radius.value = preset.radius * 100; // Convert to cm
-        if (this.inputs.length && preset.length) this.inputs.length.value = preset.length * 100;
-        if (this.inputs.material && preset.material) this.inputs.material.value = preset.material;
-
-        this.updateControlVisibility();
-        this.calculate();
 
-        if (this.rhrDemo) {
-            this.rhrDemo.setMode(preset.type === 'straight-wire' ? 'wire' : 'loop');
+        if (this.status) {
+            this.status.textContent = '';
+            this.status.classList.remove('form-status--error');
         }
-    }
 
-    updateControlVisibility() {
-        const type = this.inputs.conductorType?.value || 'solenoid';
+        this.updateUI();
+        return results;
+    }
 
-        // Show/hide relevant controls
-        if (this.controlGroups.turns) {
-            this.controlGroups.turns.style.display = type !== 'straight-wire' ? 'block' : 'none';
-        }
-        if (this.controlGroups.radius) {
-            this.controlGroups.radius.style.display = type === 'single-loop' ? 'block' : 'none';
-        }
-        if (this.controlGroups.length) {
-            this.controlGroups.length.style.display = type === 'solenoid' ? 'block' : 'none';
-        }
-        if (this.controlGroups.distance) {
-            this.controlGroups.distance.style.display = type === 'straight-wire' ? 'block' : 'none';
-        }
-        if (this.controlGroups.material) {
-            this.controlGroups.material.style.display = type !== 'straight-wire' ? 'block' : 'none';
-        }
+    /**
+     * Read the numeric fields, each in its own unit unless another is typed
+     * ("40 mm2", "3000 rpm"), with the significant figures typed; turns are counted
+     */
+    readInputs() {
+        readUnitFields(this.inputs, ['area', 'field', 'current', 'voltage', 'resistance', 'speed', 'loadResistance'], this.calculator);
+        const turns = parseInt(this.inputs.turns?.value);
+        this.calculator.turns = isNaN(turns) ? new DCMotorCalculator().turns : turns;
     }
 
-    loadFromURL() {
-        const params = new URLSearchParams(window.location.search);
+    updateUI() {
+        const { Units } = window.ChargeLab;
+        const results = this.calculator.results;
+        if (!results) return;
 
-        if (params.has('current') || params.has('type')) {
-            this.calculator = MagneticFieldCalculator.fromURLParams(Object.fromEntries(params));
+        const motor = results.mode === 'motor';
+        const { torque, emf, omega, current, voltage, powerOut, efficiency } = results.measured;
+        const rpm = omega.scaled(1 / (2 * Math.PI));
 
-            // Update inputs
-            if (this.inputs.conductorType) this.inputs.conductorType.value = this.calculator.conductorType;
-            if (this.inputs.current) {
-                this.inputs.current.value = this.calculator.current;
-                if (this.inputs.currentDisplay) {
-                    this.inputs.currentDisplay.textContent = this.calculator.current + ' A';
-                }
-            }
-            if (this.inputs.turns) this.inputs.turns.value = this.calculator.turns;
-            if (this.inputs.radius) this.inputs.radius.value = this.calculator.radius * 100;
-            if (this.inputs.length) this.inputs.length.value = this.calculator.length * 100;
-            if (this.inputs.distance) this.inputs.distance.value = this.calculator.distance * 100;
-            if (this.inputs.material) this.inputs.material.value = this.calculator.material;
+        if (this.labels.torque) this.labels.torque.textContent = motor ? 'Average torque:' : 'Torque to turn it:';
+        if (this.labels.emf) this.labels.emf.textContent = motor ? 'Back-EMF ℰ:' : 'EMF ℰ (average):';
+        if (this.labels.output) this.labels.output.textContent = motor ? 'Speed:' : 'Output:';
 
-            this.updateControlVisibility();
+        if (this.results.torque) this.results.torque.textContent = torque.format('N·m');
+        if (this.results.emf) this.results.emf.textContent = emf.format('V');
+        if (this.results.output) {
+            this.results.output.textContent = motor
+                ? `${Units.format(rpm, 'frequency', 'rpm')} (ω = ${omega.format('rad/s')})`
+                : `${current.format('A')} at ${voltage.format('V')}, ${powerOut.format('W')}`;
+        }
+        if (this.results.efficiency) this.results.efficiency.textContent = `${efficiency.scaled(100).format()}%`;
+
+        this.simulator.setResults(this.calculator);
+
+        if (this.workPanel) {
+            this.workPanel.innerHTML = renderWorkSteps(this.calculator.getWorkSteps());
+        }
+    }
+
+    importFromChemistry() {
+        const chemResults = window.ChargeLab.AppState.load('chemistry_results');
+        if (chemResults && chemResults.current && this.inputs.current) {
+            this.inputs.current.value = chemResults.current;
             this.calculate();
         }
     }
+}
 
-    calculate() {
-        // Read inputs
-        this.calculator.conductorType = this.inputs.conductorType?.value || 'solenoid';
-        this.calculator.current = parseFloat(this.inputs.current?.value) || 1;
-        this.calculator.turns = parseInt(this.inputs.turns?.value) || 100;
-        this.calculator.radius = (parseFloat(this.inputs.radius?.value) || 1) / 100; // Convert cm to m
-        this.calculator.length = (parseFloat(this.inputs.length?.value) || 5) / 100;
-        this.calculator.distance = (parseFloat(this.inputs.distance?.value) || 1) / 100;
-        this.calculator.material = this.inputs.material?.value || 'air';
+// ============================================
+// Transformer UI
+// ============================================
+class TransformerUI {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
 
-        // Calculate
-        const results = this.calculator.calculate();
+        this.calculator = new TransformerCalculator();
+        this.simulator = new TransformerSimulator('transformer-view');
+        this.init();
+    }
 
-        // Update UI
-        this.updateUI(results);
+    init() {
+        this.bindElements();
+        this.bindEvents();
+        this.bindPresets();
+        this.calculate();
+        this.simulator.start();
+    }
 
-        // Update simulator
-        if (this.simulator) {
-            this.simulator.setParameters({
-                conductorType: this.calculator.conductorType,
-                current: this.calculator.current,
-                turns: this.calculator.turns,
-                radius: this.calculator.radius,
-                length: this.calculator.length,
-                distance: this.calculator.distance,
-                material: this.calculator.material
-            });
-        }
+    bindElements() {
+        this.inputs = {
+            primaryTurns: this.container.querySelector('#transformer-primary-turns'),
+            secondaryTurns: this.container.querySelector('#transformer-secondary-turns'),
+            coupling: this.container.querySelector('#transformer-coupling'),
+            core: this.container.querySelector('#transformer-core'),
+            area: this.container.querySelector('#transformer-area'),
+            pathLength: this.container.querySelector('#transformer-path'),
+            voltage: this.container.querySelector('#transformer-voltage'),
+            frequency: this.container.querySelector('#transformer-frequency'),
+            loadResistance: this.container.querySelector('#transformer-load')
+        };
 
-        return results;
+        this.status = this.container.querySelector('#transformer-status');
+        this.results = {
+            voltage: this.container.querySelector('#transformer-result-voltage'),
+            current: this.container.querySelector('#transformer-result-current'),
+            mutual: this.container.querySelector('#transformer-result-mutual'),
+            power: this.container.querySelector('#transformer-result-power'),
+            flux: this.container.querySelector('#transformer-result-flux'),
+            warning: this.container.querySelector('#transformer-result-warning')
+        };
+        this.workPanel = this.container.querySelector('#transformer-work-steps');
     }
 
-    updateUI(results) {
-        if (!results) return;
+    bindEvents() {
+        const debouncedCalculate = window.ChargeLab.Utils.debounce(() => this.calculate(), 300);
 
-        // Format B-field display
-        let bDisplay;
-        if (results.B > 0.001) {
-            bDisplay = results.B_mT.toFixed(4) + ' mT';
-        } else if (results.B > 0.000001) {
-            bDisplay = results.B_uT.toFixed(2) + ' μT';
-        } else {
-            bDisplay = results.B.toExponential(3) + ' T';
-        }
+        this.inputs.core?.addEventListener('change', () => this.calculate());
+        ['primaryTurns', 'secondaryTurns', 'coupling', 'area', 'pathLength', 'voltage', 'frequency', 'loadResistance'].forEach(key => {
+            this.inputs[key]?.addEventListener('input', debouncedCalculate);
+        });
 
-        if (this.results.bField) {
-            this.results.bField.textContent = bDisplay;
-        }
+        this.container.querySelector('#btn-transformer-export')?.addEventListener('click', () => {
+            window.ChargeLab.ExportUtils.exportJSON(this.calculator.exportJSON(), 'chargelab-transformer-results.json');
+        });
+    }
 
-        if (this.results.formula) {
-            this.results.formula.textContent = results.formula;
-        }
+    bindPresets() {
+        this.container.querySelectorAll('[data-transformer-preset]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.loadPreset(btn.getAttribute('data-transformer-preset'));
 
-        // Update work steps
-        this.updateWorkSteps();
+                this.container.querySelectorAll('[data-transformer-preset]').forEach(b => {
+                    b.classList.remove('preset-btn--active');
+                });
+                btn.classList.add('preset-btn--active');
+            });
+        });
     }
 
-    updateWorkSteps() {
-        if (!this.workPanel) return;
+    loadPreset(presetKey) {
+        const { Units } = window.ChargeLab;
+        const preset = TRANSFORMER_PRESETS[presetKey];
+        if (!preset) return;
 
-        const steps = this.calculator.getWorkSteps();
-        this.workPanel.innerHTML = steps.map((step, i) => `
-      <div class="work-step">
-        <span class="work-step__number">${i + 1}</span>
-        <div class="work-step__content">
-          <strong>${step.title}</strong>
-          <p class="text-muted">${step.description}</p>
-          ${step.calculations.map(calc => `
-            <p class="work-step__formula">${calc}</p>
-          `).join('')}
-        </div>
-      </div>
-    `).join('');
+        ['primaryTurns', 'secondaryTurns'].forEach(key => {
+            if (this.inputs[key]) this.inputs[key].value = preset[key];
+        });
+        if (this.inputs.coupling) this.inputs.coupling.value = preset.coupling.toPrecision(3);
+        if (this.inputs.core) this.inputs.core.value = preset.core;
+
+        // Preset values are in base units; fields get 3 figures, in their own
+        // unit unless that needs more than three digits ("140 kHz", not "140000"),
+        // and a point after trailing zeros to count them ("160." is 3 s.f.)
+        const figures = number => number.toPrecision(3).replace(/^(\d*0)$/, '$1.');
+        ['area', 'pathLength', 'voltage', 'frequency', 'loadResistance'].forEach(key => {
+            const input = this.inputs[key];
+            if (!input) return;
+            const quantity = input.getAttribute('data-quantity');
+            const number = Units.fromBase(preset[key], quantity, input.getAttribute('data-unit'));
+            if (number >= 1000) {
+                const unit = Units.pick(preset[key], quantity);
+                input.value = `${figures(Units.fromBase(preset[key], quantity, unit))} ${unit}`;
+            } else {
+                input.value = figures(number);
+            }
+        });
+
+        this.calculate();
     }
 
-    importFromChemistry() {
-        const chemResults = window.ChargeLab.AppState.load('chemistry_results');
-        if (chemResults && chemResults.current) {
-            this.inputs.current.value = chemResults.current;
-            if (this.inputs.currentDisplay) {
-                this.inputs.currentDisplay.textContent = chemResults.current.toFixed(4) + ' A';
+    calculate() {
+        const core = this.inputs.core?.value;
+        this.calculator.core = PHYSICS_CONSTANTS.PERMEABILITY[core] ? core : 'steel';
+        this.calculator.displayUnits = {
+            magneticField: window.ChargeLab.Units.displayUnit('magneticField')
+        };
+
+        let results;
+        try {
+            this.readInputs();
+            results = this.calculator.calculate();
+        } catch (e) {
+            if (this.status) {
+                this.status.textContent = e.message;
+                this.status.classList.add('form-status--error');
             }
-            this.calculate();
+            return null;
+        }
+
+        if (this.status) {
+            this.status.textContent = '';
+            this.status.classList.remove('form-status--error');
         }
+
+        this.updateUI();
+        return results;
     }
 
-    exportJSON() {
-        const data = this.calculator.exportJSON();
-        window.ChargeLab.ExportUtils.exportJSON(data, 'chargelab-physics-results.json');
+    /**
+     * Read the numeric fields, each in its own unit unless another is typed
+     * ("240 V", "100 kHz", "2 mm2"), with the significant figures typed;
+     * turns are counted and k is a plain number
+     */
+    readInputs() {
+        readUnitFields(this.inputs, ['area', 'pathLength', 'voltage', 'frequency', 'loadResistance'], this.calculator);
+
+        const defaults = new TransformerCalculator();
+        ['primaryTurns', 'secondaryTurns'].forEach(key => {
+            const turns = parseInt(this.inputs[key]?.value);
+            this.calculator[key] = isNaN(turns) ? defaults[key] : turns;
+        });
+        const coupling = this.inputs.coupling?.value.trim() ?? '';
+        this.calculator.coupling = coupling === '' ? defaults.coupling : parseFloat(coupling);
+
+        const couplingSigFigs = window.ChargeLab.Measurement.countSigFigs(coupling);
+        if (couplingSigFigs) this.calculator.sigFigs.coupling = couplingSigFigs;
+        else delete this.calculator.sigFigs.coupling;
     }
 
-    shareLink() {
-        const params = this.calculator.toURLParams();
-        window.ChargeLab.DeepLinking.copyURL({ ...Object.fromEntries(new URLSearchParams(params)) });
+    updateUI() {
+        const { Units } = window.ChargeLab;
+        const results = this.calculator.results;
+        if (!results) return;
+
+        const { V2, I1, I2, M, voltageRatio, currentRatio, power, idealPower, transfer, peakB } = results.measured;
+        const show = (value, quantity) => Units.format(value, quantity, Units.pick(value.value, quantity));
+
+        if (this.results.voltage) this.results.voltage.textContent = `${voltageRatio.format()} (V₂ = ${show(V2, 'voltage')})`;
+        if (this.results.current) this.results.current.textContent = `${currentRatio.format()} (I₁ = ${show(I1, 'current')}, I₂ = ${show(I2, 'current')})`;
+        if (this.results.mutual) this.results.mutual.textContent = show(M, 'inductance');
+        if (this.results.power) this.results.power.textContent = `${power.format('W')} of ${idealPower.format('W')} ideal (${transfer.scaled(100).format()}%)`;
+        if (this.results.flux) this.results.flux.textContent = show(peakB, 'magneticField');
+        if (this.results.warning) this.results.warning.textContent = results.warning ? `⚠ ${results.warning}` : '';
+
+        this.simulator.setResults(this.calculator);
+
+        if (this.workPanel) {
+            this.workPanel.innerHTML = renderWorkSteps(this.calculator.getWorkSteps());
+        }
     }
 }
 
@@ -1155,6 +7889,22 @@ document.addEventListener('DOMContentLoaded', () => {
     if (physicsContainer) {
         window.physicsCalculatorUI = new PhysicsCalculatorUI('physics-calculator');
     }
+
+    if (document.getElementById('force-calculator')) {
+        window.forceCalculatorUI = new ForceCalculatorUI('force-calculator');
+    }
+
+    if (document.getElementById('induction-lab')) {
+        window.inductionLabUI = new InductionLabUI('induction-lab');
+    }
+
+    if (document.getElementById('dc-motor')) {
+        window.dcMotorUI = new DCMotorUI('dc-motor');
+    }
+
+    if (document.getElementById('transformer')) {
+        window.transformerUI = new TransformerUI('transformer');
+    }
 });
 
 // Export for use in other modules
@@ -1162,8 +7912,32 @@ window.ChargeLab = window.ChargeLab || {};
 window.ChargeLab.Physics = {
     Calculator: MagneticFieldCalculator,
     CalculatorUI: PhysicsCalculatorUI,
+    ForceCalculator: MagneticForceCalculator,
+    ForceCalculatorUI,
+    ParticleCalculator: ParticleMotionCalculator,
+    ParticleLab: ParticleLabSimulator,
+    ParticleLabUI,
+    traceParticle,
+    RLCircuit: RLCircuitCalculator,
+    RLCircuitSimulator,
+    RLCircuitUI,
+    InductionCalculator,
+    InductionSimulator,
+    InductionLabUI,
+    DCMotorCalculator,
+    DCMotorSimulator,
+    DCMotorUI,
+    TransformerCalculator,
+    TransformerSimulator,
+    TransformerUI,
     Simulator: MagneticFieldSimulator,
     RightHandRule: RightHandRuleDemonstrator,
+    ConductorPath,
+    FieldScene,
+    MagneticMaterial,
+    demagnetizingFactor,
+    Vec3,
     CONSTANTS: PHYSICS_CONSTANTS,
-    PRESETS: PHYSICS_PRESETS
+    PRESETS: PHYSICS_PRESETS,
+    TRANSFORMER_PRESETS
 };
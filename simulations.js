@@ -414,15 +414,17 @@ class FieldMappingLab {
     updateReadout() {
         if (!this.readout) return;
 
-        const bDisplay = this.bCenter > 0.001
-            ? (this.bCenter * 1000).toFixed(3) + ' mT'
-            : (this.bCenter * 1e6).toFixed(2) + ' μT';
+        // B in the display unit chosen on the physics page (auto: mT, μT, ...)
+        const { Units, Utils } = window.ChargeLab;
+        const showB = B => {
+            const unit = Units.pick(B, 'magneticField', Units.displayUnit('magneticField'));
+            return `${Utils.formatSigFigs(Units.fromBase(B, 'magneticField', unit), 4)} ${unit}`;
+        };
+        const bDisplay = showB(this.bCenter);
 
         let probeDisplay = '—';
         if (this.probeB !== undefined) {
-            probeDisplay = this.probeB > 0.001
-                ? (this.probeB * 1000).toFixed(3) + ' mT'
-                : (this.probeB * 1e6).toFixed(2) + ' μT';
+            probeDisplay = showB(this.probeB);
         }
 
         this.readout.innerHTML = `
@@ -517,15 +519,20 @@ class IntegratedPipeline {
         this.sankeyContainer = this.container.querySelector('#pipeline-sankey');
         this.interpretationPanel = this.container.querySelector('#pipeline-interpretation');
 
-        // Listen for chemistry updates
+        // Listen for chemistry and physics updates
         window.addEventListener('storage', (e) => {
             if (e.key === 'chargelab_chemistry_results') {
                 this.loadChemistryData();
                 this.update();
             }
+            if (e.key === 'chargelab_physics_results') {
+                this.loadPhysicsData();
+                this.update();
+            }
         });
 
         this.loadChemistryData();
+        this.loadPhysicsData();
         this.bindEvents();
         this.update();
     }
@@ -534,6 +541,23 @@ class IntegratedPipeline {
         this.chemistryData = window.ChargeLab?.AppState?.load('chemistry_results');
     }
 
+    /**
+     * The last coil calculated on the physics page: B, and its inductance and ½LI²
+     */
+    loadPhysicsData() {
+        this.physicsData = window.ChargeLab?.AppState?.load('physics_results');
+    }
+
+    /**
+     * ½LI² in the last physics-page coil when it carries the chemistry current,
+     * or null without both
+     */
+    fieldEnergy() {
+        const L = this.physicsData?.inductance;
+        const I = this.chemistryData?.current;
+        return L && I ? 0.5 * L * I * I : null;
+    }
+
     bindEvents() {
         // Chain button
         this.container.querySelector('#btn-chain-results')?.addEventListener('click', () => {
@@ -586,9 +610,19 @@ class IntegratedPipeline {
         // Assume some losses for visualization
         const chemicalEnergy = energyWh * 1.3; // Assume ~77% efficiency
         const electricalEnergy = energyWh;
-        const magneticWork = energyWh * 0.1; // Small fraction to magnetic field
         const heatLoss = chemicalEnergy - electricalEnergy;
 
+        // ½LI² held in the field of the last coil calculated on the physics page
+        const { Units } = window.ChargeLab;
+        const fieldEnergyJ = this.fieldEnergy();
+        const magneticWork = fieldEnergyJ ? Math.min(fieldEnergyJ / 3600, electricalEnergy) : 0;
+        let magneticLabel = 'run a coil in the Physics simulator';
+        if (fieldEnergyJ) {
+            magneticLabel = Units.format(new window.ChargeLab.Measurement(fieldEnergyJ, 3), 'energy', Units.pick(fieldEnergyJ, 'energy'));
+        } else if (this.physicsData?.inductance) {
+            magneticLabel = 'needs a current from the Chemistry calculator';
+        }
+
         this.sankeyContainer.innerHTML = `
       <div class="sankey">
         <div class="sankey__stage">
@@ -618,6 +652,7 @@ class IntegratedPipeline {
         <div class="sankey__flow">
           <div class="sankey__arrow sankey__arrow--work" style="flex: ${magneticWork}">
             <span>To Magnetic Field</span>
+            <span>${magneticLabel}</span>
           </div>
           <div class="sankey__arrow sankey__arrow--output" style="flex: ${electricalEnergy - magneticWork}">
             <span>Useful Work</span>
@@ -647,10 +682,18 @@ class IntegratedPipeline {
         const energyWh = chemData.energyWh || 0;
         const current = chemData.current;
 
+        // Reactants of the balanced reaction, e.g. "Zn + 2MnO₂ → …" gives "Zn and MnO₂"
+        const reactants = chemData.reaction
+            ? chemData.reaction.split(' → ')[0].split(' + ').map(term => term.replace(/^\d+/, ''))
+            : [];
+        const redox = reactants.length > 1
+            ? `between ${reactants.slice(0, -1).join(', ')} and ${reactants[reactants.length - 1]}`
+            : reactants.length ? `of ${reactants[0]}` : 'in the cell';
+
         let interpretation = `
       <h4>Interpretation</h4>
       <p>
-        The redox reaction between zinc and manganese dioxide releases electrons that flow 
+        The redox reaction ${redox} releases electrons that flow
         through an external circuit. This chemical-to-electrical energy conversion is the 
         fundamental principle behind batteries.
       </p>
@@ -670,10 +713,24 @@ class IntegratedPipeline {
       `;
         }
 
+        const fieldEnergyJ = this.fieldEnergy();
+        if (fieldEnergyJ) {
+            const { Units, Measurement } = window.ChargeLab;
+            const show = (value, quantity) => Units.format(new Measurement(value, 3), quantity, Units.pick(value, quantity));
+            interpretation += `
+        <p>
+          <strong>Magnetic Field Energy:</strong> The last coil on the physics page has
+          L = ${show(this.physicsData.inductance, 'inductance')}, so this battery's ${show(current, 'current')} through it
+          holds ½LI² = ${show(fieldEnergyJ, 'energy')} in its field. The battery supplies it once,
+          while the current builds up, and it is released as heat in the circuit when the current stops.
+        </p>
+      `;
+        }
+
         interpretation += `
       <p>
-        <strong>Real-World Application:</strong> This is how alkaline batteries (like AA or 9V) 
-        power electromagnets, motors, and speakers. The chemical energy stored in the battery 
+        <strong>Real-World Application:</strong> This is how batteries of every chemistry, from AA cells
+        to car batteries, power electromagnets, motors, and speakers. The chemical energy stored in the battery 
         is converted to electrical current, which then produces magnetic fields used for 
         mechanical work.
       </p>